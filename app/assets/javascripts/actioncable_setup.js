@@ -1,13 +1,204 @@
 // ActionCable Setup for Real-time Communication
 // Initializes WebSocket connections and provides fallback mechanisms
 
+// Tracks broadcast sequence numbers for one channel so messages missed during a
+// disconnect can be replayed in order, without duplicates, after reconnecting
+class MessageSequencer {
+  constructor(deliver) {
+    this.deliver = deliver;
+    this.lastSequence = null;
+    this.seen = new Set();
+    this.maxSeen = 500;
+    this.replaying = false;
+    this.held = [];
+    this.replayTimer = null;
+  }
+
+  // Route an incoming message, holding live broadcasts while a replay is running
+  accept(data) {
+    if (data && data.type === 'replay_complete') {
+      this.finishReplay();
+      return;
+    }
+
+    // Direct transmissions (snapshots, acknowledgements) carry no sequence
+    if (!data || data.sequence == null) {
+      this.deliver(data);
+      return;
+    }
+
+    if (this.replaying && !data.replayed) {
+      this.held.push(data);
+      return;
+    }
+
+    this.deliverSequenced(data);
+  }
+
+  deliverSequenced(data) {
+    if (this.seen.has(data.sequence)) return;
+
+    this.seen.add(data.sequence);
+    if (this.seen.size > this.maxSeen) {
+      this.seen.delete(this.seen.values().next().value);
+    }
+
+    this.lastSequence = Math.max(this.lastSequence || 0, data.sequence);
+    this.deliver(data);
+  }
+
+  // Start holding live messages; returns the sequence to replay from, or null
+  beginReplay(timeout) {
+    if (this.lastSequence === null) return null;
+
+    this.replaying = true;
+    clearTimeout(this.replayTimer);
+    // Release held messages even if the server never confirms the replay
+    this.replayTimer = setTimeout(() => this.finishReplay(), timeout);
+    return this.lastSequence;
+  }
+
+  finishReplay() {
+    clearTimeout(this.replayTimer);
+    this.replaying = false;
+
+    const held = this.held.sort((a, b) => a.sequence - b.sequence);
+    this.held = [];
+    held.forEach(data => this.deliverSequenced(data));
+  }
+}
+
+// Stable subscription handed to createSubscription() callers. The transport
+// underneath (cable subscription, SSE stream or polling) can be swapped without
+// the caller noticing; custom actions and perform() always reach the live one.
+class ChannelHandle {
+  constructor(params, mixin) {
+    const { connected, disconnected, received, rejected, replayParams, ...actions } = mixin;
+
+    this.params = params;
+    this.channelName = params.channel;
+    this.callbacks = { connected, disconnected, received, rejected, replayParams };
+    this.delegate = null;
+    this.closed = false;
+    this.onClose = null;
+    this.pings = new Map();
+    this.sequencer = new MessageSequencer(data => {
+      if (received) received.call(this, data);
+    });
+
+    Object.assign(this, actions);
+  }
+
+  get transport() {
+    return this.delegate ? this.delegate.transport : null;
+  }
+
+  // Swap in a new transport, closing the previous one
+  attach(delegate) {
+    if (this.delegate) this.delegate.unsubscribe();
+    this.delegate = delegate;
+  }
+
+  perform(action, data = {}) {
+    if (!this.delegate) {
+      console.warn(`Cannot perform ${action} on ${this.channelName}: no transport attached`);
+      return;
+    }
+    return this.delegate.perform(action, data);
+  }
+
+  unsubscribe() {
+    this.attach(null);
+    this.closed = true;
+    if (this.onClose) this.onClose();
+  }
+
+  replayParams() {
+    return this.callbacks.replayParams ? this.callbacks.replayParams.call(this) : {};
+  }
+
+  notifyConnected() {
+    if (this.callbacks.connected) this.callbacks.connected.call(this);
+  }
+
+  notifyDisconnected() {
+    if (this.callbacks.disconnected) this.callbacks.disconnected.call(this);
+  }
+
+  notifyRejected() {
+    if (this.callbacks.rejected) this.callbacks.rejected.call(this);
+  }
+
+  notifyReceived(data) {
+    // Diagnostic round trips are answered here and never reach the channel callbacks
+    if (data && data.type === 'diagnostic_pong') {
+      const settle = this.pings.get(data.nonce);
+      if (settle) settle();
+      return;
+    }
+
+    this.sequencer.accept(data);
+  }
+
+  // Round trip through the channel; resolves with the latency in milliseconds
+  ping(timeout = 5000) {
+    return new Promise((resolve, reject) => {
+      const nonce = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+      const startedAt = performance.now();
+
+      const timer = setTimeout(() => {
+        this.pings.delete(nonce);
+        reject(new Error(`No reply from ${this.channelName} within ${timeout}ms`));
+      }, timeout);
+
+      this.pings.set(nonce, () => {
+        clearTimeout(timer);
+        this.pings.delete(nonce);
+        resolve(Math.round(performance.now() - startedAt));
+      });
+
+      if (this.perform('diagnostic_ping', { nonce }) === false) {
+        clearTimeout(timer);
+        this.pings.delete(nonce);
+        reject(new Error(`${this.channelName} is not connected`));
+      }
+    });
+  }
+}
+
+// Connection states reported through the actioncable-state-change DOM event:
+//   connecting - WebSocket (re)connecting and nothing else serving the channels
+//   connected  - WebSocket open and every channel on it
+//   degraded   - still live, but at least one channel streams over SSE
+//   polling    - at least one channel is refreshed by polling, so data may lag
+//   offline    - browser offline, or polling cannot reach the server either
 class ActionCableManager {
   constructor() {
     this.cable = null;
     this.subscriptions = new Map();
     this.connectionRetries = 0;
-    this.maxRetries = 5;
-    this.retryDelay = 2000;
+    this.maxRetries = 5; // Failed attempts before channels move to SSE or polling
+    this.retryDelay = 1000; // Base reconnect delay, doubled on every attempt
+    this.maxRetryDelay = 30000;
+    this.connectTimeout = 8000;
+    this.connectTimer = null;
+    this.reconnectTimer = null;
+    this.fallbackPollInterval = null;
+    this.subscriptionTimeout = 10000;
+    this.replayTimeout = 5000;
+    this.pendingSubscriptions = [];
+    this.channelRequests = new Set();
+    this.ready = false;
+    this.connectionState = null;
+    this.stateDetail = null;
+    this.stateSignature = null;
+
+    this.watchConnectivity();
+
+    // The consumer lives for the whole page load; subscriptions belong to one Turbo page
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => this.releasePageSubscriptions(), { persistent: true });
+    }
     
     // Initialize when document is ready
     if (document.readyState === 'loading') {
@@ -22,45 +213,83 @@ class ActionCableManager {
       // Check if ActionCable is available globally (loaded via CDN or asset pipeline)
       if (typeof ActionCable !== 'undefined') {
         this.cable = ActionCable.createConsumer();
-        this.setupConnectionMonitoring();
+        this.ready = true;
         console.log('ActionCable initialized successfully');
+        this.refreshState();
+        this.flushPendingSubscriptions();
+
+        // Open the socket even without subscriptions so the state is known
+        this.cable.connect();
+        this.awaitConnection();
       } else {
         console.warn('ActionCable not found, using fallback mode');
-        this.enablePollingFallback();
+        this.useFallbackTransports();
       }
     } catch (error) {
       console.error('Failed to initialize ActionCable:', error);
-      this.handleConnectionFailure();
+      this.cable = null;
+      this.useFallbackTransports();
     }
   }
 
-  setupConnectionMonitoring() {
-    if (!this.cable) return;
+  // Browser connectivity and polling health both feed the connection state
+  watchConnectivity() {
+    window.addEventListener('offline', () => this.refreshState());
 
-    // Check if connection and monitor exist
-    if (this.cable.connection && this.cable.connection.monitor) {
-      // Use connection state callbacks instead of addEventListener
-      const originalConnect = this.cable.connection.connect;
-      const originalDisconnect = this.cable.connection.disconnect;
-      
-      // Override connect method to track connection
-      this.cable.connection.connect = () => {
-        console.log('ActionCable connected');
-        this.connectionRetries = 0;
-        if (originalConnect) originalConnect.call(this.cable.connection);
-      };
-      
-      // Override disconnect method to track disconnection
-      this.cable.connection.disconnect = () => {
-        console.log('ActionCable disconnected');
+    window.addEventListener('online', () => {
+      // Skip the rest of the backoff once the network is back
+      if (this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.cable.connect();
+        this.awaitConnection();
+      }
+      this.refreshState();
+    });
+
+    document.addEventListener('actioncable-poll-status', () => this.refreshState());
+  }
+
+  // Count a socket that has not opened within connectTimeout as a failed attempt
+  awaitConnection() {
+    clearTimeout(this.connectTimer);
+    this.connectTimer = setTimeout(() => {
+      if (this.isConnected()) {
+        this.handleCableConnected();
+      } else {
         this.handleConnectionFailure();
-        if (originalDisconnect) originalDisconnect.call(this.cable.connection);
-      };
-      
-      console.log('ActionCable connection monitoring set up');
-    } else {
-      console.log('ActionCable connection monitoring not available');
+      }
+    }, this.connectTimeout);
+  }
+
+  // Called when any cable subscription connects
+  handleCableConnected() {
+    clearTimeout(this.connectTimer);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (this.connectionRetries > 0) {
+      console.log('ActionCable reconnected');
     }
+    this.connectionRetries = 0;
+    this.disablePollingFallback();
+
+    // Bring channels that fell back to SSE or polling back onto the cable
+    this.channelRequests.forEach(request => {
+      if (request.handle.transport !== 'websocket') {
+        this.attachCable(request);
+      }
+    });
+
+    this.refreshState();
+  }
+
+  // Called when a cable subscription loses its connection
+  handleCableDisconnected() {
+    if (this.reconnectTimer || !this.cable) return;
+
+    console.log('ActionCable disconnected');
+    this.handleConnectionFailure();
   }
 
   subscribe(channelName, params = {}, callbacks = {}) {
@@ -75,12 +304,14 @@ class ActionCableManager {
         {
           connected: () => {
             console.log(`Connected to ${channelName}`);
+            this.handleCableConnected();
             if (callbacks.connected) callbacks.connected();
           },
           
           disconnected: () => {
             console.log(`Disconnected from ${channelName}`);
             if (callbacks.disconnected) callbacks.disconnected();
+            this.handleCableDisconnected();
           },
           
           received: (data) => {
@@ -97,8 +328,187 @@ class ActionCableManager {
     }
   }
 
+  // Promise-based subscription API used by the dispersion and weather managers.
+  // `channel` is a channel name or an ActionCable params object; `mixin` holds the
+  // lifecycle callbacks (connected, disconnected, received, rejected) plus any
+  // custom actions, which are installed on the returned handle so `this.perform`
+  // works. An optional `replayParams()` adds channel-specific params to the replay
+  // request sent after a reconnect. Requests made before the consumer exists are
+  // queued until initialize() runs. Transports are negotiated in order:
+  // WebSocket, then Server-Sent Events, then polling.
+  createSubscription(channel, mixin = {}) {
+    return new Promise((resolve, reject) => {
+      const params = typeof channel === 'string' ? { channel } : channel;
+      const handle = new ChannelHandle(params, mixin);
+      const request = { handle, resolve, reject, settled: false };
+
+      this.channelRequests.add(request);
+      this.subscriptions.set(handle.channelName, handle);
+      handle.onClose = () => {
+        this.channelRequests.delete(request);
+        if (this.subscriptions.get(handle.channelName) === handle) {
+          this.subscriptions.delete(handle.channelName);
+        }
+        this.refreshState();
+      };
+
+      if (this.ready) {
+        this.attachCable(request);
+      } else {
+        this.pendingSubscriptions.push(request);
+      }
+    });
+  }
+
+  // The first connection resolves the caller's promise; the connected callback
+  // runs after it so callers already hold the handle
+  handleConnected(request) {
+    if (!request.settled) {
+      request.settled = true;
+      request.resolve(request.handle);
+    }
+
+    this.refreshState();
+    return Promise.resolve().then(() => request.handle.notifyConnected());
+  }
+
+  // Serve a request over the cable, switching transports if the channel never confirms
+  attachCable(request) {
+    const { handle } = request;
+    const manager = this;
+    let confirmation = null;
+    let confirmed = false;
+
+    try {
+      const subscription = this.cable.subscriptions.create(handle.params, {
+        connected() {
+          clearTimeout(confirmation);
+          confirmed = true;
+          console.log(`Connected to ${handle.channelName}`);
+
+          manager.handleCableConnected();
+          manager.handleConnected(request).then(() => {
+            // After a reconnect, ask for everything broadcast since the last message seen
+            const since = handle.sequencer.beginReplay(manager.replayTimeout);
+            if (since !== null) {
+              console.log(`Replaying ${handle.channelName} messages since ${since}`);
+              handle.perform('replay_since', { since, ...handle.replayParams() });
+            }
+          });
+        },
+
+        disconnected() {
+          console.log(`Disconnected from ${handle.channelName}`);
+          handle.notifyDisconnected();
+          manager.handleCableDisconnected();
+        },
+
+        rejected() {
+          clearTimeout(confirmation);
+          console.warn(`Subscription to ${handle.channelName} rejected`);
+          handle.notifyRejected();
+          if (!request.settled) {
+            request.settled = true;
+            request.reject(new Error(`Subscription to ${handle.channelName} rejected`));
+          }
+        },
+
+        received(data) {
+          handle.notifyReceived(data);
+        }
+      });
+
+      const cableDelegate = {
+        transport: 'websocket',
+        perform: (action, data) => subscription.perform(action, data),
+        unsubscribe: () => subscription.unsubscribe()
+      };
+      handle.attach(cableDelegate);
+
+      confirmation = setTimeout(() => {
+        if (confirmed || handle.closed || handle.delegate !== cableDelegate) return;
+        console.warn(`Subscription to ${handle.channelName} timed out, trying other transports`);
+        this.attachStream(request);
+      }, this.subscriptionTimeout);
+    } catch (error) {
+      console.error(`Failed to subscribe to ${handle.channelName}:`, error);
+      this.attachStream(request);
+    }
+  }
+
+  // Serve a request over Server-Sent Events, falling back to polling when
+  // EventSource is unsupported or the stream cannot be (re)opened
+  attachStream(request) {
+    const { handle } = request;
+
+    if (!window.SSETransport || !window.SSETransport.isAvailable(handle.channelName)) {
+      this.attachPolling(request);
+      return;
+    }
+
+    const stream = window.SSETransport.createSubscription(handle.channelName, {
+      connected: () => this.handleConnected(request),
+      disconnected: () => {
+        handle.notifyDisconnected();
+        this.refreshState();
+      },
+      received: (data) => handle.notifyReceived(data),
+      failed: (error) => {
+        if (handle.delegate !== stream) return;
+        console.warn(`SSE unavailable for ${handle.channelName} (${error.message}), switching to polling`);
+        this.attachPolling(request);
+      }
+    });
+
+    handle.attach(stream);
+    stream.open();
+  }
+
+  // Serve a request through the polling transport
+  attachPolling(request) {
+    const { handle } = request;
+
+    if (!window.PollingTransport || !window.PollingTransport.hasAdapter(handle.channelName)) {
+      handle.unsubscribe();
+      if (!request.settled) {
+        request.settled = true;
+        request.reject(new Error(`No polling transport available for ${handle.channelName}`));
+      }
+      return;
+    }
+
+    handle.attach(this.createFallbackSubscription(handle.channelName, {
+      received: (data) => handle.notifyReceived(data)
+    }));
+    this.handleConnected(request);
+  }
+
+  flushPendingSubscriptions() {
+    const pending = this.pendingSubscriptions;
+    this.pendingSubscriptions = [];
+    pending.forEach(request => this.attachCable(request));
+  }
+
+  // Move queued and cable-backed subscriptions off the cable: SSE, then polling
+  fallbackToStreams() {
+    const pending = this.pendingSubscriptions;
+    this.pendingSubscriptions = [];
+    pending.forEach(request => this.attachStream(request));
+
+    this.channelRequests.forEach(request => {
+      if (request.handle.transport === 'websocket') {
+        this.attachStream(request);
+      }
+    });
+  }
+
   createFallbackSubscription(channelName, callbacks) {
     console.log(`Creating fallback subscription for ${channelName}`);
+
+    // The polling transport listens for actioncable-poll and delivers messages
+    const transport = window.PollingTransport
+      ? window.PollingTransport.subscribe(channelName, callbacks)
+      : null;
     
     // Start polling for this channel
     const pollInterval = setInterval(() => {
@@ -109,35 +519,93 @@ class ActionCableManager {
     }, 5000);
     
     return {
+      transport: 'polling',
+      perform: (action, data = {}) => {
+        if (transport) return transport.perform(action, data);
+        console.warn(`Cannot perform ${action} on ${channelName} without a polling transport`);
+      },
       unsubscribe: () => {
         clearInterval(pollInterval);
+        if (transport) transport.unsubscribe();
         console.log(`Unsubscribed from fallback ${channelName}`);
       }
     };
   }
 
+  // Unsubscribe everything the outgoing page created, keeping the consumer open
+  releasePageSubscriptions() {
+    const pending = this.pendingSubscriptions;
+    this.pendingSubscriptions = [];
+    pending.forEach(request => request.handle.unsubscribe());
+
+    Array.from(this.channelRequests).forEach(request => request.handle.unsubscribe());
+
+    this.subscriptions.forEach(subscription => {
+      if (!(subscription instanceof ChannelHandle)) subscription.unsubscribe();
+    });
+    this.subscriptions.clear();
+
+    this.refreshState();
+  }
+
+  // Retry the cable with jittered exponential backoff. After maxRetries the
+  // channels move to SSE or polling; the cable keeps being retried at the
+  // capped delay so they move back once it recovers.
   handleConnectionFailure() {
-    if (this.connectionRetries < this.maxRetries) {
-      this.connectionRetries++;
-      console.log(`Retrying ActionCable connection (${this.connectionRetries}/${this.maxRetries})`);
-      
-      setTimeout(() => {
-        this.initialize();
-      }, this.retryDelay * this.connectionRetries);
-    } else {
-      console.error('Max ActionCable connection retries reached, using polling');
+    if (!this.cable) return;
+
+    clearTimeout(this.connectTimer);
+    clearTimeout(this.reconnectTimer);
+
+    // Stop ActionCable's own monitor so only one reconnect loop runs
+    this.cable.disconnect();
+    this.connectionRetries++;
+
+    if (this.connectionRetries === this.maxRetries) {
+      console.error('Max ActionCable connection retries reached, using fallback transports');
+      this.fallbackToStreams();
       this.enablePollingFallback();
     }
+
+    const delay = this.backoffDelay(this.connectionRetries);
+    console.log(`Retrying ActionCable connection in ${Math.round(delay / 1000)}s (attempt ${this.connectionRetries})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.cable.connect();
+      this.awaitConnection();
+    }, delay);
+
+    this.refreshState({ retryIn: delay });
+  }
+
+  // Exponential delay with "equal jitter": half fixed, half random, so tabs
+  // that lost the server together do not reconnect in lockstep
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  useFallbackTransports() {
+    this.fallbackToStreams();
+    this.enablePollingFallback();
+    this.refreshState();
   }
 
   enablePollingFallback() {
+    if (this.fallbackPollInterval) return;
     console.log('Enabling polling fallback for real-time updates');
     
-    setInterval(() => {
+    this.fallbackPollInterval = setInterval(() => {
       document.dispatchEvent(new CustomEvent('actioncable-fallback-poll'));
     }, 10000); // Poll every 10 seconds as fallback
   }
 
+  disablePollingFallback() {
+    clearInterval(this.fallbackPollInterval);
+    this.fallbackPollInterval = null;
+  }
+
   // Method to check if ActionCable is connected
   isConnected() {
     if (!this.cable || !this.cable.connection) {
@@ -146,30 +614,120 @@ class ActionCableManager {
     
     // Check connection state
     const connection = this.cable.connection;
-    return connection.isOpen && connection.isOpen() || 
-           connection.state === 'open' || 
-           connection.connectionMonitor?.isRunning();
+    return typeof connection.isOpen === 'function'
+      ? connection.isOpen()
+      : connection.getState && connection.getState() === 'open';
+  }
+
+  // Work out the connection state from the cable and the channel transports
+  computeState() {
+    if (navigator.onLine === false) return 'offline';
+
+    const handles = Array.from(this.subscriptions.values())
+      .filter(subscription => subscription instanceof ChannelHandle);
+    const polled = handles.filter(handle => handle.transport === 'polling');
+    const streamed = handles.filter(handle => handle.transport === 'sse');
+
+    if (polled.length > 0) {
+      const failing = window.PollingTransport &&
+        polled.every(handle => window.PollingTransport.isFailing(handle.channelName));
+      return failing ? 'offline' : 'polling';
+    }
+
+    if (streamed.length > 0) {
+      return streamed.every(handle => handle.delegate.isConnected) ? 'degraded' : 'connecting';
+    }
+
+    if (this.isConnected()) return 'connected';
+    return this.cable || handles.length > 0 ? 'connecting' : 'offline';
+  }
+
+  // Recompute the state and announce it when it changes. Listen with:
+  //   document.addEventListener('actioncable-state-change', e => e.detail.state)
+  refreshState({ retryIn = null } = {}) {
+    const state = this.computeState();
+    const transport = this.getActiveTransport();
+    const signature = [state, transport, this.connectionRetries].join('|');
+
+    if (signature === this.stateSignature) return;
+    this.stateSignature = signature;
+
+    const previousState = this.connectionState;
+    this.connectionState = state;
+    this.stateDetail = {
+      state,
+      previousState,
+      live: state === 'connected' || state === 'degraded',
+      transport,
+      channels: this.getChannelTransports(),
+      attempt: this.connectionRetries,
+      retryIn,
+      timestamp: new Date().toISOString()
+    };
+
+    if (state !== previousState) {
+      console.log(`Connection state: ${previousState || 'initial'} -> ${state} (${transport})`);
+    }
+    document.dispatchEvent(new CustomEvent('actioncable-state-change', { detail: this.stateDetail }));
+  }
+
+  getState() {
+    return this.stateDetail || { state: 'connecting', live: false, transport: 'none', channels: {} };
   }
   
+  // Transport serving each channel: 'websocket', 'sse' or 'polling'
+  getChannelTransports() {
+    const transports = {};
+    this.subscriptions.forEach((subscription, channelName) => {
+      transports[channelName] = subscription instanceof ChannelHandle
+        ? (subscription.transport || 'connecting')
+        : 'websocket';
+    });
+    return transports;
+  }
+
+  // Least capable transport in use, which bounds how live the data is
+  getActiveTransport() {
+    const ranking = ['polling', 'sse', 'websocket'];
+    const inUse = Object.values(this.getChannelTransports());
+
+    if (inUse.length === 0) {
+      return this.cable ? 'websocket' : 'none';
+    }
+    return ranking.find(transport => inUse.includes(transport)) || 'connecting';
+  }
+
   // Get connection status details
   getConnectionStatus() {
+    const transport = this.getActiveTransport();
+    const channels = this.getChannelTransports();
+
+    const connectionState = this.connectionState;
+
     if (!this.cable || !this.cable.connection) {
-      return { connected: false, state: 'no_cable' };
+      return { connected: false, state: 'no_cable', connection_state: connectionState, transport, channels };
     }
     
     const connection = this.cable.connection;
     return {
       connected: this.isConnected(),
-      state: connection.state || 'unknown',
-      monitor_running: connection.connectionMonitor?.isRunning() || false
+      state: connection.getState ? connection.getState() : 'unknown',
+      connection_state: connectionState,
+      retries: this.connectionRetries,
+      monitor_running: connection.monitor?.isRunning() || false,
+      transport,
+      channels
     };
   }
 }
 
-// Create global instance
-window.ActionCableManager = new ActionCableManager();
-
-// Make it available globally for other modules
+// Create the single global instance; one consumer serves every Turbo visit
 if (typeof window !== 'undefined') {
-  window.ActionCableManager = new ActionCableManager();
+  if (!window.ActionCableManager) {
+    window.ActionCableManager = new ActionCableManager();
+  }
+
+  // Promise-returning subscription helper used by RealTimeDispersionManager and WeatherManager
+  window.createCableSubscription = (channel, mixin) =>
+    window.ActionCableManager.createSubscription(channel, mixin);
 }
\ No newline at end of file
@@ -10,11 +10,32 @@ application.debug = false
 window.Stimulus = application
 
 // Import our custom JavaScript modules - these will be loaded as separate files
+import "page_lifecycle"
+import "polling_transport"
+import "sse_transport"
 import "actioncable_setup"
+import "command_outbox"
+import "map_helpers"
+import "map_markers"
+import "hazard_scale"
+import "receptor_registry"
 import "dispersion_map"
+import "concentration_heatmap"
+import "plume_history"
+import "plume_export"
+import "incident_report"
+import "receptor_trends"
+import "receptor_editor"
+import "receptor_generator"
+import "buildings_layer"
+import "terrain_profile"
+import "map_layer_manager"
+import "contour_impacts"
+import "protective_action_zones"
+import "thermal_layer"
+import "plume_preview"
 import "weather_manager"
 import "realtime_dispersion"
-import "realtime_test"
-import "module_integration_test"
+import "diagnostics_panel"
 
 export { application }
\ No newline at end of file
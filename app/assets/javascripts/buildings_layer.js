@@ -0,0 +1,312 @@
+// Buildings Layer
+// Building footprints from /api/v1/buildings/in_bounds for the current view,
+// loaded on moveend (debounced) while the Buildings overlay is on. Loaded areas
+// are cached as fixed grid cells, so panning back does not fetch them again.
+// Footprints are colored by height, buildings inside a contour of an event's
+// plume are outlined in that contour's hazard color, and clicking a building
+// shows its attributes and downwash wake.
+
+// Height classes (m), lowest first
+const BUILDING_HEIGHT_CLASSES = [
+  { max: 10, color: '#ffffb2', label: '< 10 m' },
+  { max: 25, color: '#fecc5c', label: '10–25 m' },
+  { max: 50, color: '#fd8d3c', label: '25–50 m' },
+  { max: 100, color: '#f03b20', label: '50–100 m' },
+  { max: Infinity, color: '#bd0026', label: '≥ 100 m' }
+];
+
+class BuildingsLayer {
+  constructor() {
+    this.minZoom = 14;           // below this a view holds too many buildings
+    this.cellSize = 0.01;        // degrees per cached cell
+    this.loadDelay = 400;        // ms after the last moveend
+    this.maxCached = 20000;      // buildings kept before the cache starts over
+
+    this.map = null;
+    this.layer = null;
+    this.legend = null;
+    this.loadedCells = new Set();
+    this.buildings = new Map();  // building id -> footprint layer
+    this.contours = [];          // [{ eventId, level, points, bounds }] of the plumes shown
+    this.status = '';
+    this.loadTimer = null;
+    this.restyleTimer = null;
+    this.request = null;         // AbortController of the request in flight
+
+    document.addEventListener('mapReady', (event) => this.attach(event.detail.map));
+    document.addEventListener('plume-history-change', () => this.scheduleRestyle());
+
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => this.detach(), { persistent: true });
+    }
+  }
+
+  attach(map) {
+    if (this.map === map) return;
+
+    this.map = map;
+    this.loadedCells.clear();
+    this.buildings.clear();
+    this.contours = this.collectContours();
+
+    const renderer = window.MapMarkers.canvas(map);
+    this.layer = L.geoJSON(null, {
+      renderer,
+      style: feature => this.style(feature),
+      pointToLayer: (feature, latlng) => L.circleMarker(latlng, { radius: 5, renderer }),
+      onEachFeature: (feature, layer) => {
+        this.buildings.set(String(feature.properties.id), layer);
+        layer.bindPopup(() => this.popup(feature), { maxWidth: 300 });
+      }
+    });
+    this.legend = this.createLegend();
+
+    this.layer.on('add', () => {
+      map.on('moveend', this.scheduleLoad, this);
+      this.legend.addTo(map);
+      this.load();
+    });
+    this.layer.on('remove', () => {
+      map.off('moveend', this.scheduleLoad, this);
+      clearTimeout(this.loadTimer);
+      if (this.request) this.request.abort();
+      this.legend.remove();
+    });
+
+    if (window.layerControl) window.layerControl.addOverlay(this.layer, 'Buildings');
+    this.layer.addTo(map);
+  }
+
+  // The map itself is removed by the dispersion map teardown
+  detach() {
+    clearTimeout(this.loadTimer);
+    clearTimeout(this.restyleTimer);
+    if (this.request) this.request.abort();
+    this.request = null;
+    this.loadedCells.clear();
+    this.buildings.clear();
+    this.layer = null;
+    this.legend = null;
+    this.map = null;
+  }
+
+  scheduleLoad() {
+    clearTimeout(this.loadTimer);
+    this.loadTimer = setTimeout(() => this.load(), this.loadDelay);
+  }
+
+  // Fetch the view's cells that are not cached yet, as one bounding box
+  async load() {
+    if (!this.map || !this.map.hasLayer(this.layer)) return;
+
+    if (this.map.getZoom() < this.minZoom) {
+      this.setStatus('Zoom in to load buildings');
+      return;
+    }
+
+    const missing = this.cellsInView().filter(cell => !this.loadedCells.has(cell.key));
+    if (missing.length === 0) {
+      this.setStatus(`${this.buildings.size} buildings loaded`);
+      return;
+    }
+
+    const north = Math.max(...missing.map(cell => cell.north));
+    const south = Math.min(...missing.map(cell => cell.south));
+    const east = Math.max(...missing.map(cell => cell.east));
+    const west = Math.min(...missing.map(cell => cell.west));
+
+    if (this.request) this.request.abort();
+    const request = new AbortController();
+    this.request = request;
+    this.setStatus('Loading buildings...');
+
+    try {
+      const coordinates = [north, south, east, west].map(value => value.toFixed(4)).join('/');
+      const response = await fetch(`/api/v1/buildings/in_bounds/${coordinates}`, {
+        headers: { 'Accept': 'application/json' },
+        signal: request.signal
+      });
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+      const result = await response.json();
+      if (result.status !== 'success') throw new Error(result.message || 'Failed to load buildings');
+      if (this.request !== request || !this.layer) return;
+
+      this.addFeatures(result.data.features);
+
+      // A truncated area holds the tallest buildings only; fetch it again when zoomed in further
+      if (result.data.truncated) {
+        this.setStatus(`Showing the tallest ${result.data.count} buildings; zoom in for all`);
+      } else {
+        missing.forEach(cell => this.loadedCells.add(cell.key));
+        this.setStatus(`${this.buildings.size} buildings loaded`);
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Error loading buildings:', error);
+      this.setStatus('Buildings unavailable');
+    } finally {
+      if (this.request === request) this.request = null;
+    }
+  }
+
+  addFeatures(features) {
+    if (this.buildings.size + features.length > this.maxCached) {
+      this.layer.clearLayers();
+      this.buildings.clear();
+      this.loadedCells.clear();
+    }
+
+    const added = features.filter(feature => !this.buildings.has(String(feature.properties.id)));
+    if (added.length > 0) this.layer.addData(added);
+  }
+
+  // Grid cells covering the view, aligned to multiples of cellSize
+  cellsInView() {
+    const bounds = this.map.getBounds();
+    const size = this.cellSize;
+    const cells = [];
+
+    for (let row = Math.floor(bounds.getSouth() / size); row <= Math.floor(bounds.getNorth() / size); row++) {
+      for (let col = Math.floor(bounds.getWest() / size); col <= Math.floor(bounds.getEast() / size); col++) {
+        cells.push({
+          key: `${row}:${col}`,
+          south: row * size,
+          north: (row + 1) * size,
+          west: col * size,
+          east: (col + 1) * size
+        });
+      }
+    }
+    return cells;
+  }
+
+  // Contours of the plume snapshot shown for each event
+  collectContours() {
+    const contours = [];
+
+    Array.from(window.PlumeHistory.snapshots.keys()).forEach(eventId => {
+      const snapshot = window.PlumeHistory.getSelectedSnapshot(eventId);
+      if (!snapshot) return;
+
+      snapshot.contours.forEach(contour => {
+        if (!contour.points || contour.points.length < 3) return;
+        contours.push({
+          eventId,
+          level: contour.level,
+          points: contour.points,
+          bounds: L.latLngBounds(contour.points)
+        });
+      });
+    });
+    return contours;
+  }
+
+  scheduleRestyle() {
+    clearTimeout(this.restyleTimer);
+    this.restyleTimer = setTimeout(() => this.restyle(), 100);
+  }
+
+  restyle() {
+    this.contours = this.collectContours();
+    if (this.layer) this.layer.resetStyle();
+  }
+
+  // Highest-level contour containing the building's position, or null
+  containingContour(feature) {
+    const { latitude, longitude } = feature.properties;
+    const latlng = L.latLng(latitude, longitude);
+    let match = null;
+
+    this.contours.forEach(contour => {
+      if (match && contour.level <= match.level) return;
+      if (contour.bounds.contains(latlng) && window.MapHelpers.pointInPolygon([latlng.lat, latlng.lng], contour.points)) match = contour;
+    });
+    return match;
+  }
+
+  heightClass(height) {
+    if (height == null) return null;
+    return BUILDING_HEIGHT_CLASSES.find(heightClass => Number(height) < heightClass.max);
+  }
+
+  style(feature) {
+    const heightClass = this.heightClass(feature.properties.height);
+    const contour = this.containingContour(feature);
+    const style = {
+      color: '#555555',
+      weight: 1,
+      fillColor: heightClass ? heightClass.color : '#ced4da',
+      fillOpacity: 0.7
+    };
+
+    if (contour) {
+      style.color = window.HazardScale.getColor(contour.level, contour.eventId);
+      style.weight = 3;
+      style.fillOpacity = 0.9;
+    }
+    return style;
+  }
+
+  popup(feature) {
+    const props = feature.properties;
+    const contour = this.containingContour(feature);
+    const downwash = props.downwash;
+    const row = (label, value) => value != null && value !== '' ? `<tr><td>${label}:</td><td>${value}</td></tr>` : '';
+
+    return `
+      <div class="building-popup">
+        <h6><i class="fas fa-building"></i> ${window.MapHelpers.escapeHtml(props.name)}</h6>
+        ${contour ? `
+          <div class="alert alert-danger p-1 mb-2 small">
+            Inside the ${contour.level} mg/m³ contour ${window.HazardScale.badge(contour.level, contour.eventId)}
+          </div>
+        ` : ''}
+        <table class="table table-sm mb-1">
+          ${row('Occupancy', window.MapHelpers.escapeHtml(window.MapHelpers.humanize(props.building_type)))}
+          ${row('Height', props.height != null ? `${Number(props.height).toFixed(1)} m` : 'Unknown')}
+          ${row('Footprint', props.area != null ? `${Math.round(props.area).toLocaleString()} m²` : null)}
+          ${row('Layer', props.map_layer ? window.MapHelpers.escapeHtml(props.map_layer) : null)}
+        </table>
+        ${downwash ? `
+          <small class="text-muted d-block">
+            <strong>Downwash:</strong> wake extends about ${downwash.wake_length} m downwind;
+            stacks lower than ${downwash.gep_stack_height} m (GEP height) are affected.
+          </small>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  setStatus(message) {
+    this.status = message;
+    const element = this.legend && this.legend.getContainer() &&
+      this.legend.getContainer().querySelector('[data-role="status"]');
+    if (element) element.textContent = message;
+  }
+
+  createLegend() {
+    const legend = L.control({ position: 'bottomleft' });
+
+    legend.onAdd = () => {
+      const div = L.DomUtil.create('div', 'buildings-legend bg-white p-2 rounded shadow-sm small');
+      div.innerHTML = `
+        <strong class="d-block mb-1"><i class="fas fa-building"></i> Building height</strong>
+        ${BUILDING_HEIGHT_CLASSES.map(heightClass => `
+          <div><span class="d-inline-block me-1" style="width: 12px; height: 12px; background: ${heightClass.color}; border: 1px solid #555;"></span>${heightClass.label}</div>
+        `).join('')}
+        <div class="mt-1"><span class="d-inline-block me-1" style="width: 12px; height: 12px; border: 3px solid #dc3545;"></span>Inside a plume contour</div>
+        <div class="text-muted mt-1" data-role="status">${this.status}</div>
+      `;
+      L.DomEvent.disableClickPropagation(div);
+      return div;
+    };
+
+    return legend;
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.BuildingsLayer) {
+  window.BuildingsLayer = new BuildingsLayer();
+}
@@ -0,0 +1,365 @@
+// Command Outbox for Operator Actions
+// Operator commands (stop monitoring, weather and calculation requests) are
+// stored in IndexedDB before they are sent and retried with the same idempotency
+// key until the server accepts them. Each command's pending/sent/failed state is
+// listed in the dashboard, so a click on a flaky connection is never lost.
+
+const OUTBOX_DB_NAME = 'chemical_dispersion';
+const OUTBOX_STORE = 'command_outbox';
+
+const OUTBOX_STATUS_BADGES = {
+  pending: { className: 'bg-warning text-dark', label: 'Pending' },
+  sending: { className: 'bg-info text-dark', label: 'Sending...' },
+  sent: { className: 'bg-success', label: 'Sent' },
+  failed: { className: 'bg-danger', label: 'Failed' }
+};
+
+// Delivery failure; `retryable` is false when resending cannot succeed
+class OutboxDeliveryError extends Error {
+  constructor(message, { retryable = true } = {}) {
+    super(message);
+    this.name = 'OutboxDeliveryError';
+    this.retryable = retryable;
+  }
+}
+
+class CommandOutbox {
+  constructor() {
+    this.commands = new Map();
+    this.sending = new Set();
+    this.db = null;
+    this.retryTimer = null;
+    this.retryDelay = 2000;
+    this.maxRetryDelay = 60000;
+    this.sentRetention = 60 * 60 * 1000; // Delivered commands stay listed for an hour
+
+    this.ready = this.openDatabase().then(() => this.loadCommands());
+    this.ready.then(() => {
+      this.render();
+      this.flush();
+    });
+
+    // Resend as soon as a transport is back
+    window.addEventListener('online', () => this.flush());
+    document.addEventListener('actioncable-state-change', (event) => {
+      if (event.detail.state !== 'offline' && event.detail.state !== 'connecting') {
+        this.flush();
+      }
+    });
+
+    // The outbox outlives Turbo visits; redraw it into each new page
+    document.addEventListener('turbo:load', () => this.render());
+  }
+
+  openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+      console.warn('IndexedDB unavailable; queued commands will not survive a reload');
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+      request.onerror = () => {
+        console.error('Failed to open command outbox database:', request.error);
+        resolve();
+      };
+    });
+  }
+
+  // Run one request against the outbox object store
+  storeRequest(mode, operation) {
+    if (!this.db) return Promise.resolve(null);
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(OUTBOX_STORE, mode);
+      const request = operation(transaction.objectStore(OUTBOX_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async loadCommands() {
+    try {
+      const stored = await this.storeRequest('readonly', store => store.getAll()) || [];
+      const cutoff = Date.now() - this.sentRetention;
+
+      stored.forEach(command => {
+        if (command.status === 'sent' && command.updatedAt < cutoff) {
+          this.storeRequest('readwrite', store => store.delete(command.id));
+        } else {
+          this.commands.set(command.id, command);
+        }
+      });
+    } catch (error) {
+      console.error('Failed to load queued commands:', error);
+    }
+  }
+
+  save(command) {
+    command.updatedAt = Date.now();
+    this.commands.set(command.id, command);
+    this.render();
+
+    document.dispatchEvent(new CustomEvent('command-outbox-change', {
+      detail: { command: { ...command } }
+    }));
+
+    return this.storeRequest('readwrite', store => store.put(command))
+      .catch(error => console.error('Failed to persist queued command:', error));
+  }
+
+  // Queue a command and try to send it right away. Specs are either
+  //   { label, method, url, body }      for HTTP requests, or
+  //   { label, channel, action, data }  for channel actions.
+  // Resolves with a copy of the command after its first delivery attempt.
+  async enqueue(spec) {
+    await this.ready;
+
+    const key = generateIdempotencyKey();
+    const command = {
+      id: key,
+      idempotencyKey: key,
+      label: spec.label,
+      kind: spec.channel ? 'channel' : 'http',
+      request: spec.channel
+        ? { channel: spec.channel, action: spec.action, data: spec.data || {} }
+        : { method: spec.method || 'POST', url: spec.url, body: spec.body || null },
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      createdAt: Date.now()
+    };
+
+    await this.save(command);
+    await this.deliver(command);
+    return { ...command };
+  }
+
+  // Try every pending command
+  flush() {
+    return this.ready.then(() => Promise.all(
+      Array.from(this.commands.values())
+        .filter(command => command.status === 'pending')
+        .map(command => this.deliver(command))
+    ));
+  }
+
+  async deliver(command) {
+    if (command.status !== 'pending' || this.sending.has(command.id)) return;
+
+    this.sending.add(command.id);
+    this.render();
+    command.attempts += 1;
+
+    try {
+      if (command.kind === 'channel') {
+        await this.sendChannelCommand(command);
+      } else {
+        await this.sendHttpCommand(command);
+      }
+      command.status = 'sent';
+      command.lastError = null;
+      console.log(`Command sent: ${command.label}`);
+    } catch (error) {
+      command.lastError = error.message;
+      if (error.retryable === false) {
+        command.status = 'failed';
+        console.error(`Command failed: ${command.label}:`, error.message);
+      } else {
+        console.warn(`Command queued for retry: ${command.label}:`, error.message);
+      }
+    } finally {
+      this.sending.delete(command.id);
+    }
+
+    await this.save(command);
+    if (command.status === 'pending') this.scheduleRetry();
+  }
+
+  async sendHttpCommand(command) {
+    const { method, url, body } = command.request;
+    const csrfToken = document.querySelector('[name="csrf-token"]');
+    let response;
+
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken ? csrfToken.content : '',
+          'Idempotency-Key': command.idempotencyKey
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      throw new OutboxDeliveryError(`Network error: ${error.message}`);
+    }
+
+    if (response.ok) return;
+
+    // Client errors will not succeed on a resend, apart from timeouts, rate
+    // limits and 409 (the same key is still being processed)
+    const retryable = response.status >= 500 || [408, 409, 429].includes(response.status);
+    throw new OutboxDeliveryError(`HTTP error! status: ${response.status}`, { retryable });
+  }
+
+  async sendChannelCommand(command) {
+    const { channel, action, data } = command.request;
+    const manager = window.ActionCableManager;
+    const handle = manager && manager.subscriptions.get(channel);
+    const payload = { ...data, idempotency_key: command.idempotencyKey };
+
+    if (!handle || !handle.transport) {
+      throw new OutboxDeliveryError(`${channel} is not connected`);
+    }
+
+    if (handle.transport === 'websocket') {
+      // ActionCable returns false when the socket is not open
+      if (handle.perform(action, payload) === false) {
+        throw new OutboxDeliveryError('WebSocket is not open');
+      }
+      return;
+    }
+
+    // SSE and polling run channel actions over the REST API; actions it has
+    // no endpoint for fail for good instead of being marked sent
+    try {
+      await window.PollingTransport.perform(channel, action, payload,
+        message => handle.notifyReceived(message), { rethrow: true });
+    } catch (error) {
+      throw new OutboxDeliveryError(error.message, { retryable: !error.unsupported });
+    }
+  }
+
+  // Back off exponentially on the least-tried pending command
+  scheduleRetry() {
+    if (this.retryTimer) return;
+
+    const pending = Array.from(this.commands.values()).filter(command => command.status === 'pending');
+    if (pending.length === 0) return;
+
+    const attempts = Math.min(...pending.map(command => command.attempts));
+    const delay = Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, attempts - 1));
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, delay);
+  }
+
+  // Send a failed command again with its original idempotency key
+  retry(id) {
+    const command = this.commands.get(id);
+    if (!command || command.status !== 'failed') return Promise.resolve();
+
+    command.status = 'pending';
+    return this.deliver(command);
+  }
+
+  // Remove a command from the list; pending commands are cancelled
+  dismiss(id) {
+    const command = this.commands.get(id);
+    if (!command) return Promise.resolve();
+
+    if (command.status === 'pending' && !confirm(`Cancel "${command.label}"? It has not reached the server.`)) {
+      return Promise.resolve();
+    }
+
+    this.commands.delete(id);
+    this.render();
+    return this.storeRequest('readwrite', store => store.delete(id))
+      .catch(error => console.error('Failed to remove queued command:', error));
+  }
+
+  getCommands() {
+    return Array.from(this.commands.values())
+      .map(command => ({ ...command }))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Render the command list into #commandOutbox and the count into #commandOutboxCount
+  render() {
+    const commands = this.getCommands();
+    const waiting = commands.filter(command => command.status !== 'sent').length;
+
+    const counter = document.getElementById('commandOutboxCount');
+    if (counter) {
+      counter.className = `badge ${waiting > 0 ? 'bg-warning text-dark' : 'bg-secondary'}`;
+      counter.textContent = waiting;
+    }
+
+    const container = document.getElementById('commandOutbox');
+    if (!container) return;
+    this.bindControls(container);
+
+    if (commands.length === 0) {
+      container.innerHTML = '<p class="text-muted small mb-0">No queued commands</p>';
+      return;
+    }
+
+    container.innerHTML = commands.map(command => {
+      const status = this.sending.has(command.id) ? 'sending' : command.status;
+      const badge = OUTBOX_STATUS_BADGES[status];
+      const detail = [
+        new Date(command.createdAt).toLocaleTimeString(),
+        `${command.attempts} attempt${command.attempts === 1 ? '' : 's'}`,
+        command.lastError
+      ].filter(Boolean).join(' · ');
+
+      return `
+        <div class="d-flex align-items-center small mb-1">
+          <div class="flex-grow-1 text-truncate me-2" title="${window.MapHelpers.escapeHtml(detail)}">
+            ${window.MapHelpers.escapeHtml(command.label)}
+            <div class="text-muted">${window.MapHelpers.escapeHtml(detail)}</div>
+          </div>
+          <span class="badge ${badge.className} me-1">${badge.label}</span>
+          ${command.status === 'failed' ? `
+            <button class="btn btn-link btn-sm p-0 me-1" data-outbox-action="retry" data-command-id="${command.id}" title="Retry">
+              <i class="fas fa-redo"></i>
+            </button>` : ''}
+          <button class="btn btn-link btn-sm p-0 text-muted" data-outbox-action="dismiss" data-command-id="${command.id}" title="${command.status === 'pending' ? 'Cancel' : 'Dismiss'}">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+      `;
+    }).join('');
+  }
+
+  bindControls(container) {
+    if (container.dataset.outboxBound) return;
+    container.dataset.outboxBound = 'true';
+
+    container.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-outbox-action]');
+      if (!button) return;
+
+      if (button.dataset.outboxAction === 'retry') {
+        this.retry(button.dataset.commandId);
+      } else {
+        this.dismiss(button.dataset.commandId);
+      }
+    });
+  }
+}
+
+// randomUUID needs a secure context; plain-HTTP deployments fall back to random bits
+function generateIdempotencyKey() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.CommandOutbox) {
+  window.CommandOutbox = new CommandOutbox();
+}
@@ -0,0 +1,299 @@
+// Concentration Heatmap Layer
+// Renders the gridded ground-level concentration field from
+// /api/v1/dispersion_events/:id/concentration_grid on a canvas, with a
+// continuous log-scale color ramp, so gradients between contour levels are
+// visible. Hovering shows the value under the cursor; an opacity slider and the
+// color scale are shown while the layer is enabled in the layer control.
+
+// Log-scale range of the color ramp (mg/m³); lower values are not drawn
+const HEATMAP_MIN_CONCENTRATION = 0.01;
+const HEATMAP_MAX_CONCENTRATION = 1000;
+
+// Ramp stops as [position, [r, g, b, a]], position 0..1 along the log range
+const HEATMAP_COLOR_STOPS = [
+  [0.0, [0, 160, 255, 0.25]],
+  [0.25, [0, 255, 0, 0.55]],
+  [0.5, [255, 255, 0, 0.7]],
+  [0.75, [255, 136, 0, 0.8]],
+  [1.0, [200, 0, 0, 0.9]]
+];
+
+// Canvas layer drawing one concentration grid per event
+const ConcentrationCanvasLayer = L.Layer.extend({
+  options: {
+    opacity: 0.7
+  },
+
+  initialize(options) {
+    L.setOptions(this, options);
+    this.grids = new Map();
+  },
+
+  onAdd(map) {
+    this.canvas = L.DomUtil.create('canvas', 'concentration-heatmap leaflet-zoom-hide');
+    this.canvas.style.pointerEvents = 'none';
+    this.canvas.style.opacity = this.options.opacity;
+    map.getPanes().overlayPane.appendChild(this.canvas);
+
+    map.on('moveend resize', this.redraw, this);
+    this.redraw();
+  },
+
+  onRemove(map) {
+    map.off('moveend resize', this.redraw, this);
+    L.DomUtil.remove(this.canvas);
+    this.canvas = null;
+  },
+
+  setGrid(eventId, grid) {
+    this.grids.set(eventId, grid);
+    this.redraw();
+  },
+
+  removeGrid(eventId) {
+    this.grids.delete(eventId);
+    this.redraw();
+  },
+
+  setOpacity(opacity) {
+    this.options.opacity = opacity;
+    if (this.canvas) this.canvas.style.opacity = opacity;
+  },
+
+  redraw() {
+    if (!this._map || !this.canvas) return;
+
+    const map = this._map;
+    const size = map.getSize();
+    const topLeft = map.containerPointToLayerPoint([0, 0]);
+
+    L.DomUtil.setPosition(this.canvas, topLeft);
+    this.canvas.width = size.x;
+    this.canvas.height = size.y;
+
+    const context = this.canvas.getContext('2d');
+    context.clearRect(0, 0, size.x, size.y);
+
+    this.grids.forEach(grid => this.drawGrid(context, grid));
+  },
+
+  drawGrid(context, grid) {
+    const map = this._map;
+    const { south, west, north, east } = grid.bounds;
+    if (!map.getBounds().intersects([[south, west], [north, east]])) return;
+
+    const latStep = (north - south) / grid.rows;
+    const lngStep = (east - west) / grid.cols;
+
+    // Cells are axis-aligned in Web Mercator, so project each grid line once
+    const ys = [];
+    for (let row = 0; row <= grid.rows; row++) {
+      ys.push(map.latLngToContainerPoint([south + row * latStep, west]).y);
+    }
+    const xs = [];
+    for (let col = 0; col <= grid.cols; col++) {
+      xs.push(map.latLngToContainerPoint([south, west + col * lngStep]).x);
+    }
+
+    for (let row = 0; row < grid.rows; row++) {
+      for (let col = 0; col < grid.cols; col++) {
+        const value = grid.values[row][col];
+        if (!(value >= HEATMAP_MIN_CONCENTRATION)) continue;
+
+        context.fillStyle = heatmapColor(value);
+        // Overlap by half a pixel so adjacent cells do not show seams
+        context.fillRect(xs[col], ys[row + 1], xs[col + 1] - xs[col] + 0.5, ys[row] - ys[row + 1] + 0.5);
+      }
+    }
+  },
+
+  // Highest concentration under a point across all grids, or null outside them
+  valueAt(latlng) {
+    let result = null;
+
+    this.grids.forEach(grid => {
+      const { south, west, north, east } = grid.bounds;
+      if (latlng.lat < south || latlng.lat >= north || latlng.lng < west || latlng.lng >= east) return;
+
+      const row = Math.floor((latlng.lat - south) / (north - south) * grid.rows);
+      const col = Math.floor((latlng.lng - west) / (east - west) * grid.cols);
+      const value = grid.values[row][col];
+      if (result === null || value > result) result = value;
+    });
+
+    return result;
+  }
+});
+
+class ConcentrationHeatmap {
+  constructor() {
+    this.map = null;
+    this.layer = null;
+    this.opacityControl = null;
+    this.tooltip = null;
+    this.eventIds = new Set();
+
+    document.addEventListener('mapReady', (event) => this.attach(event.detail.map));
+
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => this.detach(), { persistent: true });
+    }
+  }
+
+  attach(map) {
+    if (this.map === map) return;
+
+    this.map = map;
+    this.eventIds.clear();
+    this.layer = new ConcentrationCanvasLayer();
+    this.opacityControl = this.createOpacityControl();
+    this.tooltip = L.tooltip({ direction: 'top', offset: [0, -8], className: 'concentration-heatmap-tooltip' });
+
+    // Off by default; grids are fetched when the layer is switched on
+    if (window.layerControl) {
+      window.layerControl.addOverlay(this.layer, 'Concentration Heatmap');
+    }
+
+    this.layer.on('add', this.handleLayerAdd, this);
+    this.layer.on('remove', this.handleLayerRemove, this);
+    map.on('mousemove', this.handleMouseMove, this);
+    map.on('mouseout', this.hideValue, this);
+  }
+
+  // The map itself is removed by the dispersion map teardown
+  detach() {
+    this.eventIds.clear();
+    this.layer = null;
+    this.opacityControl = null;
+    this.tooltip = null;
+    this.map = null;
+  }
+
+  isVisible() {
+    return !!(this.map && this.layer && this.map.hasLayer(this.layer));
+  }
+
+  // Track an event and refetch its grid while the heatmap is shown
+  refresh(eventId) {
+    this.eventIds.add(eventId);
+    if (!this.isVisible()) return Promise.resolve();
+
+    const layer = this.layer;
+    return fetch(`/api/v1/dispersion_events/${eventId}/concentration_grid.json`)
+      .then(response => {
+        if (response.status === 404) return null; // No calculation yet
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        return response.json();
+      })
+      .then(data => {
+        // Ignore responses that arrive after a page change
+        if (layer !== this.layer) return;
+
+        if (data && data.status === 'success') {
+          layer.setGrid(eventId, data.data);
+        } else {
+          layer.removeGrid(eventId);
+        }
+      })
+      .catch(error => {
+        console.error(`Error loading concentration grid for event ${eventId}:`, error);
+      });
+  }
+
+  refreshAll() {
+    return Promise.all(Array.from(this.eventIds).map(eventId => this.refresh(eventId)));
+  }
+
+  remove(eventId) {
+    this.eventIds.delete(eventId);
+    if (this.layer) this.layer.removeGrid(eventId);
+  }
+
+  handleLayerAdd() {
+    this.opacityControl.addTo(this.map);
+    this.refreshAll();
+  }
+
+  handleLayerRemove() {
+    this.opacityControl.remove();
+    this.hideValue();
+  }
+
+  handleMouseMove(event) {
+    if (!this.isVisible()) return;
+
+    const value = this.layer.valueAt(event.latlng);
+    if (value === null || value < HEATMAP_MIN_CONCENTRATION) {
+      this.hideValue();
+      return;
+    }
+
+    this.tooltip.setContent(`<strong>${formatConcentration(value)}</strong> mg/m³`);
+    this.map.openTooltip(this.tooltip, event.latlng);
+  }
+
+  hideValue() {
+    if (this.map && this.tooltip) this.map.closeTooltip(this.tooltip);
+  }
+
+  // Opacity slider and color scale, shown while the heatmap is enabled
+  createOpacityControl() {
+    const control = L.control({ position: 'bottomright' });
+    const stops = HEATMAP_COLOR_STOPS.map(([position, [r, g, b]]) =>
+      `rgb(${r}, ${g}, ${b}) ${position * 100}%`
+    ).join(', ');
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create('div', 'concentration-heatmap-control bg-white p-2 rounded shadow-sm');
+      div.innerHTML = `
+        <small class="d-block fw-bold">Concentration (mg/m³)</small>
+        <div style="height: 10px; width: 160px; background: linear-gradient(to right, ${stops});"></div>
+        <div class="d-flex justify-content-between" style="width: 160px;">
+          <small>${formatConcentration(HEATMAP_MIN_CONCENTRATION)}</small>
+          <small>${formatConcentration(HEATMAP_MAX_CONCENTRATION)}+</small>
+        </div>
+        <label class="form-label small mb-0 mt-1">Opacity</label>
+        <input type="range" class="form-range" min="0" max="1" step="0.05" value="${this.layer.options.opacity}">
+      `;
+
+      div.querySelector('input').addEventListener('input', (event) => {
+        this.layer.setOpacity(parseFloat(event.target.value));
+      });
+
+      // Keep slider drags from panning the map
+      L.DomEvent.disableClickPropagation(div);
+      L.DomEvent.disableScrollPropagation(div);
+      return div;
+    };
+
+    return control;
+  }
+}
+
+// Interpolate the ramp at the value's position on the log scale
+function heatmapColor(value) {
+  const logMin = Math.log10(HEATMAP_MIN_CONCENTRATION);
+  const logMax = Math.log10(HEATMAP_MAX_CONCENTRATION);
+  const position = Math.min(1, Math.max(0, (Math.log10(value) - logMin) / (logMax - logMin)));
+
+  for (let i = 1; i < HEATMAP_COLOR_STOPS.length; i++) {
+    const [upper, upperColor] = HEATMAP_COLOR_STOPS[i];
+    if (position > upper) continue;
+
+    const [lower, lowerColor] = HEATMAP_COLOR_STOPS[i - 1];
+    const t = (position - lower) / (upper - lower);
+    const [r, g, b, a] = lowerColor.map((channel, index) => channel + (upperColor[index] - channel) * t);
+    return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${a.toFixed(2)})`;
+  }
+}
+
+function formatConcentration(value) {
+  if (value >= 100) return value.toFixed(0);
+  if (value >= 1) return value.toFixed(1);
+  return value.toPrecision(2);
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.ConcentrationHeatmap) {
+  window.ConcentrationHeatmap = new ConcentrationHeatmap();
+}
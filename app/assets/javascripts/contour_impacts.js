@@ -0,0 +1,392 @@
+// Contour Impacts
+// Which schools, hospitals, care homes, roads and waterways each active event's
+// plume reaches. Sensitive GIS features around the contours come from
+// /gis_features/sensitive; every feature touching a contour of the snapshot
+// shown for an event is listed in the dashboard's Affected Features panel under
+// the highest threshold tier it reaches, and outlined on the map in that tier's
+// color. Both follow new contours and the history slider.
+
+const IMPACT_CATEGORY_ICONS = {
+  school: 'fa-school',
+  hospital: 'fa-hospital',
+  care_home: 'fa-house-user',
+  road: 'fa-road',
+  waterway: 'fa-water'
+};
+
+class ContourImpacts {
+  constructor() {
+    this.searchMargin = 0.02;    // degrees fetched beyond the contours, so small growth needs no request
+    this.updateDelay = 300;      // ms after the last contour change
+
+    this.map = null;
+    this.layer = null;
+    this.featureLayers = new Map(); // feature id -> highlighted map layer
+    this.features = [];          // sensitive GeoJSON features in fetchedBounds
+    this.shapes = new WeakMap(); // feature -> { bounds, lines, rings } in [lat, lng]
+    this.categories = {};        // category key -> label
+    this.fetchedBounds = null;
+    this.impacts = new Map();    // eventId -> [{ feature, level }], highest level first
+    this.status = '';
+    this.updateTimer = null;
+    this.request = null;         // AbortController of the request in flight
+
+    document.addEventListener('mapReady', (event) => this.attach(event.detail.map));
+    document.addEventListener('plume-history-change', () => this.scheduleUpdate());
+    document.addEventListener('plume-event-status-change', () => this.scheduleUpdate());
+
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => this.detach(), { persistent: true });
+    }
+  }
+
+  attach(map) {
+    if (this.map === map) return;
+
+    this.map = map;
+    this.features = [];
+    this.fetchedBounds = null;
+    this.impacts.clear();
+    this.featureLayers.clear();
+
+    const renderer = window.MapMarkers.canvas(map);
+    this.layer = L.geoJSON(null, {
+      renderer,
+      style: feature => this.style(feature),
+      pointToLayer: (feature, latlng) => L.circleMarker(latlng, { radius: 8, renderer }),
+      onEachFeature: (feature, layer) => {
+        this.featureLayers.set(String(feature.properties.id), layer);
+        layer.bindPopup(() => this.popup(feature), { maxWidth: 300 });
+      }
+    });
+
+    if (window.layerControl) window.layerControl.addOverlay(this.layer, 'Affected Features');
+    this.layer.addTo(map);
+    this.update();
+  }
+
+  // The map itself is removed by the dispersion map teardown
+  detach() {
+    clearTimeout(this.updateTimer);
+    if (this.request) this.request.abort();
+    this.request = null;
+    this.featureLayers.clear();
+    this.impacts.clear();
+    this.features = [];
+    this.fetchedBounds = null;
+    this.layer = null;
+    this.map = null;
+  }
+
+  scheduleUpdate() {
+    clearTimeout(this.updateTimer);
+    this.updateTimer = setTimeout(() => this.update(), this.updateDelay);
+  }
+
+  async update() {
+    if (!this.map) return;
+
+    const contours = this.collectContours();
+    if (contours.length > 0) {
+      const bounds = L.latLngBounds(contours.map(contour => contour.bounds));
+      if (!this.fetchedBounds || !this.fetchedBounds.contains(bounds)) {
+        await this.fetchFeatures(bounds);
+        if (!this.map) return;
+      }
+    }
+
+    this.impacts = this.intersect(contours);
+    this.draw();
+    this.render();
+  }
+
+  async fetchFeatures(bounds) {
+    const margin = this.searchMargin;
+    const area = L.latLngBounds(
+      [bounds.getSouth() - margin, bounds.getWest() - margin],
+      [bounds.getNorth() + margin, bounds.getEast() + margin]
+    );
+
+    if (this.request) this.request.abort();
+    const request = new AbortController();
+    this.request = request;
+
+    try {
+      const query = new URLSearchParams({
+        north: area.getNorth().toFixed(5),
+        south: area.getSouth().toFixed(5),
+        east: area.getEast().toFixed(5),
+        west: area.getWest().toFixed(5)
+      });
+      const response = await fetch(`/gis_features/sensitive.json?${query}`, {
+        headers: { 'Accept': 'application/json' },
+        signal: request.signal
+      });
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+      const result = await response.json();
+      if (result.status !== 'success') throw new Error(result.message || 'Failed to load GIS features');
+      if (this.request !== request) return;
+
+      this.features = result.data.features;
+      this.categories = result.data.categories;
+      this.fetchedBounds = area;
+      this.status = result.data.truncated ? `Only the first ${this.features.length} features were checked` : '';
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Error loading sensitive GIS features:', error);
+      this.status = 'GIS features unavailable';
+    } finally {
+      if (this.request === request) this.request = null;
+    }
+  }
+
+  // Contours of the plume snapshot shown for each active event; stopped events
+  // no longer threaten anything
+  collectContours() {
+    const contours = [];
+
+    Array.from(window.PlumeHistory.snapshots.keys()).forEach(eventId => {
+      if (!window.PlumeExport.isActive(eventId)) return;
+
+      const snapshot = window.PlumeHistory.getSelectedSnapshot(eventId);
+      if (!snapshot) return;
+
+      snapshot.contours.forEach(contour => {
+        if (!contour.points || contour.points.length < 3) return;
+        contours.push({
+          eventId,
+          level: contour.level,
+          points: contour.points,
+          bounds: L.latLngBounds(contour.points)
+        });
+      });
+    });
+    return contours;
+  }
+
+  // eventId -> features touching its contours, each with the highest contour level reached
+  intersect(contours) {
+    const impacts = new Map();
+
+    contours.forEach(contour => {
+      if (!impacts.has(contour.eventId)) impacts.set(contour.eventId, new Map());
+      const reached = impacts.get(contour.eventId);
+
+      this.features.forEach(feature => {
+        const previous = reached.get(feature);
+        if (previous != null && previous >= contour.level) return;
+
+        const shape = this.shape(feature);
+        if (shape && shape.bounds.intersects(contour.bounds) && touches(shape, contour.points)) {
+          reached.set(feature, contour.level);
+        }
+      });
+    });
+
+    const result = new Map();
+    impacts.forEach((reached, eventId) => {
+      result.set(eventId, Array.from(reached.entries())
+        .map(([feature, level]) => ({ feature, level }))
+        .sort((a, b) => b.level - a.level || String(a.feature.properties.name).localeCompare(b.feature.properties.name)));
+    });
+    return result;
+  }
+
+  shape(feature) {
+    if (!this.shapes.has(feature)) this.shapes.set(feature, geometryShape(feature.geometry));
+    return this.shapes.get(feature);
+  }
+
+  // Whether a GeoJSON geometry touches a polygon of [lat, lng] points
+  touchesPolygon(geometry, points) {
+    const shape = geometryShape(geometry);
+    return Boolean(shape) && touches(shape, points);
+  }
+
+  // Highest hazard tier a feature reaches across events, as { tier, color }
+  worstTier(feature) {
+    let worst = null;
+    this.impacts.forEach((impacts, eventId) => {
+      const impact = impacts.find(entry => entry.feature.properties.id === feature.properties.id);
+      if (!impact) return;
+
+      const hazard = window.HazardScale.classify(impact.level, eventId);
+      if (!worst || hazard.tier > worst.tier) worst = hazard;
+    });
+    return worst;
+  }
+
+  draw() {
+    if (!this.layer) return;
+
+    this.layer.clearLayers();
+    this.featureLayers.clear();
+
+    const affected = new Set();
+    this.impacts.forEach(impacts => impacts.forEach(({ feature }) => affected.add(feature)));
+    if (affected.size > 0) this.layer.addData(Array.from(affected));
+  }
+
+  style(feature) {
+    const hazard = this.worstTier(feature);
+    const color = hazard ? hazard.color : '#6c757d';
+    const type = feature.geometry.type;
+
+    if (type.endsWith('Point')) {
+      return { color: '#212529', weight: 2, fillColor: color, fillOpacity: 0.9 };
+    }
+    if (type.endsWith('LineString')) {
+      return { color, weight: 5, opacity: 0.9 };
+    }
+    return { color, weight: 3, fillColor: color, fillOpacity: 0.25 };
+  }
+
+  popup(feature) {
+    const props = feature.properties;
+    const events = [];
+    this.impacts.forEach((impacts, eventId) => {
+      const impact = impacts.find(entry => entry.feature.properties.id === props.id);
+      if (impact) {
+        events.push(`<li>Event #${eventId}: ${impact.level} mg/m³ contour ${window.HazardScale.badge(impact.level, eventId)}</li>`);
+      }
+    });
+
+    return `
+      <div class="contour-impact-popup">
+        <h6><i class="fas ${IMPACT_CATEGORY_ICONS[props.category] || 'fa-map-marker-alt'}"></i> ${window.MapHelpers.escapeHtml(props.name)}</h6>
+        <small class="text-muted d-block mb-1">
+          ${window.MapHelpers.escapeHtml(this.categories[props.category] || props.category)}${props.map_layer ? ` · ${window.MapHelpers.escapeHtml(props.map_layer)}` : ''}
+        </small>
+        <ul class="list-unstyled small mb-0">${events.join('')}</ul>
+      </div>
+    `;
+  }
+
+  // Zoom to a listed feature and open its popup
+  focus(featureId) {
+    const layer = this.featureLayers.get(String(featureId));
+    if (!layer || !this.map) return;
+
+    if (layer.getBounds) {
+      this.map.fitBounds(layer.getBounds(), { maxZoom: 16, padding: [40, 40] });
+    } else {
+      this.map.setView(layer.getLatLng(), Math.max(this.map.getZoom(), 16));
+    }
+    layer.openPopup();
+  }
+
+  render() {
+    const panel = document.getElementById('contourImpactsPanel');
+    if (!panel) return;
+
+    if (this.impacts.size === 0) {
+      panel.innerHTML = '<p class="text-muted small mb-0">No plume contours on the map</p>';
+      return;
+    }
+
+    const sections = Array.from(this.impacts.entries()).map(([eventId, impacts]) => {
+      const groups = Object.keys(this.categories).map(category => {
+        const entries = impacts.filter(({ feature }) => feature.properties.category === category);
+        if (entries.length === 0) return '';
+
+        return `
+          <div class="small fw-bold mt-1">
+            <i class="fas ${IMPACT_CATEGORY_ICONS[category] || 'fa-map-marker-alt'}"></i>
+            ${window.MapHelpers.escapeHtml(this.categories[category])} (${entries.length})
+          </div>
+          <ul class="list-unstyled small mb-1">
+            ${entries.map(({ feature, level }) => `
+              <li class="d-flex justify-content-between align-items-center gap-1">
+                <a href="#" class="text-truncate" onclick="window.ContourImpacts.focus('${feature.properties.id}'); return false;">
+                  ${window.MapHelpers.escapeHtml(feature.properties.name)}
+                </a>
+                ${window.HazardScale.badge(level, eventId)}
+              </li>
+            `).join('')}
+          </ul>
+        `;
+      }).join('');
+
+      return `
+        <div class="mb-2">
+          <div class="d-flex justify-content-between align-items-center">
+            <strong class="small">Event #${eventId}</strong>
+            <span class="badge ${impacts.length > 0 ? 'bg-danger' : 'bg-secondary'}">${impacts.length}</span>
+          </div>
+          ${groups || '<p class="text-muted small mb-0">No sensitive features inside the contours</p>'}
+        </div>
+      `;
+    }).join('');
+
+    panel.innerHTML = `
+      ${sections}
+      ${this.status ? `<small class="text-muted d-block">${window.MapHelpers.escapeHtml(this.status)}</small>` : ''}
+    `;
+  }
+}
+
+// GeoJSON geometry as the [lat, lng] lines (polygon outlines included) and
+// polygon rings to test against contours
+function geometryShape(geometry) {
+  if (!geometry || !geometry.coordinates) return null;
+
+  const toLatLngs = coordinates => coordinates.map(([lng, lat]) => [lat, lng]);
+  const lines = [];
+  const rings = [];
+
+  switch (geometry.type) {
+    case 'Point':
+      lines.push(toLatLngs([geometry.coordinates]));
+      break;
+    case 'MultiPoint':
+      geometry.coordinates.forEach(point => lines.push(toLatLngs([point])));
+      break;
+    case 'LineString':
+      lines.push(toLatLngs(geometry.coordinates));
+      break;
+    case 'MultiLineString':
+      geometry.coordinates.forEach(line => lines.push(toLatLngs(line)));
+      break;
+    case 'Polygon':
+      rings.push(toLatLngs(geometry.coordinates[0]));
+      break;
+    case 'MultiPolygon':
+      geometry.coordinates.forEach(polygon => rings.push(toLatLngs(polygon[0])));
+      break;
+    default:
+      return null;
+  }
+
+  lines.push(...rings);
+  const points = lines.flat();
+  if (points.length === 0) return null;
+
+  return { bounds: L.latLngBounds(points), lines, rings };
+}
+
+// A shape touches a contour when a vertex lies inside it, the contour lies
+// inside one of its polygons, or their edges cross
+function touches(shape, contour) {
+  if (shape.lines.some(line => line.some(point => window.MapHelpers.pointInPolygon(point, contour)))) return true;
+  if (shape.rings.some(ring => window.MapHelpers.pointInPolygon(contour[0], ring))) return true;
+
+  return shape.lines.some(line => {
+    for (let i = 0; i < line.length - 1; i++) {
+      for (let j = 0, k = contour.length - 1; j < contour.length; k = j++) {
+        if (segmentsCross(line[i], line[i + 1], contour[k], contour[j])) return true;
+      }
+    }
+    return false;
+  });
+}
+
+function segmentsCross(a, b, c, d) {
+  const orientation = (p, q, r) => Math.sign((q[1] - p[1]) * (r[0] - p[0]) - (q[0] - p[0]) * (r[1] - p[1]));
+  return orientation(a, b, c) !== orientation(a, b, d) && orientation(c, d, a) !== orientation(c, d, b);
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.ContourImpacts) {
+  window.ContourImpacts = new ContourImpacts();
+}
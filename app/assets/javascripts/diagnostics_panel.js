@@ -0,0 +1,426 @@
+// Diagnostics Panel
+// On-demand connection and API checks for support staff: cable round-trip
+// latency, the /api/v1 endpoints the dashboard depends on, and which managers
+// are initialized. Results are shown in a modal and can be exported as JSON,
+// so nobody has to open DevTools to report a problem.
+
+const DIAGNOSTIC_STATUS_BADGES = {
+  pass: { className: 'bg-success', label: 'PASS' },
+  warn: { className: 'bg-warning text-dark', label: 'WARN' },
+  fail: { className: 'bg-danger', label: 'FAIL' },
+  skip: { className: 'bg-secondary', label: 'SKIP' }
+};
+
+class DiagnosticsPanel {
+  constructor() {
+    this.modal = null;
+    this.results = null;
+    this.running = false;
+    this.requestTimeout = 8000;
+    this.latencySamples = 5;
+  }
+
+  // Show the panel and run a fresh set of checks
+  open() {
+    const element = this.ensureModal();
+    if (!this.modal) {
+      this.modal = bootstrap.Modal.getOrCreateInstance(element);
+    }
+    this.modal.show();
+    this.run();
+  }
+
+  async run() {
+    if (this.running) return this.results;
+    this.running = true;
+    this.renderProgress();
+
+    try {
+      const [connection, endpoints] = await Promise.all([
+        this.checkConnection(),
+        this.checkEndpoints()
+      ]);
+
+      this.results = {
+        generated_at: new Date().toISOString(),
+        page: window.location.pathname,
+        user_agent: navigator.userAgent,
+        online: navigator.onLine,
+        connection,
+        endpoints,
+        managers: this.checkManagers()
+      };
+    } catch (error) {
+      console.error('Diagnostics run failed:', error);
+    } finally {
+      this.running = false;
+    }
+
+    this.render();
+    return this.results;
+  }
+
+  // Connection state from ActionCableManager plus measured cable latency per channel
+  async checkConnection() {
+    const manager = window.ActionCableManager;
+    if (!manager) {
+      return { state: 'unavailable', transport: 'none', channels: {}, latency: {} };
+    }
+
+    const status = manager.getConnectionStatus();
+    const latency = {};
+
+    for (const [channelName, subscription] of manager.subscriptions) {
+      if (typeof subscription.ping !== 'function' || subscription.transport !== 'websocket') {
+        latency[channelName] = {
+          transport: subscription.transport || 'websocket',
+          message: 'Latency is only measured over WebSocket'
+        };
+        continue;
+      }
+
+      latency[channelName] = await this.measureLatency(subscription);
+    }
+
+    return {
+      state: status.connection_state,
+      transport: status.transport,
+      channels: status.channels,
+      cable_state: status.state,
+      retries: status.retries || 0,
+      latency
+    };
+  }
+
+  async measureLatency(subscription) {
+    const samples = [];
+
+    try {
+      for (let i = 0; i < this.latencySamples; i++) {
+        samples.push(await subscription.ping(this.requestTimeout));
+      }
+    } catch (error) {
+      return { transport: 'websocket', samples, error: error.message };
+    }
+
+    return {
+      transport: 'websocket',
+      samples,
+      min_ms: Math.min(...samples),
+      avg_ms: Math.round(samples.reduce((sum, sample) => sum + sample, 0) / samples.length),
+      max_ms: Math.max(...samples)
+    };
+  }
+
+  // Every /api/v1 endpoint the dashboard calls; event endpoints use the first active event
+  async checkEndpoints() {
+    const results = [];
+    const list = await this.checkEndpoint('Dispersion events', '/api/v1/dispersion_events.json');
+    results.push(list.result);
+
+    const events = (list.body && list.body.data) || [];
+    const event = events.find(candidate => candidate.status === 'active') || events[0];
+
+    if (event) {
+      const eventChecks = await Promise.all([
+        this.checkEndpoint('Event details', `/api/v1/dispersion_events/${event.id}.json`),
+        this.checkEndpoint('Live calculations', `/api/v1/dispersion_events/${event.id}/live_calculations.json`),
+        this.checkEndpoint('Plume data', `/api/v1/dispersion_events/${event.id}/plume_data.json`),
+        this.checkEndpoint('Concentration grid', `/api/v1/dispersion_events/${event.id}/concentration_grid.json`)
+      ]);
+      eventChecks.forEach(check => results.push(check.result));
+    } else {
+      ['Event details', 'Live calculations', 'Plume data', 'Concentration grid'].forEach(name => {
+        results.push({ name, url: '/api/v1/dispersion_events/:id', status: 'skip', message: 'No dispersion events to check against' });
+      });
+    }
+
+    const map = window.dispersionMap;
+    const center = map && map.getCenter ? map.getCenter() : { lat: 29.7604, lng: -95.3698 };
+    // A small box around the view center keeps the buildings check cheap
+    const box = [center.lat + 0.005, center.lat - 0.005, center.lng + 0.005, center.lng - 0.005]
+      .map(value => value.toFixed(4)).join('/');
+
+    const otherChecks = await Promise.all([
+      this.checkEndpoint('Current weather', '/api/v1/weather/current.json'),
+      this.checkEndpoint('Weather at location', `/api/v1/weather/at_location?lat=${center.lat.toFixed(4)}&lng=${center.lng.toFixed(4)}`),
+      this.checkEndpoint('Locations', '/api/v1/locations.json'),
+      this.checkEndpoint('Buildings in view', `/api/v1/buildings/in_bounds/${box}`),
+      this.checkEndpoint('Terrain profile', '/api/v1/terrain_points/profile', {
+        method: 'POST',
+        body: JSON.stringify({
+          points: [
+            { latitude: center.lat, longitude: center.lng },
+            { latitude: center.lat + 0.005, longitude: center.lng }
+          ]
+        })
+      }),
+      this.checkEndpoint('Thermal incidents', '/api/v1/thermal_incidents.json')
+    ]);
+    otherChecks.forEach(check => results.push(check.result));
+
+    const streamChecks = await Promise.all([
+      this.checkStream('Dispersion event stream (SSE)', '/api/v1/streams/dispersion_events'),
+      this.checkStream('Weather stream (SSE)', '/api/v1/streams/weather')
+    ]);
+    streamChecks.forEach(result => results.push(result));
+
+    return results;
+  }
+
+  // Fetch one JSON endpoint, timing it and checking the { status: 'success' } envelope
+  async checkEndpoint(name, url, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.requestTimeout);
+    const startedAt = performance.now();
+    const result = { name, url };
+    let body = null;
+
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+        signal: controller.signal
+      });
+      result.http_status = response.status;
+      result.duration_ms = Math.round(performance.now() - startedAt);
+
+      body = await response.json().catch(() => null);
+      if (!response.ok) {
+        result.status = 'fail';
+        result.message = (body && body.message) || `HTTP error! status: ${response.status}`;
+      } else if (!body || body.status !== 'success') {
+        result.status = 'warn';
+        result.message = 'Unexpected response format';
+      } else {
+        result.status = 'pass';
+        result.message = Array.isArray(body.data) ? `${body.data.length} records`
+          : (body.data && Array.isArray(body.data.features)) ? `${body.data.features.length} features`
+          : 'OK';
+      }
+    } catch (error) {
+      result.duration_ms = Math.round(performance.now() - startedAt);
+      result.status = 'fail';
+      result.message = error.name === 'AbortError' ? `Timed out after ${this.requestTimeout}ms` : error.message;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    return { result, body };
+  }
+
+  // Ask whether the server would accept another SSE stream. Opening a real
+  // one would hold one of the few stream slots until its next heartbeat
+  async checkStream(name, url) {
+    if (typeof EventSource === 'undefined') {
+      return { name, url, status: 'skip', message: 'EventSource not supported by this browser' };
+    }
+
+    const { result, body } = await this.checkEndpoint(name, `${url}?check=1`);
+    if (result.status === 'pass' && body.data) {
+      const { open_streams: open, max_open_streams: max, available } = body.data;
+      result.status = available ? 'pass' : 'warn';
+      result.message = available
+        ? `${max - open} of ${max} stream slots free`
+        : 'Every stream slot is busy; new clients poll instead';
+    }
+    return result;
+  }
+
+  checkManagers() {
+    const hasMapContainer = !!document.getElementById('dispersionMap');
+    const map = window.dispersionMap;
+    const manager = window.ActionCableManager;
+    const outbox = window.CommandOutbox;
+    const checks = [];
+
+    const add = (name, status, message) => checks.push({ name, status, message });
+
+    add('Leaflet library', typeof L !== 'undefined' ? 'pass' : 'fail',
+      typeof L !== 'undefined' ? `Leaflet ${L.version}` : 'Leaflet not loaded');
+    add('ActionCable library', typeof ActionCable !== 'undefined' ? 'pass' : 'warn',
+      typeof ActionCable !== 'undefined' ? 'Loaded' : 'Not loaded; SSE or polling will be used');
+
+    if (!hasMapContainer) {
+      add('Dispersion map', 'skip', 'No map on this page');
+    } else if (map && typeof map.addLayer === 'function') {
+      add('Dispersion map', 'pass', `${Object.keys(map._layers || {}).length} layers`);
+    } else {
+      add('Dispersion map', 'fail', 'Map container present but map not initialized');
+    }
+
+    add('ActionCableManager', manager ? 'pass' : 'fail',
+      manager ? `State: ${manager.getState().state}` : 'Not initialized');
+
+    if (!hasMapContainer) {
+      add('realTimeManager', 'skip', 'Only used on the dashboard');
+      add('weatherManager', 'skip', 'Only used on the dashboard');
+    } else {
+      const realTime = window.realTimeManager;
+      add('realTimeManager', realTime ? 'pass' : 'fail',
+        realTime
+          ? `Channel: ${realTime.dispersionChannel ? realTime.dispersionChannel.transport : 'not subscribed'}`
+          : 'Not initialized');
+
+      const weather = window.weatherManager;
+      const weatherReady = window.WeatherManager && weather instanceof window.WeatherManager;
+      add('weatherManager', weatherReady ? 'pass' : 'fail',
+        weatherReady
+          ? `Channel: ${weather.weatherChannel ? weather.weatherChannel.transport : 'not subscribed'}`
+          : 'Not initialized');
+    }
+
+    if (outbox) {
+      const commands = outbox.getCommands();
+      const pending = commands.filter(command => command.status === 'pending').length;
+      const failed = commands.filter(command => command.status === 'failed').length;
+      add('Command outbox', failed > 0 ? 'fail' : pending > 0 ? 'warn' : 'pass',
+        `${pending} pending, ${failed} failed`);
+    }
+
+    return checks;
+  }
+
+  // Download the last results as a JSON file
+  exportJson() {
+    if (!this.results) return;
+
+    const blob = new Blob([JSON.stringify(this.results, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `diagnostics-${this.results.generated_at.replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // Turbo replaces the body on every visit, so rebuild the modal when it is missing
+  ensureModal() {
+    let element = document.getElementById('diagnosticsModal');
+    if (element) return element;
+
+    this.modal = null;
+    element = document.createElement('div');
+    element.className = 'modal fade';
+    element.id = 'diagnosticsModal';
+    element.tabIndex = -1;
+    element.innerHTML = `
+      <div class="modal-dialog modal-lg modal-dialog-scrollable">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h5 class="modal-title"><i class="fas fa-stethoscope"></i> Diagnostics</h5>
+            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+          </div>
+          <div class="modal-body" id="diagnosticsResults"></div>
+          <div class="modal-footer">
+            <button type="button" class="btn btn-outline-primary btn-sm" data-diagnostics-action="run">
+              <i class="fas fa-redo"></i> Run Again
+            </button>
+            <button type="button" class="btn btn-primary btn-sm" data-diagnostics-action="export">
+              <i class="fas fa-download"></i> Export JSON
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    element.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-diagnostics-action]');
+      if (!button) return;
+
+      if (button.dataset.diagnosticsAction === 'run') {
+        this.run();
+      } else {
+        this.exportJson();
+      }
+    });
+
+    document.body.appendChild(element);
+    return element;
+  }
+
+  renderProgress() {
+    const container = document.getElementById('diagnosticsResults');
+    if (container) {
+      container.innerHTML = `
+        <div class="text-center text-muted py-4">
+          <div class="spinner-border spinner-border-sm"></div> Running checks...
+        </div>
+      `;
+    }
+  }
+
+  render() {
+    const container = document.getElementById('diagnosticsResults');
+    if (!container) return;
+
+    if (!this.results) {
+      container.innerHTML = '<p class="text-danger">Diagnostics could not be run. See the browser console for details.</p>';
+      return;
+    }
+
+    const { connection, endpoints, managers } = this.results;
+
+    const latencyRows = Object.entries(connection.latency).map(([channelName, latency]) => {
+      const value = latency.avg_ms != null
+        ? `${latency.avg_ms} ms <small class="text-muted">(min ${latency.min_ms}, max ${latency.max_ms})</small>`
+        : window.MapHelpers.escapeHtml(latency.error || latency.message);
+      return `<tr><td>${channelName}</td><td>${latency.transport}</td><td>${value}</td></tr>`;
+    }).join('');
+
+    container.innerHTML = `
+      <h6>Connection</h6>
+      <p class="mb-2">
+        State: <strong>${connection.state}</strong> &middot;
+        Transport: <strong>${connection.transport}</strong> &middot;
+        Reconnect attempts: ${connection.retries || 0} &middot;
+        Browser ${this.results.online ? 'online' : 'offline'}
+      </p>
+      <table class="table table-sm mb-4">
+        <thead><tr><th>Channel</th><th>Transport</th><th>Round trip</th></tr></thead>
+        <tbody>${latencyRows || '<tr><td colspan="3" class="text-muted">No channel subscriptions on this page</td></tr>'}</tbody>
+      </table>
+
+      <h6>API Endpoints</h6>
+      <table class="table table-sm mb-4">
+        <thead><tr><th>Check</th><th>Result</th><th>Time</th><th>Details</th></tr></thead>
+        <tbody>
+          ${endpoints.map(check => `
+            <tr>
+              <td title="${window.MapHelpers.escapeHtml(check.url)}">${check.name}</td>
+              <td>${diagnosticBadge(check.status)}</td>
+              <td>${check.duration_ms != null ? `${check.duration_ms} ms` : ''}</td>
+              <td><small>${window.MapHelpers.escapeHtml(check.message)}</small></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+
+      <h6>Modules</h6>
+      <table class="table table-sm mb-0">
+        <tbody>
+          ${managers.map(check => `
+            <tr>
+              <td>${check.name}</td>
+              <td>${diagnosticBadge(check.status)}</td>
+              <td><small>${window.MapHelpers.escapeHtml(check.message)}</small></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p class="text-muted small mt-3 mb-0">Generated ${new Date(this.results.generated_at).toLocaleString()}</p>
+    `;
+  }
+}
+
+function diagnosticBadge(status) {
+  const badge = DIAGNOSTIC_STATUS_BADGES[status] || DIAGNOSTIC_STATUS_BADGES.skip;
+  return `<span class="badge ${badge.className}">${badge.label}</span>`;
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.DiagnosticsPanel = new DiagnosticsPanel();
+}
@@ -3,10 +3,15 @@
 
 let map;
 let sourceMarkers = {};
-let receptorMarkers = {};
 let plumeContours = {};
 let concentrationOverlays = []; // Add this for the global export
 let currentEventLayers = {};
+let plumeContourLayer = null; // Parent group for every event's contours, toggled in the layer control
+let locationLayer = null; // Clustered facility location markers
+let locationMarkers = {};
+const activeEventLocations = new Map(); // Active event id -> its location id, shown in the location's marker color
+let realtimeRefreshInterval = null;
+let lastStabilityAnalysis = null; // Latest stability popup, reused for plume previews
 
 // Map configuration
 const MAP_CONFIG = {
@@ -16,12 +21,27 @@ const MAP_CONFIG = {
   maxZoom: 18
 };
 
-// Color schemes for different concentration levels
-const CONCENTRATION_COLORS = {
-  0.1: '#00ff00',   // Green - Safe
-  1.0: '#ffff00',   // Yellow - Caution  
-  10.0: '#ff8800',  // Orange - Warning
-  100.0: '#ff0000'  // Red - Danger
+// Badge style and label for each ActionCableManager connection state
+const CONNECTION_STATUS_BADGES = {
+  connecting: { className: 'bg-warning text-dark', label: 'Connecting...' },
+  connected: { className: 'bg-success', label: 'Live' },
+  degraded: { className: 'bg-info text-dark', label: 'Live (SSE)' },
+  polling: { className: 'bg-warning text-dark', label: 'Polling' },
+  offline: { className: 'bg-danger', label: 'Offline' }
+};
+
+// Location marker and cluster colors; a cluster shows its highest rank
+const LOCATION_STATUSES = {
+  idle: { rank: 0, color: '#0dcaf0', label: 'No active event' },
+  active: { rank: 1, color: '#dc3545', label: 'Active event' }
+};
+
+const TRANSPORT_LABELS = {
+  websocket: 'WebSocket',
+  sse: 'Server-Sent Events',
+  polling: 'Polling',
+  connecting: 'Connecting...',
+  none: 'None'
 };
 
 /**
@@ -67,19 +87,22 @@ function initializeDispersionMap() {
   // Add base layer - OpenStreetMap
   const osmLayer = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
     attribution: '© OpenStreetMap contributors',
-    maxZoom: 19
+    maxZoom: 19,
+    crossOrigin: true // Lets the incident report copy tiles into its image
   });
 
   // Add satellite layer - Esri World Imagery
   const satelliteLayer = L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
     attribution: 'Tiles © Esri',
-    maxZoom: 19
+    maxZoom: 19,
+    crossOrigin: true
   });
 
   // Add topographic layer
   const topoLayer = L.tileLayer('https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png', {
     attribution: 'Map data: © OpenStreetMap contributors, SRTM | Map style: © OpenTopoMap',
-    maxZoom: 17
+    maxZoom: 17,
+    crossOrigin: true
   });
 
   // Set default layer
@@ -96,7 +119,19 @@ function initializeDispersionMap() {
     "Topographic": topoLayer
   };
 
-  L.control.layers(baseMaps).addTo(map);
+  plumeContourLayer = L.layerGroup().addTo(map);
+  window.plumeContourLayer = plumeContourLayer;
+
+  locationLayer = window.MapMarkers.clusterGroup({
+    statuses: LOCATION_STATUSES,
+    title: 'locations'
+  }).addTo(map);
+
+  // Shared so other modules can register their overlays
+  window.layerControl = L.control.layers(baseMaps, {
+    "Plume Contours": plumeContourLayer,
+    "Facility Locations": locationLayer
+  }).addTo(map);
 
   // Add scale control
   L.control.scale({
@@ -120,6 +155,11 @@ function initializeDispersionMap() {
     setupRealtimeUpdates();
   });
 
+  // Release the map and its timers before Turbo renders the next page
+  if (window.PageLifecycle) {
+    window.PageLifecycle.onTeardown(teardownDispersionMap);
+  }
+
   // Notify other modules that map is ready
   document.dispatchEvent(new CustomEvent('mapReady', { detail: { map: map } }));
   
@@ -137,12 +177,49 @@ function initializeDispersionMap() {
   }
 }
 
+/**
+ * Remove the map and reset per-page marker and layer registries
+ */
+function teardownDispersionMap() {
+  Object.values(currentEventLayers).forEach(layers => clearInterval(layers.updateInterval));
+  clearInterval(realtimeRefreshInterval);
+  realtimeRefreshInterval = null;
+
+  // Clear in place: the same objects are shared through window
+  [sourceMarkers, plumeContours, currentEventLayers, locationMarkers].forEach(registry => {
+    Object.keys(registry).forEach(key => delete registry[key]);
+  });
+  concentrationOverlays.length = 0;
+  activeEventLocations.clear();
+
+  if (map) {
+    try {
+      map.off();
+      map.remove();
+    } catch (e) {
+      console.log('⚠️ Error removing map during teardown:', e.message);
+    }
+    map = null;
+  }
+
+  plumeContourLayer = null;
+  locationLayer = null;
+  window.plumeContourLayer = null;
+  window.layerControl = null;
+  window.dispersionMap = null;
+  window.map = null;
+  console.log('🧹 Dispersion map torn down');
+}
+
 /**
  * Setup weather integration with map interactions
  */
 function setupWeatherMapIntegration() {
-  // Add weather layers
-  window.weatherStationLayer = L.layerGroup().addTo(map);
+  // Add weather layers; stations cluster by their worst stability class
+  window.weatherStationLayer = window.MapMarkers.clusterGroup({
+    statuses: window.MapMarkers.stabilityStatuses,
+    title: 'weather stations'
+  }).addTo(map);
   window.weatherWindLayer = L.layerGroup().addTo(map);
   
   // Create weather control panel
@@ -374,7 +451,8 @@ function addWeatherStationToMap(lat, lon, weatherData) {
   
   const stationMarker = L.marker([lat, lon], { 
     icon: weatherIcon,
-    stationId: stationId
+    stationId: stationId,
+    status: stabilityClass
   });
   
   // Add weather station popup
@@ -408,11 +486,15 @@ function addWindVectorToMap(lat, lon, weatherData) {
   // Color based on wind speed
   const windColor = getWindSpeedColor(windSpeed);
   
+  // Drawn on the shared canvas rather than as SVG elements
+  const renderer = window.MapMarkers.canvas(map);
+
   // Create wind arrow
   const windLine = L.polyline([[lat, lon], [endLat, endLon]], {
     color: windColor,
     weight: 3,
-    opacity: 0.8
+    opacity: 0.8,
+    renderer
   });
   
   // Create arrowhead
@@ -426,11 +508,12 @@ function addWindVectorToMap(lat, lon, weatherData) {
     color: windColor,
     fillColor: windColor,
     fillOpacity: 0.8,
-    weight: 2
+    weight: 2,
+    renderer
   });
   
-  // Group wind elements
-  const windGroup = L.layerGroup([windLine, arrowHead]);
+  // Group wind elements; a feature group passes clicks on either part to its popup
+  const windGroup = L.featureGroup([windLine, arrowHead]);
   
   // Add wind popup
   windGroup.bindPopup(`
@@ -673,6 +756,7 @@ async function showAtmosphericStability(lat, lon) {
     if (stabilityData.status === 'success') {
       const analysis = stabilityData.stability_analysis;
       const dispersionParams = stabilityData.dispersion_parameters;
+      lastStabilityAnalysis = { lat, lon, analysis, meteorology: dispersionParams?.meteorology || {} };
       
       // Create detailed stability popup
       const popupContent = `
@@ -708,6 +792,9 @@ async function showAtmosphericStability(lat, lon) {
             <button class="btn btn-sm btn-primary" onclick="startDispersionHere(${lat}, ${lon})">
               <i class="fas fa-play"></i> Start Dispersion Modeling
             </button>
+            <button class="btn btn-sm btn-outline-primary" onclick="previewPlumeHere(${lat}, ${lon})">
+              <i class="fas fa-flask"></i> Preview Plume
+            </button>
           </div>
         </div>
       `;
@@ -730,7 +817,44 @@ async function showAtmosphericStability(lat, lon) {
   }
 }
 
+/**
+ * Preview parameters from the stability analysis last shown for this point
+ */
+function plumePreviewParams(lat, lon) {
+  if (!lastStabilityAnalysis || lastStabilityAnalysis.lat !== lat || lastStabilityAnalysis.lon !== lon) {
+    return null;
+  }
+
+  const { analysis, meteorology } = lastStabilityAnalysis;
+  return {
+    latitude: lat,
+    longitude: lon,
+    stabilityClass: analysis.stability_class,
+    coefficients: analysis.dispersion_coefficients,
+    windSpeed: meteorology.wind_speed,
+    windDirection: meteorology.wind_direction
+  };
+}
+
+/**
+ * Draw a provisional what-if plume without creating a dispersion event
+ */
+function previewPlumeHere(lat, lon) {
+  const params = plumePreviewParams(lat, lon);
+  if (!params || !window.PlumePreview) return;
+
+  map.closePopup();
+  window.PlumePreview.show(params);
+  updateWeatherStatus('Provisional plume preview drawn; click it to adjust the what-if values', 'info');
+}
+
 function startDispersionHere(lat, lon) {
+  // Keep a provisional footprint on the map until the new event's plume_data arrives
+  const params = plumePreviewParams(lat, lon);
+  if (params && window.PlumePreview) {
+    window.PlumePreview.show(params, { persist: true });
+  }
+
   // Navigate to dispersion scenario creation with pre-filled coordinates
   window.location.href = `/dispersion_events/new?latitude=${lat}&longitude=${lon}&weather_integrated=true`;
 }
@@ -830,6 +954,10 @@ function loadLocations() {
 function addEventToMap(event) {
   const { id, source_lat, source_lng, chemical, location, status } = event;
 
+  // Receptors and contours of this event are classified against its chemical's tiers
+  window.HazardScale.register(id, event.hazard_scale);
+  window.PlumeExport.registerEvent(id, { chemical, location, status });
+
   // Create source marker
   const sourceIcon = L.divIcon({
     className: 'source-marker',
@@ -852,6 +980,11 @@ function addEventToMap(event) {
         <div class="mt-2">
           <a href="/dispersion_events/${id}" class="btn btn-sm btn-primary">View Details</a>
           ${status === 'active' ? '<button class="btn btn-sm btn-warning" onclick="stopEvent(' + id + ')">Stop</button>' : ''}
+          ${window.PlumeExport.menu(id)}
+          <button class="btn btn-sm btn-outline-secondary" onclick="window.IncidentReport.open(${id})"><i class="fas fa-print"></i> Report</button>
+          ${window.ReceptorGenerator.button(id)}
+          ${window.TerrainProfile.button(id)}
+          ${window.ProtectiveActionZones.button(id)}
         </div>
       </div>
     `)
@@ -859,11 +992,24 @@ function addEventToMap(event) {
 
   sourceMarkers[id] = sourceMarker;
 
+  setEventLocationStatus(event);
+
   // Add receptors for this event
   if (event.receptors) {
     event.receptors.forEach(receptor => {
       addReceptorToMap(receptor, event);
     });
+    window.ReceptorRegistry.prune(id, event.receptors.map(receptor => receptor.id));
+
+    const receptors = event.receptors.map(receptor => ({
+      id: receptor.id,
+      name: receptor.name,
+      lat: receptor.lat,
+      lng: receptor.lng,
+      concentration: receptor.concentration
+    }));
+    window.PlumeHistory.recordReceptors(id, receptors);
+    window.ReceptorTrends.record(id, receptors);
   }
 
   // Start plume visualization if active
@@ -873,72 +1019,87 @@ function addEventToMap(event) {
 }
 
 /**
- * Add a receptor monitoring point to the map
+ * Add a receptor monitoring point to the map, or update its marker
  */
 function addReceptorToMap(receptor, event) {
-  const { id, lat, lng, concentration, health_impact } = receptor;
-  
-  // Determine receptor color based on concentration
-  let colorClass = 'success';
-  if (concentration > 100) colorClass = 'danger';
-  else if (concentration > 10) colorClass = 'warning';
-  else if (concentration > 1) colorClass = 'warning';
-
-  const receptorIcon = L.divIcon({
-    className: 'receptor-marker',
-    html: `
-      <div class="marker-content bg-${colorClass} rounded-circle d-flex align-items-center justify-content-center" 
-           style="width: 20px; height: 20px; border: 2px solid white; box-shadow: 0 1px 3px rgba(0,0,0,0.3);">
-        <i class="fas fa-crosshairs" style="font-size: 8px; color: white;"></i>
-      </div>
-    `,
-    iconSize: [20, 20],
-    iconAnchor: [10, 10]
-  });
+  window.ReceptorRegistry.upsert(map, event.id, {
+    id: receptor.id,
+    name: receptor.name,
+    receptor_type: receptor.receptor_type,
+    lat: receptor.lat,
+    lng: receptor.lng,
+    concentration: receptor.concentration
+  }, current => renderReceptor(current, event.id));
+}
 
-  const receptorMarker = L.marker([lat, lng], { icon: receptorIcon })
-    .bindPopup(`
+/**
+ * Marker style and popup for a receptor's current values
+ */
+function renderReceptor(receptor, eventId) {
+  const event = window.PlumeExport.events.get(String(eventId)) || {};
+  const type = window.ReceptorEditor.typeLabel(receptor.receptor_type);
+
+  // Receptors placed on the map have no value until their first calculation
+  if (receptor.concentration == null) {
+    return {
+      style: receptorStyle(null, eventId),
+      popup: `
+        <div class="popup-content">
+          <h6><strong>${window.MapHelpers.escapeHtml(receptor.name || 'Receptor')}</strong></h6>
+          ${type ? `<p class="mb-1"><strong>Type:</strong> ${type}</p>` : ''}
+          <p class="mb-1 text-muted"><i class="fas fa-hourglass-half"></i> Awaiting calculation</p>
+          ${event.chemical ? `<small class="text-muted">Event: ${event.chemical}</small>` : ''}
+        </div>
+      `
+    };
+  }
+
+  const concentration = Number(receptor.concentration) || 0;
+  return {
+    style: receptorStyle(concentration, eventId),
+    popup: `
       <div class="popup-content">
-        <h6><strong>${receptor.name}</strong></h6>
+        <h6><strong>${window.MapHelpers.escapeHtml(receptor.name || 'Receptor')}</strong></h6>
+        ${type ? `<p class="mb-1"><strong>Type:</strong> ${type}</p>` : ''}
         <p class="mb-1"><strong>Concentration:</strong> ${concentration.toFixed(3)} mg/m³</p>
-        <p class="mb-1"><strong>Health Impact:</strong> <span class="badge bg-${colorClass}">${health_impact}</span></p>
-        <small class="text-muted">Event: ${event.chemical}</small>
+        <p class="mb-1"><strong>Hazard:</strong> ${window.HazardScale.badge(concentration, eventId)}</p>
+        ${receptor.timestamp ? `<p class="mb-1"><strong>Updated:</strong> ${new Date(receptor.timestamp).toLocaleTimeString()}</p>` : ''}
+        ${event.chemical ? `<small class="text-muted">Event: ${event.chemical}</small>` : ''}
+        ${window.ReceptorTrends.popupSection(eventId, receptor)}
       </div>
-    `)
-    .addTo(map);
+    `
+  };
+}
 
-  if (!receptorMarkers[event.id]) {
-    receptorMarkers[event.id] = [];
-  }
-  receptorMarkers[event.id].push(receptorMarker);
+/**
+ * Canvas circle marker style colored by the event's hazard tier for a
+ * concentration, or gray before the first calculation
+ */
+function receptorStyle(concentration, eventId) {
+  return {
+    radius: 7,
+    color: '#ffffff',
+    weight: 2,
+    fillColor: concentration == null ? '#adb5bd' : window.HazardScale.getColor(concentration, eventId),
+    fillOpacity: 0.9
+  };
 }
 
 /**
- * Add a facility location to the map
+ * Add a facility location to the clustered location layer
  */
 function addLocationToMap(location) {
   // Check if map is ready before adding markers
-  if (!map || !map._container) {
+  if (!map || !map._container || !locationLayer) {
     console.log('⚠️ Map not ready, skipping location:', location.name);
     return;
   }
 
   const { id, name, latitude, longitude, terrain_type, building_height } = location;
-
-  const locationIcon = L.divIcon({
-    className: 'location-marker',
-    html: `
-      <div class="marker-content bg-info text-white rounded d-flex align-items-center justify-content-center" 
-           style="width: 30px; height: 30px; border: 2px solid white; box-shadow: 0 1px 3px rgba(0,0,0,0.3);">
-        <i class="fas fa-building" style="font-size: 12px;"></i>
-      </div>
-    `,
-    iconSize: [30, 30],
-    iconAnchor: [15, 15]
-  });
+  const status = locationStatus(id);
 
   try {
-    const locationMarker = L.marker([latitude, longitude], { icon: locationIcon })
+    const locationMarker = L.marker([latitude, longitude], { icon: createLocationIcon(status), status })
       .bindPopup(`
         <div class="popup-content">
           <h6><strong>${name}</strong></h6>
@@ -949,13 +1110,85 @@ function addLocationToMap(location) {
             <button class="btn btn-sm btn-success" onclick="createEventHere(${id})">New Event</button>
           </div>
         </div>
-      `)
-      .addTo(map);
+      `);
+
+    if (locationMarkers[id]) locationLayer.removeLayer(locationMarkers[id]);
+    locationMarkers[id] = locationMarker;
+    locationLayer.addLayer(locationMarker);
   } catch (error) {
     console.error('Error adding location marker:', error);
   }
 }
 
+/**
+ * Cluster status of a location: active while an event there is active
+ */
+function locationStatus(locationId) {
+  const id = String(locationId);
+  return Array.from(activeEventLocations.values()).includes(id) ? 'active' : 'idle';
+}
+
+/**
+ * Track whether an event keeps its location active, re-coloring the
+ * location when the event starts, stops or moves
+ */
+function setEventLocationStatus(event) {
+  const eventId = String(event.id);
+  const previous = activeEventLocations.get(eventId);
+
+  if (event.status === 'active' && event.location_id != null) {
+    activeEventLocations.set(eventId, String(event.location_id));
+  } else {
+    activeEventLocations.delete(eventId);
+  }
+
+  const current = activeEventLocations.get(eventId);
+  if (previous && previous !== current) updateLocationMarker(previous);
+  if (current) updateLocationMarker(current);
+}
+
+/**
+ * Reconcile active locations with a full active event list; events missing
+ * from it have stopped or completed
+ */
+function syncActiveEventLocations(events) {
+  const activeIds = new Set(events.filter(event => event.status === 'active').map(event => String(event.id)));
+
+  Array.from(activeEventLocations.keys())
+    .filter(eventId => !activeIds.has(eventId))
+    .forEach(eventId => setEventLocationStatus({ id: eventId, status: 'stopped' }));
+  events.forEach(setEventLocationStatus);
+}
+
+/**
+ * Re-color a location marker after an event there started or stopped
+ */
+function updateLocationMarker(locationId) {
+  const marker = locationMarkers[locationId];
+  if (!marker || !locationLayer) return;
+
+  marker.options.status = locationStatus(locationId);
+  marker.setIcon(createLocationIcon(marker.options.status));
+  locationLayer.refresh();
+}
+
+/**
+ * Location marker colored by its status
+ */
+function createLocationIcon(status) {
+  return L.divIcon({
+    className: 'location-marker',
+    html: `
+      <div class="marker-content text-white rounded d-flex align-items-center justify-content-center" 
+           style="width: 30px; height: 30px; background-color: ${LOCATION_STATUSES[status].color}; border: 2px solid white; box-shadow: 0 1px 3px rgba(0,0,0,0.3);">
+        <i class="fas fa-building" style="font-size: 12px;"></i>
+      </div>
+    `,
+    iconSize: [30, 30],
+    iconAnchor: [15, 15]
+  });
+}
+
 /**
  * Start real-time plume visualization for an active event
  */
@@ -968,7 +1201,7 @@ function startPlumeVisualization(event) {
   // Set up periodic updates
   if (!currentEventLayers[eventId]) {
     currentEventLayers[eventId] = {
-      contours: L.layerGroup().addTo(map),
+      contours: L.layerGroup().addTo(plumeContourLayer),
       updateInterval: setInterval(() => {
         updatePlumeContours(eventId);
       }, 30000) // Update every 30 seconds
@@ -986,11 +1219,15 @@ function updatePlumeContours(eventId) {
       if (data.data && data.data.contours) {
         drawPlumeContours(eventId, data.data);
         updateLastUpdateTime();
+        window.PlumeHistory.recordPlume(eventId, data.data);
+
+        if (window.ConcentrationHeatmap) {
+          window.ConcentrationHeatmap.refresh(eventId);
+        }
       }
     })
     .catch(error => {
       console.error('Error updating plume contours:', error);
-      updateConnectionStatus('error');
     });
 }
 
@@ -999,6 +1236,11 @@ function updatePlumeContours(eventId) {
  */
 function drawPlumeContours(eventId, plumeData) {
   const { contours, source_location, weather } = plumeData;
+
+  // Server results supersede any provisional preview at this source
+  if (window.PlumePreview) {
+    window.PlumePreview.replaceWith(source_location);
+  }
   
   // Clear existing contours for this event
   if (currentEventLayers[eventId]) {
@@ -1008,16 +1250,17 @@ function drawPlumeContours(eventId, plumeData) {
   // Draw new contours
   contours.forEach(contour => {
     if (contour.points && contour.points.length > 2) {
+      const color = window.HazardScale.getColor(contour.level, eventId);
       const polygon = L.polygon(contour.points, {
-        color: contour.color,
-        fillColor: contour.color,
+        color: color,
+        fillColor: color,
         fillOpacity: 0.3,
         weight: 2,
         opacity: 0.7
       }).bindPopup(`
         <div class="popup-content">
           <h6>Concentration Contour</h6>
-          <p><strong>Level:</strong> ${contour.level} mg/m³</p>
+          <p><strong>Level:</strong> ${contour.level} mg/m³ ${window.HazardScale.badge(contour.level, eventId)}</p>
           <p><strong>Wind:</strong> ${weather.wind_speed} m/s, ${weather.wind_direction}°</p>
           <p><strong>Stability:</strong> ${weather.stability_class}</p>
         </div>
@@ -1035,12 +1278,12 @@ function drawPlumeContours(eventId, plumeData) {
  * Set up real-time updates via WebSocket or polling
  */
 function setupRealtimeUpdates() {
+  if (realtimeRefreshInterval) return;
+
   // For now, use polling. In a real implementation, you'd use ActionCable WebSockets
-  setInterval(() => {
+  realtimeRefreshInterval = setInterval(() => {
     refreshActiveEventData();
   }, 60000); // Refresh every minute
-
-  updateConnectionStatus('connected');
 }
 
 /**
@@ -1066,33 +1309,25 @@ function refreshActiveEventData() {
  * Update receptor markers with new concentration data
  */
 function updateReceptorConcentrations(eventId, calculations) {
-  if (receptorMarkers[eventId]) {
-    calculations.forEach(calc => {
-      // Find corresponding receptor marker and update its appearance
-      const receptor = receptorMarkers[eventId].find(marker => {
-        const pos = marker.getLatLng();
-        return Math.abs(pos.lat - calc.receptor_coordinates.lat) < 0.0001 &&
-               Math.abs(pos.lng - calc.receptor_coordinates.lng) < 0.0001;
-      });
-      
-      if (receptor) {
-        // Update marker color based on concentration
-        let colorClass = 'success';
-        if (calc.concentration > 100) colorClass = 'danger';
-        else if (calc.concentration > 10) colorClass = 'warning';
-        else if (calc.concentration > 1) colorClass = 'warning';
-        
-        // Update marker popup
-        receptor.setPopupContent(`
-          <div class="popup-content">
-            <h6><strong>Receptor</strong></h6>
-            <p class="mb-1"><strong>Concentration:</strong> ${calc.concentration.toFixed(3)} mg/m³</p>
-            <p class="mb-1"><strong>Updated:</strong> ${new Date(calc.timestamp).toLocaleTimeString()}</p>
-          </div>
-        `);
-      }
+  // Oldest first, so each receptor ends on its latest value; calculations
+  // without a receptor are source-point runs
+  calculations
+    .filter(calc => calc.receptor_id != null)
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+    .forEach(calc => {
+      const receptor = {
+        id: calc.receptor_id,
+        lat: calc.receptor_coordinates.lat,
+        lng: calc.receptor_coordinates.lng,
+        concentration: calc.concentration,
+        timestamp: calc.timestamp
+      };
+      window.PlumeHistory.recordReceptors(eventId, [receptor], { merge: true, timestamp: calc.timestamp, weather: calc.weather_conditions });
+      window.ReceptorTrends.record(eventId, [receptor], { timestamp: calc.timestamp });
+
+      // Re-color the receptor's marker and refresh its popup in place
+      window.ReceptorRegistry.update(eventId, receptor, current => renderReceptor(current, eventId));
     });
-  }
 }
 
 /**
@@ -1112,28 +1347,45 @@ function updateWindIndicator(weather) {
 }
 
 /**
- * Update connection status indicator
+ * Update the connection status badges from an actioncable-state-change detail.
+ * The map header and real-time panel show the state; the status panel shows the transport.
  */
-function updateConnectionStatus(status) {
-  const statusBadge = document.getElementById('connectionStatus');
-  if (statusBadge) {
-    switch(status) {
-      case 'connected':
-        statusBadge.className = 'badge bg-success';
-        statusBadge.textContent = 'Connected';
-        break;
-      case 'error':
-        statusBadge.className = 'badge bg-danger';
-        statusBadge.textContent = 'Error';
-        break;
-      case 'disconnected':
-        statusBadge.className = 'badge bg-warning';
-        statusBadge.textContent = 'Disconnected';
-        break;
+function updateConnectionStatus(detail) {
+  const badge = CONNECTION_STATUS_BADGES[detail.state] || CONNECTION_STATUS_BADGES.offline;
+  let label = badge.label;
+  if (detail.state === 'connecting' && detail.attempt > 0) {
+    label = `Reconnecting (attempt ${detail.attempt})`;
+  }
+
+  const title = detail.live
+    ? 'Plume data on screen is live'
+    : 'Plume data on screen may be out of date';
+
+  ['connectionStatus', 'connection-status'].forEach(id => {
+    const statusBadge = document.getElementById(id);
+    if (statusBadge) {
+      statusBadge.className = `badge ${badge.className}`;
+      statusBadge.textContent = label;
+      statusBadge.title = title;
     }
+  });
+
+  const transportBadge = document.getElementById('websocketStatus');
+  if (transportBadge) {
+    transportBadge.className = `badge ${badge.className}`;
+    transportBadge.textContent = TRANSPORT_LABELS[detail.transport] || detail.transport;
+    transportBadge.title = Object.entries(detail.channels || {})
+      .map(([channel, transport]) => `${channel}: ${TRANSPORT_LABELS[transport] || transport}`)
+      .join('\n');
   }
 }
 
+// Keep the badges in step with the connection state machine
+document.addEventListener('actioncable-state-change', event => updateConnectionStatus(event.detail));
+if (window.ActionCableManager) {
+  updateConnectionStatus(window.ActionCableManager.getState());
+}
+
 /**
  * Update last update time display
  */
@@ -1170,25 +1422,25 @@ function toggleFullscreen() {
   }
 }
 
+/**
+ * Stop monitoring an event. The command goes through the outbox, so it is
+ * retried until the server accepts it if the connection is down.
+ */
 function stopEvent(eventId) {
-  if (confirm('Are you sure you want to stop monitoring this event?')) {
-    fetch(`/dispersion_events/${eventId}/stop_monitoring`, {
-      method: 'DELETE',
-      headers: {
-        'X-CSRF-Token': document.querySelector('[name="csrf-token"]').content,
-        'Content-Type': 'application/json'
-      }
-    })
-    .then(response => {
-      if (response.ok) {
-        location.reload();
-      }
-    })
-    .catch(error => {
-      console.error('Error stopping event:', error);
-      alert('Failed to stop event monitoring');
-    });
-  }
+  if (!confirm('Are you sure you want to stop monitoring this event?')) return;
+
+  window.CommandOutbox.enqueue({
+    label: `Stop monitoring event ${eventId}`,
+    method: 'DELETE',
+    url: `/dispersion_events/${eventId}/stop_monitoring`
+  }).then(command => {
+    // Reload only when the stop went through immediately; queued stops show in the outbox
+    if (command.status === 'sent') {
+      location.reload();
+    } else if (command.status === 'failed') {
+      alert(`Failed to stop event monitoring (${command.lastError})`);
+    }
+  });
 }
 
 function createEventHere(locationId) {
@@ -1213,9 +1465,17 @@ if (typeof window !== 'undefined') {
   window.initializeDispersionMap = initializeDispersionMap;
   window.startRealTimeUpdates = startRealTimeUpdates;
   window.sourceMarkers = sourceMarkers;
-  window.receptorMarkers = receptorMarkers;
   window.concentrationOverlays = concentrationOverlays;
   window.centerMapOnActiveEvents = centerMapOnActiveEvents;
   window.triggerEmergencyAlert = triggerEmergencyAlert;
   window.createEventHere = createEventHere;
+  window.stopEvent = stopEvent;
+  window.showAtmosphericStability = showAtmosphericStability;
+  window.startDispersionHere = startDispersionHere;
+  window.previewPlumeHere = previewPlumeHere;
+  window.fetchWeatherForLocation = fetchWeatherForLocation;
+  window.createDetailedWeatherPopup = createDetailedWeatherPopup;
+  window.renderReceptor = renderReceptor;
+  window.setEventLocationStatus = setEventLocationStatus;
+  window.syncActiveEventLocations = syncActiveEventLocations;
 }
\ No newline at end of file
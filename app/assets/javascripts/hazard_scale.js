@@ -0,0 +1,128 @@
+// Hazard Scale for Concentration Classification
+// Classifies concentrations against the event chemical's AEGL, ERPG or PAC
+// tiers (the `hazard_scale` the server sends with each event), so contours,
+// receptor markers, popups and the map legend share one color scheme. Events
+// whose chemical has no toxicological data use generic 1/10/100 mg/m³ tiers.
+
+// Style for each class: index 0 is below tier 1, 1-3 are the tiers
+const HAZARD_TIER_STYLES = [
+  { color: '#00ff00', badge: 'success', description: 'Below Tier 1' },
+  { color: '#ffff00', badge: 'warning', description: 'Discomfort' },
+  { color: '#ff8800', badge: 'warning', description: 'Serious effects' },
+  { color: '#ff0000', badge: 'danger', description: 'Life-threatening' }
+];
+
+const GENERIC_HAZARD_SCALE = {
+  chemical: null,
+  standard: 'Generic',
+  duration_minutes: null,
+  units: 'mg/m³',
+  tiers: [
+    { tier: 1, label: 'Tier 1', value: 1.0 },
+    { tier: 2, label: 'Tier 2', value: 10.0 },
+    { tier: 3, label: 'Tier 3', value: 100.0 }
+  ]
+};
+
+class HazardScale {
+  constructor() {
+    this.scales = new Map();
+
+    // Event ids are page data; the next page registers its own
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => this.scales.clear(), { persistent: true });
+    }
+    document.addEventListener('turbo:load', () => this.renderLegend());
+  }
+
+  // Record an event's scale; `scale` is the event's `hazard_scale` payload.
+  // Messages without the field leave the registered scale as it was
+  register(eventId, scale) {
+    if (eventId == null || scale === undefined) return;
+
+    const previous = this.scales.get(eventId);
+    this.scales.set(eventId, scale && scale.tiers && scale.tiers.length > 0 ? scale : null);
+
+    if (JSON.stringify(previous) !== JSON.stringify(this.scales.get(eventId))) {
+      this.renderLegend();
+    }
+  }
+
+  getScale(eventId) {
+    if (this.scales.has(eventId)) return this.scales.get(eventId) || GENERIC_HAZARD_SCALE;
+
+    // Ids read from object keys and DOM attributes arrive as strings
+    const key = Array.from(this.scales.keys()).find(id => String(id) === String(eventId));
+    return (key !== undefined && this.scales.get(key)) || GENERIC_HAZARD_SCALE;
+  }
+
+  // Classify a concentration (mg/m³) for an event. Returns
+  // { tier, label, description, color, badge, scale }, with tier 0 below tier 1.
+  classify(concentration, eventId) {
+    const scale = this.getScale(eventId);
+    const value = Number(concentration) || 0;
+    let match = null;
+
+    scale.tiers.forEach(tier => {
+      if (value >= tier.value && (!match || tier.tier > match.tier)) match = tier;
+    });
+
+    const tier = match ? match.tier : 0;
+    const style = HAZARD_TIER_STYLES[tier];
+    return {
+      tier,
+      label: match ? match.label : `Below ${scale.tiers[0].label}`,
+      description: style.description,
+      color: style.color,
+      badge: style.badge,
+      scale
+    };
+  }
+
+  getColor(concentration, eventId) {
+    return this.classify(concentration, eventId).color;
+  }
+
+  // Badge markup for popups
+  badge(concentration, eventId) {
+    const hazard = this.classify(concentration, eventId);
+    return `<span class="badge bg-${hazard.badge}" title="${hazard.description}">${hazard.label}</span>`;
+  }
+
+  // Fill #mapLegendLevels with the tiers of every chemical on the map
+  renderLegend() {
+    const container = document.getElementById('mapLegendLevels');
+    if (!container) return;
+
+    // One section per distinct scale; events sharing a chemical share a section
+    const scales = new Map();
+    this.scales.forEach(scale => {
+      if (scale) scales.set(JSON.stringify(scale), scale);
+    });
+    if (scales.size === 0) scales.set('generic', GENERIC_HAZARD_SCALE);
+
+    container.innerHTML = Array.from(scales.values()).map(scale => {
+      const heading = scale.chemical
+        ? `${scale.chemical} · ${scale.standard}${scale.duration_minutes ? ` (${scale.duration_minutes} min)` : ''}`
+        : `${scale.standard} thresholds`;
+      const rows = scale.tiers.slice().reverse().map(tier => `
+        <div><span class="badge" style="background-color: ${HAZARD_TIER_STYLES[tier.tier].color};">■</span>
+          ≥ ${tier.value} - ${tier.label}</div>
+      `).join('');
+
+      return `
+        <div class="mb-1">
+          <small class="fw-bold d-block">${heading}</small>
+          ${rows}
+          <div><span class="badge" style="background-color: ${HAZARD_TIER_STYLES[0].color};">■</span>
+            &lt; ${scale.tiers[0].value} - ${HAZARD_TIER_STYLES[0].description}</div>
+        </div>
+      `;
+    }).join('');
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.HazardScale) {
+  window.HazardScale = new HazardScale();
+}
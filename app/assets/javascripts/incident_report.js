@@ -0,0 +1,543 @@
+// Incident Map Report
+// Renders the current dispersion map view to a PNG in the browser: base map
+// tiles, heatmap, contours, receptors and sources, plus a wind arrow, scale
+// bar, north arrow and hazard legend. The PNG is placed on a printable page with
+// each event's details, weather, a receptor table and the report time; the
+// browser's print dialog saves it as PDF. Nothing is sent to a print service.
+
+// Candidate scale bar lengths in meters
+const REPORT_SCALE_STEPS = [1, 2, 5];
+
+class IncidentReport {
+  constructor() {
+    this.pixelRatio = 2;       // Render at twice the screen size for print
+    this.maxScaleBarWidth = 150;
+    this.font = '"Helvetica Neue", Arial, sans-serif';
+  }
+
+  // Open the report for one event, or for every event in the map view
+  async open(eventId = null) {
+    const map = window.dispersionMap;
+    if (!map) {
+      alert('The dispersion map is not loaded.');
+      return;
+    }
+
+    // Open the window before any await so popup blockers allow it
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+      alert('Allow pop-ups for this site to open the incident report.');
+      return;
+    }
+    reportWindow.document.write('<p style="font-family: sans-serif;">Generating incident report...</p>');
+
+    try {
+      const eventIds = eventId !== null ? [eventId] : this.eventsInView(map);
+      const createdAt = new Date();
+      const image = await this.renderMap(map, eventIds);
+      const sections = await Promise.all(eventIds.map(id => this.eventSection(id)));
+
+      reportWindow.document.open();
+      reportWindow.document.write(this.pageTemplate({ image, sections, createdAt }));
+      reportWindow.document.close();
+    } catch (error) {
+      console.error('Error generating incident report:', error);
+      reportWindow.document.body.innerHTML = `<p style="font-family: sans-serif;">Could not generate the report: ${error.message}</p>`;
+    }
+  }
+
+  // Source markers from the dashboard map and the real-time manager
+  sourceMarkers() {
+    const markers = new Map();
+    Object.entries(window.sourceMarkers || {}).forEach(([id, marker]) => markers.set(String(id), marker));
+    if (window.eventMarkers) {
+      window.eventMarkers.forEach((marker, id) => {
+        if (!markers.has(String(id))) markers.set(String(id), marker);
+      });
+    }
+    return markers;
+  }
+
+  eventsInView(map) {
+    const bounds = map.getBounds();
+    return Array.from(this.sourceMarkers().entries())
+      .filter(([, marker]) => bounds.contains(marker.getLatLng()))
+      .map(([id]) => id);
+  }
+
+  // Draw the map view onto a canvas. Returns { dataUrl, basemap, width, height };
+  // `basemap` is false when the tile server does not allow its tiles to be copied.
+  async renderMap(map, eventIds) {
+    const size = map.getSize();
+    const canvas = document.createElement('canvas');
+    canvas.width = size.x * this.pixelRatio;
+    canvas.height = size.y * this.pixelRatio;
+
+    const context = canvas.getContext('2d');
+    context.scale(this.pixelRatio, this.pixelRatio);
+    context.fillStyle = '#f2efe9';
+    context.fillRect(0, 0, size.x, size.y);
+
+    const tiles = this.renderTiles(map, size);
+    if (tiles) context.drawImage(tiles, 0, 0, size.x, size.y);
+
+    this.drawHeatmap(context, map);
+    this.drawVectorLayers(context, map);
+    eventIds.forEach(id => this.drawReceptors(context, map, id));
+    this.drawSources(context, map, eventIds);
+
+    this.drawNorthArrow(context, size);
+    this.drawWindArrow(context, size, this.currentWeather(eventIds));
+    this.drawScaleBar(context, map, size);
+    this.drawLegend(context, size, eventIds);
+    this.drawAttribution(context, map, size, tiles !== null);
+
+    return { dataUrl: canvas.toDataURL('image/png'), basemap: tiles !== null, width: size.x, height: size.y };
+  }
+
+  // Copy the loaded tiles to their own canvas; null if the tiles taint it
+  renderTiles(map, size) {
+    const container = map.getContainer();
+    const origin = container.getBoundingClientRect();
+    const canvas = document.createElement('canvas');
+    canvas.width = size.x * this.pixelRatio;
+    canvas.height = size.y * this.pixelRatio;
+
+    const context = canvas.getContext('2d');
+    context.scale(this.pixelRatio, this.pixelRatio);
+
+    container.querySelectorAll('.leaflet-tile-pane img.leaflet-tile-loaded').forEach(tile => {
+      const rect = tile.getBoundingClientRect();
+      try {
+        context.drawImage(tile, rect.left - origin.left, rect.top - origin.top, rect.width, rect.height);
+      } catch (error) {
+        // Broken images cannot be drawn; leave the gap
+      }
+    });
+
+    try {
+      canvas.toDataURL();
+      return canvas;
+    } catch (error) {
+      console.warn('⚠️ Base map tiles cannot be copied; the report map has no base map:', error.message);
+      return null;
+    }
+  }
+
+  drawHeatmap(context, map) {
+    const container = map.getContainer();
+    const heatmap = container.querySelector('canvas.concentration-heatmap');
+    if (!heatmap) return;
+
+    const origin = container.getBoundingClientRect();
+    const rect = heatmap.getBoundingClientRect();
+
+    context.save();
+    context.globalAlpha = parseFloat(heatmap.style.opacity) || 1;
+    context.drawImage(heatmap, rect.left - origin.left, rect.top - origin.top, rect.width, rect.height);
+    context.restore();
+  }
+
+  // Contours, preview plumes, history snapshots and other vector layers on the
+  // map. Receptor markers are drawn from the snapshot by drawReceptors instead.
+  drawVectorLayers(context, map) {
+    const bounds = map.getBounds();
+    const receptorMarkers = new Set();
+    window.ReceptorRegistry.forEach(({ marker }) => receptorMarkers.add(marker));
+
+    map.eachLayer(layer => {
+      if (receptorMarkers.has(layer)) return;
+
+      if (layer instanceof L.CircleMarker) {
+        if (bounds.contains(layer.getLatLng())) this.drawCircle(context, map, layer);
+      } else if (layer instanceof L.Polyline) {
+        if (bounds.intersects(layer.getBounds())) this.drawPath(context, map, layer);
+      }
+    });
+  }
+
+  drawPath(context, map, layer) {
+    const closed = layer instanceof L.Polygon;
+    // Polygons may have holes or several parts; flatten to a list of rings
+    let rings = layer.getLatLngs();
+    while (rings.length > 0 && !Array.isArray(rings[0])) rings = [rings];
+    while (rings.length > 0 && Array.isArray(rings[0][0])) rings = rings.flat();
+
+    context.beginPath();
+    rings.forEach(ring => {
+      ring.forEach((latlng, index) => {
+        const point = map.latLngToContainerPoint(latlng);
+        if (index === 0) context.moveTo(point.x, point.y);
+        else context.lineTo(point.x, point.y);
+      });
+      if (closed) context.closePath();
+    });
+
+    this.paint(context, layer.options, closed);
+  }
+
+  drawCircle(context, map, layer) {
+    const center = map.latLngToContainerPoint(layer.getLatLng());
+    let radius = layer.getRadius();
+
+    // L.Circle radii are meters; measure them along the parallel at the center
+    if (layer instanceof L.Circle) {
+      const edge = map.latLngToContainerPoint(layer.getLatLng().toBounds(radius * 2).getNorthEast());
+      radius = Math.abs(edge.x - center.x);
+    }
+
+    context.beginPath();
+    context.arc(center.x, center.y, radius, 0, Math.PI * 2);
+    this.paint(context, layer.options, true);
+  }
+
+  // Apply Leaflet path options
+  paint(context, options, filled) {
+    context.save();
+
+    if (filled && options.fill !== false) {
+      context.globalAlpha = options.fillOpacity ?? 0.2;
+      context.fillStyle = options.fillColor || options.color || '#3388ff';
+      context.fill(options.fillRule || 'evenodd'); // Leaflet's default, so polygon holes stay open
+    }
+
+    if (options.stroke !== false) {
+      context.globalAlpha = options.opacity ?? 1;
+      context.strokeStyle = options.color || '#3388ff';
+      context.lineWidth = options.weight ?? 3;
+      context.setLineDash(options.dashArray ? String(options.dashArray).split(/[ ,]+/).map(Number) : []);
+      context.stroke();
+    }
+
+    context.restore();
+  }
+
+  // Receptors of the displayed snapshot, colored by hazard tier
+  drawReceptors(context, map, eventId) {
+    const snapshot = window.PlumeHistory.getSelectedSnapshot(eventId);
+    if (!snapshot) return;
+
+    const bounds = map.getBounds();
+    snapshot.receptors.forEach(receptor => {
+      if (!bounds.contains([receptor.lat, receptor.lng])) return;
+
+      const point = map.latLngToContainerPoint([receptor.lat, receptor.lng]);
+      context.beginPath();
+      context.arc(point.x, point.y, 6, 0, Math.PI * 2);
+      context.fillStyle = window.HazardScale.getColor(receptor.concentration, eventId);
+      context.fill();
+      context.lineWidth = 1.5;
+      context.strokeStyle = '#333333';
+      context.stroke();
+    });
+  }
+
+  drawSources(context, map, eventIds) {
+    const markers = this.sourceMarkers();
+
+    eventIds.forEach(eventId => {
+      const marker = markers.get(String(eventId));
+      if (!marker) return;
+
+      const point = map.latLngToContainerPoint(marker.getLatLng());
+      context.beginPath();
+      context.arc(point.x, point.y, 10, 0, Math.PI * 2);
+      context.fillStyle = '#dc3545';
+      context.fill();
+      context.lineWidth = 3;
+      context.strokeStyle = '#ffffff';
+      context.stroke();
+
+      const event = window.PlumeExport.events.get(String(eventId)) || {};
+      this.drawLabel(context, event.chemical || `Event ${eventId}`, point.x + 14, point.y + 4);
+    });
+  }
+
+  drawLabel(context, text, x, y) {
+    context.save();
+    context.font = `bold 12px ${this.font}`;
+    context.lineWidth = 3;
+    context.strokeStyle = '#ffffff';
+    context.strokeText(text, x, y);
+    context.fillStyle = '#212529';
+    context.fillText(text, x, y);
+    context.restore();
+  }
+
+  // Weather of the first event with a recorded snapshot
+  currentWeather(eventIds) {
+    for (const eventId of eventIds) {
+      const snapshot = window.PlumeHistory.getSelectedSnapshot(eventId);
+      if (snapshot && snapshot.weather && snapshot.weather.wind_direction != null) return snapshot.weather;
+    }
+    return null;
+  }
+
+  drawNorthArrow(context, size) {
+    const x = size.x - 30;
+    const y = 20;
+
+    this.drawPanel(context, x - 20, y - 12, 40, 58);
+    context.save();
+    context.fillStyle = '#212529';
+    context.beginPath();
+    context.moveTo(x, y);
+    context.lineTo(x + 9, y + 30);
+    context.lineTo(x, y + 24);
+    context.lineTo(x - 9, y + 30);
+    context.closePath();
+    context.fill();
+    context.font = `bold 12px ${this.font}`;
+    context.textAlign = 'center';
+    context.fillText('N', x, y + 43);
+    context.restore();
+  }
+
+  // Arrow pointing downwind; wind direction is where the wind blows from
+  drawWindArrow(context, size, weather) {
+    if (!weather) return;
+
+    const x = size.x - 30;
+    const y = 110;
+    const angle = (Number(weather.wind_direction) + 180) * Math.PI / 180;
+
+    this.drawPanel(context, x - 45, y - 30, 75, 82);
+    context.save();
+    context.translate(x - 8, y);
+    context.rotate(angle);
+    context.strokeStyle = '#007bff';
+    context.fillStyle = '#007bff';
+    context.lineWidth = 3;
+    context.beginPath();
+    context.moveTo(0, 18);
+    context.lineTo(0, -10);
+    context.stroke();
+    context.beginPath();
+    context.moveTo(0, -20);
+    context.lineTo(7, -8);
+    context.lineTo(-7, -8);
+    context.closePath();
+    context.fill();
+    context.restore();
+
+    context.save();
+    context.fillStyle = '#212529';
+    context.font = `11px ${this.font}`;
+    context.textAlign = 'center';
+    context.fillText(`${weather.wind_speed ?? '--'} m/s`, x - 8, y + 33);
+    context.fillText(`from ${weather.wind_direction}°`, x - 8, y + 46);
+    context.restore();
+  }
+
+  drawScaleBar(context, map, size) {
+    const y = size.y / 2;
+    const metersPerPixel = map.distance(map.containerPointToLatLng([0, y]), map.containerPointToLatLng([100, y])) / 100;
+    if (!(metersPerPixel > 0)) return;
+
+    // Longest 1, 2 or 5 x 10^n length that fits
+    const maxMeters = metersPerPixel * this.maxScaleBarWidth;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(maxMeters)));
+    const step = REPORT_SCALE_STEPS.filter(value => value * magnitude <= maxMeters).pop() * magnitude;
+    const width = step / metersPerPixel;
+    const label = step >= 1000 ? `${step / 1000} km` : `${step} m`;
+
+    const x = 15;
+    const bottom = size.y - 20;
+
+    this.drawPanel(context, x - 8, bottom - 24, width + 16, 32);
+    context.save();
+    context.strokeStyle = '#212529';
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(x, bottom - 6);
+    context.lineTo(x, bottom);
+    context.lineTo(x + width, bottom);
+    context.lineTo(x + width, bottom - 6);
+    context.stroke();
+    context.fillStyle = '#212529';
+    context.font = `11px ${this.font}`;
+    context.fillText(label, x, bottom - 10);
+    context.restore();
+  }
+
+  // Hazard tiers of each distinct chemical scale on the report
+  drawLegend(context, size, eventIds) {
+    const scales = new Map();
+    (eventIds.length > 0 ? eventIds : [null]).forEach(eventId => {
+      const scale = window.HazardScale.getScale(eventId);
+      if (!scales.has(JSON.stringify(scale))) scales.set(JSON.stringify(scale), { scale, eventId });
+    });
+
+    const lines = [];
+    scales.forEach(({ scale, eventId }) => {
+      lines.push({ heading: scale.chemical ? `${scale.chemical} · ${scale.standard}` : `${scale.standard} thresholds` });
+      scale.tiers.slice().reverse().forEach(tier => {
+        lines.push({ color: window.HazardScale.getColor(tier.value, eventId), text: `≥ ${tier.value} ${scale.units} - ${tier.label}` });
+      });
+      lines.push({ color: window.HazardScale.getColor(0, eventId), text: `< ${scale.tiers[0].value} ${scale.units}` });
+    });
+
+    const lineHeight = 16;
+    const width = 200;
+    const height = lines.length * lineHeight + 12;
+    const x = size.x - width - 10;
+    const y = size.y - height - 20;
+
+    this.drawPanel(context, x, y, width, height);
+    context.save();
+    context.font = `11px ${this.font}`;
+    lines.forEach((line, index) => {
+      const top = y + 6 + index * lineHeight;
+      context.fillStyle = '#212529';
+      if (line.heading) {
+        context.font = `bold 11px ${this.font}`;
+        context.fillText(line.heading, x + 8, top + 12, width - 16);
+        context.font = `11px ${this.font}`;
+        return;
+      }
+      context.fillStyle = line.color;
+      context.fillRect(x + 8, top + 3, 12, 10);
+      context.strokeStyle = '#6c757d';
+      context.strokeRect(x + 8, top + 3, 12, 10);
+      context.fillStyle = '#212529';
+      context.fillText(line.text, x + 26, top + 12, width - 34);
+    });
+    context.restore();
+  }
+
+  drawAttribution(context, map, size, basemap) {
+    const attributions = [];
+    map.eachLayer(layer => {
+      if (layer instanceof L.TileLayer && layer.getAttribution()) attributions.push(plainText(layer.getAttribution()));
+    });
+    const text = basemap ? attributions.join(' | ') : 'Base map not available for export';
+
+    context.save();
+    context.font = `10px ${this.font}`;
+    context.fillStyle = '#495057';
+    context.textAlign = 'right';
+    context.fillText(text, size.x - 10, size.y - 6);
+    context.restore();
+  }
+
+  drawPanel(context, x, y, width, height) {
+    context.save();
+    context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    context.strokeStyle = 'rgba(0, 0, 0, 0.2)';
+    context.lineWidth = 1;
+    context.fillRect(x, y, width, height);
+    context.strokeRect(x, y, width, height);
+    context.restore();
+  }
+
+  // Event details, weather and receptor table for one event
+  async eventSection(eventId) {
+    const marker = this.sourceMarkers().get(String(eventId));
+    const popup = marker && marker.getPopup() ? marker.getPopup().getContent() : null;
+    const details = typeof popup === 'string' ? stripControls(popup) : `<h6>Event ${eventId}</h6>`;
+
+    let weather = '<p class="text-muted">No weather data available</p>';
+    if (marker && window.fetchWeatherForLocation) {
+      const { lat, lng } = marker.getLatLng();
+      try {
+        const result = await window.fetchWeatherForLocation(lat, lng);
+        if (result.status === 'success') {
+          weather = stripControls(window.createDetailedWeatherPopup(result.weather_data));
+        }
+      } catch (error) {
+        console.error(`Error loading weather for event ${eventId} report:`, error);
+      }
+    }
+
+    const snapshot = window.PlumeHistory.getSelectedSnapshot(eventId);
+    return `
+      <section class="report-event mb-4">
+        <div class="row">
+          <div class="col-6">${details}</div>
+          <div class="col-6">${weather}</div>
+        </div>
+        ${this.receptorTable(eventId, snapshot)}
+      </section>
+    `;
+  }
+
+  receptorTable(eventId, snapshot) {
+    if (!snapshot || snapshot.receptors.length === 0) {
+      return '<p class="text-muted">No receptor data recorded</p>';
+    }
+
+    const rows = snapshot.receptors
+      .slice()
+      .sort((a, b) => (b.concentration || 0) - (a.concentration || 0))
+      .map(receptor => `
+        <tr>
+          <td>${window.MapHelpers.escapeHtml(receptor.name || receptor.id || '')}</td>
+          <td>${Number(receptor.lat).toFixed(5)}, ${Number(receptor.lng).toFixed(5)}</td>
+          <td class="text-end">${Number(receptor.concentration || 0).toFixed(3)}</td>
+          <td>${window.HazardScale.badge(receptor.concentration, eventId)}</td>
+        </tr>
+      `).join('');
+
+    return `
+      <h6 class="mt-3">Receptors <small class="text-muted">at ${new Date(snapshot.timestamp).toLocaleString()}</small></h6>
+      <table class="table table-sm table-bordered">
+        <thead><tr><th>Receptor</th><th>Location</th><th class="text-end">Concentration (mg/m³)</th><th>Hazard</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  pageTemplate({ image, sections, createdAt }) {
+    // Reuse the application's stylesheets for badges and tables
+    const stylesheets = Array.from(document.querySelectorAll('link[rel="stylesheet"]'))
+      .map(link => `<link rel="stylesheet" href="${link.href}">`)
+      .join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Incident Map Report - ${createdAt.toLocaleString()}</title>
+  ${stylesheets}
+  <style>
+    body { padding: 1.5rem; }
+    .report-map { width: 100%; border: 1px solid #dee2e6; }
+    .report-event { page-break-inside: avoid; }
+    @media print {
+      .report-toolbar { display: none !important; }
+      body { padding: 0; }
+    }
+  </style>
+</head>
+<body>
+  <div class="report-toolbar d-flex gap-2 mb-3">
+    <button class="btn btn-primary btn-sm" onclick="window.print()">Print / Save as PDF</button>
+    <a class="btn btn-outline-secondary btn-sm" href="${image.dataUrl}" download="incident-map-${createdAt.toISOString().replace(/[:.]/g, '-')}.png">Download PNG</a>
+  </div>
+  <h4>Incident Map Report</h4>
+  <p class="text-muted">Generated ${createdAt.toLocaleString()}${image.basemap ? '' : ' · base map tiles could not be included'}</p>
+  <img class="report-map mb-4" src="${image.dataUrl}" alt="Dispersion map">
+  ${sections.join('') || '<p class="text-muted">No events in the map view</p>'}
+</body>
+</html>`;
+  }
+}
+
+// Popup markup without its buttons, dropdowns and links
+function stripControls(html) {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  container.querySelectorAll('button, .btn, .btn-group, .dropdown-menu').forEach(element => element.remove());
+  return container.innerHTML;
+}
+
+function plainText(html) {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  return container.textContent;
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.IncidentReport) {
+  window.IncidentReport = new IncidentReport();
+}
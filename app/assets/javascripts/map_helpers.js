@@ -0,0 +1,84 @@
+// Map Helpers
+// Geometry and HTML helpers shared by the map modules. Points are [lat, lng]
+// arrays or { lat, lng } objects as noted; distances are in meters over a
+// local flat-earth approximation, which is accurate at plume scales.
+
+// Meters per degree of latitude, and of longitude at the equator; the same
+// factors as the server's receptor and grid calculations
+const METERS_PER_DEGREE_LAT = 110540;
+const METERS_PER_DEGREE_LNG = 111320;
+
+class MapHelpers {
+  constructor() {
+    this.metersPerDegreeLat = METERS_PER_DEGREE_LAT;
+    this.metersPerDegreeLng = METERS_PER_DEGREE_LNG;
+  }
+
+  // Meters per degree of longitude at a latitude
+  metersPerDegreeLngAt(lat) {
+    return METERS_PER_DEGREE_LNG * Math.cos(lat * Math.PI / 180);
+  }
+
+  // Point `distance` meters from `origin` along a bearing (degrees clockwise from north)
+  offsetLatLng(origin, distance, bearing) {
+    const radians = bearing * Math.PI / 180;
+    return {
+      lat: origin.lat + distance * Math.cos(radians) / METERS_PER_DEGREE_LAT,
+      lng: origin.lng + distance * Math.sin(radians) / this.metersPerDegreeLngAt(origin.lat)
+    };
+  }
+
+  // [lat, lng] to [x east, y north] meters from `origin`, and back
+  toMeters([lat, lng], origin) {
+    return [
+      (lng - origin.lng) * this.metersPerDegreeLngAt(origin.lat),
+      (lat - origin.lat) * METERS_PER_DEGREE_LAT
+    ];
+  }
+
+  fromMeters([x, y], origin) {
+    return [
+      origin.lat + y / METERS_PER_DEGREE_LAT,
+      origin.lng + x / this.metersPerDegreeLngAt(origin.lat)
+    ];
+  }
+
+  // Ray casting of a [lat, lng] point over [lat, lng] polygon points
+  pointInPolygon([lat, lng], points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const [latI, lngI] = points[i];
+      const [latJ, lngJ] = points[j];
+      if ((latI > lat) !== (latJ > lat) &&
+          lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  // 850 m, 1.2 km; `digits` decimals for kilometers, trailing zeros dropped
+  formatDistance(meters, digits = 1) {
+    return meters >= 1000 ? `${+(meters / 1000).toFixed(digits)} km` : `${Math.round(meters)} m`;
+  }
+
+  // shelter_in_place -> Shelter in place
+  humanize(value) {
+    if (!value) return '';
+    const text = String(value).replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.MapHelpers) {
+  window.MapHelpers = new MapHelpers();
+}
@@ -0,0 +1,390 @@
+// Map Layer Manager
+// Panel listing the site's server-defined map layers (/map_layers). A layer's
+// GeoJSON is fetched the first time it is shown. Each layer draws into its own
+// map pane, so the panel order (top of the list draws on top) maps to pane
+// z-indexes and opacity is the pane's opacity. Visibility, order and opacity are
+// saved through the map_layers endpoints.
+
+class MapLayerManager {
+  constructor() {
+    this.basePaneZIndex = 300;   // above tiles (200), below plumes and markers (400+)
+    this.opacityDelay = 500;     // ms after the slider stops before saving
+
+    this.map = null;
+    this.control = null;
+    this.layers = [];            // server layers, bottom first
+    this.overlays = new Map();   // layer id -> { geojson, loading }
+    this.opacityTimers = new Map();
+    this.dragging = null;        // id of the row being dragged
+    this.status = '';
+
+    document.addEventListener('mapReady', (event) => this.attach(event.detail.map));
+
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => this.detach(), { persistent: true });
+    }
+  }
+
+  async attach(map) {
+    if (this.map === map) return;
+
+    this.map = map;
+    this.overlays.clear();
+    this.control = this.createControl();
+    this.control.addTo(map);
+
+    try {
+      const result = await this.request('/map_layers.json');
+      if (this.map !== map) return;
+
+      this.layers = this.sorted(result.data);
+      this.layers.forEach(layer => {
+        this.applyPane(layer);
+        if (layer.visible) this.show(layer);
+      });
+      this.setStatus(this.layers.length === 0 ? 'No map layers configured' : '');
+    } catch (error) {
+      console.error('Error loading map layers:', error);
+      this.setStatus('Map layers unavailable');
+    }
+    this.renderList();
+  }
+
+  // The map itself is removed by the dispersion map teardown
+  detach() {
+    this.opacityTimers.forEach(timer => clearTimeout(timer));
+    this.opacityTimers.clear();
+    this.overlays.clear();
+    this.layers = [];
+    this.control = null;
+    this.map = null;
+  }
+
+  find(id) {
+    return this.layers.find(layer => layer.id === Number(id));
+  }
+
+  sorted(layers) {
+    return layers.slice().sort((a, b) => a.z_index - b.z_index || a.name.localeCompare(b.name));
+  }
+
+  opacity(layer) {
+    const opacity = layer.style_config && layer.style_config.opacity;
+    return opacity == null ? 1 : Number(opacity);
+  }
+
+  // A pane per layer keeps its features together at the layer's z-order
+  applyPane(layer) {
+    const name = `mapLayer${layer.id}`;
+    const pane = this.map.getPane(name) || this.map.createPane(name);
+    pane.style.zIndex = this.basePaneZIndex + this.layers.indexOf(layer);
+    pane.style.opacity = this.opacity(layer);
+    return name;
+  }
+
+  async show(layer) {
+    let overlay = this.overlays.get(layer.id);
+    if (overlay) {
+      if (overlay.geojson) overlay.geojson.addTo(this.map);
+      return;
+    }
+
+    overlay = { geojson: null, loading: true };
+    this.overlays.set(layer.id, overlay);
+    this.renderList();
+
+    try {
+      const map = this.map;
+      const result = await this.request(`/map_layers/${layer.id}/features.json`);
+      if (this.map !== map || this.overlays.get(layer.id) !== overlay) return;
+
+      overlay.geojson = this.createGeoJSON(layer, result.data.features);
+      if (result.data.truncated) {
+        this.setStatus(`${layer.name}: showing the first ${result.data.count} features`);
+      }
+      if (layer.visible) overlay.geojson.addTo(map);
+    } catch (error) {
+      console.error(`Error loading map layer ${layer.name}:`, error);
+      this.overlays.delete(layer.id);
+      this.setStatus(`Could not load ${layer.name}`);
+    } finally {
+      overlay.loading = false;
+      this.renderList();
+    }
+  }
+
+  hide(layer) {
+    const overlay = this.overlays.get(layer.id);
+    if (overlay && overlay.geojson) overlay.geojson.remove();
+  }
+
+  createGeoJSON(layer, features) {
+    const pane = this.applyPane(layer);
+    const renderer = L.canvas({ pane, padding: 0.5, tolerance: 3 });
+    const style = { ...(layer.style_config || {}) };
+    delete style.opacity;
+
+    return L.geoJSON({ type: 'FeatureCollection', features }, {
+      pane,
+      renderer,
+      style: () => style,
+      pointToLayer: (feature, latlng) => L.circleMarker(latlng, { ...style, radius: 5, pane, renderer }),
+      onEachFeature: (feature, featureLayer) => {
+        featureLayer.bindPopup(() => this.popup(layer, feature), { maxWidth: 300 });
+      }
+    });
+  }
+
+  popup(layer, feature) {
+    const props = feature.properties || {};
+    const rows = Object.entries(props)
+      .filter(([key, value]) => !['id', 'name', 'map_layer_id'].includes(key) && value != null && typeof value !== 'object')
+      .slice(0, 8)
+      .map(([key, value]) => `<tr><td>${window.MapHelpers.escapeHtml(window.MapHelpers.humanize(key))}:</td><td>${window.MapHelpers.escapeHtml(value)}</td></tr>`)
+      .join('');
+
+    return `
+      <div class="map-layer-popup">
+        <h6>${window.MapHelpers.escapeHtml(props.name || window.MapHelpers.humanize(props.type || props.feature_type || 'Feature'))}</h6>
+        <small class="text-muted d-block mb-1">${window.MapHelpers.escapeHtml(layer.name)}</small>
+        ${rows ? `<table class="table table-sm mb-0">${rows}</table>` : ''}
+      </div>
+    `;
+  }
+
+  async toggle(id, visible) {
+    const layer = this.find(id);
+    if (!layer) return;
+
+    layer.visible = visible;
+    visible ? this.show(layer) : this.hide(layer);
+
+    try {
+      await this.request(`/map_layers/${id}/toggle_visibility.json`, 'POST', { visible });
+    } catch (error) {
+      console.error('Error saving layer visibility:', error);
+      this.setStatus(`Could not save ${layer.name}`);
+    }
+  }
+
+  async toggleAll(visible) {
+    if (this.layers.length === 0) return;
+
+    this.layers.forEach(layer => {
+      layer.visible = visible;
+      visible ? this.show(layer) : this.hide(layer);
+    });
+    this.renderList();
+
+    try {
+      await this.request('/map_layers/bulk_toggle_visibility.json', 'POST', {
+        ids: this.layers.map(layer => layer.id),
+        visible
+      });
+    } catch (error) {
+      console.error('Error saving layer visibility:', error);
+      this.setStatus('Could not save layer visibility');
+    }
+  }
+
+  async zoomTo(id) {
+    const layer = this.find(id);
+    if (!layer) return;
+
+    try {
+      const result = await this.request(`/map_layers/${id}/bounds.json`);
+      const { north, south, east, west } = result.data;
+      this.map.fitBounds([[south, west], [north, east]], { padding: [20, 20] });
+    } catch (error) {
+      this.setStatus(`${layer.name} has no features to zoom to`);
+    }
+  }
+
+  setOpacity(id, opacity) {
+    const layer = this.find(id);
+    if (!layer) return;
+
+    layer.style_config = { ...(layer.style_config || {}), opacity };
+    this.applyPane(layer);
+
+    clearTimeout(this.opacityTimers.get(layer.id));
+    this.opacityTimers.set(layer.id, setTimeout(async () => {
+      this.opacityTimers.delete(layer.id);
+      try {
+        await this.request(`/map_layers/${id}.json`, 'PATCH', { map_layer: { style_config: { opacity } } });
+      } catch (error) {
+        console.error('Error saving layer opacity:', error);
+        this.setStatus(`Could not save ${layer.name}`);
+      }
+    }, this.opacityDelay));
+  }
+
+  // Move `id` to the list position of `targetId`; the list shows the top layer first
+  async move(id, targetId) {
+    const layer = this.find(id);
+    const target = this.find(targetId);
+    if (!layer || !target || layer === target) return;
+
+    const topFirst = this.layers.slice().reverse();
+    const to = topFirst.indexOf(target);
+    topFirst.splice(topFirst.indexOf(layer), 1);
+    topFirst.splice(to, 0, layer);
+    this.layers = topFirst.reverse();
+    this.layers.forEach((other, index) => {
+      other.z_index = index;
+      this.applyPane(other);
+    });
+    this.renderList();
+
+    try {
+      await this.request('/map_layers/reorder.json', 'POST', { ids: this.layers.map(other => other.id) });
+    } catch (error) {
+      console.error('Error saving layer order:', error);
+      this.setStatus('Could not save the layer order');
+    }
+  }
+
+  async request(url, method = 'GET', body = null) {
+    const csrfToken = document.querySelector('[name="csrf-token"]');
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': csrfToken ? csrfToken.content : ''
+      },
+      body: body ? JSON.stringify(body) : null
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || result.status !== 'success') {
+      throw new Error(result.message || `HTTP error! status: ${response.status}`);
+    }
+    return result;
+  }
+
+  setStatus(message) {
+    this.status = message;
+    const element = this.element('[data-role="status"]');
+    if (element) element.textContent = message;
+  }
+
+  element(selector) {
+    const container = this.control && this.control.getContainer();
+    return container ? container.querySelector(selector) : null;
+  }
+
+  createControl() {
+    const control = L.control({ position: 'topright' });
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create('div', 'map-layer-manager leaflet-bar bg-white small');
+      div.innerHTML = `
+        <button type="button" class="btn btn-sm btn-light w-100 text-start" data-action="collapse" title="Site map layers">
+          <i class="fas fa-layer-group"></i> Site layers
+        </button>
+        <div data-role="panel" class="p-2 d-none" style="width: 260px; max-height: 360px; overflow-y: auto;">
+          <div class="d-flex justify-content-end gap-2 mb-1">
+            <button type="button" class="btn btn-sm btn-link p-0" data-action="show-all">Show all</button>
+            <button type="button" class="btn btn-sm btn-link p-0" data-action="hide-all">Hide all</button>
+          </div>
+          <ul class="list-unstyled mb-1" data-role="list"></ul>
+          <div class="text-muted" data-role="status">${this.status}</div>
+        </div>
+      `;
+
+      L.DomEvent.disableClickPropagation(div);
+      L.DomEvent.disableScrollPropagation(div);
+      this.bindEvents(div);
+      return div;
+    };
+
+    return control;
+  }
+
+  bindEvents(div) {
+    div.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-action]');
+      if (!button) return;
+
+      if (button.dataset.action === 'collapse') {
+        div.querySelector('[data-role="panel"]').classList.toggle('d-none');
+      } else if (button.dataset.action === 'show-all' || button.dataset.action === 'hide-all') {
+        this.toggleAll(button.dataset.action === 'show-all');
+      } else if (button.dataset.action === 'zoom') {
+        this.zoomTo(button.dataset.layerId);
+      }
+    });
+
+    div.addEventListener('change', (event) => {
+      if (event.target.dataset.action === 'visible') {
+        this.toggle(event.target.dataset.layerId, event.target.checked);
+      }
+    });
+
+    div.addEventListener('input', (event) => {
+      if (event.target.dataset.action === 'opacity') {
+        this.setOpacity(event.target.dataset.layerId, Number(event.target.value) / 100);
+      }
+    });
+
+    div.addEventListener('dragstart', (event) => {
+      const row = event.target.closest('li[data-layer-id]');
+      if (!row) return;
+      this.dragging = row.dataset.layerId;
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', row.dataset.layerId);
+    });
+
+    div.addEventListener('dragover', (event) => {
+      if (this.dragging && event.target.closest('li[data-layer-id]')) event.preventDefault();
+    });
+
+    div.addEventListener('drop', (event) => {
+      const row = event.target.closest('li[data-layer-id]');
+      if (!row || !this.dragging) return;
+      event.preventDefault();
+      this.move(this.dragging, row.dataset.layerId);
+    });
+
+    div.addEventListener('dragend', () => {
+      this.dragging = null;
+    });
+  }
+
+  // Top layer first, as it draws over the ones below it
+  renderList() {
+    const list = this.element('[data-role="list"]');
+    if (!list) return;
+
+    list.innerHTML = this.layers.slice().reverse().map(layer => {
+      const overlay = this.overlays.get(layer.id);
+      const loading = overlay && overlay.loading;
+
+      return `
+        <li class="border-bottom py-1" data-layer-id="${layer.id}">
+          <div class="d-flex align-items-center gap-1">
+            <i class="fas fa-grip-vertical text-muted" draggable="true" style="cursor: move;" title="Drag to reorder"></i>
+            <input type="checkbox" class="form-check-input m-0" data-action="visible" data-layer-id="${layer.id}"
+                   ${layer.visible ? 'checked' : ''} title="Show layer">
+            <span class="flex-grow-1 text-truncate" title="${window.MapHelpers.escapeHtml(layer.description || layer.name)}">
+              ${window.MapHelpers.escapeHtml(layer.name)}
+              <span class="text-muted">(${layer.feature_count})</span>
+            </span>
+            ${loading ? '<i class="fas fa-spinner fa-spin text-muted"></i>' : ''}
+            <button type="button" class="btn btn-sm btn-link p-0" data-action="zoom" data-layer-id="${layer.id}" title="Zoom to layer">
+              <i class="fas fa-search-plus"></i>
+            </button>
+          </div>
+          <input type="range" class="form-range" min="0" max="100" step="5" data-action="opacity" data-layer-id="${layer.id}"
+                 value="${Math.round(this.opacity(layer) * 100)}" title="Opacity">
+        </li>
+      `;
+    }).join('');
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.MapLayerManager) {
+  window.MapLayerManager = new MapLayerManager();
+}
@@ -0,0 +1,217 @@
+// Map Markers
+// Keeps the dashboard map responsive with thousands of features. Receptors and
+// wind vectors are drawn by one canvas renderer per map instead of as DOM
+// markers. Location and weather station markers go into cluster layers, which
+// only put markers inside the viewport on the map and merge neighbouring ones
+// into a count badge colored by the worst status among them.
+
+// Weather station status by Pasquill class. Stable air keeps a release
+// concentrated, so it ranks worse; colors match the stability badges.
+const STABILITY_STATUSES = {
+  A: { rank: 0, color: '#ff4444', label: 'Class A (Very Unstable)' },
+  B: { rank: 1, color: '#ff8800', label: 'Class B (Moderately Unstable)' },
+  C: { rank: 2, color: '#ffcc00', label: 'Class C (Slightly Unstable)' },
+  D: { rank: 3, color: '#66cc66', label: 'Class D (Neutral)' },
+  E: { rank: 4, color: '#3399ff', label: 'Class E (Slightly Stable)' },
+  F: { rank: 5, color: '#0066cc', label: 'Class F (Moderately Stable)' }
+};
+
+// Grid-based cluster layer with the LayerGroup methods the map code uses.
+// Markers carry `options.status`; `statuses` maps each status to
+// { rank, color, label }, and a cluster takes the highest rank among its markers.
+const MarkerClusterLayer = L.Layer.extend({
+  options: {
+    gridSize: 60,                // px; markers in the same cell merge
+    disableClusteringAtZoom: 17,
+    viewportPadding: 0.2,        // fraction of the view kept rendered around it
+    statuses: {},
+    title: 'markers'
+  },
+
+  initialize(options) {
+    L.setOptions(this, options);
+    this.markers = new Set();
+    this.shown = new Set();      // markers and cluster badges currently on the map
+    this.renderTimer = null;
+  },
+
+  onAdd(map) {
+    map.on('moveend', this.scheduleRender, this);
+    this.render();
+  },
+
+  onRemove(map) {
+    map.off('moveend', this.scheduleRender, this);
+    clearTimeout(this.renderTimer);
+    this.shown.forEach(layer => map.removeLayer(layer));
+    this.shown.clear();
+  },
+
+  addLayer(marker) {
+    this.markers.add(marker);
+    this.scheduleRender();
+    return this;
+  },
+
+  removeLayer(marker) {
+    this.markers.delete(marker);
+    this.scheduleRender();
+    return this;
+  },
+
+  hasLayer(marker) {
+    return this.markers.has(marker);
+  },
+
+  clearLayers() {
+    this.markers.clear();
+    this.scheduleRender();
+    return this;
+  },
+
+  eachLayer(callback, context) {
+    Array.from(this.markers).forEach(marker => callback.call(context, marker));
+    return this;
+  },
+
+  getLayers() {
+    return Array.from(this.markers);
+  },
+
+  // Re-cluster after markers moved or changed status
+  refresh() {
+    this.scheduleRender();
+  },
+
+  // One render after a batch of additions
+  scheduleRender() {
+    clearTimeout(this.renderTimer);
+    this.renderTimer = setTimeout(() => this.render(), 0);
+  },
+
+  render() {
+    const map = this._map;
+    if (!map) return;
+
+    const next = new Set();
+    this.groups(map).forEach(markers => {
+      next.add(markers.length === 1 ? markers[0] : this.clusterMarker(map, markers));
+    });
+
+    // Markers that stay put keep their DOM element and any open popup
+    this.shown.forEach(layer => {
+      if (!next.has(layer)) map.removeLayer(layer);
+    });
+    next.forEach(layer => {
+      if (!this.shown.has(layer)) map.addLayer(layer);
+    });
+    this.shown = next;
+  },
+
+  // Markers inside the padded viewport, grouped by grid cell at the current zoom
+  groups(map) {
+    const bounds = map.getBounds().pad(this.options.viewportPadding);
+    const zoom = map.getZoom();
+    const clustering = zoom < this.options.disableClusteringAtZoom;
+    const cells = new Map();
+
+    this.markers.forEach(marker => {
+      const latlng = marker.getLatLng();
+      if (!bounds.contains(latlng)) return;
+
+      let key = L.stamp(marker);
+      if (clustering) {
+        const point = map.project(latlng, zoom);
+        key = `${Math.floor(point.x / this.options.gridSize)}:${Math.floor(point.y / this.options.gridSize)}`;
+      }
+
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(marker);
+    });
+
+    return Array.from(cells.values());
+  },
+
+  // Count badge at the markers' mean position; clicking zooms to them
+  clusterMarker(map, markers) {
+    const worst = this.worstStatus(markers);
+    const color = worst ? worst.color : '#6c757d';
+    const count = markers.length;
+    const size = count < 10 ? 30 : count < 100 ? 36 : 44;
+
+    const latlngs = markers.map(marker => marker.getLatLng());
+    const center = L.latLng(
+      latlngs.reduce((sum, latlng) => sum + latlng.lat, 0) / count,
+      latlngs.reduce((sum, latlng) => sum + latlng.lng, 0) / count
+    );
+
+    const cluster = L.marker(center, {
+      icon: L.divIcon({
+        className: 'marker-cluster',
+        html: `
+          <div class="d-flex align-items-center justify-content-center rounded-circle fw-bold"
+               style="width: ${size}px; height: ${size}px; background-color: ${color}; color: white; border: 3px solid rgba(255,255,255,0.8); box-shadow: 0 1px 4px rgba(0,0,0,0.4); font-size: 12px;">
+            ${count}
+          </div>
+        `,
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2]
+      })
+    });
+
+    cluster.bindTooltip(this.summary(markers), { direction: 'top', offset: [0, -size / 2] });
+    cluster.on('click', () => {
+      map.fitBounds(L.latLngBounds(latlngs).pad(0.1), { maxZoom: this.options.disableClusteringAtZoom });
+    });
+    return cluster;
+  },
+
+  worstStatus(markers) {
+    let worst = null;
+    markers.forEach(marker => {
+      const status = this.options.statuses[marker.options.status];
+      if (status && (!worst || status.rank > worst.rank)) worst = status;
+    });
+    return worst;
+  },
+
+  // "24 locations" followed by a count per status, worst first
+  summary(markers) {
+    const counts = new Map();
+    markers.forEach(marker => {
+      const status = this.options.statuses[marker.options.status];
+      if (status) counts.set(status, (counts.get(status) || 0) + 1);
+    });
+
+    const lines = Array.from(counts.entries())
+      .sort(([a], [b]) => b.rank - a.rank)
+      .map(([status, count]) => `${count} × ${status.label}`);
+    return [`<strong>${markers.length} ${this.options.title}</strong>`, ...lines].join('<br>');
+  }
+});
+
+class MapMarkers {
+  constructor() {
+    this.renderers = new WeakMap(); // map -> L.Canvas
+    this.stabilityStatuses = STABILITY_STATUSES;
+  }
+
+  // The map's shared canvas renderer, for circle markers and vectors
+  canvas(map) {
+    let renderer = this.renderers.get(map);
+    if (!renderer) {
+      renderer = L.canvas({ padding: 0.5, tolerance: 3 });
+      this.renderers.set(map, renderer);
+    }
+    return renderer;
+  }
+
+  clusterGroup(options = {}) {
+    return new MarkerClusterLayer(options);
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.MapMarkers) {
+  window.MapMarkers = new MapMarkers();
+}
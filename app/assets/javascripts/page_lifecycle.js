@@ -0,0 +1,71 @@
+// Page Lifecycle for Turbo Navigation
+// Turbo swaps the page body without reloading modules, so intervals, cable
+// subscriptions and Leaflet maps started for one page outlive it unless they are
+// released. Modules register page-scoped resources here; they are torn down on
+// turbo:before-render, and the dashboard rebuilds them on turbo:load.
+
+class PageLifecycle {
+  constructor() {
+    this.intervals = new Set();
+    this.listeners = [];
+    this.teardownCallbacks = [];
+    this.persistentCallbacks = [];
+
+    document.addEventListener('turbo:before-render', () => this.teardown());
+  }
+
+  // setInterval that is cleared when the page is torn down
+  setInterval(callback, delay) {
+    const id = window.setInterval(callback, delay);
+    this.intervals.add(id);
+    return id;
+  }
+
+  clearInterval(id) {
+    window.clearInterval(id);
+    this.intervals.delete(id);
+  }
+
+  // addEventListener that is removed when the page is torn down
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+
+  // Run a callback on the next teardown only; pass `persistent` for module-level
+  // cleanup that must run on every navigation
+  onTeardown(callback, { persistent = false } = {}) {
+    (persistent ? this.persistentCallbacks : this.teardownCallbacks).push(callback);
+  }
+
+  teardown() {
+    // Newest first, so managers detach from the map before the map is removed;
+    // module-level cleanup runs last
+    const callbacks = this.teardownCallbacks.reverse().concat(this.persistentCallbacks);
+    this.teardownCallbacks = [];
+
+    callbacks.forEach(callback => {
+      try {
+        callback();
+      } catch (error) {
+        console.error('Error during page teardown:', error);
+      }
+    });
+
+    const intervalCount = this.intervals.size;
+    this.intervals.forEach(id => window.clearInterval(id));
+    this.intervals.clear();
+
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this.listeners = [];
+
+    console.log(`Page teardown: ran ${callbacks.length} cleanups, cleared ${intervalCount} intervals`);
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.PageLifecycle) {
+  window.PageLifecycle = new PageLifecycle();
+}
@@ -0,0 +1,217 @@
+// Plume Export
+// Downloads an event's contours as GeoJSON or KML and its receptor
+// concentrations as CSV, for loading into GIS tools. Exports use the snapshot
+// shown on the map: the latest one, or the one selected on the history slider.
+// Each feature carries the level, hazard tier, chemical and weather attributes.
+
+const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', type: 'application/geo+json' },
+  kml: { label: 'KML', extension: 'kml', type: 'application/vnd.google-earth.kml+xml' },
+  csv: { label: 'Receptors CSV', extension: 'csv', type: 'text/csv' }
+};
+
+class PlumeExport {
+  constructor() {
+    this.events = new Map(); // eventId -> { chemical, location, status }
+  }
+
+  // Remember event names for export attributes, and the status overlays use to
+  // leave out stopped events
+  registerEvent(eventId, { chemical = null, location = null, status = null } = {}) {
+    const previous = this.events.get(String(eventId));
+    this.events.set(String(eventId), { chemical, location, status: previous ? previous.status : null });
+    this.setStatus(eventId, status);
+  }
+
+  setStatus(eventId, status) {
+    const event = this.events.get(String(eventId));
+    if (!event || event.status === status) return;
+
+    event.status = status;
+    document.dispatchEvent(new CustomEvent('plume-event-status-change', { detail: { eventId, status } }));
+  }
+
+  isActive(eventId) {
+    const event = this.events.get(String(eventId));
+    return Boolean(event) && event.status === 'active';
+  }
+
+  // Dropdown markup for event popups
+  menu(eventId) {
+    const items = Object.entries(EXPORT_FORMATS).map(([format, { label }]) => `
+      <li><a class="dropdown-item" href="#" onclick="window.PlumeExport.download(${eventId}, '${format}'); return false;">${label}</a></li>
+    `).join('');
+
+    return `
+      <div class="btn-group">
+        <button class="btn btn-sm btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false">
+          <i class="fas fa-download"></i> Export
+        </button>
+        <ul class="dropdown-menu">${items}</ul>
+      </div>
+    `;
+  }
+
+  download(eventId, format) {
+    const snapshot = window.PlumeHistory.getSelectedSnapshot(eventId);
+    if (!snapshot) {
+      alert('No plume data has been received for this event yet.');
+      return;
+    }
+
+    const builders = {
+      geojson: () => JSON.stringify(this.toGeoJSON(eventId, snapshot), null, 2),
+      kml: () => this.toKML(eventId, snapshot),
+      csv: () => this.toCSV(eventId, snapshot)
+    };
+    const { extension, type } = EXPORT_FORMATS[format];
+    const stamp = new Date(snapshot.timestamp).toISOString().replace(/[:.]/g, '-');
+
+    const blob = new Blob([builders[format]()], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `event-${eventId}-plume-${stamp}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // Attributes shared by every exported feature and row
+  attributes(eventId, snapshot) {
+    const event = this.events.get(String(eventId)) || {};
+    const scale = window.HazardScale.getScale(eventId);
+    const weather = snapshot.weather || {};
+
+    return {
+      event_id: eventId,
+      chemical: event.chemical || scale.chemical || null,
+      location: event.location || null,
+      timestamp: new Date(snapshot.timestamp).toISOString(),
+      hazard_standard: scale.standard,
+      wind_speed_ms: weather.wind_speed ?? null,
+      wind_direction_deg: weather.wind_direction ?? null,
+      stability_class: weather.stability_class ?? null,
+      temperature_c: weather.temperature ?? null
+    };
+  }
+
+  // Contours as a FeatureCollection of polygons ([lng, lat] order, closed rings)
+  toGeoJSON(eventId, snapshot) {
+    const attributes = this.attributes(eventId, snapshot);
+
+    return {
+      type: 'FeatureCollection',
+      features: this.contours(snapshot).map(contour => {
+        const hazard = window.HazardScale.classify(contour.level, eventId);
+        return {
+          type: 'Feature',
+          geometry: { type: 'Polygon', coordinates: [this.ring(contour.points)] },
+          properties: {
+            ...attributes,
+            level_mg_m3: contour.level,
+            hazard_tier: hazard.label,
+            color: hazard.color
+          }
+        };
+      })
+    };
+  }
+
+  toKML(eventId, snapshot) {
+    const attributes = this.attributes(eventId, snapshot);
+    const name = `Event ${eventId}${attributes.chemical ? ` - ${attributes.chemical}` : ''}`;
+
+    const placemarks = this.contours(snapshot).map(contour => {
+      const hazard = window.HazardScale.classify(contour.level, eventId);
+      const data = { ...attributes, level_mg_m3: contour.level, hazard_tier: hazard.label };
+      const coordinates = this.ring(contour.points).map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+
+      return `
+    <Placemark>
+      <name>${escapeXml(`${contour.level} mg/m³ (${hazard.label})`)}</name>
+      <Style>
+        <LineStyle><color>${kmlColor(hazard.color, 'ff')}</color><width>2</width></LineStyle>
+        <PolyStyle><color>${kmlColor(hazard.color, '66')}</color></PolyStyle>
+      </Style>
+      <ExtendedData>
+${Object.entries(data).map(([key, value]) => `        <Data name="${key}"><value>${escapeXml(value ?? '')}</value></Data>`).join('\n')}
+      </ExtendedData>
+      <Polygon>
+        <outerBoundaryIs><LinearRing><coordinates>${coordinates}</coordinates></LinearRing></outerBoundaryIs>
+      </Polygon>
+    </Placemark>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+    <description>${escapeXml(`Plume contours at ${attributes.timestamp}`)}</description>${placemarks}
+  </Document>
+</kml>
+`;
+  }
+
+  toCSV(eventId, snapshot) {
+    const attributes = this.attributes(eventId, snapshot);
+    const columns = [
+      'event_id', 'chemical', 'receptor_id', 'receptor_name', 'latitude', 'longitude',
+      'concentration_mg_m3', 'hazard_tier', 'timestamp', 'wind_speed_ms',
+      'wind_direction_deg', 'stability_class', 'temperature_c'
+    ];
+
+    const rows = snapshot.receptors.map(receptor => {
+      const row = {
+        ...attributes,
+        receptor_id: receptor.id ?? '',
+        receptor_name: receptor.name ?? '',
+        latitude: receptor.lat,
+        longitude: receptor.lng,
+        concentration_mg_m3: receptor.concentration,
+        hazard_tier: window.HazardScale.classify(receptor.concentration, eventId).label
+      };
+      return columns.map(column => escapeCsv(row[column])).join(',');
+    });
+
+    return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  contours(snapshot) {
+    return snapshot.contours.filter(contour => contour.points && contour.points.length > 2);
+  }
+
+  // [lat, lng] points to a closed [lng, lat] ring
+  ring(points) {
+    const ring = points.map(([lat, lng]) => [lng, lat]);
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+    return ring;
+  }
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// KML colors are aabbggrr
+function kmlColor(hex, alpha) {
+  const [r, g, b] = [hex.slice(1, 3), hex.slice(3, 5), hex.slice(5, 7)];
+  return `${alpha}${b}${g}${r}`;
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.PlumeExport) {
+  window.PlumeExport = new PlumeExport();
+}
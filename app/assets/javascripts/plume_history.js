@@ -0,0 +1,420 @@
+// Plume History and Playback
+// Keeps a timeline of contour and receptor snapshots for each event, recorded
+// from plume_data responses and plume_update messages on the dispersion stream,
+// and adds a time slider to the dispersion map. Operators can scrub, play, pause
+// and change the playback speed; each snapshot shows the weather that applied at
+// that time. The history lives for the browser session, across Turbo visits.
+
+const HISTORY_PLAYBACK_SPEEDS = [0.5, 1, 2, 4, 8];
+
+class PlumeHistory {
+  constructor() {
+    this.snapshots = new Map(); // eventId -> snapshots, oldest first
+    this.maxSnapshots = 120;    // per event; an hour at the 30 s plume cadence
+    this.frameInterval = 1000;  // ms per snapshot at 1x
+
+    this.map = null;
+    this.control = null;
+    this.layer = null;
+    this.eventId = null;
+    this.index = null;          // null while following live updates
+    this.speed = 1;
+    this.playTimer = null;
+    this.liveLayerHidden = false;
+
+    document.addEventListener('mapReady', (event) => this.attach(event.detail.map));
+
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => this.detach(), { persistent: true });
+    }
+  }
+
+  attach(map) {
+    if (this.map === map) return;
+
+    this.map = map;
+    this.index = null;
+    this.layer = L.layerGroup();
+    this.control = this.createControl();
+    this.control.addTo(map);
+    this.render();
+  }
+
+  // The map itself is removed by the dispersion map teardown
+  detach() {
+    this.pause();
+    this.index = null;
+    this.liveLayerHidden = false;
+    this.layer = null;
+    this.control = null;
+    this.map = null;
+  }
+
+  // Record a plume_data payload ({ contours, weather, timestamp, source_location })
+  recordPlume(eventId, plumeData) {
+    if (!plumeData || !plumeData.contours) return;
+
+    const last = this.lastSnapshot(eventId);
+    const contourKey = hashText(JSON.stringify(plumeData.contours));
+
+    // Unchanged contours share the previous snapshot's array, so snapshots only
+    // hold new contours when the plume actually moved
+    this.append(eventId, {
+      timestamp: Date.parse(plumeData.timestamp) || Date.now(),
+      contours: last && last.contourKey === contourKey ? last.contours : plumeData.contours,
+      contourKey,
+      weather: plumeData.weather || (last && last.weather) || null,
+      receptors: last ? last.receptors : []
+    });
+  }
+
+  // Record receptor concentrations ({ id, name, lat, lng, concentration }).
+  // With `merge`, receptors not listed keep their previous values; updates are
+  // matched by id, or by position when a source has no receptor ids.
+  recordReceptors(eventId, receptors, { merge = false, timestamp = null, weather = null } = {}) {
+    const last = this.lastSnapshot(eventId);
+    let next = receptors;
+
+    if (merge && last) {
+      next = last.receptors.slice();
+      receptors.forEach(update => {
+        // Partial updates (e.g. a calculation with only a receptor id) keep known fields
+        const receptor = Object.fromEntries(Object.entries(update).filter(([, value]) => value != null));
+        const index = next.findIndex(existing => this.sameReceptor(existing, receptor));
+        if (index >= 0) {
+          next[index] = { ...next[index], ...receptor };
+        } else {
+          next.push(receptor);
+        }
+      });
+    }
+
+    this.append(eventId, {
+      timestamp: Date.parse(timestamp) || Date.now(),
+      contours: last ? last.contours : [],
+      contourKey: last ? last.contourKey : null,
+      weather: weather || (last && last.weather) || null,
+      receptors: next
+    });
+  }
+
+  sameReceptor(a, b) {
+    if (a.id != null && b.id != null) return String(a.id) === String(b.id);
+    return Math.abs(a.lat - b.lat) < 0.0001 && Math.abs(a.lng - b.lng) < 0.0001;
+  }
+
+  lastSnapshot(eventId) {
+    const history = this.snapshots.get(eventId);
+    return history && history.length > 0 ? history[history.length - 1] : null;
+  }
+
+  append(eventId, snapshot) {
+    let history = this.snapshots.get(eventId);
+    if (!history) {
+      history = [];
+      this.snapshots.set(eventId, history);
+    }
+
+    // Polling returns the same calculation until a new one exists; keep changes
+    // only. Contours compare by key; receptors and weather are small
+    const last = history[history.length - 1];
+    if (last && last.contourKey === snapshot.contourKey &&
+        JSON.stringify([last.receptors, last.weather]) === JSON.stringify([snapshot.receptors, snapshot.weather])) {
+      return;
+    }
+
+    // Snapshots from the stream can arrive out of order
+    let position = history.length;
+    while (position > 0 && history[position - 1].timestamp > snapshot.timestamp) position--;
+    history.splice(position, 0, snapshot);
+
+    if (history.length > this.maxSnapshots) {
+      history.shift();
+      if (this.eventId === eventId && this.index !== null) this.index = Math.max(0, this.index - 1);
+    } else if (this.eventId === eventId && this.index !== null && position <= this.index) {
+      this.index += 1; // Keep the reviewed snapshot selected
+    }
+
+    if (this.eventId === null) this.eventId = eventId;
+    this.render();
+    this.notifyChange(eventId);
+  }
+
+  // Lets overlays that depend on the contours shown follow new snapshots and the slider
+  notifyChange(eventId) {
+    document.dispatchEvent(new CustomEvent('plume-history-change', { detail: { eventId } }));
+  }
+
+  getSnapshots(eventId) {
+    return this.snapshots.get(eventId) || [];
+  }
+
+  // The snapshot shown on the map: the one under the slider while reviewing, else the latest
+  getSelectedSnapshot(eventId) {
+    const key = Array.from(this.snapshots.keys()).find(id => String(id) === String(eventId));
+    const history = this.getSnapshots(key);
+    if (history.length === 0) return null;
+
+    const reviewing = this.index !== null && String(this.eventId) === String(eventId);
+    return history[reviewing ? this.index : history.length - 1];
+  }
+
+  // The most recent snapshot, whatever the slider shows
+  getLatestSnapshot(eventId) {
+    const key = Array.from(this.snapshots.keys()).find(id => String(id) === String(eventId));
+    return this.lastSnapshot(key);
+  }
+
+  // Show a snapshot instead of the live contours
+  seek(index) {
+    const history = this.getSnapshots(this.eventId);
+    if (!this.map || history.length === 0) return;
+
+    this.index = Math.min(Math.max(0, index), history.length - 1);
+    this.hideLiveLayer();
+    this.drawSnapshot(history[this.index]);
+    this.render();
+    this.notifyChange(this.eventId);
+  }
+
+  // Return to live updates
+  goLive() {
+    this.pause();
+    this.index = null;
+
+    if (this.layer) {
+      this.layer.clearLayers();
+      this.layer.remove();
+    }
+    if (this.liveLayerHidden && window.plumeContourLayer && this.map) {
+      window.plumeContourLayer.addTo(this.map);
+    }
+    this.liveLayerHidden = false;
+    this.render();
+    this.notifyChange(this.eventId);
+  }
+
+  play() {
+    const history = this.getSnapshots(this.eventId);
+    if (history.length < 2) return;
+
+    // Start over when playing from live or from the last snapshot
+    if (this.index === null || this.index >= history.length - 1) this.seek(0);
+
+    this.pause();
+    this.playTimer = setInterval(() => {
+      if (this.index >= this.getSnapshots(this.eventId).length - 1) {
+        this.pause();
+        return;
+      }
+      this.seek(this.index + 1);
+    }, this.frameInterval / this.speed);
+    this.render();
+  }
+
+  pause() {
+    clearInterval(this.playTimer);
+    this.playTimer = null;
+    this.render();
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+    if (this.playTimer) this.play();
+    this.render();
+  }
+
+  selectEvent(eventId) {
+    this.goLive();
+    this.eventId = eventId;
+    this.render();
+  }
+
+  hideLiveLayer() {
+    if (!this.liveLayerHidden && window.plumeContourLayer && this.map.hasLayer(window.plumeContourLayer)) {
+      window.plumeContourLayer.remove();
+      this.liveLayerHidden = true;
+    }
+    if (!this.map.hasLayer(this.layer)) this.layer.addTo(this.map);
+  }
+
+  drawSnapshot(snapshot) {
+    const eventId = this.eventId;
+    this.layer.clearLayers();
+
+    snapshot.contours.forEach(contour => {
+      if (!contour.points || contour.points.length < 3) return;
+
+      const color = window.HazardScale.getColor(contour.level, eventId);
+      L.polygon(contour.points, {
+        color: color,
+        fillColor: color,
+        fillOpacity: 0.3,
+        weight: 2
+      }).bindPopup(`
+        <div class="plume-popup">
+          <h6>Concentration Contour (history)</h6>
+          <p><strong>Level:</strong> ${contour.level} mg/m³ ${window.HazardScale.badge(contour.level, eventId)}</p>
+          <p><strong>Time:</strong> ${new Date(snapshot.timestamp).toLocaleString()}</p>
+        </div>
+      `).addTo(this.layer);
+    });
+
+    snapshot.receptors.forEach(receptor => {
+      if (receptor.lat == null || receptor.lng == null) return;
+
+      L.circleMarker([receptor.lat, receptor.lng], {
+        radius: 7,
+        color: '#ffffff',
+        weight: 2,
+        fillColor: window.HazardScale.getColor(receptor.concentration, eventId),
+        fillOpacity: 0.9
+      }).bindPopup(`
+        <div class="receptor-popup">
+          <h6><i class="fas fa-crosshairs"></i> ${window.MapHelpers.escapeHtml(receptor.name || 'Receptor')}</h6>
+          <p><strong>Concentration:</strong> ${Number(receptor.concentration || 0).toFixed(3)} mg/m³</p>
+          <p><strong>Hazard:</strong> ${window.HazardScale.badge(receptor.concentration, eventId)}</p>
+        </div>
+      `).addTo(this.layer);
+    });
+  }
+
+  createControl() {
+    const control = L.control({ position: 'bottomright' });
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create('div', 'plume-history-control bg-white p-2 rounded shadow-sm');
+      div.style.width = '320px';
+
+      div.addEventListener('input', (event) => {
+        if (event.target.dataset.historyInput === 'slider') {
+          this.pause();
+          this.seek(parseInt(event.target.value, 10));
+        }
+      });
+      div.addEventListener('change', (event) => {
+        const input = event.target.dataset.historyInput;
+        if (input === 'event') {
+          // Option values are strings; event ids may be numbers
+          const value = event.target.value;
+          this.selectEvent(Array.from(this.snapshots.keys()).find(eventId => String(eventId) === value));
+        }
+        if (input === 'speed') this.setSpeed(parseFloat(event.target.value));
+      });
+      div.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-history-action]');
+        if (!button) return;
+
+        const action = button.dataset.historyAction;
+        if (action === 'play') this.play();
+        if (action === 'pause') this.pause();
+        if (action === 'live') this.goLive();
+      });
+
+      L.DomEvent.disableClickPropagation(div);
+      L.DomEvent.disableScrollPropagation(div);
+      return div;
+    };
+
+    return control;
+  }
+
+  // Update the control in place, so a slider being dragged is not replaced
+  render() {
+    const container = this.control && this.control.getContainer();
+    if (!container) return;
+
+    const history = this.getSnapshots(this.eventId);
+    if (history.length === 0) {
+      container.innerHTML = '<small class="text-muted"><i class="fas fa-history"></i> Plume history records as updates arrive</small>';
+      return;
+    }
+
+    if (!container.querySelector('[data-history-input="slider"]')) {
+      container.innerHTML = this.controlTemplate();
+    }
+
+    const live = this.index === null;
+    const position = live ? history.length - 1 : this.index;
+    const snapshot = history[position];
+    const field = name => container.querySelector(`[data-history-field="${name}"]`);
+
+    const eventSelect = container.querySelector('[data-history-input="event"]');
+    eventSelect.classList.toggle('d-none', this.snapshots.size < 2);
+    eventSelect.innerHTML = Array.from(this.snapshots.keys()).map(eventId =>
+      `<option value="${eventId}" ${String(eventId) === String(this.eventId) ? 'selected' : ''}>Event ${eventId}</option>`
+    ).join('');
+
+    const slider = container.querySelector('[data-history-input="slider"]');
+    slider.max = history.length - 1;
+    slider.value = position;
+
+    const status = field('status');
+    status.className = `badge ${live ? 'bg-success' : 'bg-secondary'}`;
+    status.textContent = live ? 'Live' : 'Review';
+
+    const playButton = container.querySelector('[data-history-action="play"], [data-history-action="pause"]');
+    playButton.dataset.historyAction = this.playTimer ? 'pause' : 'play';
+    playButton.title = this.playTimer ? 'Pause' : 'Play';
+    playButton.innerHTML = `<i class="fas fa-${this.playTimer ? 'pause' : 'play'}"></i>`;
+
+    container.querySelector('[data-history-input="speed"]').value = this.speed;
+    container.querySelector('[data-history-action="live"]').disabled = live;
+    field('position').textContent = `${position + 1}/${history.length}`;
+    field('time').textContent = new Date(snapshot.timestamp).toLocaleString();
+    field('weather').innerHTML = this.describeWeather(snapshot.weather);
+  }
+
+  controlTemplate() {
+    const speedOptions = HISTORY_PLAYBACK_SPEEDS.map(speed =>
+      `<option value="${speed}">${speed}×</option>`
+    ).join('');
+
+    return `
+      <div class="d-flex align-items-center mb-1">
+        <strong class="small me-auto"><i class="fas fa-history"></i> Plume History</strong>
+        <select class="form-select form-select-sm w-auto me-1" data-history-input="event"></select>
+        <span data-history-field="status"></span>
+      </div>
+      <input type="range" class="form-range" data-history-input="slider" min="0" step="1">
+      <div class="d-flex align-items-center">
+        <button class="btn btn-sm btn-outline-primary me-1" data-history-action="play"></button>
+        <select class="form-select form-select-sm w-auto me-1" data-history-input="speed" title="Playback speed">${speedOptions}</select>
+        <button class="btn btn-sm btn-outline-success me-auto" data-history-action="live">Live</button>
+        <small class="text-muted" data-history-field="position"></small>
+      </div>
+      <div class="small mt-1">
+        <i class="fas fa-clock"></i> <span data-history-field="time"></span>
+        <div class="text-muted" data-history-field="weather"></div>
+      </div>
+    `;
+  }
+
+  describeWeather(weather) {
+    if (!weather) return 'No weather recorded for this snapshot';
+
+    const parts = [
+      weather.wind_speed != null ? `Wind ${weather.wind_speed} m/s from ${weather.wind_direction}°` : null,
+      weather.stability_class ? `Stability ${weather.stability_class}` : null,
+      weather.temperature != null ? `${weather.temperature} °C` : null
+    ].filter(Boolean).join(' · ');
+    const link = weather.id ? ` <a href="/weather/${weather.id}" target="_blank">Weather record</a>` : '';
+
+    return `${parts}${link}`;
+  }
+}
+
+// 32-bit FNV-1a; identifies a contour set without keeping its text
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.PlumeHistory) {
+  window.PlumeHistory = new PlumeHistory();
+}
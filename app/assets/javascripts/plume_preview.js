@@ -0,0 +1,332 @@
+// Gaussian Plume Preview
+// Draws an instant, client-side plume footprint from the stability class,
+// σy/σz dispersion coefficients and wind reported by the stability analysis, so
+// operators see a provisional footprint before the server calculation finishes.
+// Previews are dashed and labelled provisional; they are removed as soon as
+// plume_data for an event at the same source arrives. The preview popup doubles
+// as a what-if form that never creates a DispersionEvent.
+
+// Contour levels (mg/m³), matching the server's generic plume contours. The
+// preview has no chemical, so levels are colored on the generic hazard scale.
+const PREVIEW_LEVELS = [0.1, 1.0, 10.0, 100.0];
+
+// Briggs rural coefficients, used when the analysis did not supply any
+// (same values as WeatherService#get_dispersion_coefficients)
+const PREVIEW_COEFFICIENTS = {
+  A: { sigma_y: { a: 0.22, b: 0.0001 }, sigma_z: { c: 0.20, d: 0.0 } },
+  B: { sigma_y: { a: 0.16, b: 0.0001 }, sigma_z: { c: 0.12, d: 0.0 } },
+  C: { sigma_y: { a: 0.11, b: 0.0001 }, sigma_z: { c: 0.08, d: 0.0002 } },
+  D: { sigma_y: { a: 0.08, b: 0.0001 }, sigma_z: { c: 0.06, d: 0.0015 } },
+  E: { sigma_y: { a: 0.06, b: 0.0001 }, sigma_z: { c: 0.03, d: 0.0003 } },
+  F: { sigma_y: { a: 0.04, b: 0.0001 }, sigma_z: { c: 0.016, d: 0.0003 } }
+};
+
+const PREVIEW_STORAGE_KEY = 'plumePreview.pending';
+const EARTH_RADIUS = 6371000; // meters
+
+class PlumePreview {
+  constructor() {
+    this.map = null;
+    this.layer = null;
+    this.previews = new Map();
+    this.nextId = 1;
+
+    this.defaultReleaseRate = 100;   // g/s
+    this.minWindSpeed = 0.5;         // m/s; the Gaussian model breaks down in calm air
+    this.maxDistance = 50000;        // m
+    this.distanceSteps = 120;
+    this.matchRadius = 500;          // m; plume_data within this distance replaces a preview
+    this.pendingTtl = 30 * 60 * 1000;
+
+    document.addEventListener('mapReady', (event) => this.attach(event.detail.map));
+
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => this.detach(), { persistent: true });
+    }
+  }
+
+  attach(map) {
+    if (this.map === map) return;
+
+    this.map = map;
+    this.layer = L.layerGroup().addTo(map);
+    this.previews.clear();
+    this.restorePending();
+  }
+
+  // The map itself is removed by the dispersion map teardown
+  detach() {
+    this.previews.clear();
+    this.layer = null;
+    this.map = null;
+  }
+
+  // Draw a preview. Params:
+  //   { latitude, longitude, stabilityClass, coefficients, windSpeed,
+  //     windDirection, releaseRate, sourceHeight }
+  // Pass `persist` to keep the preview across the navigation to the event form.
+  // Returns the preview id, or null when there is no map to draw on.
+  show(params, { persist = false } = {}) {
+    const preview = {
+      id: `preview-${this.nextId++}`,
+      params: this.normalizeParams(params),
+      layer: null
+    };
+
+    if (persist) this.savePending(preview.params);
+    if (!this.layer) return null;
+
+    // One preview per source point
+    this.previews.forEach(existing => {
+      if (this.distanceBetween(existing.params, preview.params) < 1) this.remove(existing.id);
+    });
+
+    this.previews.set(preview.id, preview);
+    this.draw(preview);
+    return preview.id;
+  }
+
+  normalizeParams(params) {
+    const stabilityClass = PREVIEW_COEFFICIENTS[params.stabilityClass] ? params.stabilityClass : 'D';
+    const coefficients = params.coefficients && params.coefficients.sigma_y && params.coefficients.sigma_z
+      ? params.coefficients
+      : PREVIEW_COEFFICIENTS[stabilityClass];
+
+    return {
+      latitude: Number(params.latitude),
+      longitude: Number(params.longitude),
+      stabilityClass,
+      coefficients,
+      windSpeed: Number(params.windSpeed) || 0,
+      windDirection: Number(params.windDirection) || 0,
+      releaseRate: Number(params.releaseRate) || this.defaultReleaseRate,
+      sourceHeight: Number(params.sourceHeight) || 0
+    };
+  }
+
+  draw(preview) {
+    const params = preview.params;
+    const group = L.featureGroup();
+
+    this.computeContours(params).forEach(contour => {
+      L.polygon(contour.points, {
+        color: contour.color,
+        fillColor: contour.color,
+        fillOpacity: 0.12,
+        weight: 2,
+        opacity: 0.8,
+        dashArray: '6 6'
+      }).addTo(group);
+    });
+
+    L.marker([params.latitude, params.longitude], {
+      icon: L.divIcon({
+        className: 'plume-preview-label',
+        html: '<span class="badge bg-warning text-dark"><i class="fas fa-flask"></i> Provisional preview</span>',
+        iconSize: null
+      })
+    }).addTo(group);
+
+    group.bindPopup(() => this.createPopup(preview), { maxWidth: 320 });
+
+    if (preview.layer) this.layer.removeLayer(preview.layer);
+    preview.layer = group.addTo(this.layer);
+  }
+
+  createPopup(preview) {
+    const params = preview.params;
+    const classOptions = Object.keys(PREVIEW_COEFFICIENTS).map(stabilityClass =>
+      `<option value="${stabilityClass}" ${stabilityClass === params.stabilityClass ? 'selected' : ''}>${stabilityClass}</option>`
+    ).join('');
+    const field = (name, label, value, unit) => `
+      <div class="col-6 mb-1">
+        <label class="form-label small mb-0">${label} (${unit})</label>
+        <input type="number" step="any" class="form-control form-control-sm" data-preview-field="${name}" value="${value}">
+      </div>
+    `;
+
+    return `
+      <div class="plume-preview-form">
+        <h6><i class="fas fa-flask"></i> Provisional Plume Preview</h6>
+        <p class="small text-muted mb-2">
+          Client-side Gaussian estimate for a ground-level receptor. It is replaced by the
+          server calculation once one is available and is not saved.
+        </p>
+        <div class="row g-1">
+          ${field('releaseRate', 'Release rate', params.releaseRate, 'g/s')}
+          ${field('sourceHeight', 'Source height', params.sourceHeight, 'm')}
+          ${field('windSpeed', 'Wind speed', params.windSpeed, 'm/s')}
+          ${field('windDirection', 'Wind from', params.windDirection, '°')}
+          <div class="col-6 mb-1">
+            <label class="form-label small mb-0">Stability class</label>
+            <select class="form-select form-select-sm" data-preview-field="stabilityClass">${classOptions}</select>
+          </div>
+        </div>
+        <div class="mt-2">
+          <button class="btn btn-sm btn-primary" onclick="window.PlumePreview.updateFromForm('${preview.id}', this)">
+            <i class="fas fa-sync"></i> Update
+          </button>
+          <button class="btn btn-sm btn-outline-secondary" onclick="window.PlumePreview.remove('${preview.id}')">
+            <i class="fas fa-times"></i> Clear
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Redraw a preview with the what-if values entered in its popup
+  updateFromForm(id, button) {
+    const preview = this.previews.get(id);
+    const form = button.closest('.plume-preview-form');
+    if (!preview || !form) return;
+
+    const values = {};
+    form.querySelectorAll('[data-preview-field]').forEach(input => {
+      values[input.dataset.previewField] = input.value;
+    });
+
+    // The analysed coefficients only apply to the analysed class
+    const coefficients = values.stabilityClass === preview.params.stabilityClass
+      ? preview.params.coefficients
+      : null;
+
+    preview.params = this.normalizeParams({ ...preview.params, ...values, coefficients });
+    if (this.map) this.map.closePopup();
+    this.draw(preview);
+  }
+
+  remove(id) {
+    const preview = this.previews.get(id);
+    if (!preview) return;
+
+    if (this.layer && preview.layer) this.layer.removeLayer(preview.layer);
+    this.previews.delete(id);
+  }
+
+  // Called when server plume_data arrives for a source; drops previews at that source
+  replaceWith(sourceLocation) {
+    if (!sourceLocation) return;
+
+    const source = { latitude: sourceLocation.lat, longitude: sourceLocation.lng };
+    this.previews.forEach(preview => {
+      if (this.distanceBetween(preview.params, source) <= this.matchRadius) {
+        this.remove(preview.id);
+        console.log(`Plume preview ${preview.id} replaced by server calculation`);
+      }
+    });
+
+    const pending = this.loadPending();
+    if (pending && this.distanceBetween(pending.params, source) <= this.matchRadius) {
+      this.clearPending();
+    }
+  }
+
+  // Ground-level contours as [lat, lng] rings, largest first so smaller ones stay clickable
+  computeContours(params) {
+    const windSpeed = Math.max(params.windSpeed, this.minWindSpeed);
+    const downwind = (params.windDirection + 180) * Math.PI / 180;
+    const distances = [];
+
+    // Log-spaced so the narrow near-source part of the plume is resolved
+    for (let i = 0; i <= this.distanceSteps; i++) {
+      distances.push(Math.pow(this.maxDistance, i / this.distanceSteps));
+    }
+
+    return PREVIEW_LEVELS.slice().reverse().map(level => {
+      const edge = [];
+
+      distances.forEach(x => {
+        const sigmaY = this.sigmaY(params, x);
+        const sigmaZ = this.sigmaZ(params, x);
+        const centerline = this.centerlineConcentration(params, windSpeed, sigmaY, sigmaZ);
+        if (centerline > level) {
+          edge.push([x, sigmaY * Math.sqrt(2 * Math.log(centerline / level))]);
+        }
+      });
+
+      if (edge.length < 2) return null;
+
+      const ring = edge.concat(edge.slice().reverse().map(([x, y]) => [x, -y]));
+
+      return {
+        level,
+        color: window.HazardScale.getColor(level),
+        points: ring.map(([x, y]) => this.offsetToLatLng(params, x, y, downwind))
+      };
+    }).filter(Boolean);
+  }
+
+  // σy = a·x·(1 + b·x)^-½
+  sigmaY(params, x) {
+    const { a, b } = params.coefficients.sigma_y;
+    return a * x * Math.pow(1 + b * x, -0.5);
+  }
+
+  // σz = c·x·(1 + d·x)^p, with p = -1 for the stable classes
+  sigmaZ(params, x) {
+    const { c, d } = params.coefficients.sigma_z;
+    const exponent = ['E', 'F'].includes(params.stabilityClass) ? -1 : -0.5;
+    return c * x * Math.pow(1 + d * x, exponent);
+  }
+
+  // Ground-level centerline concentration in mg/m³, with ground reflection
+  centerlineConcentration(params, windSpeed, sigmaY, sigmaZ) {
+    const releaseRate = params.releaseRate * 1000; // g/s -> mg/s
+    const height = params.sourceHeight;
+    return releaseRate / (Math.PI * windSpeed * sigmaY * sigmaZ) *
+      Math.exp(-(height * height) / (2 * sigmaZ * sigmaZ));
+  }
+
+  // x is downwind and y crosswind, in meters from the source
+  offsetToLatLng(params, x, y, downwind) {
+    const east = x * Math.sin(downwind) + y * Math.cos(downwind);
+    const north = x * Math.cos(downwind) - y * Math.sin(downwind);
+    const lat = params.latitude + (north / EARTH_RADIUS) * (180 / Math.PI);
+    const lng = params.longitude + (east / EARTH_RADIUS) * (180 / Math.PI) /
+      Math.cos(params.latitude * Math.PI / 180);
+    return [lat, lng];
+  }
+
+  distanceBetween(a, b) {
+    return L.latLng(a.latitude, a.longitude).distanceTo(L.latLng(b.latitude, b.longitude));
+  }
+
+  // A preview started from "Start Dispersion Modeling" is shown again on the
+  // next map page until the new event's plume_data replaces it
+  savePending(params) {
+    try {
+      sessionStorage.setItem(PREVIEW_STORAGE_KEY, JSON.stringify({ params, savedAt: Date.now() }));
+    } catch (error) {
+      console.warn('Could not save plume preview:', error);
+    }
+  }
+
+  loadPending() {
+    try {
+      const pending = JSON.parse(sessionStorage.getItem(PREVIEW_STORAGE_KEY));
+      if (pending && Date.now() - pending.savedAt < this.pendingTtl) return pending;
+    } catch (error) {
+      console.warn('Could not read plume preview:', error);
+    }
+    this.clearPending();
+    return null;
+  }
+
+  clearPending() {
+    try {
+      sessionStorage.removeItem(PREVIEW_STORAGE_KEY);
+    } catch (error) {
+      // Storage unavailable; nothing to clear
+    }
+  }
+
+  restorePending() {
+    const pending = this.loadPending();
+    if (pending) this.show(pending.params);
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.PlumePreview) {
+  window.PlumePreview = new PlumePreview();
+}
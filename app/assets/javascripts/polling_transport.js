@@ -0,0 +1,398 @@
+// Polling Transport for Real-time Channels
+// Serves ActionCable channels over the REST API when WebSockets are unavailable.
+// Each channel maps to an adapter that polls its endpoints and converts the
+// responses into the same message shapes the channel would broadcast.
+
+class PollingTransport {
+  constructor() {
+    this.adapters = new Map();
+    this.subscribers = new Map();
+    this.inFlight = new Set();
+    this.lastPolled = new Map();
+    this.failures = new Map(); // Consecutive failed polls per channel
+    this.failureThreshold = 2;
+    this.minPollInterval = 4000; // Both poll events may fire for the same channel
+
+    // Per-channel polls from ActionCableManager.createFallbackSubscription()
+    document.addEventListener('actioncable-poll', (event) => {
+      if (event.detail && event.detail.channel) {
+        this.poll(event.detail.channel);
+      }
+    });
+
+    // Global polls from ActionCableManager.enablePollingFallback()
+    document.addEventListener('actioncable-fallback-poll', () => {
+      this.pollAll();
+    });
+  }
+
+  // Register the adapter that serves a channel
+  register(channelName, adapter) {
+    this.adapters.set(channelName, adapter);
+  }
+
+  hasAdapter(channelName) {
+    return this.adapters.has(channelName);
+  }
+
+  // Attach a subscriber; returns an object exposing perform() and unsubscribe()
+  subscribe(channelName, callbacks = {}) {
+    if (!this.subscribers.has(channelName)) {
+      this.subscribers.set(channelName, new Set());
+    }
+
+    const subscriber = { callbacks };
+    this.subscribers.get(channelName).add(subscriber);
+
+    // A new subscriber (after a Turbo visit or a transport switch) expects the
+    // channel's on-subscribe messages again
+    const adapter = this.adapters.get(channelName);
+    if (adapter && typeof adapter.reset === 'function') adapter.reset();
+
+    // First poll right away so the subscriber gets its initial snapshot
+    this.poll(channelName, { force: true });
+
+    return {
+      perform: (action, data = {}) => this.perform(channelName, action, data),
+      unsubscribe: () => {
+        const channelSubscribers = this.subscribers.get(channelName);
+        if (channelSubscribers) channelSubscribers.delete(subscriber);
+      }
+    };
+  }
+
+  // Run a channel action (e.g. subscribe_to_event) against the REST API.
+  // Other transports pass their own `emit` to receive the resulting messages;
+  // `rethrow` lets callers that track delivery (the command outbox) see failures.
+  perform(channelName, action, data = {}, emit = null, { rethrow = false } = {}) {
+    const adapter = this.adapters.get(channelName);
+    if (!adapter || typeof adapter.perform !== 'function') {
+      console.warn(`Polling transport cannot perform ${action} on ${channelName}`);
+      return rethrow
+        ? Promise.reject(new UnsupportedPollingActionError(channelName, action))
+        : Promise.resolve();
+    }
+
+    return adapter.perform(action, data, emit || (message => this.emit(channelName, message)))
+      .catch(error => {
+        console.error(`Polling action ${action} failed for ${channelName}:`, error);
+        if (rethrow) throw error;
+      });
+  }
+
+  // Poll one channel, skipping it if a poll is running or ran very recently
+  poll(channelName, { force = false } = {}) {
+    const adapter = this.adapters.get(channelName);
+    const channelSubscribers = this.subscribers.get(channelName);
+
+    if (!adapter || !channelSubscribers || channelSubscribers.size === 0) {
+      return Promise.resolve();
+    }
+
+    const lastPolled = this.lastPolled.get(channelName) || 0;
+    if (this.inFlight.has(channelName) ||
+        (!force && Date.now() - lastPolled < this.minPollInterval)) {
+      return Promise.resolve();
+    }
+
+    this.inFlight.add(channelName);
+    this.lastPolled.set(channelName, Date.now());
+
+    return adapter.poll(message => this.emit(channelName, message))
+      .then(() => {
+        this.recordResult(channelName, true);
+      })
+      .catch(error => {
+        console.error(`Polling failed for ${channelName}:`, error);
+        this.recordResult(channelName, false);
+      })
+      .finally(() => {
+        this.inFlight.delete(channelName);
+      });
+  }
+
+  // Track consecutive failures and announce when a channel starts or stops failing
+  recordResult(channelName, ok) {
+    const wasFailing = this.isFailing(channelName);
+    this.failures.set(channelName, ok ? 0 : (this.failures.get(channelName) || 0) + 1);
+
+    if (this.isFailing(channelName) !== wasFailing) {
+      document.dispatchEvent(new CustomEvent('actioncable-poll-status', {
+        detail: { channel: channelName, failing: !wasFailing }
+      }));
+    }
+  }
+
+  isFailing(channelName) {
+    return (this.failures.get(channelName) || 0) >= this.failureThreshold;
+  }
+
+  pollAll() {
+    return Promise.all(Array.from(this.subscribers.keys()).map(channelName => this.poll(channelName)));
+  }
+
+  // Deliver a message to every subscriber of a channel
+  emit(channelName, message) {
+    const channelSubscribers = this.subscribers.get(channelName);
+    if (!channelSubscribers) return;
+
+    channelSubscribers.forEach(subscriber => {
+      if (subscriber.callbacks.received) {
+        try {
+          subscriber.callbacks.received(message);
+        } catch (error) {
+          console.error(`Error handling polled ${channelName} message:`, error);
+        }
+      }
+    });
+  }
+}
+
+// A channel action with no REST equivalent; sending it again cannot succeed
+class UnsupportedPollingActionError extends Error {
+  constructor(channelName, action) {
+    super(`Unsupported ${channelName} action over polling: ${action}`);
+    this.name = 'UnsupportedPollingActionError';
+    this.unsupported = true;
+  }
+}
+
+// Shared JSON fetch helper for polling adapters
+async function fetchPollingJson(url, options = {}) {
+  const response = await fetch(url, {
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json'
+    },
+    ...options
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+// Incident ids with their calculation times, from a thermal incidents response
+function thermalSignature(result) {
+  const incidents = (result.data && result.data.incidents) || [];
+  return JSON.stringify(incidents.map(incident => [incident.id, incident.last_calculated_at]));
+}
+
+// DispersionEventsChannel over /api/v1/dispersion_events and live_calculations.
+// Contours are not polled: each new calculation arrives as calculation_complete,
+// which makes the client fetch the event's plume data once
+class DispersionEventsPollingAdapter {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.eventIds = new Set();
+    this.sentSnapshot = false;
+    this.eventSignatures = new Map();
+    this.lastCalculationIds = new Map(); // event id -> newest calculation delivered
+    this.thermalSignature = null;
+  }
+
+  async poll(emit) {
+    // The channel sends the active events once on subscribe; mirror that
+    if (!this.sentSnapshot) {
+      const result = await fetchPollingJson('/api/v1/dispersion_events.json');
+      const activeEvents = (result.data || []).filter(event => event.status === 'active');
+
+      emit({
+        type: 'active_events',
+        events: activeEvents.map(event => this.formatEvent(event)),
+        timestamp: new Date().toISOString()
+      });
+      this.sentSnapshot = true;
+    }
+
+    await Promise.all([
+      // Thermal incidents ride along on this channel; a failed thermal poll is
+      // logged rather than marking dispersion polling as failing
+      this.pollThermal(emit).catch(error => console.warn('Thermal incident poll failed:', error.message)),
+      ...Array.from(this.eventIds).map(eventId => this.pollEvent(eventId, emit))
+    ]);
+  }
+
+  // The channel sends thermal incidents on subscribe and after each recalculation;
+  // resend the list only when an incident was added, removed or recalculated.
+  // The id and calculation time summary is checked first, so the full incidents
+  // with their zones are fetched only after a change.
+  async pollThermal(emit) {
+    const summary = await fetchPollingJson('/api/v1/thermal_incidents.json?summary=1');
+    if (thermalSignature(summary) === this.thermalSignature) return;
+
+    const result = await fetchPollingJson('/api/v1/thermal_incidents.json');
+    this.thermalSignature = thermalSignature(result);
+    emit({ type: 'thermal_incidents', incidents: (result.data && result.data.incidents) || [], timestamp: new Date().toISOString() });
+  }
+
+  async perform(action, data, emit) {
+    const eventId = data.event_id;
+
+    switch (action) {
+      case 'subscribe_to_event':
+        this.eventIds.add(eventId);
+        this.eventSignatures.delete(eventId);
+        return this.pollEvent(eventId, emit);
+      case 'unsubscribe_from_event':
+        this.eventIds.delete(eventId);
+        this.eventSignatures.delete(eventId);
+        this.lastCalculationIds.delete(eventId);
+        return;
+      case 'request_calculation_update': {
+        const csrfToken = document.querySelector('[name="csrf-token"]');
+        const result = await fetchPollingJson(`/api/v1/dispersion_events/${eventId}/recalculate.json`, {
+          method: 'POST',
+          headers: {
+            'Accept': 'application/json',
+            'X-CSRF-Token': csrfToken ? csrfToken.content : '',
+            ...(data.idempotency_key ? { 'Idempotency-Key': data.idempotency_key } : {})
+          }
+        });
+
+        // Same acknowledgement the channel transmits
+        emit({ message: result.message, status: 'queued', event_id: eventId });
+        return this.pollEvent(eventId, emit);
+      }
+      case 'replay_since':
+        // Polling always fetches current state, so there is nothing to replay
+        return;
+      default:
+        throw new UnsupportedPollingActionError('DispersionEventsChannel', action);
+    }
+  }
+
+  async pollEvent(eventId, emit) {
+    const [show, live] = await Promise.all([
+      fetchPollingJson(`/api/v1/dispersion_events/${eventId}.json`),
+      fetchPollingJson(`/api/v1/dispersion_events/${eventId}/live_calculations.json`)
+    ]);
+
+    if (show.data) {
+      const event = this.formatEvent(show.data.event, show.data.receptors, show.data.latest_calculations);
+      const signature = JSON.stringify(event);
+
+      // Only announce an event_update when something actually changed
+      if (this.eventSignatures.get(eventId) !== signature) {
+        this.eventSignatures.set(eventId, signature);
+        emit({ type: 'event_update', event, timestamp: new Date().toISOString() });
+      }
+    }
+
+    if (live.data && live.data.calculations) {
+      const lastId = this.lastCalculationIds.get(eventId) || 0;
+
+      live.data.calculations
+        .filter(calculation => calculation.id > lastId)
+        .reverse() // API returns newest first; deliver oldest first
+        .forEach(calculation => {
+          this.lastCalculationIds.set(eventId, calculation.id);
+          emit({
+            type: 'calculation_complete',
+            event_id: eventId,
+            calculation: {
+              id: calculation.id,
+              concentration: calculation.concentration,
+              receptor_id: calculation.receptor_id,
+              receptor_coordinates: calculation.receptor_coordinates,
+              timestamp: calculation.timestamp
+            }
+          });
+        });
+    }
+  }
+
+  // Convert API event data into the shape DispersionEventsChannel#format_event_data sends
+  formatEvent(event, receptors = [], calculations = []) {
+    const latest = calculations[0];
+
+    return {
+      id: event.id,
+      chemical_name: event.chemical,
+      location_name: event.location,
+      location_id: event.location_id,
+      status: event.status,
+      source_coordinates: event.source_coordinates,
+      release_rate: event.release_rate,
+      hazard_scale: event.hazard_scale,
+      latest_calculation: latest ? {
+        id: latest.id,
+        max_concentration: latest.concentration,
+        effective_height: latest.effective_height,
+        timestamp: latest.timestamp
+      } : null,
+      receptors: receptors.map(receptor => ({
+        id: receptor.id,
+        name: receptor.name,
+        receptor_type: receptor.receptor_type,
+        coordinates: receptor.coordinates,
+        concentration: receptor.latest_concentration || 0,
+        health_impact: receptor.health_impact || 'unknown'
+      }))
+    };
+  }
+}
+
+// WeatherChannel over /api/v1/weather/current
+class WeatherPollingAdapter {
+  constructor() {
+    this.recordedAt = new Map();
+  }
+
+  async poll(emit) {
+    const result = await fetchPollingJson('/api/v1/weather/current.json');
+
+    (result.data || []).forEach(weather => {
+      const key = `${weather.latitude}_${weather.longitude}`;
+      if (this.recordedAt.get(key) === weather.recorded_at) return;
+
+      this.recordedAt.set(key, weather.recorded_at);
+      emit({
+        weather_data: weather,
+        stability_class: weather.stability_class,
+        wind_vector: weather.wind_vector,
+        coordinates: [weather.latitude, weather.longitude]
+      });
+    });
+  }
+
+  async perform(action, data, emit) {
+    switch (action) {
+      case 'request_weather_update': {
+        const url = data.location_id
+          ? `/weather/update_location?location_id=${data.location_id}`
+          : '/weather/update_all';
+        const csrfToken = document.querySelector('[name="csrf-token"]');
+
+        await fetchPollingJson(url, {
+          method: 'POST',
+          headers: {
+            'Accept': 'application/json',
+            'X-CSRF-Token': csrfToken ? csrfToken.content : '',
+            ...(data.idempotency_key ? { 'Idempotency-Key': data.idempotency_key } : {})
+          }
+        });
+        return this.poll(emit);
+      }
+      case 'subscribe_to_location':
+      case 'unsubscribe_from_location':
+      case 'replay_since':
+        // /api/v1/weather/current already covers every monitored location
+        return;
+      default:
+        throw new UnsupportedPollingActionError('WeatherChannel', action);
+    }
+  }
+}
+
+// Create global instance with the built-in channel adapters
+if (typeof window !== 'undefined') {
+  window.PollingTransport = new PollingTransport();
+  window.PollingTransport.register('DispersionEventsChannel', new DispersionEventsPollingAdapter());
+  window.PollingTransport.register('WeatherChannel', new WeatherPollingAdapter());
+}
@@ -0,0 +1,637 @@
+// Protective Action Zones
+// Evacuation and shelter-in-place zones for an event, generated from the
+// contours of the snapshot shown. The evacuation zone covers the contours at the
+// highest hazard tier reached (tier 2 or above), the shelter-in-place zone every
+// contour at tier 1 or above. A zone is the convex hull of its contours, swung
+// about the source by the wind-direction uncertainty so it widens with distance
+// downwind, and grown by a safety buffer. Locations and GIS features inside each
+// zone are listed, and the zones can be exported as GeoJSON or printed.
+
+const PROTECTIVE_ACTION_ZONE_STYLES = {
+  evacuate: { label: 'Evacuate', color: '#b02a37', icon: 'fa-running' },
+  shelter: { label: 'Shelter in place', color: '#fd7e14', icon: 'fa-house-user' }
+};
+
+class ProtectiveActionZones {
+  constructor() {
+    this.defaults = { buffer: 300, windUncertainty: 15 }; // m, ± degrees
+    this.rotationStep = 5;       // degrees between the swung copies of the contours
+    this.bufferSegments = 16;    // points on each buffer circle
+    this.regenerateDelay = 500;  // ms after the last contour change
+
+    this.map = null;
+    this.layer = null;
+    this.legend = null;
+    this.modal = null;
+    this.eventId = null;         // event shown in the modal
+    this.zones = new Map();      // eventId -> generated zones, see generate()
+    this.locations = null;       // /api/v1/locations, fetched once per page
+    this.regenerateTimers = new Map();
+
+    document.addEventListener('mapReady', (event) => this.attach(event.detail.map));
+    document.addEventListener('plume-history-change', (event) => this.scheduleRegenerate(event.detail.eventId));
+
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => this.detach(), { persistent: true });
+    }
+  }
+
+  attach(map) {
+    if (this.map === map) return;
+
+    this.map = map;
+    this.zones.clear();
+    this.locations = null;
+    this.layer = L.featureGroup().addTo(map);
+    this.legend = this.createLegend();
+
+    if (window.layerControl) window.layerControl.addOverlay(this.layer, 'Protective Action Zones');
+  }
+
+  // The map itself is removed by the dispersion map teardown
+  detach() {
+    this.regenerateTimers.forEach(timer => clearTimeout(timer));
+    this.regenerateTimers.clear();
+    this.zones.clear();
+    this.locations = null;
+    this.modal = null;
+    this.eventId = null;
+    this.legend = null;
+    this.layer = null;
+    this.map = null;
+  }
+
+  button(eventId) {
+    return `
+      <button class="btn btn-sm btn-outline-danger" onclick="window.ProtectiveActionZones.open(${eventId})">
+        <i class="fas fa-shield-alt"></i> Zones
+      </button>
+    `;
+  }
+
+  async open(eventId) {
+    if (!this.map || !window.ReceptorGenerator.sourceLatLng(eventId)) {
+      alert('The event source is not on the map.');
+      return;
+    }
+
+    this.eventId = eventId;
+    const element = this.ensureModal();
+    if (!this.modal) this.modal = bootstrap.Modal.getOrCreateInstance(element);
+    this.modal.show();
+
+    if (this.find(eventId)) {
+      this.render();
+    } else {
+      await this.generate(eventId, this.defaults);
+    }
+  }
+
+  find(eventId) {
+    const key = Array.from(this.zones.keys()).find(id => String(id) === String(eventId));
+    return key !== undefined ? this.zones.get(key) : null;
+  }
+
+  // Settings from the modal form
+  readSettings() {
+    const value = (name, fallback) => {
+      const input = document.querySelector(`#protectiveActionZonesResults [name="${name}"]`);
+      const number = input ? Number(input.value) : NaN;
+      return Number.isFinite(number) && number >= 0 ? number : fallback;
+    };
+    return {
+      buffer: value('buffer', this.defaults.buffer),
+      windUncertainty: Math.min(value('windUncertainty', this.defaults.windUncertainty), 90)
+    };
+  }
+
+  // Build an event's zones from the snapshot shown and list what lies inside them
+  async generate(eventId, settings) {
+    const source = window.ReceptorGenerator.sourceLatLng(eventId);
+    const snapshot = window.PlumeHistory.getSelectedSnapshot(eventId);
+    if (!this.map || !source) return;
+
+    if (String(this.eventId) === String(eventId)) {
+      this.renderMessage('<i class="fas fa-spinner fa-spin"></i> Generating zones...');
+    }
+
+    const zones = snapshot ? this.buildZones(eventId, snapshot, source, settings) : {};
+    const entry = {
+      eventId,
+      settings,
+      source,
+      zones,
+      timestamp: snapshot ? snapshot.timestamp : null,
+      weather: snapshot ? snapshot.weather : null,
+      generatedAt: new Date(),
+      affected: { evacuate: { locations: [], features: [] }, shelter: { locations: [], features: [] } },
+      status: ''
+    };
+
+    try {
+      if (zones.shelter) {
+        entry.affected = await this.findAffected(zones);
+        if (entry.affected.truncated) {
+          entry.status = 'The zones hold more GIS features than one request returns; the feature lists are incomplete';
+        }
+      }
+    } catch (error) {
+      console.error('Error listing locations in protective action zones:', error);
+      entry.status = 'Locations and GIS features could not be loaded';
+    }
+    if (!this.map) return;
+
+    const previous = this.find(eventId);
+    if (previous) this.zones.delete(previous.eventId);
+    this.zones.set(eventId, entry);
+
+    this.draw();
+    if (String(this.eventId) === String(eventId)) this.render();
+  }
+
+  // Keep generated zones in step with new contours and the history slider
+  scheduleRegenerate(eventId) {
+    const entry = this.find(eventId);
+    if (!entry) return;
+
+    clearTimeout(this.regenerateTimers.get(entry.eventId));
+    this.regenerateTimers.set(entry.eventId, setTimeout(() => {
+      this.regenerateTimers.delete(entry.eventId);
+      if (this.find(entry.eventId) === entry) this.generate(entry.eventId, entry.settings);
+    }, this.regenerateDelay));
+  }
+
+  // { evacuate, shelter }, each { ring: [[lat, lng]], tier, level, areaKm2, reachM },
+  // or without the zones the contours do not reach
+  buildZones(eventId, snapshot, source, settings) {
+    const contours = snapshot.contours
+      .filter(contour => contour.points && contour.points.length >= 3)
+      .map(contour => ({ ...contour, hazard: window.HazardScale.classify(contour.level, eventId) }))
+      .filter(contour => contour.hazard.tier >= 1);
+    if (contours.length === 0) return {};
+
+    const highest = Math.max(...contours.map(contour => contour.hazard.tier));
+    const zone = (selected) => {
+      const ring = this.zoneRing(selected.flatMap(contour => contour.points), source, settings);
+      const lowest = selected.reduce((min, contour) => (contour.level < min.level ? contour : min));
+      return {
+        ring: ring.map(point => window.MapHelpers.fromMeters(point, source)),
+        tier: lowest.hazard.label,
+        level: lowest.level,
+        areaKm2: polygonArea(ring) / 1e6,
+        reachM: Math.max(...ring.map(([x, y]) => Math.hypot(x, y)))
+      };
+    };
+
+    const zones = { shelter: zone(contours) };
+    if (highest >= 2) zones.evacuate = zone(contours.filter(contour => contour.hazard.tier === highest));
+    return zones;
+  }
+
+  // Zone outline in meters about the source, counter-clockwise
+  zoneRing(points, source, settings) {
+    const local = points.map(point => window.MapHelpers.toMeters(point, source)).concat([[0, 0]]);
+
+    // Swing the contours about the source; far points move further
+    const swung = [];
+    const steps = Math.ceil(settings.windUncertainty / this.rotationStep);
+    for (let step = -steps; step <= steps; step++) {
+      const angle = (steps === 0 ? 0 : settings.windUncertainty * step / steps) * Math.PI / 180;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      convexHull(local).forEach(([x, y]) => swung.push([x * cos - y * sin, x * sin + y * cos]));
+    }
+
+    const hull = convexHull(swung);
+    if (settings.buffer <= 0) return hull;
+
+    const buffered = [];
+    hull.forEach(([x, y]) => {
+      for (let i = 0; i < this.bufferSegments; i++) {
+        const angle = 2 * Math.PI * i / this.bufferSegments;
+        buffered.push([x + settings.buffer * Math.cos(angle), y + settings.buffer * Math.sin(angle)]);
+      }
+    });
+    return convexHull(buffered);
+  }
+
+  // Locations and GIS features in each zone; the evacuation zone takes precedence
+  async findAffected(zones) {
+    const bounds = L.latLngBounds(zones.shelter.ring);
+    const query = new URLSearchParams({
+      north: bounds.getNorth().toFixed(5),
+      south: bounds.getSouth().toFixed(5),
+      east: bounds.getEast().toFixed(5),
+      west: bounds.getWest().toFixed(5)
+    });
+
+    const [locations, featureData] = await Promise.all([
+      this.fetchLocations(),
+      this.getJson(`/gis_features.json?${query}`).then(result => result.data)
+    ]);
+
+    const zoneOf = (inside) => {
+      if (zones.evacuate && inside(zones.evacuate.ring)) return 'evacuate';
+      return inside(zones.shelter.ring) ? 'shelter' : null;
+    };
+    const affected = {
+      evacuate: { locations: [], features: [] },
+      shelter: { locations: [], features: [] },
+      truncated: Boolean(featureData.truncated) // the server capped the features in the zones' bounds
+    };
+
+    locations.forEach(location => {
+      const point = [Number(location.latitude), Number(location.longitude)];
+      const zone = zoneOf(ring => window.MapHelpers.pointInPolygon(point, ring));
+      if (zone) affected[zone].locations.push(location);
+    });
+
+    featureData.features.forEach(feature => {
+      const zone = zoneOf(ring => window.ContourImpacts.touchesPolygon(feature.geometry, ring));
+      if (zone) affected[zone].features.push(feature);
+    });
+
+    return affected;
+  }
+
+  async fetchLocations() {
+    if (!this.locations) {
+      const result = await this.getJson('/api/v1/locations');
+      this.locations = result.data.locations;
+    }
+    return this.locations;
+  }
+
+  async getJson(url) {
+    const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+    const result = await response.json();
+    if (result.status !== 'success') throw new Error(result.message || 'Request failed');
+    return result;
+  }
+
+  clear(eventId) {
+    const entry = this.find(eventId);
+    if (entry) this.zones.delete(entry.eventId);
+    this.draw();
+    if (String(this.eventId) === String(eventId)) this.render();
+  }
+
+  draw() {
+    if (!this.layer) return;
+    this.layer.clearLayers();
+
+    this.zones.forEach(entry => {
+      const { evacuate, shelter } = entry.zones;
+      if (!shelter) return;
+
+      const rings = evacuate ? [shelter.ring, evacuate.ring] : [shelter.ring];
+      L.polygon(rings, this.zoneStyle('shelter'))
+        .bindPopup(() => this.zonePopup(entry, 'shelter'))
+        .addTo(this.layer);
+
+      if (evacuate) {
+        L.polygon(evacuate.ring, this.zoneStyle('evacuate'))
+          .bindPopup(() => this.zonePopup(entry, 'evacuate'))
+          .addTo(this.layer);
+      }
+    });
+
+    if (!this.map || !this.legend) return;
+    if (this.zones.size > 0) {
+      this.legend.addTo(this.map);
+    } else {
+      this.legend.remove();
+    }
+  }
+
+  zoneStyle(zone) {
+    const { color } = PROTECTIVE_ACTION_ZONE_STYLES[zone];
+    return { color, weight: 3, dashArray: '10, 6', fillColor: color, fillOpacity: 0.15 };
+  }
+
+  zonePopup(entry, zone) {
+    const { label, icon } = PROTECTIVE_ACTION_ZONE_STYLES[zone];
+    const details = entry.zones[zone];
+    const affected = entry.affected[zone];
+
+    return `
+      <div class="protective-action-zone-popup">
+        <h6><i class="fas ${icon}"></i> ${label} · Event #${entry.eventId}</h6>
+        <small class="d-block">From the ${details.level} mg/m³ contour (${window.MapHelpers.escapeHtml(details.tier)}) and above</small>
+        <small class="d-block">${details.areaKm2.toFixed(2)} km², reaching ${window.MapHelpers.formatDistance(details.reachM)} from the source</small>
+        <small class="d-block">${affected.locations.length} locations, ${affected.features.length} GIS features inside</small>
+        <button class="btn btn-sm btn-outline-secondary mt-1" onclick="window.ProtectiveActionZones.open(${entry.eventId})">Details</button>
+      </div>
+    `;
+  }
+
+  renderMessage(html) {
+    const container = document.getElementById('protectiveActionZonesResults');
+    if (container && this.eventId !== null) container.innerHTML = html;
+  }
+
+  render() {
+    const container = document.getElementById('protectiveActionZonesResults');
+    if (!container || this.eventId === null) return;
+
+    const entry = this.find(this.eventId);
+    const settings = entry ? entry.settings : this.defaults;
+    const form = `
+      <form class="row g-2 align-items-end mb-3" onsubmit="window.ProtectiveActionZones.generate(${this.eventId}, window.ProtectiveActionZones.readSettings()); return false;">
+        <div class="col-sm-4">
+          <label class="form-label small mb-0">Safety buffer (m)</label>
+          <input type="number" class="form-control form-control-sm" name="buffer" min="0" step="50" value="${settings.buffer}">
+        </div>
+        <div class="col-sm-4">
+          <label class="form-label small mb-0">Wind direction uncertainty (± °)</label>
+          <input type="number" class="form-control form-control-sm" name="windUncertainty" min="0" max="90" step="5" value="${settings.windUncertainty}">
+        </div>
+        <div class="col-sm-4">
+          <button type="submit" class="btn btn-sm btn-primary w-100"><i class="fas fa-sync"></i> Generate</button>
+        </div>
+      </form>
+    `;
+
+    if (!entry || !entry.zones.shelter) {
+      container.innerHTML = `
+        ${form}
+        <div class="alert alert-info mb-0">No contour of this event reaches a hazard tier, so no protective action zones are needed.</div>
+      `;
+      return;
+    }
+
+    const weather = entry.weather || {};
+    container.innerHTML = `
+      ${form}
+      <p class="small text-muted mb-2">
+        Contours of ${entry.timestamp ? new Date(entry.timestamp).toLocaleString() : 'the latest snapshot'}
+        ${weather.wind_direction != null ? `· wind from ${weather.wind_direction}° at ${weather.wind_speed} m/s` : ''}
+        · buffer ${entry.settings.buffer} m · ±${entry.settings.windUncertainty}°
+      </p>
+      ${entry.status ? `<div class="alert alert-warning py-1 small">${window.MapHelpers.escapeHtml(entry.status)}</div>` : ''}
+      ${['evacuate', 'shelter'].map(zone => this.zoneSection(entry, zone)).join('')}
+      <div class="d-flex gap-2 mt-3">
+        <button class="btn btn-sm btn-outline-secondary" onclick="window.ProtectiveActionZones.exportGeoJSON(${entry.eventId})">
+          <i class="fas fa-download"></i> GeoJSON
+        </button>
+        <button class="btn btn-sm btn-outline-secondary" onclick="window.ProtectiveActionZones.print(${entry.eventId})">
+          <i class="fas fa-print"></i> Print
+        </button>
+        <button class="btn btn-sm btn-outline-danger ms-auto" onclick="window.ProtectiveActionZones.clear(${entry.eventId})">
+          <i class="fas fa-times"></i> Clear zones
+        </button>
+      </div>
+    `;
+  }
+
+  // Summary and affected lists of one zone, shared by the modal and the printout
+  zoneSection(entry, zone) {
+    const { label, color, icon } = PROTECTIVE_ACTION_ZONE_STYLES[zone];
+    const details = entry.zones[zone];
+    if (!details) {
+      return `
+        <div class="border rounded p-2 mb-2" style="border-left: 4px solid ${color} !important;">
+          <strong><i class="fas ${icon}"></i> ${label}</strong>
+          <span class="text-muted small">— no contour reaches tier 2 or above</span>
+        </div>
+      `;
+    }
+
+    const affected = entry.affected[zone];
+    const list = (items, describe) => items.length === 0
+      ? '<li class="text-muted">None</li>'
+      : items.map(item => `<li>${describe(item)}</li>`).join('');
+
+    return `
+      <div class="border rounded p-2 mb-2" style="border-left: 4px solid ${color} !important;">
+        <strong><i class="fas ${icon}"></i> ${label}</strong>
+        <span class="small">— ${details.level} mg/m³ contour (${window.MapHelpers.escapeHtml(details.tier)}) and above,
+          ${details.areaKm2.toFixed(2)} km², up to ${window.MapHelpers.formatDistance(details.reachM)} from the source</span>
+        <div class="row mt-1 small">
+          <div class="col-md-6">
+            <div class="fw-bold">Locations (${affected.locations.length})</div>
+            <ul class="mb-0">${list(affected.locations, location => window.MapHelpers.escapeHtml(location.name))}</ul>
+          </div>
+          <div class="col-md-6">
+            <div class="fw-bold">GIS features (${affected.features.length})</div>
+            <ul class="mb-0">${list(affected.features, feature => `${window.MapHelpers.escapeHtml(feature.properties.name)}
+              <span class="text-muted">(${window.MapHelpers.escapeHtml(feature.properties.feature_type)})</span>`)}</ul>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  toGeoJSON(entry) {
+    const common = {
+      event_id: entry.eventId,
+      generated_at: entry.generatedAt.toISOString(),
+      contours_timestamp: entry.timestamp ? new Date(entry.timestamp).toISOString() : null,
+      buffer_m: entry.settings.buffer,
+      wind_uncertainty_deg: entry.settings.windUncertainty,
+      wind_direction_deg: entry.weather ? entry.weather.wind_direction ?? null : null,
+      source: [entry.source.lng, entry.source.lat]
+    };
+    const ring = points => {
+      const coordinates = points.map(([lat, lng]) => [lng, lat]);
+      return coordinates.concat([coordinates[0]]);
+    };
+
+    const features = ['evacuate', 'shelter'].filter(zone => entry.zones[zone]).map(zone => {
+      const details = entry.zones[zone];
+      const affected = entry.affected[zone];
+      // The shelter zone surrounds the evacuation zone
+      const rings = zone === 'shelter' && entry.zones.evacuate
+        ? [ring(details.ring), ring(entry.zones.evacuate.ring).reverse()]
+        : [ring(details.ring)];
+
+      return {
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: rings },
+        properties: {
+          ...common,
+          zone,
+          action: PROTECTIVE_ACTION_ZONE_STYLES[zone].label,
+          contour_level_mg_m3: details.level,
+          hazard_tier: details.tier,
+          area_km2: Number(details.areaKm2.toFixed(3)),
+          reach_m: Math.round(details.reachM),
+          locations: affected.locations.map(location => location.name),
+          gis_features: affected.features.map(feature => feature.properties.name)
+        }
+      };
+    });
+
+    return { type: 'FeatureCollection', features };
+  }
+
+  exportGeoJSON(eventId) {
+    const entry = this.find(eventId);
+    if (!entry || !entry.zones.shelter) return;
+
+    const stamp = entry.generatedAt.toISOString().replace(/[:.]/g, '-');
+    const blob = new Blob([JSON.stringify(this.toGeoJSON(entry), null, 2)], { type: 'application/geo+json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `event-${entry.eventId}-protective-action-zones-${stamp}.geojson`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // Printable page with the map, fitted to the zones, and the affected lists
+  async print(eventId) {
+    const entry = this.find(eventId);
+    if (!entry || !entry.zones.shelter || !this.map) return;
+
+    // Open the window before any await so popup blockers allow it
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      alert('Allow pop-ups for this site to print the zones.');
+      return;
+    }
+    printWindow.document.write('<p style="font-family: sans-serif;">Preparing protective action zones...</p>');
+
+    // The live map is fitted to the zones for the image, then put back
+    const view = { center: this.map.getCenter(), zoom: this.map.getZoom() };
+    try {
+      if (this.modal) this.modal.hide();
+      this.map.fitBounds(L.latLngBounds(entry.zones.shelter.ring).extend(entry.source), { padding: [30, 30], animate: false });
+      await new Promise(resolve => setTimeout(resolve, 500)); // let tiles for the new view load
+
+      const image = await window.IncidentReport.renderMap(this.map, [entry.eventId]);
+      printWindow.document.open();
+      printWindow.document.write(this.pageTemplate(entry, image));
+      printWindow.document.close();
+    } catch (error) {
+      console.error('Error printing protective action zones:', error);
+      printWindow.document.body.innerHTML = `<p style="font-family: sans-serif;">Could not prepare the zones: ${window.MapHelpers.escapeHtml(error.message)}</p>`;
+    } finally {
+      if (this.map) this.map.setView(view.center, view.zoom, { animate: false });
+    }
+  }
+
+  pageTemplate(entry, image) {
+    const stylesheets = Array.from(document.querySelectorAll('link[rel="stylesheet"]'))
+      .map(link => `<link rel="stylesheet" href="${link.href}">`)
+      .join('\n');
+    const weather = entry.weather || {};
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Protective Action Zones - Event #${entry.eventId}</title>
+  ${stylesheets}
+  <style>
+    body { padding: 1.5rem; }
+    .zones-map { width: 100%; border: 1px solid #dee2e6; }
+    @media print {
+      .zones-toolbar { display: none !important; }
+      body { padding: 0; }
+    }
+  </style>
+</head>
+<body>
+  <div class="zones-toolbar mb-3">
+    <button class="btn btn-primary btn-sm" onclick="window.print()">Print / Save as PDF</button>
+  </div>
+  <h4>Protective Action Zones · Event #${entry.eventId}</h4>
+  <p class="text-muted">
+    Generated ${entry.generatedAt.toLocaleString()} from the contours of
+    ${entry.timestamp ? new Date(entry.timestamp).toLocaleString() : 'the latest snapshot'}
+    ${weather.wind_direction != null ? `· wind from ${weather.wind_direction}° at ${weather.wind_speed} m/s` : ''}
+    · buffer ${entry.settings.buffer} m · wind direction ±${entry.settings.windUncertainty}°
+  </p>
+  ${entry.status ? `<div class="alert alert-warning">${window.MapHelpers.escapeHtml(entry.status)}</div>` : ''}
+  <img class="zones-map mb-4" src="${image.dataUrl}" alt="Protective action zones map">
+  ${['evacuate', 'shelter'].map(zone => this.zoneSection(entry, zone)).join('')}
+</body>
+</html>`;
+  }
+
+  createLegend() {
+    const legend = L.control({ position: 'bottomright' });
+
+    legend.onAdd = () => {
+      const div = L.DomUtil.create('div', 'protective-action-zones-legend bg-white p-2 rounded shadow-sm small');
+      div.innerHTML = `
+        <strong class="d-block mb-1"><i class="fas fa-shield-alt"></i> Protective actions</strong>
+        ${Object.values(PROTECTIVE_ACTION_ZONE_STYLES).map(({ label, color }) => `
+          <div><span class="d-inline-block me-1" style="width: 14px; height: 10px; background: ${color}33; border: 2px dashed ${color};"></span>${label}</div>
+        `).join('')}
+      `;
+      L.DomEvent.disableClickPropagation(div);
+      return div;
+    };
+
+    return legend;
+  }
+
+  // Turbo replaces the body on every visit, so rebuild the modal when it is missing
+  ensureModal() {
+    let element = document.getElementById('protectiveActionZonesModal');
+    if (element) return element;
+
+    this.modal = null;
+    element = document.createElement('div');
+    element.className = 'modal fade';
+    element.id = 'protectiveActionZonesModal';
+    element.tabIndex = -1;
+    element.innerHTML = `
+      <div class="modal-dialog modal-lg modal-dialog-scrollable">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h5 class="modal-title"><i class="fas fa-shield-alt"></i> Protective Action Zones</h5>
+            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+          </div>
+          <div class="modal-body" id="protectiveActionZonesResults"></div>
+        </div>
+      </div>
+    `;
+
+    // Zones stay on the map after the modal closes
+    element.addEventListener('hidden.bs.modal', () => {
+      this.eventId = null;
+    });
+
+    document.body.appendChild(element);
+    return element;
+  }
+}
+
+// Monotone chain; counter-clockwise, without repeating the first point
+function convexHull(points) {
+  const sorted = points.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (sorted.length < 3) return sorted;
+
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const half = (list) => {
+    const hull = [];
+    list.forEach(point => {
+      while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) hull.pop();
+      hull.push(point);
+    });
+    hull.pop();
+    return hull;
+  };
+
+  return half(sorted).concat(half(sorted.slice().reverse()));
+}
+
+function polygonArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+  }
+  return Math.abs(area) / 2;
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.ProtectiveActionZones) {
+  window.ProtectiveActionZones = new ProtectiveActionZones();
+}
@@ -8,9 +8,19 @@ class RealTimeDispersionManager {
     this.activeEventSubscriptions = new Map();
     this.updateInterval = 30000; // 30 seconds
     this.lastUpdateTime = new Map();
+    this.pollingInterval = null;
+    this.plumeRefreshTimers = new Map();
     
     this.initializeDispersionChannel();
     this.setupRealTimeControls();
+
+    // Tear down with the page so the next Turbo visit builds a fresh manager
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => {
+        this.destroy();
+        if (window.realTimeManager === this) window.realTimeManager = null;
+      });
+    }
   }
 
   // Initialize ActionCable connection for real-time dispersion updates
@@ -31,19 +41,28 @@ class RealTimeDispersionManager {
           this.handleDispersionUpdate(data);
         },
 
-        subscribeToEvent: (eventId) => {
+        // Events whose streams should be replayed after a reconnect
+        replayParams: () => ({
+          event_ids: Array.from(this.activeEventSubscriptions.keys())
+        }),
+
+        // Custom actions run with the subscription as `this`
+        subscribeToEvent(eventId) {
           this.perform('subscribe_to_event', { event_id: eventId });
         },
 
-        unsubscribeFromEvent: (eventId) => {
+        unsubscribeFromEvent(eventId) {
           this.perform('unsubscribe_from_event', { event_id: eventId });
         },
 
-        requestCalculationUpdate: (eventId) => {
+        requestCalculationUpdate(eventId) {
           this.perform('request_calculation_update', { event_id: eventId });
         }
       }).then(subscription => {
         this.dispersionChannel = subscription;
+      }).catch(error => {
+        console.warn('DispersionEventsChannel unavailable, using polling:', error.message);
+        this.setupPollingFallback();
       });
     } else {
       console.log('ActionCable not available, using polling for dispersion updates');
@@ -53,6 +72,8 @@ class RealTimeDispersionManager {
 
   // Handle connection established
   onConnected() {
+    this.stopPollingFallback();
+
     // Subscribe to all active events
     if (window.dashboardData && window.dashboardData.activeEvents) {
       window.dashboardData.activeEvents.forEach(event => {
@@ -96,6 +117,22 @@ class RealTimeDispersionManager {
     }
   }
 
+  // Operator-requested recalculation, queued in the command outbox so it is
+  // resent after a reconnect instead of being dropped. It goes over HTTP on
+  // every transport, so "Sent" means the server queued the calculation
+  queueCalculationUpdate(eventId) {
+    if (!window.CommandOutbox) {
+      this.requestCalculationUpdate(eventId);
+      return;
+    }
+
+    window.CommandOutbox.enqueue({
+      label: `Recalculate event ${eventId}`,
+      method: 'POST',
+      url: `/api/v1/dispersion_events/${eventId}/recalculate.json`
+    });
+  }
+
   // Handle incoming dispersion data updates
   handleDispersionUpdate(data) {
     console.log('Received dispersion update:', data);
@@ -110,9 +147,18 @@ class RealTimeDispersionManager {
       case 'calculation_complete':
         this.updatePlumeVisualization(data.event_id, data.calculation);
         break;
+      case 'plume_update':
+        this.applyPlumeData(data.event_id, data);
+        break;
       case 'weather_update':
         this.updateWeatherVisualization(data);
         break;
+      case 'thermal_incidents':
+        window.ThermalLayer.replace(data.incidents || []);
+        break;
+      case 'thermal_update':
+        window.ThermalLayer.update(data.incident);
+        break;
       default:
         console.log('Unknown update type:', data.type);
     }
@@ -121,9 +167,41 @@ class RealTimeDispersionManager {
     this.lastUpdateTime.set(data.event_id || 'global', new Date());
   }
 
+  // A receptor calculation finished: record it and refresh the event's contours
+  updatePlumeVisualization(eventId, calculation) {
+    if (calculation && calculation.concentration != null) {
+      const coordinates = calculation.receptor_coordinates || {};
+      const receptor = {
+        id: calculation.receptor_id,
+        lat: coordinates.lat,
+        lng: coordinates.lng,
+        concentration: calculation.concentration
+      };
+      window.PlumeHistory.recordReceptors(eventId, [receptor], { merge: true, timestamp: calculation.timestamp });
+      window.ReceptorTrends.record(eventId, [receptor], { timestamp: calculation.timestamp });
+      window.ReceptorRegistry.update(eventId, { ...receptor, timestamp: calculation.timestamp }, current => this.renderReceptor(current, eventId));
+    }
+
+    // Calculations for several receptors arrive together; fetch contours once
+    clearTimeout(this.plumeRefreshTimers.get(eventId));
+    this.plumeRefreshTimers.set(eventId, setTimeout(() => {
+      this.plumeRefreshTimers.delete(eventId);
+      this.updatePlumeContours({ id: eventId });
+    }, 1000));
+  }
+
   // Update active events on map
   updateActiveEvents(events) {
+    if (window.syncActiveEventLocations) window.syncActiveEventLocations(events);
+
+    // Events missing from the full active list have stopped or completed
+    const activeIds = new Set(events.map(event => String(event.id)));
+    Array.from(window.PlumeExport.events.keys())
+      .filter(eventId => !activeIds.has(eventId) && window.PlumeExport.isActive(eventId))
+      .forEach(eventId => window.PlumeExport.setStatus(eventId, 'inactive'));
+
     events.forEach(event => {
+      window.HazardScale.register(event.id, event.hazard_scale);
       this.updateEventMarker(event);
       this.updatePlumeContours(event);
     });
@@ -131,6 +209,8 @@ class RealTimeDispersionManager {
 
   // Update individual event visualization
   updateEventVisualization(event) {
+    window.HazardScale.register(event.id, event.hazard_scale);
+    if (window.setEventLocationStatus) window.setEventLocationStatus(event);
     this.updateEventMarker(event);
     this.updatePlumeContours(event);
     this.updateReceptors(event);
@@ -155,6 +235,7 @@ class RealTimeDispersionManager {
     }
 
     // Update popup content
+    window.PlumeExport.registerEvent(event.id, { chemical: event.chemical_name, location: event.location_name, status: event.status });
     const popupContent = this.createEventPopup(event);
     marker.bindPopup(popupContent);
   }
@@ -165,40 +246,52 @@ class RealTimeDispersionManager {
     fetch(`/api/v1/dispersion_events/${event.id}/plume_data.json`)
       .then(response => response.json())
       .then(data => {
-        if (data.success) {
-          this.renderPlumeContours(event.id, data.data.contours);
-        }
+        if (data.status === 'success') this.applyPlumeData(event.id, data.data);
       })
       .catch(error => {
         console.error('Error fetching plume data:', error);
       });
   }
 
+  // Show and record contours from plume_data or a streamed plume_update
+  applyPlumeData(eventId, plumeData) {
+    if (eventId == null || !plumeData || !plumeData.contours) return;
+
+    if (window.PlumePreview) window.PlumePreview.replaceWith(plumeData.source_location);
+    this.renderPlumeContours(eventId, plumeData.contours);
+    if (window.ConcentrationHeatmap) window.ConcentrationHeatmap.refresh(eventId);
+    window.PlumeHistory.recordPlume(eventId, plumeData);
+  }
+
   // Render plume contours on map
   renderPlumeContours(eventId, contours) {
     if (!window.plumeContours) window.plumeContours = new Map();
 
+    // Contours live in the map's "Plume Contours" overlay when it exists
+    const contourLayer = window.plumeContourLayer || this.map;
+
     // Remove existing contours for this event
     const existingContours = window.plumeContours.get(eventId);
     if (existingContours) {
-      existingContours.forEach(contour => this.map.removeLayer(contour));
+      existingContours.forEach(contour => contourLayer.removeLayer(contour));
     }
 
     // Add new contours
     const newContours = [];
     contours.forEach(contourData => {
-      const contour = L.polygon(contourData.coordinates, {
-        color: contourData.color || this.getConcentrationColor(contourData.concentration),
-        fillColor: contourData.color || this.getConcentrationColor(contourData.concentration),
+      const color = window.HazardScale.getColor(contourData.level, eventId);
+      const contour = L.polygon(contourData.points, {
+        color: color,
+        fillColor: color,
         fillOpacity: 0.3,
         weight: 2
-      }).addTo(this.map);
+      }).addTo(contourLayer);
 
       contour.bindPopup(`
         <div class="plume-popup">
           <h6>Concentration Contour</h6>
-          <p><strong>Level:</strong> ${contourData.concentration} mg/m³</p>
-          <p><strong>Risk:</strong> ${contourData.level}</p>
+          <p><strong>Level:</strong> ${contourData.level} mg/m³</p>
+          <p><strong>Hazard:</strong> ${window.HazardScale.badge(contourData.level, eventId)}</p>
         </div>
       `);
 
@@ -208,27 +301,31 @@ class RealTimeDispersionManager {
     window.plumeContours.set(eventId, newContours);
   }
 
-  // Update receptor markers and concentrations
+  // Update receptor markers and concentrations; the receptor list is complete,
+  // so receptors no longer in it are removed
   updateReceptors(event) {
-    if (!window.receptorMarkers) window.receptorMarkers = new Map();
-
-    event.receptors.forEach(receptor => {
-      let marker = window.receptorMarkers.get(receptor.id);
-      
-      if (!marker) {
-        marker = L.marker([receptor.coordinates.lat, receptor.coordinates.lng], {
-          icon: this.createReceptorIcon(receptor)
-        }).addTo(this.map);
-        
-        window.receptorMarkers.set(receptor.id, marker);
-      } else {
-        marker.setIcon(this.createReceptorIcon(receptor));
-      }
-
-      // Update popup
-      const popupContent = this.createReceptorPopup(receptor);
-      marker.bindPopup(popupContent);
+    const receptors = event.receptors.map(receptor => ({
+      id: receptor.id,
+      name: receptor.name,
+      receptor_type: receptor.receptor_type,
+      lat: receptor.coordinates.lat,
+      lng: receptor.coordinates.lng,
+      concentration: receptor.concentration
+    }));
+    window.PlumeHistory.recordReceptors(event.id, receptors);
+    window.ReceptorTrends.record(event.id, receptors);
+
+    receptors.forEach(receptor => {
+      window.ReceptorRegistry.upsert(this.map, event.id, receptor, current => this.renderReceptor(current, event.id));
     });
+    window.ReceptorRegistry.prune(event.id, receptors.map(receptor => receptor.id));
+  }
+
+  renderReceptor(receptor, eventId) {
+    return {
+      style: this.receptorStyle(receptor, eventId),
+      popup: this.createReceptorPopup(receptor, eventId)
+    };
   }
 
   // Create event marker icon
@@ -242,15 +339,15 @@ class RealTimeDispersionManager {
     });
   }
 
-  // Create receptor marker icon
-  createReceptorIcon(receptor) {
-    const color = this.getHealthImpactColor(receptor.health_impact);
-    return L.divIcon({
-      html: `<i class="fas fa-crosshairs" style="color: ${color}; font-size: 16px;"></i>`,
-      className: 'receptor-marker-icon',
-      iconSize: [20, 20],
-      iconAnchor: [10, 10]
-    });
+  // Canvas circle marker style for a receptor
+  receptorStyle(receptor, eventId) {
+    return {
+      radius: 6,
+      color: '#ffffff',
+      weight: 1.5,
+      fillColor: window.HazardScale.getColor(receptor.concentration, eventId),
+      fillOpacity: 0.9
+    };
   }
 
   // Create event popup content
@@ -265,21 +362,31 @@ class RealTimeDispersionManager {
           <p><strong>Max Concentration:</strong> ${event.latest_calculation.max_concentration} mg/m³</p>
           <p><strong>Last Updated:</strong> ${new Date(event.latest_calculation.timestamp).toLocaleTimeString()}</p>
         ` : ''}
-        <button class="btn btn-primary btn-sm" onclick="window.realTimeManager.requestCalculationUpdate(${event.id})">
+        <button class="btn btn-primary btn-sm" onclick="window.realTimeManager.queueCalculationUpdate(${event.id})">
           <i class="fas fa-sync"></i> Update
         </button>
+        ${window.PlumeExport.menu(event.id)}
+        <button class="btn btn-outline-secondary btn-sm" onclick="window.IncidentReport.open(${event.id})">
+          <i class="fas fa-print"></i> Report
+        </button>
+        ${window.ReceptorGenerator.button(event.id)}
+        ${window.TerrainProfile.button(event.id)}
+        ${window.ProtectiveActionZones.button(event.id)}
       </div>
     `;
   }
 
   // Create receptor popup content
-  createReceptorPopup(receptor) {
+  createReceptorPopup(receptor, eventId) {
     return `
       <div class="receptor-popup">
-        <h6><i class="fas fa-crosshairs"></i> ${receptor.name}</h6>
-        <p><strong>Concentration:</strong> ${receptor.concentration.toFixed(3)} mg/m³</p>
-        <p><strong>Health Impact:</strong> <span class="badge bg-${this.getHealthImpactBadge(receptor.health_impact)}">${receptor.health_impact}</span></p>
-        <p><strong>Coordinates:</strong> ${receptor.coordinates.lat.toFixed(4)}, ${receptor.coordinates.lng.toFixed(4)}</p>
+        <h6><i class="fas fa-crosshairs"></i> ${window.MapHelpers.escapeHtml(receptor.name || 'Receptor')}</h6>
+        ${receptor.receptor_type ? `<p><strong>Type:</strong> ${window.ReceptorEditor.typeLabel(receptor.receptor_type)}</p>` : ''}
+        <p><strong>Concentration:</strong> ${Number(receptor.concentration).toFixed(3)} mg/m³</p>
+        <p><strong>Hazard:</strong> ${window.HazardScale.badge(receptor.concentration, eventId)}</p>
+        <p><strong>Coordinates:</strong> ${Number(receptor.lat).toFixed(4)}, ${Number(receptor.lng).toFixed(4)}</p>
+        ${receptor.timestamp ? `<p><strong>Updated:</strong> ${new Date(receptor.timestamp).toLocaleTimeString()}</p>` : ''}
+        ${window.ReceptorTrends.popupSection(eventId, receptor)}
       </div>
     `;
   }
@@ -305,37 +412,6 @@ class RealTimeDispersionManager {
     return badges[status] || 'secondary';
   }
 
-  getHealthImpactColor(impact) {
-    const colors = {
-      'safe': '#198754',
-      'low': '#20c997',
-      'caution': '#ffc107',
-      'warning': '#fd7e14',
-      'danger': '#dc3545',
-      'unknown': '#6c757d'
-    };
-    return colors[impact] || '#6c757d';
-  }
-
-  getHealthImpactBadge(impact) {
-    const badges = {
-      'safe': 'success',
-      'low': 'info',
-      'caution': 'warning',
-      'warning': 'warning',
-      'danger': 'danger',
-      'unknown': 'secondary'
-    };
-    return badges[impact] || 'secondary';
-  }
-
-  getConcentrationColor(concentration) {
-    if (concentration >= 10) return '#dc3545';
-    if (concentration >= 1) return '#fd7e14';
-    if (concentration >= 0.1) return '#ffc107';
-    return '#198754';
-  }
-
   // Setup real-time control panel
   setupRealTimeControls() {
     const controlPanel = document.getElementById('real-time-controls');
@@ -399,11 +475,18 @@ class RealTimeDispersionManager {
 
   // Fallback polling mechanism
   setupPollingFallback() {
-    setInterval(() => {
+    if (this.pollingInterval) return;
+
+    this.pollingInterval = setInterval(() => {
       this.updateAllEvents();
     }, this.updateInterval);
   }
 
+  stopPollingFallback() {
+    clearInterval(this.pollingInterval);
+    this.pollingInterval = null;
+  }
+
   // Direct API calculation update (fallback)
   performCalculationUpdate(eventId) {
     fetch(`/api/v1/dispersion_events/${eventId}/live_calculations.json`)
@@ -425,20 +508,28 @@ class RealTimeDispersionManager {
   // Clean up resources
   destroy() {
     this.stopAutoUpdate();
+    this.stopPollingFallback();
+    this.plumeRefreshTimers.forEach(timer => clearTimeout(timer));
+    this.plumeRefreshTimers.clear();
     
     if (this.dispersionChannel) {
       this.dispersionChannel.unsubscribe();
+      this.dispersionChannel = null;
     }
     
     // Clean up map layers
     if (window.eventMarkers) {
       window.eventMarkers.forEach(marker => this.map.removeLayer(marker));
+      window.eventMarkers.clear();
     }
+
+    window.ReceptorRegistry.removeAll();
     
     if (window.plumeContours) {
       window.plumeContours.forEach(contours => {
-        contours.forEach(contour => this.map.removeLayer(contour));
+        contours.forEach(contour => contour.remove());
       });
+      window.plumeContours.clear();
     }
   }
 }
@@ -0,0 +1,365 @@
+// Receptor Editor
+// Map editing mode for receptors. While editing, clicking the map drops a new
+// receptor for the chosen event, receptor markers can be dragged to move them,
+// and clicking a marker edits its name and type inline. Changes are saved to the
+// nested /dispersion_events/:id/receptors resource; the server calculates new
+// and moved receptors right away, and the marker picks up the value from the
+// next calculation update.
+
+const RECEPTOR_TYPES = {
+  residential: 'Residential',
+  school: 'School',
+  hospital: 'Hospital',
+  nursing_home: 'Nursing home',
+  workplace: 'Workplace',
+  public_space: 'Public space',
+  monitoring: 'Monitoring station',
+  other: 'Other'
+};
+
+class ReceptorEditor {
+  constructor() {
+    this.map = null;
+    this.control = null;
+    this.controlElement = null;
+    this.popup = null;
+    this.editing = false;
+    this.eventId = null;
+    this.dragged = null;
+
+    document.addEventListener('mapReady', (event) => this.attach(event.detail.map));
+    // Receptors added while editing (generated, placed or streamed) are editable too
+    document.addEventListener('receptor-marker-added', (event) => {
+      if (this.editing) this.setMarkerEditable(event.detail.entry.marker, true);
+    });
+
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => this.detach(), { persistent: true });
+    }
+  }
+
+  attach(map) {
+    if (this.map === map) return;
+
+    this.map = map;
+    this.editing = false;
+    this.control = this.createControl();
+    this.control.addTo(map);
+  }
+
+  // The map itself is removed by the dispersion map teardown
+  detach() {
+    this.editing = false;
+    this.popup = null;
+    this.control = null;
+    this.controlElement = null;
+    this.map = null;
+  }
+
+  typeLabel(type) {
+    return type ? (RECEPTOR_TYPES[type] || type) : null;
+  }
+
+  // <option> markup for the receptor types
+  typeOptions(selected = null) {
+    return Object.entries(RECEPTOR_TYPES).map(([value, label]) =>
+      `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`
+    ).join('');
+  }
+
+  // Events receptors can be added to: [{ id, label }]
+  events() {
+    return Array.from(window.PlumeExport.events.entries()).map(([id, event]) => ({
+      id,
+      label: [event.chemical, event.location].filter(Boolean).join(' at ') || `Event ${id}`
+    }));
+  }
+
+  toggle() {
+    if (this.editing) {
+      this.stop();
+    } else {
+      this.start();
+    }
+  }
+
+  start() {
+    const events = this.events();
+    if (events.length === 0) {
+      alert('There are no events on the map to add receptors to.');
+      return;
+    }
+    if (!events.some(event => event.id === this.eventId)) this.eventId = events[0].id;
+
+    this.editing = true;
+    this.map.on('click', this.handleMapClick, this);
+    this.map.getContainer().style.cursor = 'crosshair';
+    this.setMarkersEditable(true);
+    this.render();
+  }
+
+  stop() {
+    this.editing = false;
+    this.map.off('click', this.handleMapClick, this);
+    this.map.getContainer().style.cursor = '';
+    this.setMarkersEditable(false);
+    if (this.popup) this.map.closePopup(this.popup);
+    this.render();
+  }
+
+  setMarkersEditable(editable) {
+    window.ReceptorRegistry.forEach(({ marker }) => this.setMarkerEditable(marker, editable));
+  }
+
+  setMarkerEditable(marker, editable) {
+    if (editable) {
+      marker.on('mousedown', this.startDrag, this);
+      marker.on('click', this.handleMarkerClick, this);
+    } else {
+      marker.off('mousedown', this.startDrag, this);
+      marker.off('click', this.handleMarkerClick, this);
+    }
+  }
+
+  // Receptors are canvas circle markers, which Leaflet cannot drag; follow the
+  // mouse with the map's own dragging paused
+  startDrag(event) {
+    const marker = event.target;
+    let moved = false;
+
+    L.DomEvent.stop(event.originalEvent);
+    this.map.dragging.disable();
+
+    const move = (moveEvent) => {
+      moved = true;
+      marker.setLatLng(moveEvent.latlng);
+    };
+    const end = () => {
+      this.map.off('mousemove', move);
+      this.map.off('mouseup', end);
+      this.map.dragging.enable();
+      if (!moved) return;
+
+      // The click that ends a drag should not open the marker's form
+      this.dragged = marker;
+      setTimeout(() => { this.dragged = null; }, 0);
+      this.handleDragEnd(marker);
+    };
+
+    this.map.on('mousemove', move);
+    this.map.on('mouseup', end);
+  }
+
+  // { eventId, receptorId, entry } for a registry marker
+  findEntry(marker) {
+    let match = null;
+    window.ReceptorRegistry.forEach((entry, eventId, receptorId) => {
+      if (entry.marker === marker) match = { eventId, receptorId, entry };
+    });
+    return match;
+  }
+
+  handleMapClick(event) {
+    this.openForm(event.latlng, { eventId: this.eventId, receptor: null });
+  }
+
+  // Opens after the marker's own popup, which the map then closes
+  handleMarkerClick(event) {
+    if (this.dragged === event.target) {
+      event.target.closePopup();
+      return;
+    }
+
+    const match = this.findEntry(event.target);
+    if (!match) return;
+    this.openForm(event.target.getLatLng(), { eventId: match.eventId, receptor: match.entry.receptor });
+  }
+
+  async handleDragEnd(marker) {
+    const match = this.findEntry(marker);
+    if (!match) return;
+
+    const { lat, lng } = marker.getLatLng();
+    try {
+      const receptor = await this.request('PATCH', this.receptorUrl(match.eventId, match.receptorId), {
+        latitude: lat,
+        longitude: lng
+      });
+      window.ReceptorRegistry.update(match.eventId, this.fromResponse(receptor));
+      console.log(`📍 Receptor ${match.receptorId} moved to ${lat.toFixed(5)}, ${lng.toFixed(5)}`);
+    } catch (error) {
+      // Put the marker back where the server has it
+      const { receptor } = match.entry;
+      marker.setLatLng([receptor.lat, receptor.lng]);
+      alert(`Could not move receptor: ${error.message}`);
+    }
+  }
+
+  // Inline form for a new receptor (receptor null) or an existing one
+  openForm(latlng, { eventId, receptor }) {
+    const form = L.DomUtil.create('form', 'receptor-editor-form');
+
+    form.innerHTML = `
+      <h6 class="mb-2">${receptor ? 'Edit Receptor' : 'New Receptor'}</h6>
+      <input class="form-control form-control-sm mb-1" name="name" placeholder="Name" required>
+      <select class="form-select form-select-sm mb-2" name="receptor_type">
+        <option value="">Type...</option>
+        ${this.typeOptions(receptor && receptor.receptor_type)}
+      </select>
+      <div class="d-flex gap-1">
+        <button type="submit" class="btn btn-sm btn-primary"><i class="fas fa-save"></i> Save</button>
+        ${receptor ? '<button type="button" class="btn btn-sm btn-outline-danger" data-action="delete"><i class="fas fa-trash"></i> Delete</button>' : ''}
+      </div>
+      <small class="text-danger d-block mt-1" data-role="error"></small>
+    `;
+    form.elements.name.value = receptor ? receptor.name || '' : '';
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.save(form, latlng, { eventId, receptor });
+    });
+    const deleteButton = form.querySelector('[data-action="delete"]');
+    if (deleteButton) deleteButton.addEventListener('click', () => this.destroy(form, eventId, receptor));
+    L.DomEvent.disableClickPropagation(form);
+
+    this.popup = L.popup({ minWidth: 220 }).setLatLng(latlng).setContent(form).openOn(this.map);
+    form.elements.name.focus();
+  }
+
+  async save(form, latlng, { eventId, receptor }) {
+    const attributes = {
+      name: form.elements.name.value.trim(),
+      receptor_type: form.elements.receptor_type.value || null
+    };
+    this.setBusy(form, true);
+
+    try {
+      if (receptor) {
+        const saved = await this.request('PATCH', this.receptorUrl(eventId, receptor.id), attributes);
+        window.ReceptorRegistry.update(eventId, this.fromResponse(saved));
+      } else {
+        const saved = await this.request('POST', `/dispersion_events/${eventId}/receptors.json`, {
+          ...attributes,
+          latitude: latlng.lat,
+          longitude: latlng.lng
+        });
+        window.ReceptorRegistry.upsert(this.map, eventId, this.fromResponse(saved),
+          current => window.renderReceptor(current, eventId));
+        console.log(`📍 Receptor ${saved.id} added to event ${eventId}`);
+      }
+      this.map.closePopup(this.popup);
+    } catch (error) {
+      form.querySelector('[data-role="error"]').textContent = error.message;
+      this.setBusy(form, false);
+    }
+  }
+
+  async destroy(form, eventId, receptor) {
+    if (!confirm(`Delete receptor "${receptor.name}"?`)) return;
+    this.setBusy(form, true);
+
+    try {
+      await this.request('DELETE', this.receptorUrl(eventId, receptor.id));
+      window.ReceptorRegistry.remove(eventId, receptor.id);
+      this.map.closePopup(this.popup);
+    } catch (error) {
+      form.querySelector('[data-role="error"]').textContent = error.message;
+      this.setBusy(form, false);
+    }
+  }
+
+  setBusy(form, busy) {
+    form.querySelectorAll('button, input, select').forEach(element => { element.disabled = busy; });
+  }
+
+  receptorUrl(eventId, receptorId) {
+    return `/dispersion_events/${eventId}/receptors/${receptorId}.json`;
+  }
+
+  // Registry fields from a receptors controller response
+  fromResponse(receptor) {
+    return {
+      id: receptor.id,
+      name: receptor.name,
+      receptor_type: receptor.receptor_type || '', // A cleared type must replace the old one
+      lat: receptor.lat,
+      lng: receptor.lng
+    };
+  }
+
+  // JSON request to the receptors resource; resolves with `data`, rejects with the server message
+  async request(method, url, attributes = null) {
+    const csrfToken = document.querySelector('[name="csrf-token"]');
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': csrfToken ? csrfToken.content : ''
+      },
+      body: attributes ? JSON.stringify({ receptor: attributes }) : undefined
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || result.status !== 'success') {
+      throw new Error(result.message || `HTTP error! status: ${response.status}`);
+    }
+    return result.data;
+  }
+
+  createControl() {
+    const control = L.control({ position: 'topleft' });
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create('div', 'receptor-editor-control bg-white p-2 rounded shadow-sm');
+      div.addEventListener('click', (event) => {
+        if (event.target.closest('[data-action="toggle"]')) this.toggle();
+      });
+      div.addEventListener('change', (event) => {
+        if (event.target.name === 'event') this.eventId = event.target.value;
+      });
+
+      L.DomEvent.disableClickPropagation(div);
+      L.DomEvent.disableScrollPropagation(div);
+      this.controlElement = div;
+      this.render();
+      return div;
+    };
+
+    return control;
+  }
+
+  render() {
+    const div = this.controlElement;
+    if (!div || !this.control) return;
+
+    if (!this.editing) {
+      div.innerHTML = `
+        <button class="btn btn-sm btn-outline-primary" data-action="toggle" title="Add, move and edit receptors">
+          <i class="fas fa-map-pin"></i> Edit Receptors
+        </button>
+      `;
+      return;
+    }
+
+    const events = this.events();
+    const options = events.map(event =>
+      `<option value="${event.id}" ${event.id === this.eventId ? 'selected' : ''}>${event.label}</option>`
+    ).join('');
+
+    div.innerHTML = `
+      <button class="btn btn-sm btn-primary mb-1" data-action="toggle">
+        <i class="fas fa-check"></i> Done Editing
+      </button>
+      ${events.length > 1 ? `<select class="form-select form-select-sm mb-1" name="event">${options}</select>` : ''}
+      <small class="d-block text-muted" style="max-width: 200px;">
+        Click the map to add a receptor. Drag a receptor to move it, click it to rename or delete.
+      </small>
+    `;
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.ReceptorEditor) {
+  window.ReceptorEditor = new ReceptorEditor();
+}
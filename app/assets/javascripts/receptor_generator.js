@@ -0,0 +1,334 @@
+// Receptor Generator
+// Event popup tool that lays out receptors automatically: polar rings at chosen
+// distances around the source, a transect along the downwind centerline of the
+// latest plume weather, or a rectangular grid over the current plume bounds.
+// Generated points are previewed on the map, then created in one request to
+// /dispersion_events/:id/receptors/bulk_create.
+
+const GENERATOR_COMPASS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+class ReceptorGenerator {
+  constructor() {
+    this.maxReceptors = 200; // ReceptorsController::MAX_BULK_RECEPTORS
+    this.defaults = {
+      rings: { distances: '500, 1000, 2000, 5000', points: 8 },
+      transect: { length: 5000, spacing: 500 },
+      grid: { spacing: 500 }
+    };
+
+    this.map = null;
+    this.popup = null;
+    this.previewLayer = null;
+
+    document.addEventListener('mapReady', (event) => this.attach(event.detail.map));
+
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => this.detach(), { persistent: true });
+    }
+  }
+
+  attach(map) {
+    if (this.map === map) return;
+
+    this.map = map;
+    this.previewLayer = L.layerGroup().addTo(map);
+  }
+
+  // The map itself is removed by the dispersion map teardown
+  detach() {
+    this.popup = null;
+    this.previewLayer = null;
+    this.map = null;
+  }
+
+  // Button markup for event popups
+  button(eventId) {
+    return `
+      <button class="btn btn-sm btn-outline-secondary" onclick="window.ReceptorGenerator.open(${eventId})">
+        <i class="fas fa-braille"></i> Receptors
+      </button>
+    `;
+  }
+
+  sourceLatLng(eventId) {
+    const marker = (window.sourceMarkers && window.sourceMarkers[eventId]) ||
+      (window.eventMarkers && Array.from(window.eventMarkers.entries()).find(([id]) => String(id) === String(eventId))?.[1]);
+    return marker ? marker.getLatLng() : null;
+  }
+
+  open(eventId) {
+    const source = this.sourceLatLng(eventId);
+    if (!this.map || !source) {
+      alert('The event source is not on the map.');
+      return;
+    }
+
+    const snapshot = window.PlumeHistory.getLatestSnapshot(eventId);
+    const weather = snapshot && snapshot.weather && snapshot.weather.wind_direction != null ? snapshot.weather : null;
+    const plumeBounds = this.plumeBounds(snapshot);
+
+    const form = L.DomUtil.create('form', 'receptor-generator-form');
+    form.innerHTML = this.formTemplate({ weather, plumeBounds });
+
+    const update = () => this.preview(form, eventId, source, weather, plumeBounds);
+    form.addEventListener('input', update);
+    form.addEventListener('change', update);
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.create(form, eventId, source, weather, plumeBounds);
+    });
+    L.DomEvent.disableClickPropagation(form);
+    L.DomEvent.disableScrollPropagation(form);
+
+    this.popup = L.popup({ minWidth: 260, closeOnClick: false })
+      .setLatLng(source)
+      .setContent(form)
+      .openOn(this.map);
+    this.popup.on('remove', () => {
+      if (this.previewLayer) this.previewLayer.clearLayers();
+    });
+
+    update();
+  }
+
+  formTemplate({ weather, plumeBounds }) {
+    const { rings, transect, grid } = this.defaults;
+
+    return `
+      <h6 class="mb-2"><i class="fas fa-braille"></i> Generate Receptors</h6>
+      <select class="form-select form-select-sm mb-2" name="pattern">
+        <option value="rings">Polar rings around the source</option>
+        <option value="transect" ${weather ? '' : 'disabled'}>Downwind centerline transect</option>
+        <option value="grid" ${plumeBounds ? '' : 'disabled'}>Grid over the plume</option>
+      </select>
+      <div data-pattern="rings">
+        <label class="form-label small mb-0">Ring distances (m)</label>
+        <input class="form-control form-control-sm mb-1" name="distances" value="${rings.distances}">
+        <label class="form-label small mb-0">Points per ring</label>
+        <input class="form-control form-control-sm mb-1" name="points" type="number" min="1" max="36" value="${rings.points}">
+      </div>
+      <div data-pattern="transect" class="d-none">
+        <small class="d-block text-muted mb-1">${weather ? `Wind from ${weather.wind_direction}° at ${weather.wind_speed} m/s` : ''}</small>
+        <label class="form-label small mb-0">Length (m)</label>
+        <input class="form-control form-control-sm mb-1" name="length" type="number" min="100" value="${transect.length}">
+        <label class="form-label small mb-0">Spacing (m)</label>
+        <input class="form-control form-control-sm mb-1" name="transect_spacing" type="number" min="50" value="${transect.spacing}">
+      </div>
+      <div data-pattern="grid" class="d-none">
+        <label class="form-label small mb-0">Spacing (m)</label>
+        <input class="form-control form-control-sm mb-1" name="grid_spacing" type="number" min="50" value="${grid.spacing}">
+      </div>
+      <label class="form-label small mb-0">Name prefix</label>
+      <input class="form-control form-control-sm mb-1" name="prefix" value="Auto">
+      <select class="form-select form-select-sm mb-2" name="receptor_type">
+        <option value="">Type...</option>
+        ${window.ReceptorEditor.typeOptions('monitoring')}
+      </select>
+      <button type="submit" class="btn btn-sm btn-primary w-100" data-role="submit">Create receptors</button>
+      <small class="d-block mt-1" data-role="status"></small>
+    `;
+  }
+
+  // Bounds of all of a snapshot's contours together, or null without contours
+  plumeBounds(snapshot) {
+    if (!snapshot) return null;
+
+    const points = snapshot.contours.flatMap(contour => contour.points || []);
+    return points.length > 2 ? L.latLngBounds(points) : null;
+  }
+
+  // Receptors ({ name, lat, lng }) for the form's current settings
+  generate(form, source, weather, plumeBounds) {
+    const values = Object.fromEntries(new FormData(form).entries());
+    const prefix = values.prefix.trim() || 'Auto';
+
+    switch (values.pattern) {
+      case 'transect':
+        return this.transect(source, weather, Number(values.length), Number(values.transect_spacing), prefix);
+      case 'grid':
+        return this.grid(plumeBounds, Number(values.grid_spacing), prefix);
+      default:
+        return this.rings(source, parseDistances(values.distances), Number(values.points), prefix);
+    }
+  }
+
+  rings(source, distances, count, prefix) {
+    if (!(count >= 1)) return [];
+    this.checkCount(distances.length * Math.floor(count));
+
+    return distances.flatMap(distance => Array.from({ length: Math.floor(count) }, (_, index) => {
+      const bearing = index * 360 / Math.floor(count);
+      // Compass points repeat beyond 16 per ring; use degrees instead
+      const direction = count > 16 ? `${Math.round(bearing)}°` : compassPoint(bearing);
+      return {
+        name: `${prefix} ${window.MapHelpers.formatDistance(distance, 2)} ${direction}`,
+        ...window.MapHelpers.offsetLatLng(source, distance, bearing)
+      };
+    }));
+  }
+
+  // Points every `spacing` meters along the downwind bearing
+  transect(source, weather, length, spacing, prefix) {
+    if (!weather || !(spacing > 0) || !(length >= spacing)) return [];
+
+    const bearing = (Number(weather.wind_direction) + 180) % 360;
+    const count = Math.floor(length / spacing);
+    this.checkCount(count);
+    return Array.from({ length: count }, (_, index) => {
+      const distance = (index + 1) * spacing;
+      return {
+        name: `${prefix} downwind ${window.MapHelpers.formatDistance(distance, 2)}`,
+        ...window.MapHelpers.offsetLatLng(source, distance, bearing)
+      };
+    });
+  }
+
+  // Cell centers every `spacing` meters over the plume bounds; rows named A, B, ... from the north
+  grid(bounds, spacing, prefix) {
+    if (!bounds || !(spacing > 0)) return [];
+
+    const north = bounds.getNorth();
+    const west = bounds.getWest();
+    const latStep = spacing / window.MapHelpers.metersPerDegreeLat;
+    const lngStep = spacing / window.MapHelpers.metersPerDegreeLngAt(bounds.getCenter().lat);
+    const rows = Math.max(1, Math.ceil((north - bounds.getSouth()) / latStep));
+    const cols = Math.max(1, Math.ceil((bounds.getEast() - west) / lngStep));
+
+    this.checkCount(rows * cols);
+
+    const receptors = [];
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        receptors.push({
+          name: `${prefix} grid ${rowLabel(row)}${col + 1}`,
+          lat: north - (row + 0.5) * latStep,
+          lng: west + (col + 0.5) * lngStep
+        });
+      }
+    }
+    return receptors;
+  }
+
+  // Refuse layouts too large to create before building them
+  checkCount(count) {
+    if (count > this.maxReceptors) {
+      throw new RangeError(`${count} points; at most ${this.maxReceptors} receptors can be created at once`);
+    }
+  }
+
+  // Show the pattern's fields and preview its points
+  preview(form, eventId, source, weather, plumeBounds) {
+    const pattern = form.elements.pattern.value;
+    form.querySelectorAll('[data-pattern]').forEach(section => {
+      section.classList.toggle('d-none', section.dataset.pattern !== pattern);
+    });
+
+    const status = form.querySelector('[data-role="status"]');
+    const submit = form.querySelector('[data-role="submit"]');
+    let receptors = [];
+    let message = null;
+
+    try {
+      receptors = this.generate(form, source, weather, plumeBounds);
+      if (receptors.length === 0) {
+        message = 'No receptors for these settings';
+      }
+    } catch (error) {
+      message = error.message;
+    }
+
+    const valid = message === null;
+    submit.disabled = !valid;
+    submit.textContent = valid ? `Create ${receptors.length} receptor${receptors.length === 1 ? '' : 's'}` : 'Create receptors';
+    status.className = `d-block mt-1 ${valid ? 'text-muted' : 'text-danger'}`;
+    status.textContent = valid ? 'Previewed on the map' : message;
+
+    this.previewLayer.clearLayers();
+    if (!valid) return;
+
+    receptors.forEach(receptor => {
+      L.circleMarker([receptor.lat, receptor.lng], {
+        radius: 4,
+        color: '#6f42c1',
+        weight: 1,
+        fillOpacity: 0.6,
+        interactive: false
+      }).addTo(this.previewLayer);
+    });
+  }
+
+  async create(form, eventId, source, weather, plumeBounds) {
+    const receptorType = form.elements.receptor_type.value || null;
+    const receptors = this.generate(form, source, weather, plumeBounds);
+    const status = form.querySelector('[data-role="status"]');
+    const submit = form.querySelector('[data-role="submit"]');
+    submit.disabled = true;
+
+    try {
+      const csrfToken = document.querySelector('[name="csrf-token"]');
+      const response = await fetch(`/dispersion_events/${eventId}/receptors/bulk_create.json`, {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': csrfToken ? csrfToken.content : ''
+        },
+        body: JSON.stringify({
+          receptors: receptors.map(receptor => ({
+            name: receptor.name,
+            latitude: receptor.lat.toFixed(6),
+            longitude: receptor.lng.toFixed(6),
+            receptor_type: receptorType
+          }))
+        })
+      });
+
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok || result.status !== 'success') {
+        throw new Error(result.message || `HTTP error! status: ${response.status}`);
+      }
+
+      result.data.forEach(receptor => {
+        window.ReceptorRegistry.upsert(this.map, eventId, {
+          id: receptor.id,
+          name: receptor.name,
+          receptor_type: receptor.receptor_type,
+          lat: receptor.lat,
+          lng: receptor.lng
+        }, current => window.renderReceptor(current, eventId));
+      });
+      console.log(`📍 ${result.data.length} receptors generated for event ${eventId}`);
+      this.map.closePopup(this.popup);
+    } catch (error) {
+      console.error(`Error generating receptors for event ${eventId}:`, error);
+      status.className = 'd-block mt-1 text-danger';
+      status.textContent = error.message;
+      submit.disabled = false;
+    }
+  }
+}
+
+function parseDistances(text) {
+  return String(text)
+    .split(/[\s,;]+/)
+    .map(Number)
+    .filter(distance => distance > 0);
+}
+
+function compassPoint(bearing) {
+  return GENERATOR_COMPASS[Math.round(bearing / 22.5) % 16];
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function rowLabel(index) {
+  let label = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    label = String.fromCharCode(65 + (n - 1) % 26) + label;
+  }
+  return label;
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.ReceptorGenerator) {
+  window.ReceptorGenerator = new ReceptorGenerator();
+}
@@ -0,0 +1,123 @@
+// Receptor Registry
+// One registry of receptor markers keyed by event id and receptor id, shared by
+// the dispersion map and the real-time manager. Updates from receptor lists,
+// live_calculations and the cable stream find their marker by receptor id, so a
+// marker re-colors and moves in place, and receptors missing from a full
+// receptor list are removed from the map. Markers are circle markers on the
+// map's shared canvas renderer, so thousands of receptors stay cheap to draw.
+
+class ReceptorRegistry {
+  constructor() {
+    this.entries = new Map(); // eventId -> Map(receptorId -> { receptor, marker, render })
+
+    // Markers belong to the page's map, which the dispersion map teardown removes
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => this.entries.clear(), { persistent: true });
+    }
+  }
+
+  eventEntries(eventId, create = false) {
+    const key = String(eventId);
+    if (!this.entries.has(key) && create) this.entries.set(key, new Map());
+    return this.entries.get(key) || null;
+  }
+
+  get(eventId, receptorId) {
+    const entries = this.eventEntries(eventId);
+    return (entries && entries.get(String(receptorId))) || null;
+  }
+
+  // Update a known receptor's marker. `receptor` carries its id and the changed
+  // fields ({ id, name, lat, lng, concentration, timestamp }); fields it lacks
+  // keep their previous values. `render(receptor)` returns { style, popup } for
+  // the merged receptor, `style` being circle marker path options, and defaults
+  // to the one the marker was added with. Returns the entry, or null for an
+  // unknown receptor.
+  update(eventId, receptor, render = null) {
+    const entry = receptor.id != null ? this.get(eventId, receptor.id) : null;
+    if (!entry) return null;
+
+    entry.receptor = { ...entry.receptor, ...withoutBlanks(receptor) };
+    if (render) entry.render = render;
+    const { style, popup } = entry.render(entry.receptor);
+    const position = L.latLng(entry.receptor.lat, entry.receptor.lng);
+
+    if (!entry.marker.getLatLng().equals(position)) entry.marker.setLatLng(position);
+    entry.marker.setStyle(style);
+    entry.marker.setPopupContent(popup);
+    return entry;
+  }
+
+  // Update a receptor's marker, or add one to the map for a new receptor
+  upsert(map, eventId, receptor, render) {
+    if (receptor.id == null) {
+      console.warn('⚠️ Receptor without an id ignored:', receptor);
+      return null;
+    }
+
+    const existing = this.update(eventId, receptor, render);
+    if (existing) return existing;
+
+    const current = withoutBlanks(receptor);
+    const { style, popup } = render(current);
+    const marker = L.circleMarker([current.lat, current.lng], {
+      ...style,
+      renderer: window.MapMarkers.canvas(map),
+      bubblingMouseEvents: false // like DOM markers, clicks stay off the map
+    }).bindPopup(popup).addTo(map);
+    const entry = { receptor: current, marker, render };
+
+    this.eventEntries(eventId, true).set(String(receptor.id), entry);
+    // Lets the receptor editor make markers added while editing draggable
+    document.dispatchEvent(new CustomEvent('receptor-marker-added', { detail: { eventId, entry } }));
+    return entry;
+  }
+
+  // Remove an event's receptors that are not in a full receptor list
+  prune(eventId, receptorIds) {
+    const entries = this.eventEntries(eventId);
+    if (!entries) return;
+
+    const current = new Set(receptorIds.map(String));
+    entries.forEach(({ marker }, receptorId) => {
+      if (current.has(receptorId)) return;
+      marker.remove();
+      entries.delete(receptorId);
+    });
+  }
+
+  remove(eventId, receptorId) {
+    const entries = this.eventEntries(eventId);
+    const entry = entries && entries.get(String(receptorId));
+    if (!entry) return;
+
+    entry.marker.remove();
+    entries.delete(String(receptorId));
+  }
+
+  removeEvent(eventId) {
+    this.prune(eventId, []);
+    this.entries.delete(String(eventId));
+  }
+
+  removeAll() {
+    Array.from(this.entries.keys()).forEach(eventId => this.removeEvent(eventId));
+  }
+
+  // Call `callback(entry, eventId, receptorId)` for every receptor
+  forEach(callback) {
+    this.entries.forEach((entries, eventId) => {
+      entries.forEach((entry, receptorId) => callback(entry, eventId, receptorId));
+    });
+  }
+}
+
+// Partial updates leave out fields, or send them as null
+function withoutBlanks(receptor) {
+  return Object.fromEntries(Object.entries(receptor).filter(([, value]) => value != null));
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.ReceptorRegistry) {
+  window.ReceptorRegistry = new ReceptorRegistry();
+}
@@ -0,0 +1,294 @@
+// Receptor Concentration Trends
+// Keeps a rolling concentration history for each receptor, recorded from
+// live_calculations polling and the dispersion cable stream, and charts it with
+// Chart.js in the receptor popup and the dashboard's Receptor Trend panel. The
+// chart shows the event's hazard tier thresholds, and the stats give the latest,
+// peak and average values and the current rate of change.
+
+class ReceptorTrends {
+  constructor() {
+    this.series = new Map();     // eventId -> [{ id, name, lat, lng, points: [{ timestamp, value }] }]
+    this.maxPoints = 360;        // per receptor
+    this.maxAge = 6 * 60 * 60 * 1000;
+    this.trendWindow = 15 * 60 * 1000; // rate of change over the last 15 minutes
+
+    this.map = null;
+    this.charts = new Map();     // canvas -> Chart
+    this.selected = null;        // { eventId, receptor } shown in the side panel
+    this.renderTimer = null;
+
+    document.addEventListener('mapReady', (event) => this.attach(event.detail.map));
+
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => this.detach(), { persistent: true });
+    }
+  }
+
+  attach(map) {
+    if (this.map === map) return;
+
+    this.map = map;
+    map.on('popupopen', () => this.render());
+    map.on('popupclose', () => this.scheduleRender());
+    this.render();
+  }
+
+  // Charts belong to the page; the history lives for the browser session
+  detach() {
+    clearTimeout(this.renderTimer);
+    this.charts.forEach(chart => chart.destroy());
+    this.charts.clear();
+    this.selected = null;
+    this.map = null;
+  }
+
+  // Record receptor values ({ id, name, lat, lng, concentration }) at a time
+  record(eventId, receptors, { timestamp = null } = {}) {
+    const time = Date.parse(timestamp) || Date.now();
+    let list = this.series.get(eventId);
+    if (!list) {
+      list = [];
+      this.series.set(eventId, list);
+    }
+
+    receptors.forEach(receptor => {
+      if (receptor.concentration == null) return;
+
+      let entry = list.find(existing => sameReceptor(existing, receptor));
+      if (!entry) {
+        entry = { id: receptor.id ?? null, name: receptor.name ?? null, lat: receptor.lat, lng: receptor.lng, points: [] };
+        list.push(entry);
+      }
+      if (receptor.id != null) entry.id = receptor.id;
+      if (receptor.name) entry.name = receptor.name;
+
+      // Polling returns the same calculations for a minute; keep each time once
+      const points = entry.points;
+      if (points.some(point => point.timestamp === time)) return;
+
+      let position = points.length;
+      while (position > 0 && points[position - 1].timestamp > time) position--;
+      points.splice(position, 0, { timestamp: time, value: Number(receptor.concentration) });
+
+      const cutoff = points[points.length - 1].timestamp - this.maxAge;
+      while (points.length > this.maxPoints || (points.length > 1 && points[0].timestamp < cutoff)) {
+        points.shift();
+      }
+    });
+
+    this.scheduleRender();
+  }
+
+  getHistory(eventId, receptor) {
+    const list = Array.from(this.series.entries()).find(([id]) => String(id) === String(eventId));
+    if (!list) return null;
+    return list[1].find(existing => sameReceptor(existing, receptor)) || null;
+  }
+
+  // { latest, peak, average, ratePerHour } for a history's points
+  stats(points) {
+    if (points.length === 0) return null;
+
+    const values = points.map(point => point.value);
+    const latest = points[points.length - 1];
+    const recent = points.filter(point => point.timestamp >= latest.timestamp - this.trendWindow);
+    const first = recent[0];
+    const hours = (latest.timestamp - first.timestamp) / 3600000;
+
+    return {
+      latest: latest.value,
+      peak: Math.max(...values),
+      average: values.reduce((sum, value) => sum + value, 0) / values.length,
+      ratePerHour: hours > 0 ? (latest.value - first.value) / hours : null
+    };
+  }
+
+  // Chart placeholder for receptor popups; drawn when the popup opens
+  popupSection(eventId, receptor) {
+    return `
+      <div class="receptor-trend mt-2" ${this.dataAttributes(eventId, receptor)}>
+        <div style="position: relative; height: 120px; width: 260px;"><canvas></canvas></div>
+        <div class="receptor-trend-stats small text-muted"></div>
+        <button class="btn btn-sm btn-link p-0" onclick="window.ReceptorTrends.selectFromElement(this)">
+          <i class="fas fa-chart-line"></i> Show in trend panel
+        </button>
+      </div>
+    `;
+  }
+
+  dataAttributes(eventId, receptor) {
+    return [
+      `data-event-id="${eventId}"`,
+      receptor.id != null ? `data-receptor-id="${receptor.id}"` : '',
+      `data-lat="${receptor.lat}"`,
+      `data-lng="${receptor.lng}"`,
+      receptor.name ? `data-name="${window.MapHelpers.escapeHtml(receptor.name)}"` : ''
+    ].join(' ');
+  }
+
+  // Show a popup's receptor in the side panel
+  selectFromElement(element) {
+    const { eventId, receptorId, lat, lng, name } = element.closest('.receptor-trend').dataset;
+    this.selected = {
+      eventId,
+      receptor: { id: receptorId ?? null, lat: parseFloat(lat), lng: parseFloat(lng), name: name || null }
+    };
+    this.render();
+  }
+
+  // Redraw once after a batch of updates or popup content changes
+  scheduleRender() {
+    clearTimeout(this.renderTimer);
+    this.renderTimer = setTimeout(() => this.render(), 0);
+  }
+
+  render() {
+    if (typeof Chart === 'undefined') return;
+
+    // Popup content is replaced on refresh; drop charts whose canvas is gone
+    this.charts.forEach((chart, canvas) => {
+      if (!canvas.isConnected) {
+        chart.destroy();
+        this.charts.delete(canvas);
+      }
+    });
+
+    if (this.map) {
+      this.map.getContainer().querySelectorAll('.receptor-trend').forEach(container => {
+        const { eventId, receptorId, lat, lng } = container.dataset;
+        const receptor = { id: receptorId ?? null, lat: parseFloat(lat), lng: parseFloat(lng) };
+        this.drawTrend(container, eventId, receptor);
+      });
+    }
+
+    this.renderPanel();
+  }
+
+  renderPanel() {
+    const panel = document.getElementById('receptorTrendPanel');
+    if (!panel) return;
+
+    if (!this.selected) {
+      if (panel.querySelector('.receptor-trend')) {
+        panel.innerHTML = '<p class="text-muted small mb-0">Open a receptor on the map and choose "Show in trend panel"</p>';
+      }
+      return;
+    }
+
+    const { eventId, receptor } = this.selected;
+    let container = panel.querySelector('.receptor-trend');
+    if (!container || container.dataset.key !== this.key(eventId, receptor)) {
+      const history = this.getHistory(eventId, receptor);
+      const name = receptor.name || (history && history.name) || `Receptor at ${receptor.lat.toFixed(4)}, ${receptor.lng.toFixed(4)}`;
+      panel.innerHTML = `
+        <div class="receptor-trend" data-key="${this.key(eventId, receptor)}">
+          <small class="d-block fw-bold mb-1">${window.MapHelpers.escapeHtml(name)}</small>
+          <div style="position: relative; height: 160px;"><canvas></canvas></div>
+          <div class="receptor-trend-stats small text-muted mt-1"></div>
+        </div>
+      `;
+      container = panel.querySelector('.receptor-trend');
+    }
+
+    this.drawTrend(container, eventId, receptor);
+  }
+
+  key(eventId, receptor) {
+    return receptor.id != null ? `${eventId}:${receptor.id}` : `${eventId}:${receptor.lat},${receptor.lng}`;
+  }
+
+  // Draw or update the chart and stats inside a .receptor-trend container
+  drawTrend(container, eventId, receptor) {
+    const canvas = container.querySelector('canvas');
+    const statsElement = container.querySelector('.receptor-trend-stats');
+    const history = this.getHistory(eventId, receptor);
+    const points = history ? history.points : [];
+    const stats = this.stats(points);
+
+    statsElement.innerHTML = stats ? this.statsTemplate(stats, eventId) : 'No history recorded yet';
+
+    const config = this.chartConfig(points, eventId, stats);
+    const chart = this.charts.get(canvas);
+    if (chart) {
+      chart.data = config.data;
+      chart.options = config.options;
+      chart.update('none');
+    } else {
+      this.charts.set(canvas, new Chart(canvas, config));
+    }
+  }
+
+  statsTemplate(stats, eventId) {
+    let trend = 'Trend: --';
+    if (stats.ratePerHour !== null) {
+      const arrow = stats.ratePerHour > 0 ? '▲' : stats.ratePerHour < 0 ? '▼' : '▶';
+      trend = `Trend: ${arrow} ${stats.ratePerHour >= 0 ? '+' : ''}${stats.ratePerHour.toFixed(3)} mg/m³/h`;
+    }
+
+    return `
+      Latest <strong>${stats.latest.toFixed(3)}</strong> ${window.HazardScale.badge(stats.latest, eventId)}<br>
+      Peak <strong>${stats.peak.toFixed(3)}</strong> · Avg <strong>${stats.average.toFixed(3)}</strong> mg/m³<br>
+      ${trend}
+    `;
+  }
+
+  // Concentration line plus one dashed line per hazard tier up to the first tier above the peak
+  chartConfig(points, eventId, stats) {
+    const labels = points.map(point => new Date(point.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+    const scale = window.HazardScale.getScale(eventId);
+    const peak = stats ? stats.peak : 0;
+
+    const thresholds = [];
+    for (const tier of scale.tiers) {
+      thresholds.push(tier);
+      if (tier.value > peak) break;
+    }
+
+    const datasets = [{
+      label: 'Concentration (mg/m³)',
+      data: points.map(point => point.value),
+      borderColor: '#007bff',
+      backgroundColor: 'rgba(0, 123, 255, 0.15)',
+      fill: true,
+      tension: 0.2,
+      pointRadius: points.length > 30 ? 0 : 2
+    }, ...thresholds.map(tier => ({
+      label: `${tier.label} (${tier.value})`,
+      data: points.map(() => tier.value),
+      borderColor: window.HazardScale.getColor(tier.value, eventId),
+      borderDash: [6, 4],
+      borderWidth: 1.5,
+      pointRadius: 0,
+      fill: false
+    }))];
+
+    return {
+      type: 'line',
+      data: { labels, datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: {
+          legend: { display: false },
+          tooltip: { mode: 'index', intersect: false }
+        },
+        scales: {
+          x: { ticks: { maxTicksLimit: 4, font: { size: 10 } } },
+          y: { beginAtZero: true, ticks: { maxTicksLimit: 4, font: { size: 10 } } }
+        }
+      }
+    };
+  }
+}
+
+// Same receptor by id, or by position when either side has no id
+function sameReceptor(a, b) {
+  if (a.id != null && b.id != null) return String(a.id) === String(b.id);
+  return Math.abs(a.lat - b.lat) < 0.0001 && Math.abs(a.lng - b.lng) < 0.0001;
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.ReceptorTrends) {
+  window.ReceptorTrends = new ReceptorTrends();
+}
@@ -0,0 +1,190 @@
+// Server-Sent Events Transport for Real-time Channels
+// Streams DispersionEventsChannel and WeatherChannel messages over EventSource
+// for sites whose proxies block WebSocket upgrades. EventSource reconnects on its
+// own and resumes from the last event id via the Last-Event-ID header.
+
+class SSETransport {
+  constructor() {
+    this.openTimeout = 8000;
+
+    // Stream endpoint and id-scoped actions for each channel
+    this.endpoints = new Map([
+      ['DispersionEventsChannel', {
+        url: '/api/v1/streams/dispersion_events',
+        idsParam: 'event_ids',
+        idKey: 'event_id',
+        subscribeAction: 'subscribe_to_event',
+        unsubscribeAction: 'unsubscribe_from_event'
+      }],
+      ['WeatherChannel', {
+        url: '/api/v1/streams/weather',
+        idsParam: 'location_ids',
+        idKey: 'location_id',
+        subscribeAction: 'subscribe_to_location',
+        unsubscribeAction: 'unsubscribe_from_location'
+      }]
+    ]);
+  }
+
+  isAvailable(channelName) {
+    return typeof EventSource !== 'undefined' && this.endpoints.has(channelName);
+  }
+
+  // Build an unopened subscription; call open() to start streaming.
+  // Callbacks: connected, disconnected, received and failed.
+  createSubscription(channelName, callbacks = {}) {
+    return new SSESubscription(channelName, this.endpoints.get(channelName), callbacks, this.openTimeout);
+  }
+}
+
+class SSESubscription {
+  constructor(channelName, endpoint, callbacks, openTimeout) {
+    this.channelName = channelName;
+    this.endpoint = endpoint;
+    this.callbacks = callbacks;
+    this.openTimeout = openTimeout;
+    this.transport = 'sse';
+    this.ids = new Set();
+    this.lastEventId = null;
+    this.source = null;
+    this.isConnected = false;
+    this.reopenTimer = null;
+  }
+
+  streamUrl() {
+    const params = new URLSearchParams();
+    if (this.ids.size > 0) {
+      params.set(this.endpoint.idsParam, Array.from(this.ids).join(','));
+    }
+    if (this.lastEventId) {
+      params.set('last_event_id', this.lastEventId);
+    }
+
+    const query = params.toString();
+    return query ? `${this.endpoint.url}?${query}` : this.endpoint.url;
+  }
+
+  // Open the EventSource. Streams that cannot open, or that the server closes
+  // for good, are reported through the `failed` callback.
+  open() {
+    const source = new EventSource(this.streamUrl());
+    let opened = false;
+
+    this.source = source;
+
+    const timer = setTimeout(() => {
+      if (opened) return;
+      this.fail(new Error(`SSE stream for ${this.channelName} did not open`));
+    }, this.openTimeout);
+
+    source.onopen = () => {
+      opened = true;
+      clearTimeout(timer);
+
+      if (!this.isConnected) {
+        this.isConnected = true;
+        console.log(`SSE stream connected for ${this.channelName}`);
+        if (this.callbacks.connected) this.callbacks.connected();
+      }
+    };
+
+    source.onmessage = (event) => {
+      if (event.lastEventId) this.lastEventId = event.lastEventId;
+
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (error) {
+        console.error(`Invalid SSE message on ${this.channelName}:`, error);
+        return;
+      }
+
+      if (this.callbacks.received) this.callbacks.received(data);
+    };
+
+    source.onerror = () => {
+      if (!opened) {
+        clearTimeout(timer);
+        this.fail(new Error(`SSE stream for ${this.channelName} failed to open`));
+        return;
+      }
+
+      if (this.isConnected) {
+        this.isConnected = false;
+        console.log(`SSE stream disconnected for ${this.channelName}`);
+        if (this.callbacks.disconnected) this.callbacks.disconnected();
+      }
+
+      // EventSource retries by itself unless the server refused the stream
+      if (source.readyState === EventSource.CLOSED) {
+        this.fail(new Error(`SSE stream for ${this.channelName} was closed`));
+      }
+    };
+  }
+
+  // Stop streaming and let the owner pick another transport
+  fail(error) {
+    this.close();
+    if (this.callbacks.failed) this.callbacks.failed(error);
+  }
+
+  // Reopen the stream with the current ids; debounced so bulk subscribes reopen once
+  scheduleReopen() {
+    clearTimeout(this.reopenTimer);
+    this.reopenTimer = setTimeout(() => {
+      if (!this.source) return;
+
+      // Detach the old stream quietly so callers do not see a disconnect
+      this.close();
+      this.open();
+    }, 100);
+  }
+
+  close() {
+    if (this.source) {
+      this.source.onerror = null;
+      this.source.close();
+      this.source = null;
+    }
+  }
+
+  perform(action, data = {}) {
+    const id = data[this.endpoint.idKey];
+
+    switch (action) {
+      case this.endpoint.subscribeAction:
+        if (id != null && !this.ids.has(id)) {
+          this.ids.add(id);
+          this.scheduleReopen();
+        }
+        return;
+      case this.endpoint.unsubscribeAction:
+        if (this.ids.delete(id)) {
+          this.scheduleReopen();
+        }
+        return;
+      case 'replay_since':
+        // The stream resumes from the last event id by itself
+        return;
+      default:
+        // Streams are one-way, so other actions go over the REST API
+        if (window.PollingTransport) {
+          return window.PollingTransport.perform(this.channelName, action, data, (message) => {
+            if (this.callbacks.received) this.callbacks.received(message);
+          });
+        }
+        console.warn(`Cannot perform ${action} on ${this.channelName} over SSE`);
+    }
+  }
+
+  unsubscribe() {
+    clearTimeout(this.reopenTimer);
+    this.close();
+    console.log(`Unsubscribed from SSE ${this.channelName}`);
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined') {
+  window.SSETransport = new SSETransport();
+}
@@ -0,0 +1,392 @@
+// Terrain Profile
+// Samples terrain elevation along an event's downwind centerline through
+// /api/v1/terrain_points/profile and charts it against distance, with the
+// plume's effective height from the latest calculation and the mixing height
+// from the stability analysis drawn on top. Samples where the terrain rises
+// into the plume are flagged on the chart and on the map.
+
+class TerrainProfile {
+  constructor() {
+    this.samples = 50;
+    this.defaultLength = 5000;   // m, when the event has no contours yet
+    this.minLength = 1000;
+    this.lengthMargin = 1.2;     // run a little past the plume's far edge
+
+    this.map = null;
+    this.layer = null;           // centerline and flagged samples on the map
+    this.modal = null;
+    this.chart = null;
+    this.eventId = null;
+
+    document.addEventListener('mapReady', (event) => this.attach(event.detail.map));
+
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => this.detach(), { persistent: true });
+    }
+  }
+
+  attach(map) {
+    if (this.map === map) return;
+
+    this.map = map;
+    this.layer = L.layerGroup().addTo(map);
+  }
+
+  // The map itself is removed by the dispersion map teardown
+  detach() {
+    this.modal = null;
+    this.eventId = null;
+    this.destroyChart();
+    this.layer = null;
+    this.map = null;
+  }
+
+  button(eventId) {
+    return `
+      <button class="btn btn-sm btn-outline-secondary" onclick="window.TerrainProfile.open(${eventId})">
+        <i class="fas fa-mountain"></i> Terrain
+      </button>
+    `;
+  }
+
+  async open(eventId) {
+    const source = window.ReceptorGenerator.sourceLatLng(eventId);
+    const snapshot = window.PlumeHistory.getLatestSnapshot(eventId);
+    const weather = snapshot && snapshot.weather && snapshot.weather.wind_direction != null ? snapshot.weather : null;
+
+    if (!this.map || !source) {
+      alert('The event source is not on the map.');
+      return;
+    }
+    if (!weather) {
+      alert('No wind direction is known for this event yet.');
+      return;
+    }
+
+    this.eventId = eventId;
+    const element = this.ensureModal();
+    if (!this.modal) this.modal = bootstrap.Modal.getOrCreateInstance(element);
+    this.modal.show();
+    this.renderMessage('<i class="fas fa-spinner fa-spin"></i> Sampling terrain...');
+
+    const bearing = (Number(weather.wind_direction) + 180) % 360;
+    const length = this.profileLength(source, snapshot);
+    const points = this.centerline(source, bearing, length);
+
+    try {
+      const [samples, effectiveHeight, stability] = await Promise.all([
+        this.fetchProfile(points),
+        this.fetchEffectiveHeight(eventId),
+        this.fetchStability(source)
+      ]);
+      if (this.eventId !== eventId) return;
+
+      const profile = this.analyze(samples, points, effectiveHeight, stability);
+      this.render(profile, { weather, bearing, stability });
+      this.drawOnMap(profile);
+    } catch (error) {
+      console.error('Terrain profile failed:', error);
+      this.renderMessage(`<div class="alert alert-danger mb-0">Could not build the terrain profile: ${error.message}</div>`);
+    }
+  }
+
+  // Farthest contour point from the source, or the default length
+  profileLength(source, snapshot) {
+    const points = snapshot ? snapshot.contours.flatMap(contour => contour.points || []) : [];
+    if (points.length === 0) return this.defaultLength;
+
+    const farthest = Math.max(...points.map(point => L.latLng(point).distanceTo(source)));
+    return Math.max(this.minLength, Math.round(farthest * this.lengthMargin));
+  }
+
+  // Evenly spaced [{ distance, lat, lng }] from the source along the bearing
+  centerline(source, bearing, length) {
+    const step = length / (this.samples - 1);
+    return Array.from({ length: this.samples }, (_, index) => ({
+      distance: index * step,
+      ...window.MapHelpers.offsetLatLng(source, index * step, bearing)
+    }));
+  }
+
+  async fetchProfile(points) {
+    const result = await this.getJson('/api/v1/terrain_points/profile', {
+      method: 'POST',
+      body: JSON.stringify({
+        points: points.map(point => ({ latitude: point.lat, longitude: point.lng }))
+      })
+    });
+    if (result.status !== 'success') throw new Error(result.message || 'Terrain profile unavailable');
+    return result.data.samples;
+  }
+
+  // Effective release height (m) of the latest calculation, or null
+  async fetchEffectiveHeight(eventId) {
+    try {
+      const result = await this.getJson(`/api/v1/dispersion_events/${eventId}.json`);
+      const latest = result.data && result.data.latest_calculations && result.data.latest_calculations[0];
+      return latest && latest.effective_height != null ? Number(latest.effective_height) : null;
+    } catch (error) {
+      console.warn('Effective height unavailable:', error.message);
+      return null;
+    }
+  }
+
+  // { mixing_height, stability_class } at the source, or null
+  async fetchStability(source) {
+    try {
+      const result = await this.getJson(`/weather/atmospheric_stability/${source.lat}/${source.lng}`);
+      return result.status === 'success' ? result.stability_analysis : null;
+    } catch (error) {
+      console.warn('Stability analysis unavailable:', error.message);
+      return null;
+    }
+  }
+
+  async getJson(url, options = {}) {
+    const csrfToken = document.querySelector('[name="csrf-token"]');
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': csrfToken ? csrfToken.content : ''
+      }
+    });
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    return response.json();
+  }
+
+  // Heights are above sea level, with the plume and mixing heights measured
+  // from the ground at the source. Terrain reaching the plume centerline
+  // impinges; terrain risen by half the effective height meets the plume's
+  // lower edge and is flagged as a caution. A ground-level release already
+  // follows the terrain, so nothing is flagged for it.
+  analyze(samples, points, effectiveHeight, stability) {
+    const rows = points.map((point, index) => ({
+      ...point,
+      elevation: samples[index] && samples[index].elevation != null ? Number(samples[index].elevation) : null
+    }));
+    const known = rows.filter(row => row.elevation !== null);
+    if (known.length === 0) return { rows, known };
+
+    const base = known[0].elevation;
+    const plumeHeight = effectiveHeight !== null ? base + effectiveHeight : null;
+    const mixingHeight = stability && stability.mixing_height != null ? base + Number(stability.mixing_height) : null;
+
+    known.forEach(row => {
+      row.rise = row.elevation - base;
+      if (plumeHeight === null || effectiveHeight <= 0 || row.distance === 0) return;
+      if (row.elevation >= plumeHeight) {
+        row.flag = 'impingement';
+      } else if (row.rise >= effectiveHeight / 2) {
+        row.flag = 'caution';
+      }
+    });
+
+    return {
+      rows,
+      known,
+      base,
+      effectiveHeight,
+      plumeHeight,
+      mixingHeight,
+      maxRise: Math.max(...known.map(row => row.rise)),
+      impinging: known.filter(row => row.flag === 'impingement'),
+      caution: known.filter(row => row.flag === 'caution')
+    };
+  }
+
+  render(profile, { weather, bearing, stability }) {
+    const container = document.getElementById('terrainProfileResults');
+    if (!container) return;
+
+    if (profile.known.length === 0) {
+      this.renderMessage('<div class="alert alert-warning mb-0">There are no terrain points near this event\'s centerline.</div>');
+      return;
+    }
+
+    container.innerHTML = `
+      <p class="small text-muted mb-2">
+        ${window.MapHelpers.formatDistance(profile.rows[profile.rows.length - 1].distance)} downwind toward ${Math.round(bearing)}°
+        (wind from ${weather.wind_direction}° at ${weather.wind_speed} m/s${stability && stability.stability_class ? `, class ${stability.stability_class}` : ''})
+      </p>
+      <div style="position: relative; height: 280px;"><canvas></canvas></div>
+      <div class="mt-2 small">${this.summaryTemplate(profile)}</div>
+    `;
+
+    this.destroyChart();
+    if (typeof Chart !== 'undefined') {
+      this.chart = new Chart(container.querySelector('canvas'), this.chartConfig(profile));
+    }
+  }
+
+  summaryTemplate(profile) {
+    const lines = [
+      `Source ground <strong>${profile.base.toFixed(1)} m</strong>; terrain rises up to <strong>${profile.maxRise.toFixed(1)} m</strong> along the centerline.`
+    ];
+
+    if (profile.plumeHeight === null) {
+      lines.push('<span class="text-muted">No calculation has an effective height yet, so impingement cannot be assessed.</span>');
+    } else if (profile.effectiveHeight <= 0) {
+      lines.push('<span class="text-muted">Ground-level release: the plume follows the terrain.</span>');
+    } else if (profile.impinging.length > 0) {
+      lines.push(`
+        <div class="alert alert-danger p-2 my-1">
+          <i class="fas fa-exclamation-triangle"></i> Terrain reaches the plume centerline (${profile.effectiveHeight.toFixed(1)} m above the source)
+          from ${window.MapHelpers.formatDistance(profile.impinging[0].distance)} downwind, at ${profile.impinging.length} of ${profile.known.length} samples.
+        </div>
+      `);
+    } else if (profile.caution.length > 0) {
+      lines.push(`
+        <div class="alert alert-warning p-2 my-1">
+          <i class="fas fa-exclamation-circle"></i> Terrain rises into the lower half of the plume from ${window.MapHelpers.formatDistance(profile.caution[0].distance)} downwind.
+        </div>
+      `);
+    } else {
+      lines.push(`<span class="text-success"><i class="fas fa-check"></i> Terrain stays below the plume (${profile.effectiveHeight.toFixed(1)} m effective height).</span>`);
+    }
+
+    if (profile.mixingHeight === null) {
+      lines.push('<span class="text-muted">Mixing height unavailable.</span>');
+    }
+    const missing = profile.rows.length - profile.known.length;
+    if (missing > 0) {
+      lines.push(`<span class="text-muted">${missing} ${missing === 1 ? 'sample has' : 'samples have'} no terrain data nearby.</span>`);
+    }
+    return lines.join('<br>');
+  }
+
+  chartConfig(profile) {
+    const ends = [profile.rows[0].distance, profile.rows[profile.rows.length - 1].distance];
+    const level = (height) => ends.map(distance => ({ x: distance, y: height }));
+
+    const datasets = [{
+      label: 'Terrain',
+      data: profile.rows.map(row => ({ x: row.distance, y: row.elevation })),
+      borderColor: '#8b5a2b',
+      backgroundColor: 'rgba(139, 90, 43, 0.35)',
+      fill: 'start',
+      pointRadius: 0,
+      spanGaps: true
+    }];
+
+    if (profile.plumeHeight !== null) {
+      datasets.push({
+        label: 'Plume centerline',
+        data: level(profile.plumeHeight),
+        borderColor: '#dc3545',
+        borderDash: [6, 4],
+        pointRadius: 0,
+        fill: false
+      });
+    }
+    if (profile.mixingHeight !== null) {
+      datasets.push({
+        label: 'Mixing height',
+        data: level(profile.mixingHeight),
+        borderColor: '#0d6efd',
+        borderDash: [2, 4],
+        pointRadius: 0,
+        fill: false
+      });
+    }
+    if (profile.impinging.length > 0 || profile.caution.length > 0) {
+      datasets.push({
+        type: 'scatter',
+        label: 'Terrain in plume',
+        data: [...profile.impinging, ...profile.caution].map(row => ({ x: row.distance, y: row.elevation })),
+        pointBackgroundColor: [...profile.impinging.map(() => '#dc3545'), ...profile.caution.map(() => '#ffc107')],
+        pointRadius: 4,
+        showLine: false
+      });
+    }
+
+    return {
+      type: 'line',
+      data: { datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: {
+          tooltip: { mode: 'nearest', intersect: false }
+        },
+        scales: {
+          x: { type: 'linear', title: { display: true, text: 'Distance downwind (m)' } },
+          y: { title: { display: true, text: 'Height above sea level (m)' } }
+        }
+      }
+    };
+  }
+
+  // Centerline on the map, with flagged samples marked
+  drawOnMap(profile) {
+    if (!this.layer) return;
+    this.layer.clearLayers();
+
+    L.polyline(profile.rows.map(row => [row.lat, row.lng]), {
+      color: '#8b5a2b',
+      weight: 2,
+      dashArray: '6, 6'
+    }).bindTooltip('Terrain profile centerline').addTo(this.layer);
+
+    (profile.impinging || []).concat(profile.caution || []).forEach(row => {
+      L.circleMarker([row.lat, row.lng], {
+        radius: 5,
+        color: '#ffffff',
+        weight: 1,
+        fillColor: row.flag === 'impingement' ? '#dc3545' : '#ffc107',
+        fillOpacity: 0.9
+      }).bindTooltip(`${window.MapHelpers.formatDistance(row.distance)}: terrain ${row.elevation.toFixed(1)} m`).addTo(this.layer);
+    });
+  }
+
+  renderMessage(html) {
+    this.destroyChart();
+    const container = document.getElementById('terrainProfileResults');
+    if (container) container.innerHTML = html;
+  }
+
+  destroyChart() {
+    if (this.chart) this.chart.destroy();
+    this.chart = null;
+  }
+
+  // Turbo replaces the body on every visit, so rebuild the modal when it is missing
+  ensureModal() {
+    let element = document.getElementById('terrainProfileModal');
+    if (element) return element;
+
+    this.modal = null;
+    element = document.createElement('div');
+    element.className = 'modal fade';
+    element.id = 'terrainProfileModal';
+    element.tabIndex = -1;
+    element.innerHTML = `
+      <div class="modal-dialog modal-lg">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h5 class="modal-title"><i class="fas fa-mountain"></i> Terrain Profile</h5>
+            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+          </div>
+          <div class="modal-body" id="terrainProfileResults"></div>
+        </div>
+      </div>
+    `;
+
+    // The centerline belongs to the open profile
+    element.addEventListener('hidden.bs.modal', () => {
+      this.eventId = null;
+      this.destroyChart();
+      if (this.layer) this.layer.clearLayers();
+    });
+
+    document.body.appendChild(element);
+    return element;
+  }
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.TerrainProfile) {
+  window.TerrainProfile = new TerrainProfile();
+}
@@ -0,0 +1,265 @@
+// Thermal Layer
+// Thermal radiation zones of fire and BLEVE incidents, received over
+// DispersionEventsChannel alongside the plume updates: the channel sends every
+// incident on subscribe (thermal_incidents) and an incident again whenever it is
+// recalculated (thermal_update). Zone footprints are drawn from the widest
+// (lowest heat flux) inward and labeled with their kW/m² level and the harm
+// expected there; equipment at risk is marked by its damage state.
+
+// Keys are ThermalZone zone types, weakest first
+const THERMAL_ZONE_STYLES = {
+  no_effect: { color: '#ffe066', harm: 'No effect' },
+  discomfort: { color: '#ffd43b', harm: 'Discomfort' },
+  pain: { color: '#fab005', harm: 'Pain' },
+  injury: { color: '#fd7e14', harm: '2nd-degree burns' },
+  severe_burn: { color: '#f03e3e', harm: 'Severe burns' },
+  lethality: { color: '#c92a2a', harm: 'Lethality' },
+  equipment_damage: { color: '#862e9c', harm: 'Equipment damage' },
+  structural_damage: { color: '#343a40', harm: 'Structural damage' }
+};
+
+// EquipmentThermalDamage damage states; `none` is not marked
+const EQUIPMENT_DAMAGE_STYLES = {
+  minor: { color: '#ffd43b', label: 'Minor' },
+  moderate: { color: '#fd7e14', label: 'Moderate' },
+  severe: { color: '#e03131', label: 'Severe' },
+  failure: { color: '#000000', label: 'Failure' }
+};
+
+const THERMAL_INCIDENT_LABELS = {
+  bleve_fireball: 'BLEVE fireball',
+  jet_fire: 'Jet fire',
+  pool_fire: 'Pool fire',
+  flash_fire: 'Flash fire'
+};
+
+class ThermalLayer {
+  constructor() {
+    this.map = null;
+    this.layer = null;
+    this.legend = null;
+    this.incidents = new Map();  // incident id -> map_data payload
+    this.groups = new Map();     // incident id -> feature group on the map
+
+    document.addEventListener('mapReady', (event) => this.attach(event.detail.map));
+
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => this.detach(), { persistent: true });
+    }
+  }
+
+  attach(map) {
+    if (this.map === map) return;
+
+    this.map = map;
+    this.groups.clear();
+    this.layer = L.featureGroup().addTo(map);
+    this.legend = this.createLegend();
+
+    if (window.layerControl) window.layerControl.addOverlay(this.layer, 'Thermal Radiation');
+
+    // Incidents may arrive from the channel before the map is ready
+    this.incidents.forEach(incident => this.draw(incident));
+    this.updateLegend();
+  }
+
+  // The map itself is removed by the dispersion map teardown; the next page's
+  // channel subscription sends the incidents again
+  detach() {
+    this.incidents.clear();
+    this.groups.clear();
+    this.legend = null;
+    this.layer = null;
+    this.map = null;
+  }
+
+  // Every incident, from a thermal_incidents message
+  replace(incidents) {
+    const current = new Set(incidents.map(incident => String(incident.id)));
+    Array.from(this.incidents.keys())
+      .filter(id => !current.has(id))
+      .forEach(id => this.remove(id));
+
+    incidents.forEach(incident => this.update(incident));
+  }
+
+  // One recalculated incident, from a thermal_update message
+  update(incident) {
+    if (!incident || incident.id == null) return;
+
+    this.incidents.set(String(incident.id), incident);
+    this.draw(incident);
+    this.updateLegend();
+  }
+
+  remove(id) {
+    const key = String(id);
+    const group = this.groups.get(key);
+    if (group && this.layer) this.layer.removeLayer(group);
+
+    this.groups.delete(key);
+    this.incidents.delete(key);
+    this.updateLegend();
+  }
+
+  draw(incident) {
+    if (!this.map) return;
+
+    const key = String(incident.id);
+    if (this.groups.has(key)) this.layer.removeLayer(this.groups.get(key));
+    if (incident.latitude == null || incident.longitude == null) return;
+
+    const group = L.featureGroup();
+    const zones = (incident.zones || [])
+      .slice()
+      .sort((a, b) => a.properties.heat_flux_threshold - b.properties.heat_flux_threshold);
+
+    zones.forEach(zone => {
+      const style = THERMAL_ZONE_STYLES[zone.properties.zone_type] || { color: '#868e96', harm: zone.properties.zone_type };
+      const footprint = L.geoJSON(zone, {
+        style: { color: style.color, weight: 2, fillColor: style.color, fillOpacity: 0.12 }
+      }).bindPopup(() => this.zonePopup(incident, zone, style), { maxWidth: 300 });
+      footprint.addTo(group);
+
+      // Label each ring at its northern edge, where nested rings do not overlap
+      const ring = zone.geometry.coordinates[0];
+      const [lng, lat] = ring.reduce((north, point) => (point[1] > north[1] ? point : north));
+      L.tooltip({ permanent: true, direction: 'top', className: 'thermal-zone-label', opacity: 0.9 })
+        .setLatLng([lat, lng])
+        .setContent(`${formatHeatFlux(zone.properties.heat_flux_kw_per_m2)} · ${style.harm}`)
+        .addTo(group);
+    });
+
+    this.equipmentMarkers(incident).forEach(marker => marker.addTo(group));
+
+    L.marker([incident.latitude, incident.longitude], {
+      icon: L.divIcon({
+        className: 'thermal-incident-marker',
+        html: '<i class="fas fa-fire fa-2x" style="color: #e8590c; text-shadow: 0 0 3px #fff;"></i>',
+        iconSize: [24, 28],
+        iconAnchor: [12, 24]
+      })
+    }).bindPopup(() => this.incidentPopup(incident), { maxWidth: 300 }).addTo(group);
+
+    group.addTo(this.layer);
+    this.groups.set(key, group);
+  }
+
+  equipmentMarkers(incident) {
+    const renderer = window.MapMarkers.canvas(this.map);
+
+    return (incident.equipment || [])
+      .filter(feature => EQUIPMENT_DAMAGE_STYLES[feature.properties.damage_state])
+      .map(feature => {
+        const props = feature.properties;
+        const style = EQUIPMENT_DAMAGE_STYLES[props.damage_state];
+        const [lng, lat] = feature.geometry.coordinates;
+
+        return L.circleMarker([lat, lng], {
+          renderer,
+          radius: 7,
+          color: props.escalation_potential ? '#c92a2a' : '#ffffff',
+          weight: props.escalation_potential ? 3 : 2,
+          fillColor: style.color,
+          fillOpacity: 0.9
+        }).bindPopup(() => this.equipmentPopup(props, style), { maxWidth: 300 });
+      });
+  }
+
+  incidentPopup(incident) {
+    const zones = incident.zones || [];
+    const equipment = (incident.equipment || []).filter(feature => EQUIPMENT_DAMAGE_STYLES[feature.properties.damage_state]);
+    const row = (label, value) => value != null ? `<tr><td>${label}:</td><td>${value}</td></tr>` : '';
+
+    return `
+      <div class="thermal-incident-popup">
+        <h6><i class="fas fa-fire"></i> ${window.MapHelpers.escapeHtml(THERMAL_INCIDENT_LABELS[incident.incident_type] || incident.incident_type)}</h6>
+        <small class="text-muted d-block mb-1">${window.MapHelpers.escapeHtml(incident.scenario_name)}${incident.chemical_name ? ` · ${window.MapHelpers.escapeHtml(incident.chemical_name)}` : ''}</small>
+        <table class="table table-sm mb-1">
+          ${row('Peak heat flux', incident.maximum_heat_flux != null ? formatHeatFlux(incident.maximum_heat_flux / 1000) : null)}
+          ${row('Fire diameter', incident.fire_diameter != null ? `${incident.fire_diameter.toFixed(1)} m` : null)}
+          ${row('Duration', incident.fire_duration != null ? `${Math.round(incident.fire_duration)} s` : null)}
+          ${row('Zones', zones.length)}
+          ${row('Equipment at risk', equipment.length)}
+        </table>
+        ${incident.last_calculated_at ? `<small class="text-muted">Calculated ${new Date(incident.last_calculated_at).toLocaleString()}</small>` : ''}
+      </div>
+    `;
+  }
+
+  zonePopup(incident, zone, style) {
+    const props = zone.properties;
+
+    return `
+      <div class="thermal-zone-popup">
+        <h6><span class="badge" style="background-color: ${style.color};">■</span>
+          ${formatHeatFlux(props.heat_flux_kw_per_m2)} · ${style.harm}</h6>
+        <p class="small mb-1">${window.MapHelpers.escapeHtml(props.zone_description)}</p>
+        <small class="d-block">Up to ${Math.round(props.max_radius)} m from the ${window.MapHelpers.escapeHtml(THERMAL_INCIDENT_LABELS[incident.incident_type] || 'fire')}</small>
+        ${props.population_affected ? `<small class="d-block">About ${props.population_affected.toLocaleString()} people</small>` : ''}
+        ${props.evacuation_required ? '<span class="badge bg-danger mt-1">Evacuation required</span>' : ''}
+      </div>
+    `;
+  }
+
+  equipmentPopup(props, style) {
+    const row = (label, value) => value != null ? `<tr><td>${label}:</td><td>${value}</td></tr>` : '';
+
+    return `
+      <div class="thermal-equipment-popup">
+        <h6><i class="fas fa-industry"></i> ${window.MapHelpers.escapeHtml(props.building_name)}</h6>
+        <span class="badge mb-1" style="background-color: ${style.color};">${style.label} damage</span>
+        <table class="table table-sm mb-1">
+          ${row('Equipment', window.MapHelpers.escapeHtml(window.MapHelpers.humanize(props.equipment_type)))}
+          ${row('Material', props.material_type ? window.MapHelpers.escapeHtml(window.MapHelpers.humanize(props.material_type)) : null)}
+          ${row('Heat flux', formatHeatFlux(props.incident_heat_flux / 1000))}
+          ${row('Failure probability', props.failure_probability != null ? `${Math.round(props.failure_probability * 100)}%` : null)}
+          ${row('Time to failure', props.time_to_failure != null ? `${Math.round(props.time_to_failure)} s` : null)}
+        </table>
+        ${props.escalation_potential ? '<small class="text-danger"><i class="fas fa-exclamation-triangle"></i> Escalation potential</small>' : ''}
+      </div>
+    `;
+  }
+
+  updateLegend() {
+    if (!this.map || !this.legend) return;
+
+    if (this.incidents.size > 0) {
+      this.legend.addTo(this.map);
+    } else {
+      this.legend.remove();
+    }
+  }
+
+  createLegend() {
+    const legend = L.control({ position: 'bottomright' });
+
+    legend.onAdd = () => {
+      const div = L.DomUtil.create('div', 'thermal-legend bg-white p-2 rounded shadow-sm small');
+      div.innerHTML = `
+        <strong class="d-block mb-1"><i class="fas fa-fire"></i> Thermal radiation</strong>
+        ${Object.values(THERMAL_ZONE_STYLES).map(({ color, harm }) => `
+          <div><span class="d-inline-block me-1" style="width: 12px; height: 12px; background: ${color}; border: 1px solid #555;"></span>${harm}</div>
+        `).join('')}
+        <strong class="d-block mt-1">Equipment damage</strong>
+        ${Object.values(EQUIPMENT_DAMAGE_STYLES).map(({ color, label }) => `
+          <div><span class="d-inline-block me-1 rounded-circle" style="width: 10px; height: 10px; background: ${color}; border: 1px solid #555;"></span>${label}</div>
+        `).join('')}
+      `;
+      L.DomEvent.disableClickPropagation(div);
+      return div;
+    };
+
+    return legend;
+  }
+}
+
+function formatHeatFlux(kilowatts) {
+  // Keeps standard levels such as 12.5 and 37.5 exact
+  return `${Number(Number(kilowatts).toFixed(1))} kW/m²`;
+}
+
+// Create global instance
+if (typeof window !== 'undefined' && !window.ThermalLayer) {
+  window.ThermalLayer = new ThermalLayer();
+}
@@ -9,10 +9,19 @@ class WeatherManager {
     this.currentWindLayer = null;
     this.weatherChannel = null;
     this.weatherUpdateInterval = null;
+    this.pollingInterval = null;
     
     this.initializeWeatherChannel();
     this.initializeWeatherLayer();
     this.setupWeatherControls();
+
+    // Tear down with the page so the next Turbo visit builds a fresh manager
+    if (window.PageLifecycle) {
+      window.PageLifecycle.onTeardown(() => {
+        this.destroy();
+        if (window.weatherManager === this) window.weatherManager = null;
+      });
+    }
   }
 
   // Initialize ActionCable connection for real-time weather updates
@@ -33,15 +42,19 @@ class WeatherManager {
           this.handleWeatherUpdate(data);
         },
 
-        requestWeatherUpdate: (locationId = null) => {
+        // Custom actions run with the subscription as `this`
+        requestWeatherUpdate(locationId = null) {
           this.perform('request_weather_update', { location_id: locationId });
         },
 
-        subscribeToLocation: (locationId) => {
+        subscribeToLocation(locationId) {
           this.perform('subscribe_to_location', { location_id: locationId });
         }
       }).then(subscription => {
         this.weatherChannel = subscription;
+      }).catch(error => {
+        console.warn('WeatherChannel unavailable, using polling:', error.message);
+        this.setupPollingFallback();
       });
     } else {
       // Fallback to polling if ActionCable is not available
@@ -52,7 +65,9 @@ class WeatherManager {
 
   // Fallback polling mechanism
   setupPollingFallback() {
-    setInterval(() => {
+    if (this.pollingInterval) return;
+
+    this.pollingInterval = setInterval(() => {
       this.requestWeatherUpdate();
     }, 30000); // Poll every 30 seconds
   }
@@ -64,7 +79,11 @@ class WeatherManager {
       return;
     }
 
-    this.weatherLayer = L.layerGroup();
+    // Stations cluster by their worst stability class
+    this.weatherLayer = window.MapMarkers.clusterGroup({
+      statuses: window.MapMarkers.stabilityStatuses,
+      title: 'weather stations'
+    });
     this.map.addLayer(this.weatherLayer);
     
     // Create wind vectors layer
@@ -87,7 +106,7 @@ class WeatherManager {
     const updateButton = document.createElement('button');
     updateButton.className = 'btn btn-primary btn-sm mb-2';
     updateButton.innerHTML = '<i class="fas fa-sync"></i> Update Weather';
-    updateButton.onclick = () => this.requestWeatherUpdate();
+    updateButton.onclick = () => this.queueWeatherUpdate();
     weatherPanel.appendChild(updateButton);
 
     // Create wind vector toggle
@@ -156,13 +175,16 @@ class WeatherManager {
     
     if (!stationMarker) {
       stationMarker = L.marker([lat, lon], {
-        icon: this.createWeatherIcon(weather_data)
+        icon: this.createWeatherIcon(weather_data),
+        status: weather_data.stability_class || 'D'
       });
       
       this.weatherStations.set(location_id || `${lat}_${lon}`, stationMarker);
       this.weatherLayer.addLayer(stationMarker);
     } else {
       stationMarker.setIcon(this.createWeatherIcon(weather_data));
+      stationMarker.options.status = weather_data.stability_class || 'D';
+      this.weatherLayer.refresh();
     }
 
     // Update popup content
@@ -272,10 +294,14 @@ class WeatherManager {
     else if (windSpeed > 10) color = '#ff7f0e';
     else if (windSpeed > 5) color = '#2ca02c';
 
+    // Drawn on the map's shared canvas rather than as SVG elements
+    const renderer = window.MapMarkers.canvas(this.map);
+
     const polyline = L.polyline([[lat, lon], [endLat, endLon]], {
       color: color,
       weight: 3,
-      opacity: 0.8
+      opacity: 0.8,
+      renderer
     });
 
     // Add arrowhead
@@ -289,11 +315,12 @@ class WeatherManager {
       color: color,
       fillColor: color,
       fillOpacity: 0.8,
-      weight: 2
+      weight: 2,
+      renderer
     });
 
-    // Create layer group for arrow
-    const arrowGroup = L.layerGroup([polyline, arrowHead]);
+    // Feature group, so clicks on either part open the popup
+    const arrowGroup = L.featureGroup([polyline, arrowHead]);
     
     // Add popup with wind details
     arrowGroup.bindPopup(`
@@ -333,6 +360,21 @@ class WeatherManager {
     }
   }
 
+  // Operator-requested update, queued in the command outbox so it is not lost
+  // when the connection is down
+  queueWeatherUpdate(locationId = null) {
+    if (!window.CommandOutbox) {
+      this.requestWeatherUpdate(locationId);
+      return;
+    }
+
+    window.CommandOutbox.enqueue({
+      label: locationId ? `Weather update for location ${locationId}` : 'Weather update for all locations',
+      method: 'POST',
+      url: locationId ? `/weather/update_location?location_id=${locationId}` : '/weather/update_all'
+    });
+  }
+
   // Set automatic weather update interval
   setUpdateInterval(seconds) {
     if (this.weatherUpdateInterval) {
@@ -470,11 +512,16 @@ class WeatherManager {
       return;
     }
     
-    // Listen for dispersion scenario events
-    document.addEventListener('dispersionScenarioCreated', (event) => {
+    // Listen for dispersion scenario events (removed when the page is torn down)
+    const onScenarioCreated = (event) => {
       const scenario = event.detail;
       this.handleDispersionScenarioWeather(scenario);
-    });
+    };
+    if (window.PageLifecycle) {
+      window.PageLifecycle.listen(document, 'dispersionScenarioCreated', onScenarioCreated);
+    } else {
+      document.addEventListener('dispersionScenarioCreated', onScenarioCreated);
+    }
     
     // Listen for map clicks for weather data
     this.map.on('contextmenu', async (e) => {
@@ -534,7 +581,10 @@ class WeatherManager {
       iconAnchor: [15, 15]
     });
     
-    const scenarioWeatherMarker = L.marker([lat, lon], { icon: weatherIcon });
+    const scenarioWeatherMarker = L.marker([lat, lon], {
+      icon: weatherIcon,
+      status: stabilityAnalysis.stability_class
+    });
     
     // Create comprehensive weather popup
     const popupContent = `
@@ -621,10 +671,13 @@ class WeatherManager {
     
     const windColor = '#ff6b35'; // Distinctive color for scenario winds
     
+    const renderer = window.MapMarkers.canvas(this.map);
+
     const windLine = L.polyline([[lat, lon], [endLat, endLon]], {
       color: windColor,
       weight: 4,
-      opacity: 0.9
+      opacity: 0.9,
+      renderer
     });
     
     const arrowHead = L.polygon([
@@ -637,10 +690,11 @@ class WeatherManager {
       color: windColor,
       fillColor: windColor,
       fillOpacity: 0.9,
-      weight: 3
+      weight: 3,
+      renderer
     });
     
-    const scenarioWindGroup = L.layerGroup([windLine, arrowHead]);
+    const scenarioWindGroup = L.featureGroup([windLine, arrowHead]);
     
     scenarioWindGroup.bindPopup(`
       <div class="scenario-wind-popup">
@@ -736,9 +790,13 @@ class WeatherManager {
     if (this.weatherUpdateInterval) {
       clearInterval(this.weatherUpdateInterval);
     }
+
+    clearInterval(this.pollingInterval);
+    this.pollingInterval = null;
     
     if (this.weatherChannel) {
       this.weatherChannel.unsubscribe();
+      this.weatherChannel = null;
     }
     
     if (this.weatherLayer) {
@@ -755,6 +813,9 @@ class WeatherManager {
 document.addEventListener('DOMContentLoaded', function() {
   // Listen for map ready event
   document.addEventListener('mapReady', function(event) {
+    // mapReady can fire more than once per page; keep a single manager
+    if (window.weatherManager instanceof WeatherManager) return;
+
     if (event.detail && event.detail.map) {
       window.weatherManager = new WeatherManager(event.detail.map);
       window.weatherManager.integrateWithDispersionMap();
@@ -764,6 +825,8 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Function to initialize WeatherManager with proper map validation
   const initializeWeatherManager = () => {
+    if (window.weatherManager instanceof WeatherManager) return true;
+
     // Check multiple possible map references
     const map = window.dispersionMap || window.map || (window.L && window.L.map);
     
@@ -0,0 +1,12 @@
+# Answers round-trip probes from the dashboard diagnostics panel so support
+# staff can see the cable latency a client is getting
+
+module CableDiagnostics
+  def diagnostic_ping(data)
+    transmit({
+      type: 'diagnostic_pong',
+      nonce: data['nonce'],
+      server_time: Time.current.iso8601(3)
+    })
+  end
+end
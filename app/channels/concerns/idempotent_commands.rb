@@ -0,0 +1,19 @@
+# Drops channel commands whose idempotency key has already been used, so a
+# command the client's outbox resends after a reconnect only runs once
+
+module IdempotentCommands
+  private
+
+  def duplicate_command?(data)
+    key = data['idempotency_key']
+    key.present? && !IdempotencyStore.claim(key, expires_in: IdempotencyStore::RESULT_TTL)
+  end
+
+  def transmit_duplicate(data)
+    transmit({
+      message: 'Command already received',
+      status: 'duplicate',
+      idempotency_key: data['idempotency_key']
+    })
+  end
+end
@@ -2,11 +2,15 @@
 # Broadcasts live calculation data and plume visualizations
 
 class DispersionEventsChannel < ApplicationCable::Channel
+  include IdempotentCommands
+  include CableDiagnostics
+
   def subscribed
     stream_from "dispersion_events"
     
     # Send current active events data immediately
     transmit_active_events
+    transmit(self.class.thermal_incidents_message)
   end
 
   def unsubscribed
@@ -38,6 +42,7 @@ class DispersionEventsChannel < ApplicationCable::Channel
   # Client can request immediate calculation update
   def request_calculation_update(data)
     event_id = data['event_id']
+    return transmit_duplicate(data) if duplicate_command?(data)
     
     if event_id.present?
       # Trigger background calculation job
@@ -56,60 +61,106 @@ class DispersionEventsChannel < ApplicationCable::Channel
     end
   end
 
-  private
+  # Client can recover broadcasts missed while its connection was down
+  def replay_since(data)
+    streams = ['dispersion_events'] + Array(data['event_ids']).map { |id| "dispersion_event_#{id}" }
+    missed = ChannelBroadcaster.messages_since(streams, data['since'])
+
+    missed.each { |message| transmit(message.merge('replayed' => true)) }
 
-  def transmit_active_events
-    active_events = DispersionEvent.where(status: 'active')
-                                   .includes(:chemical, :location, :dispersion_calculations)
-    
-    events_data = active_events.map { |event| format_event_data(event) }
-    
     transmit({
-      type: 'active_events',
-      events: events_data,
+      type: 'replay_complete',
+      since: data['since'],
+      replayed_count: missed.size,
       timestamp: Time.current.iso8601
     })
   end
 
-  def transmit_event_data(event)
-    transmit({
-      type: 'event_update',
-      event: format_event_data(event),
-      timestamp: Time.current.iso8601
-    })
+  # Message builders shared with the Server-Sent Events stream
+  class << self
+    def active_events_message
+      active_events = DispersionEvent.where(status: 'active')
+                                     .includes({ chemical: :toxicological_data }, :location, :dispersion_calculations)
+
+      {
+        type: 'active_events',
+        events: active_events.map { |event| format_event_data(event) },
+        timestamp: Time.current.iso8601
+      }
+    end
+
+    # Fire and BLEVE incidents for the thermal layer; a thermal_update replaces one
+    def thermal_incidents_message
+      incidents = ThermalRadiationIncident.on_map.with_map_data
+
+      {
+        type: 'thermal_incidents',
+        incidents: incidents.map(&:map_data),
+        timestamp: Time.current.iso8601
+      }
+    end
+
+    def thermal_update_message(incident)
+      {
+        type: 'thermal_update',
+        incident: incident.map_data,
+        timestamp: Time.current.iso8601
+      }
+    end
+
+    def event_update_message(event)
+      {
+        type: 'event_update',
+        event: format_event_data(event),
+        timestamp: Time.current.iso8601
+      }
+    end
+
+    def format_event_data(event)
+      latest_calc = event.dispersion_calculations.order(:created_at).last
+      
+      {
+        id: event.id,
+        chemical_name: event.chemical.name,
+        location_name: event.location.name,
+        location_id: event.location_id,
+        status: event.status,
+        source_coordinates: {
+          lat: event.location.latitude,
+          lng: event.location.longitude
+        },
+        release_rate: event.release_rate,
+        hazard_scale: event.hazard_scale,
+        latest_calculation: latest_calc ? {
+          id: latest_calc.id,
+          max_concentration: latest_calc.max_concentration,
+          effective_height: latest_calc.effective_height,
+          timestamp: latest_calc.created_at.iso8601
+        } : nil,
+        receptors: event.receptors.map do |receptor|
+          {
+            id: receptor.id,
+            name: receptor.name,
+            receptor_type: receptor.receptor_type,
+            coordinates: {
+              lat: receptor.latitude,
+              lng: receptor.longitude
+            },
+            concentration: receptor.concentration || 0,
+            health_impact: receptor.health_impact_level || 'unknown'
+          }
+        end
+      }
+    end
   end
 
-  def format_event_data(event)
-    latest_calc = event.dispersion_calculations.order(:created_at).last
-    
-    {
-      id: event.id,
-      chemical_name: event.chemical.name,
-      location_name: event.location.name,
-      status: event.status,
-      source_coordinates: {
-        lat: event.location.latitude,
-        lng: event.location.longitude
-      },
-      release_rate: event.release_rate,
-      latest_calculation: latest_calc ? {
-        id: latest_calc.id,
-        max_concentration: latest_calc.max_concentration,
-        effective_height: latest_calc.effective_height,
-        timestamp: latest_calc.created_at.iso8601
-      } : nil,
-      receptors: event.receptors.map do |receptor|
-        {
-          id: receptor.id,
-          name: receptor.name,
-          coordinates: {
-            lat: receptor.latitude,
-            lng: receptor.longitude
-          },
-          concentration: receptor.concentration || 0,
-          health_impact: receptor.health_impact_level || 'unknown'
-        }
-      end
-    }
+  private
+
+  def transmit_active_events
+    transmit(self.class.active_events_message)
+  end
+
+  def transmit_event_data(event)
+    transmit(self.class.event_update_message(event))
   end
-end
\ No newline at end of file
+end
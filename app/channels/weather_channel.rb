@@ -1,6 +1,9 @@
 # Weather Channel for real-time weather updates via WebSocket
 
 class WeatherChannel < ApplicationCable::Channel
+  include IdempotentCommands
+  include CableDiagnostics
+
   def subscribed
     stream_from "weather_channel"
     
@@ -16,6 +19,7 @@ class WeatherChannel < ApplicationCable::Channel
   # Client can request weather update for specific location
   def request_weather_update(data)
     location_id = data['location_id']
+    return transmit_duplicate(data) if duplicate_command?(data)
     
     if location_id.present?
       WeatherUpdateJob.perform_later(location_id)
@@ -64,23 +68,42 @@ class WeatherChannel < ApplicationCable::Channel
     stop_stream_from "weather_location_#{location_id}" if location_id.present?
   end
 
+  # Client can recover broadcasts missed while its connection was down
+  def replay_since(data)
+    streams = ['weather_channel'] + Array(data['location_ids']).map { |id| "weather_location_#{id}" }
+    missed = ChannelBroadcaster.messages_since(streams, data['since'])
+
+    missed.each { |message| transmit(message.merge('replayed' => true)) }
+
+    transmit({
+      type: 'replay_complete',
+      since: data['since'],
+      replayed_count: missed.size,
+      timestamp: Time.current.iso8601
+    })
+  end
+
+  # Recent weather for all monitored locations, also sent by the Server-Sent Events stream
+  def self.current_weather_messages
+    Location.includes(:weather_data).find_each.filter_map do |location|
+      recent_weather = location.weather_data.recent.order(:recorded_at).last
+      next unless recent_weather
+
+      {
+        location_id: location.id,
+        location_name: location.name,
+        weather_data: recent_weather.as_json,
+        stability_class: recent_weather.stability_class,
+        wind_vector: recent_weather.wind_vector,
+        coordinates: [location.latitude, location.longitude]
+      }
+    end
+  end
+
   private
 
   def transmit_current_weather_data
     # Send recent weather data for all monitored locations
-    Location.includes(:weather_data).find_each do |location|
-      recent_weather = location.weather_data.recent.order(:recorded_at).last
-      
-      if recent_weather
-        transmit({
-          location_id: location.id,
-          location_name: location.name,
-          weather_data: recent_weather.as_json,
-          stability_class: recent_weather.stability_class,
-          wind_vector: recent_weather.wind_vector,
-          coordinates: [location.latitude, location.longitude]
-        })
-      end
-    end
+    self.class.current_weather_messages.each { |message| transmit(message) }
   end
-end
\ No newline at end of file
+end
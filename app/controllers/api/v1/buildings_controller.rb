@@ -0,0 +1,121 @@
+class Api::V1::BuildingsController < Api::V1::BaseController
+  before_action :set_building, only: [:show, :update, :destroy]
+
+  # Footprints returned per bounds request; the map zooms in for the rest
+  MAX_BUILDINGS_IN_BOUNDS = 2000
+  # Buildings listed by index unless a smaller limit is asked for
+  DEFAULT_INDEX_LIMIT = 500
+
+  def index
+    @buildings = filtered_buildings.order(:name).limit(index_limit)
+
+    render_success({
+      buildings: @buildings.map { |building| building_data(building) },
+      count: @buildings.size
+    })
+  end
+
+  def show
+    render_success(building_data(@building))
+  end
+
+  def create
+    @building = Building.new(building_params)
+
+    if @building.save
+      render_success(building_data(@building), 'Building created successfully')
+    else
+      render_error(@building.errors.full_messages.join(', '))
+    end
+  end
+
+  def update
+    if @building.update(building_params)
+      render_success(building_data(@building), 'Building updated successfully')
+    else
+      render_error(@building.errors.full_messages.join(', '))
+    end
+  end
+
+  def destroy
+    @building.destroy
+    render_success({ id: @building.id }, 'Building deleted successfully')
+  end
+
+  def geojson
+    render_success(feature_collection(filtered_buildings.limit(MAX_BUILDINGS_IN_BOUNDS)))
+  end
+
+  # GET /api/v1/buildings/in_bounds/:north/:south/:east/:west
+  def in_bounds
+    north, south, east, west = params.values_at(:north, :south, :east, :west).map(&:to_f)
+    return render_error('North must be greater than south') if north <= south
+
+    # Tallest first, so a truncated response keeps the buildings that matter for downwash
+    buildings = filtered_buildings.in_bounds(north, south, east, west)
+                                  .order(Building.arel_table[:height].desc.nulls_last)
+                                  .limit(MAX_BUILDINGS_IN_BOUNDS + 1)
+                                  .to_a
+    truncated = buildings.size > MAX_BUILDINGS_IN_BOUNDS
+
+    render_success(feature_collection(buildings.first(MAX_BUILDINGS_IN_BOUNDS)).merge(
+      bounds: { north: north, south: south, east: east, west: west },
+      truncated: truncated
+    ))
+  end
+
+  private
+
+  def set_building
+    @building = Building.find(params[:id])
+  end
+
+  def building_params
+    params.require(:building).permit(:name, :building_type, :height, :area, :latitude, :longitude,
+                                     :geometry, :map_layer_id)
+  end
+
+  # A requested limit is kept within 1..MAX_BUILDINGS_IN_BOUNDS
+  def index_limit
+    return DEFAULT_INDEX_LIMIT if params[:limit].blank?
+
+    params[:limit].to_i.clamp(1, MAX_BUILDINGS_IN_BOUNDS)
+  end
+
+  def filtered_buildings
+    buildings = Building.includes(:map_layer)
+    buildings = buildings.where(map_layer_id: params[:map_layer_id]) if params[:map_layer_id].present?
+    buildings = buildings.by_type(params[:building_type]) if params[:building_type].present?
+    buildings
+  end
+
+  def feature_collection(buildings)
+    features = buildings.map { |building| building_feature(building) }
+    { type: 'FeatureCollection', features: features, count: features.size }
+  end
+
+  def building_feature(building)
+    feature = building.to_geojson
+    feature[:properties].merge!(
+      latitude: building.latitude,
+      longitude: building.longitude,
+      map_layer: building.map_layer&.name,
+      downwash: building.downwash_parameters
+    )
+    feature
+  end
+
+  def building_data(building)
+    {
+      id: building.id,
+      name: building.name,
+      building_type: building.building_type,
+      height: building.height,
+      area: building.area,
+      latitude: building.latitude,
+      longitude: building.longitude,
+      map_layer_id: building.map_layer_id,
+      downwash: building.downwash_parameters
+    }
+  end
+end
@@ -1,8 +1,11 @@
 class Api::V1::DispersionEventsController < Api::V1::BaseController
-  before_action :set_dispersion_event, only: [:show, :update, :live_calculations, :plume_data]
+  include IdempotentRequests
+
+  before_action :set_dispersion_event, only: [:show, :update, :live_calculations, :plume_data, :concentration_grid, :recalculate]
+  idempotent :recalculate
 
   def index
-    @dispersion_events = DispersionEvent.includes(:chemical, :location)
+    @dispersion_events = DispersionEvent.includes({ chemical: :toxicological_data }, :location)
                                        .order(created_at: :desc)
                                        .limit(50)
     
@@ -14,7 +17,7 @@ class Api::V1::DispersionEventsController < Api::V1::BaseController
       event: dispersion_event_data(@dispersion_event),
       receptors: @dispersion_event.receptors.map { |r| receptor_data(r) },
       latest_calculations: @dispersion_event.dispersion_calculations
-                                          .includes(:weather_datum)
+                                          .includes(:weather_datum, :receptor)
                                           .order(created_at: :desc)
                                           .limit(10)
                                           .map { |c| calculation_data(c) }
@@ -42,7 +45,7 @@ class Api::V1::DispersionEventsController < Api::V1::BaseController
   def live_calculations
     # Return real-time calculation data for WebSocket updates
     calculations = @dispersion_event.dispersion_calculations
-                                   .includes(:weather_datum)
+                                   .includes(:weather_datum, :receptor)
                                    .where('created_at > ?', 1.minute.ago)
                                    .order(created_at: :desc)
 
@@ -89,6 +92,31 @@ class Api::V1::DispersionEventsController < Api::V1::BaseController
     end
   end
 
+  def concentration_grid
+    # Gridded ground-level concentrations for the map heatmap layer
+    latest_calculation = @dispersion_event.dispersion_calculations
+                                         .order(created_at: :desc)
+                                         .first
+
+    unless latest_calculation
+      return render_error('No dispersion calculation available for this event', :not_found)
+    end
+
+    render_success({
+      event_id: @dispersion_event.id,
+      units: 'mg/m³',
+      timestamp: latest_calculation.created_at
+    }.merge(latest_calculation.concentration_grid))
+  end
+
+  # DispersionEventsChannel#request_calculation_update for clients on SSE or polling
+  def recalculate
+    DispersionCalculationJob.perform_later(@dispersion_event.id)
+
+    render_success({ event_id: @dispersion_event.id, status: 'queued' },
+                   "Calculation update requested for event #{@dispersion_event.id}")
+  end
+
   private
 
   def set_dispersion_event
@@ -108,13 +136,15 @@ class Api::V1::DispersionEventsController < Api::V1::BaseController
       id: event.id,
       chemical: event.chemical.name,
       location: event.location.name,
+      location_id: event.location_id,
       release_rate: event.release_rate,
       status: event.status,
       start_time: event.started_at,
       source_coordinates: {
         lat: event.location.latitude,
         lng: event.location.longitude
-      }
+      },
+      hazard_scale: event.hazard_scale
     }
   end
 
@@ -123,24 +153,30 @@ class Api::V1::DispersionEventsController < Api::V1::BaseController
     {
       id: receptor.id,
       name: receptor.name,
+      receptor_type: receptor.receptor_type,
       coordinates: {
         lat: receptor.latitude,
         lng: receptor.longitude
       },
-      height: receptor.height,
-      latest_concentration: latest_calc&.concentration || 0,
-      health_impact: receptor.assess_health_impact(latest_calc&.concentration || 0)
+      latest_concentration: (latest_calc&.concentration || receptor.concentration).to_f,
+      # Receptor#assess_health_impact keeps this level current on every save
+      health_impact: receptor.health_impact_level
     }
   end
 
+  # Receptor calculations carry the receptor's position; event-wide ones have none
   def calculation_data(calculation)
+    receptor = calculation.receptor
+
     {
       id: calculation.id,
-      concentration: calculation.concentration,
-      receptor_coordinates: {
-        lat: calculation.receptor_latitude,
-        lng: calculation.receptor_longitude
+      concentration: calculation.concentration&.to_f,
+      receptor_id: calculation.receptor_id,
+      receptor_coordinates: receptor && {
+        lat: receptor.latitude.to_f,
+        lng: receptor.longitude.to_f
       },
+      effective_height: calculation.effective_height,
       weather_conditions: weather_data(calculation.weather_datum),
       timestamp: calculation.created_at
     }
@@ -150,6 +186,7 @@ class Api::V1::DispersionEventsController < Api::V1::BaseController
     return nil unless weather
     
     {
+      id: weather.id,
       wind_speed: weather.wind_speed,
       wind_direction: weather.wind_direction,
       temperature: weather.temperature,
@@ -163,25 +200,11 @@ class Api::V1::DispersionEventsController < Api::V1::BaseController
     source_lat = @dispersion_event.location.latitude
     source_lng = @dispersion_event.location.longitude
     
+    # Same shape as DispersionCalculation#generate_plume_contours
     [
-      {
-        concentration: 10.0,
-        coordinates: generate_circle_coordinates(source_lat, source_lng, 0.001),
-        color: '#ff0000',
-        level: 'high'
-      },
-      {
-        concentration: 1.0,
-        coordinates: generate_circle_coordinates(source_lat, source_lng, 0.005),
-        color: '#ff7f00',
-        level: 'medium'
-      },
-      {
-        concentration: 0.1,
-        coordinates: generate_circle_coordinates(source_lat, source_lng, 0.01),
-        color: '#ffff00',
-        level: 'low'
-      }
+      { level: 10.0, points: generate_circle_coordinates(source_lat, source_lng, 0.001) },
+      { level: 1.0, points: generate_circle_coordinates(source_lat, source_lng, 0.005) },
+      { level: 0.1, points: generate_circle_coordinates(source_lat, source_lng, 0.01) }
     ]
   end
 
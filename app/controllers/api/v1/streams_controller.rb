@@ -0,0 +1,147 @@
+# Server-Sent Events stream for sites whose proxies block WebSocket upgrades
+# Mirrors DispersionEventsChannel and WeatherChannel broadcasts over plain HTTP,
+# resuming from Last-Event-ID through the ChannelBroadcaster replay buffer
+
+class Api::V1::StreamsController < Api::V1::BaseController
+  include ActionController::Live
+
+  HEARTBEAT_INTERVAL = 15.seconds
+  # Each open stream holds a server thread, so streams are recycled regularly;
+  # EventSource reconnects on its own and resumes from the last event id
+  MAX_STREAM_DURATION = 5.minutes
+  RECONNECT_DELAY_MS = 3000
+  # Streams open at once in this process. Two of Puma's threads stay free for
+  # ordinary requests; clients turned away fall back to polling
+  MAX_OPEN_STREAMS = [ENV.fetch('RAILS_MAX_THREADS', 3).to_i - 2, 1].max
+
+  @open_streams = 0
+  @open_streams_lock = Mutex.new
+
+  class << self
+    attr_reader :open_streams
+
+    def acquire_stream_slot
+      @open_streams_lock.synchronize do
+        next false if @open_streams >= MAX_OPEN_STREAMS
+
+        @open_streams += 1
+        true
+      end
+    end
+
+    def release_stream_slot
+      @open_streams_lock.synchronize { @open_streams -= 1 if @open_streams.positive? }
+    end
+  end
+
+  # GET /api/v1/streams/:channel
+  def show
+    streams = stream_names
+    return render_error("Unknown stream: #{params[:channel]}", :not_found) unless streams
+    return render_stream_check if params[:check].present?
+
+    unless (slot = self.class.acquire_stream_slot)
+      response.headers['Retry-After'] = MAX_STREAM_DURATION.to_i.to_s
+      return render_error('Too many open streams, use polling', :service_unavailable)
+    end
+
+    response.headers['Content-Type'] = 'text/event-stream'
+    response.headers['Cache-Control'] = 'no-cache'
+    response.headers['X-Accel-Buffering'] = 'no'
+    response.headers['Last-Modified'] = Time.current.httpdate
+
+    sse = ActionController::Live::SSE.new(response.stream, retry: RECONNECT_DELAY_MS)
+    queue = Queue.new
+    callback = ->(message) { queue << message }
+    sent_sequences = Set.new
+
+    # Subscribe before replaying so nothing broadcast in between is lost
+    streams.each { |stream| ActionCable.server.pubsub.subscribe(stream, callback) }
+
+    snapshot_messages.each { |message| sse.write(message) }
+
+    if last_event_id.present?
+      ChannelBroadcaster.messages_since(streams, last_event_id).each do |message|
+        write_sequenced(sse, message.merge('replayed' => true), sent_sequences)
+      end
+    end
+
+    # Broadcasts arrive through pubsub; return the database connection to the pool
+    ActiveRecord::Base.connection_pool.release_connection
+
+    deadline = MAX_STREAM_DURATION.from_now
+    while Time.current < deadline
+      message = queue.pop(timeout: HEARTBEAT_INTERVAL)
+
+      if message
+        write_sequenced(sse, ActiveSupport::JSON.decode(message), sent_sequences)
+      else
+        response.stream.write(": heartbeat\n\n")
+      end
+    end
+  rescue ActionController::Live::ClientDisconnected, IOError
+    Rails.logger.info "SSE client disconnected from #{params[:channel]} stream"
+  ensure
+    if callback
+      streams.each { |stream| ActionCable.server.pubsub.unsubscribe(stream, callback) }
+      response.stream.close
+    end
+    self.class.release_stream_slot if slot
+  end
+
+  private
+
+  # Diagnostics ask whether a stream would be accepted without holding a slot
+  def render_stream_check
+    render_success({
+      channel: params[:channel],
+      open_streams: self.class.open_streams,
+      max_open_streams: MAX_OPEN_STREAMS,
+      available: self.class.open_streams < MAX_OPEN_STREAMS
+    })
+  end
+
+  def stream_names
+    case params[:channel]
+    when 'dispersion_events'
+      ['dispersion_events'] + event_ids.map { |id| "dispersion_event_#{id}" }
+    when 'weather'
+      ['weather_channel'] + location_ids.map { |id| "weather_location_#{id}" }
+    end
+  end
+
+  # Same data the channels transmit when a client subscribes
+  def snapshot_messages
+    case params[:channel]
+    when 'dispersion_events'
+      events = DispersionEvent.where(id: event_ids).includes(:chemical, :location)
+      [DispersionEventsChannel.active_events_message, DispersionEventsChannel.thermal_incidents_message] +
+        events.map { |event| DispersionEventsChannel.event_update_message(event) }
+    when 'weather'
+      WeatherChannel.current_weather_messages
+    else
+      []
+    end
+  end
+
+  def write_sequenced(sse, message, sent_sequences)
+    sequence = message['sequence']
+    return if sequence && !sent_sequences.add?(sequence)
+
+    sequence ? sse.write(message, id: sequence) : sse.write(message)
+  end
+
+  # EventSource sends the header on automatic reconnects; the query param
+  # covers streams the client reopens itself after changing subscriptions
+  def last_event_id
+    request.headers['Last-Event-ID'].presence || params[:last_event_id]
+  end
+
+  def event_ids
+    params[:event_ids].to_s.split(',').map(&:to_i).select(&:positive?)
+  end
+
+  def location_ids
+    params[:location_ids].to_s.split(',').map(&:to_i).select(&:positive?)
+  end
+end
@@ -0,0 +1,153 @@
+class Api::V1::TerrainPointsController < Api::V1::BaseController
+  before_action :set_terrain_point, only: [:show, :update, :destroy]
+
+  # Samples accepted by one profile request
+  MAX_PROFILE_POINTS = 200
+  # Terrain points returned by index and geojson, and accepted by one bulk import
+  MAX_TERRAIN_POINTS = 5000
+  DEFAULT_INDEX_LIMIT = 500
+
+  def index
+    @terrain_points = filtered_terrain_points.order(:id).limit(requested_limit(DEFAULT_INDEX_LIMIT))
+
+    render_success({
+      terrain_points: @terrain_points.map { |point| terrain_point_data(point) },
+      count: @terrain_points.size
+    })
+  end
+
+  def show
+    render_success(terrain_point_data(@terrain_point))
+  end
+
+  def create
+    @terrain_point = TerrainPoint.new(terrain_point_params)
+
+    if @terrain_point.save
+      render_success(terrain_point_data(@terrain_point), 'Terrain point created successfully')
+    else
+      render_error(@terrain_point.errors.full_messages.join(', '))
+    end
+  end
+
+  def update
+    if @terrain_point.update(terrain_point_params)
+      render_success(terrain_point_data(@terrain_point), 'Terrain point updated successfully')
+    else
+      render_error(@terrain_point.errors.full_messages.join(', '))
+    end
+  end
+
+  def destroy
+    @terrain_point.destroy
+    render_success({ id: @terrain_point.id }, 'Terrain point deleted successfully')
+  end
+
+  def geojson
+    features = filtered_terrain_points.limit(requested_limit(MAX_TERRAIN_POINTS)).map(&:to_geojson)
+    render_success({ type: 'FeatureCollection', features: features, count: features.size })
+  end
+
+  # GET /api/v1/terrain_points/elevation/:latitude/:longitude
+  def elevation_at
+    latitude = params[:latitude].to_f
+    longitude = params[:longitude].to_f
+    render_success(elevation_sample(latitude, longitude, TerrainPoint.interpolate_elevation(latitude, longitude)))
+  end
+
+  # POST /api/v1/terrain_points/profile
+  # Elevations for a list of points ({ latitude, longitude }), e.g. along a plume centerline
+  def profile
+    coordinates = profile_coordinates
+    return render_error('points must be a list of numeric latitude and longitude pairs') if coordinates.nil?
+    return render_error('No points given') if coordinates.empty?
+    return render_error("At most #{MAX_PROFILE_POINTS} points per profile") if coordinates.size > MAX_PROFILE_POINTS
+
+    elevations = TerrainPoint.interpolate_elevations(coordinates)
+
+    render_success({
+      samples: coordinates.zip(elevations).map { |(latitude, longitude), elevation| elevation_sample(latitude, longitude, elevation) }
+    })
+  end
+
+  def bulk_import
+    points = bulk_terrain_point_params
+    if points.nil? || points.empty? || points.size > MAX_TERRAIN_POINTS
+      return render_error("Send between 1 and #{MAX_TERRAIN_POINTS} terrain points")
+    end
+
+    created = TerrainPoint.transaction do
+      points.map { |attributes| TerrainPoint.create!(attributes) }
+    end
+
+    render_success({ count: created.size }, "#{created.size} terrain points imported")
+  rescue ActiveRecord::RecordInvalid => e
+    render_error(e.record.errors.full_messages.join(', '))
+  end
+
+  private
+
+  def set_terrain_point
+    @terrain_point = TerrainPoint.find(params[:id])
+  end
+
+  def terrain_point_params
+    params.require(:terrain_point).permit(:latitude, :longitude, :elevation, :data_source,
+                                          :interpolated, :map_layer_id)
+  end
+
+  # A requested limit is kept within 1..MAX_TERRAIN_POINTS
+  def requested_limit(default)
+    return default if params[:limit].blank?
+
+    params[:limit].to_i.clamp(1, MAX_TERRAIN_POINTS)
+  end
+
+  # [[latitude, longitude], ...] from the profile points, or nil unless every
+  # point has numeric coordinates
+  def profile_coordinates
+    points = params[:points]
+    return nil unless points.is_a?(Array) && points.all?(ActionController::Parameters)
+
+    points.map { |point| [Float(point[:latitude]), Float(point[:longitude])] }
+  rescue ArgumentError, TypeError
+    nil
+  end
+
+  def bulk_terrain_point_params
+    points = params[:terrain_points]
+    return nil unless points.is_a?(Array) && points.all?(ActionController::Parameters)
+
+    points.map { |point| point.permit(:latitude, :longitude, :elevation, :data_source, :interpolated, :map_layer_id) }
+  end
+
+  def filtered_terrain_points
+    points = TerrainPoint.all
+    points = points.where(map_layer_id: params[:map_layer_id]) if params[:map_layer_id].present?
+    if params[:north].present? && params[:south].present? && params[:east].present? && params[:west].present?
+      points = points.in_bounds(*params.values_at(:north, :south, :east, :west).map(&:to_f))
+    end
+    points
+  end
+
+  # Interpolated elevation (m), or nil where there are too few terrain points nearby
+  def elevation_sample(latitude, longitude, elevation)
+    {
+      latitude: latitude,
+      longitude: longitude,
+      elevation: elevation&.to_f&.round(2)
+    }
+  end
+
+  def terrain_point_data(point)
+    {
+      id: point.id,
+      latitude: point.latitude,
+      longitude: point.longitude,
+      elevation: point.elevation,
+      data_source: point.data_source,
+      interpolated: point.interpolated,
+      map_layer_id: point.map_layer_id
+    }
+  end
+end
@@ -0,0 +1,31 @@
+class Api::V1::ThermalIncidentsController < Api::V1::BaseController
+  # Completed fire and BLEVE incidents in the shape DispersionEventsChannel sends.
+  # ?summary=1 lists only ids and calculation times, for pollers checking for changes
+  def index
+    return render_summary if params[:summary].present?
+
+    incidents = ThermalRadiationIncident.on_map.with_map_data
+
+    render_success({
+      incidents: incidents.map(&:map_data),
+      count: incidents.size
+    })
+  end
+
+  def show
+    incident = ThermalRadiationIncident.with_map_data.find(params[:id])
+    render_success(incident.map_data)
+  rescue ActiveRecord::RecordNotFound
+    render_error('Thermal incident not found', :not_found)
+  end
+
+  private
+
+  def render_summary
+    incidents = ThermalRadiationIncident.on_map.pluck(:id, :last_calculated_at).map do |id, last_calculated_at|
+      { id: id, last_calculated_at: last_calculated_at&.iso8601 }
+    end
+
+    render_success({ incidents: incidents, count: incidents.size })
+  end
+end
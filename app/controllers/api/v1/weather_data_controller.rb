@@ -196,7 +196,7 @@ class Api::V1::WeatherDataController < Api::V1::BaseController
   end
 
   def broadcast_weather_update(weather_datum)
-    ActionCable.server.broadcast(
+    ChannelBroadcaster.broadcast(
       "weather_channel",
       {
         weather_data: weather_datum_json(weather_datum),
@@ -212,7 +212,7 @@ class Api::V1::WeatherDataController < Api::V1::BaseController
     )
     
     if location
-      ActionCable.server.broadcast(
+      ChannelBroadcaster.broadcast(
         "weather_location_#{location.id}",
         {
           location_id: location.id,
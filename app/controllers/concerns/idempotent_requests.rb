@@ -0,0 +1,45 @@
+# Honors the Idempotency-Key header on selected actions: the first request runs
+# the action and stores its response, repeats get the stored response back, and
+# a repeat that arrives while the first is still running gets 409 Conflict
+
+module IdempotentRequests
+  extend ActiveSupport::Concern
+
+  class_methods do
+    def idempotent(*actions)
+      around_action :replay_idempotent_request, only: actions
+    end
+  end
+
+  private
+
+  def replay_idempotent_request
+    key = request.headers['Idempotency-Key'].presence
+    return yield unless key
+
+    if (stored = IdempotencyStore.result(key))
+      response.headers['Idempotent-Replayed'] = 'true'
+      response.headers['Location'] = stored['location'] if stored['location']
+      return render body: stored['body'], status: stored['status'], content_type: stored['content_type']
+    end
+
+    unless IdempotencyStore.claim(key)
+      return render json: { status: 'error', message: 'Request with this idempotency key is still being processed' },
+                    status: :conflict
+    end
+
+    begin
+      yield
+    rescue StandardError
+      IdempotencyStore.release(key)
+      raise
+    end
+
+    if response.status < 500
+      IdempotencyStore.complete(key, 'status' => response.status, 'body' => response.body,
+                                     'content_type' => response.media_type, 'location' => response.location)
+    else
+      IdempotencyStore.release(key)
+    end
+  end
+end
@@ -1,5 +1,8 @@
 class DispersionEventsController < ApplicationController
+  include IdempotentRequests
+
   before_action :set_dispersion_event, only: [:show, :edit, :update, :destroy, :calculate, :start_monitoring, :stop_monitoring]
+  idempotent :stop_monitoring
 
   def index
     @dispersion_events = DispersionEvent.includes(:chemical, :location).order(created_at: :desc)
@@ -74,7 +77,11 @@ class DispersionEventsController < ApplicationController
 
   def stop_monitoring
     @dispersion_event.update(status: 'completed')
-    redirect_to @dispersion_event, notice: 'Real-time monitoring stopped.'
+
+    respond_to do |format|
+      format.html { redirect_to @dispersion_event, notice: 'Real-time monitoring stopped.' }
+      format.json { render json: { status: 'success', message: 'Real-time monitoring stopped', event_id: @dispersion_event.id } }
+    end
   end
 
   private
@@ -1,5 +1,34 @@
 class GisFeaturesController < ApplicationController
+  MAX_FEATURES = 5000
+  MAX_SENSITIVE_FEATURES = 5000
+
+  # JSON: features as GeoJSON, optionally around ?north=&south=&east=&west=
+  # and of one ?feature_type=
   def index
+    respond_to do |format|
+      format.html
+      format.json do
+        features = GisFeature.includes(:map_layer).order(:name)
+        if params[:north].present?
+          bounds = requested_bounds
+          next render_bounds_error unless bounds
+
+          features = features.overlapping(*bounds)
+        end
+        features = features.by_type(params[:feature_type]) if params[:feature_type].present?
+        features = features.limit(MAX_FEATURES + 1).map { |feature| feature_geojson(feature) }
+
+        render json: {
+          status: 'success',
+          message: "#{[features.size, MAX_FEATURES].min} features found",
+          data: {
+            type: 'FeatureCollection',
+            features: features.first(MAX_FEATURES).select { |feature| feature[:geometry].present? },
+            truncated: features.size > MAX_FEATURES
+          }
+        }
+      end
+    end
   end
 
   def show
@@ -13,4 +42,58 @@ class GisFeaturesController < ApplicationController
 
   def destroy
   end
+
+  # Features of the sensitive categories around a bounding box, each tagged with
+  # its category: ?north=&south=&east=&west=
+  def sensitive
+    bounds = requested_bounds
+    return render_bounds_error unless bounds
+
+    features = GisFeature.overlapping(*bounds)
+                         .includes(:map_layer)
+                         .find_each
+                         .lazy
+                         .filter_map { |feature| sensitive_feature(feature) }
+                         .first(MAX_SENSITIVE_FEATURES + 1)
+
+    render json: {
+      status: 'success',
+      message: "#{[features.size, MAX_SENSITIVE_FEATURES].min} sensitive features found",
+      data: {
+        type: 'FeatureCollection',
+        features: features.first(MAX_SENSITIVE_FEATURES),
+        categories: GisFeature::SENSITIVE_CATEGORIES.transform_values { |category| category[:label] },
+        truncated: features.size > MAX_SENSITIVE_FEATURES
+      }
+    }
+  end
+
+  private
+
+  # [north, south, east, west] from the params, or nil unless all four are numbers
+  def requested_bounds
+    %i[north south east west].map { |key| Float(params.require(key)) }
+  rescue ArgumentError, TypeError, ActionController::ParameterMissing
+    nil
+  end
+
+  def render_bounds_error
+    render json: { status: 'error', message: 'north, south, east and west must be numbers' }, status: :bad_request
+  end
+
+  def sensitive_feature(feature)
+    category = feature.sensitive_category
+    return nil unless category && feature.geometry.present?
+
+    geojson = feature_geojson(feature)
+    # A feature's own `category` tag gives way to the matched category
+    geojson[:properties]['category'] = category
+    geojson
+  end
+
+  def feature_geojson(feature)
+    geojson = feature.to_geojson
+    geojson[:properties] = geojson[:properties].stringify_keys.merge('map_layer' => feature.map_layer&.name)
+    geojson
+  end
 end
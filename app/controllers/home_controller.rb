@@ -27,7 +27,7 @@ class HomeController < ApplicationController
   def dashboard
     # Main operational dashboard
     @active_events = DispersionEvent.where(status: 'active')
-                                   .includes(:chemical, :location, :receptors, :dispersion_calculations)
+                                   .includes({ chemical: :toxicological_data }, :location, :receptors, :dispersion_calculations)
     
     @recent_calculations = DispersionCalculation.includes(:dispersion_event, :weather_datum)
                                                .order(created_at: :desc)
@@ -48,9 +48,13 @@ class HomeController < ApplicationController
       {
         id: event.id,
         name: "#{event.chemical.name} at #{event.location.name}",
+        chemical: event.chemical.name,
+        location: event.location.name,
+        location_id: event.location_id,
         status: event.status,
         source_lat: event.location.latitude,
         source_lng: event.location.longitude,
+        hazard_scale: event.hazard_scale,
         receptors: event.receptors.map do |receptor|
           # Get the latest calculation for this event and find concentration at this receptor
           latest_calc = event.dispersion_calculations.order(created_at: :desc).first
@@ -73,6 +77,7 @@ class HomeController < ApplicationController
           {
             id: receptor.id,
             name: receptor.name,
+            receptor_type: receptor.receptor_type,
             lat: receptor.latitude,
             lng: receptor.longitude,
             concentration: concentration,
@@ -1,16 +1,145 @@
 class MapLayersController < ApplicationController
+  # Features sent per layer; larger layers are truncated
+  MAX_LAYER_FEATURES = 5000
+
+  before_action :set_map_layer, only: [:show, :update, :destroy, :bounds, :features, :toggle_visibility]
+
   def index
+    @map_layers = MapLayer.ordered
+
+    respond_to do |format|
+      format.html
+      format.json { render_success(map_layers_json(@map_layers)) }
+    end
   end
 
   def show
+    respond_to do |format|
+      format.html
+      format.json { render_success(map_layer_json(@map_layer)) }
+    end
   end
 
   def create
+    @map_layer = MapLayer.new(map_layer_params)
+
+    if @map_layer.save
+      render_success(map_layer_json(@map_layer), 'Map layer created', :created)
+    else
+      render_error(@map_layer.errors.full_messages.join(', '))
+    end
   end
 
+  # Style changes (e.g. opacity) are merged into the layer's existing style
   def update
+    attributes = map_layer_params
+    if attributes.key?(:style_config)
+      attributes[:style_config] = @map_layer.style_config.to_h.stringify_keys.merge(attributes[:style_config].to_h)
+    end
+
+    if @map_layer.update(attributes)
+      render_success(map_layer_json(@map_layer), 'Map layer updated')
+    else
+      render_error(@map_layer.errors.full_messages.join(', '))
+    end
   end
 
   def destroy
+    @map_layer.destroy
+    render_success({ id: @map_layer.id }, 'Map layer deleted')
+  end
+
+  # GeoJSON for several layers at once: ?ids[]=..., or every visible layer
+  def geojson
+    layers = params[:ids].present? ? MapLayer.where(id: params[:ids]) : MapLayer.visible
+    features = layers.ordered.flat_map { |layer| layer.features_geojson(MAX_LAYER_FEATURES) }
+
+    render_success({ type: 'FeatureCollection', features: features, count: features.size })
+  end
+
+  def bounds
+    bounds = @map_layer.bounds
+    return render_error('This layer has no features', :not_found) unless bounds
+
+    render_success(bounds)
+  end
+
+  def features
+    features = @map_layer.features_geojson(MAX_LAYER_FEATURES + 1)
+    truncated = features.size > MAX_LAYER_FEATURES
+
+    render_success({
+      type: 'FeatureCollection',
+      features: features.first(MAX_LAYER_FEATURES),
+      count: [features.size, MAX_LAYER_FEATURES].min,
+      truncated: truncated
+    })
+  end
+
+  # Sets `visible` when given, otherwise flips it
+  def toggle_visibility
+    visible = params.key?(:visible) ? ActiveModel::Type::Boolean.new.cast(params[:visible]) : !@map_layer.visible
+    @map_layer.update!(visible: visible)
+
+    render_success(map_layer_json(@map_layer), "#{@map_layer.name} #{visible ? 'shown' : 'hidden'}")
+  end
+
+  def bulk_toggle_visibility
+    visible = ActiveModel::Type::Boolean.new.cast(params[:visible])
+    count = MapLayer.where(id: Array(params[:ids])).update_all(visible: visible, updated_at: Time.current)
+
+    render_success({ ids: Array(params[:ids]).map(&:to_i), visible: visible }, "#{count} layers updated")
+  end
+
+  # Layers in drawing order, bottom first: ids[] => z_index 0, 1, ...
+  def reorder
+    ids = Array(params[:ids]).map(&:to_i)
+    return render_error('No layer ids given') if ids.empty?
+
+    MapLayer.transaction do
+      ids.each_with_index do |id, index|
+        MapLayer.where(id: id).update_all(z_index: index, updated_at: Time.current)
+      end
+    end
+
+    render_success(map_layers_json(MapLayer.ordered), 'Layer order saved')
+  end
+
+  private
+
+  def set_map_layer
+    @map_layer = MapLayer.find(params[:id])
+  end
+
+  def map_layer_params
+    params.require(:map_layer).permit(:name, :layer_type, :description, :visible, :z_index, style_config: {})
+  end
+
+  def render_success(data, message = 'Success', status = :ok)
+    render json: { status: 'success', message: message, data: data }, status: status
+  end
+
+  def render_error(message, status = :unprocessable_entity)
+    render json: { status: 'error', message: message }, status: status
+  end
+
+  # Layer list with feature counts loaded together instead of per layer
+  def map_layers_json(layers)
+    layers = layers.to_a
+    counts = MapLayer.feature_counts(layers.map(&:id))
+    layers.map { |layer| map_layer_json(layer, counts[layer.id]) }
+  end
+
+  def map_layer_json(layer, feature_count = layer.feature_count)
+    {
+      id: layer.id,
+      name: layer.name,
+      layer_type: layer.layer_type,
+      description: layer.description,
+      visible: layer.visible,
+      z_index: layer.z_index,
+      style_config: layer.style_config,
+      feature_count: feature_count
+    }
   end
 end
@@ -1,4 +1,6 @@
 class ReceptorsController < ApplicationController
+  MAX_BULK_RECEPTORS = 200
+
   before_action :set_dispersion_event
   before_action :set_receptor, only: [:show, :edit, :update, :destroy]
 
@@ -17,27 +19,62 @@ class ReceptorsController < ApplicationController
   def create
     @receptor = @dispersion_event.receptors.build(receptor_params)
     
-    if @receptor.save
-      redirect_to [@dispersion_event, @receptor], notice: 'Receptor was successfully created.'
-    else
-      render :new, status: :unprocessable_entity
+    respond_to do |format|
+      if @receptor.save
+        queue_calculation(@receptor)
+        format.html { redirect_to [@dispersion_event, @receptor], notice: 'Receptor was successfully created.' }
+        format.json { render json: { status: 'success', message: 'Receptor created', data: receptor_json(@receptor) }, status: :created }
+      else
+        format.html { render :new, status: :unprocessable_entity }
+        format.json { render json: { status: 'error', message: @receptor.errors.full_messages.join(', ') }, status: :unprocessable_entity }
+      end
     end
   end
 
+  # Create a generated set of receptors (rings, transect or grid) in one request
+  def bulk_create
+    attributes = bulk_receptor_params
+
+    if attributes.nil? || attributes.empty? || attributes.size > MAX_BULK_RECEPTORS
+      return render json: { status: 'error', message: "Send between 1 and #{MAX_BULK_RECEPTORS} receptors" },
+                    status: :unprocessable_entity
+    end
+
+    receptors = attributes.map { |receptor_attributes| @dispersion_event.receptors.build(receptor_attributes) }
+    Receptor.transaction { receptors.each(&:save!) }
+    receptors.each { |receptor| queue_calculation(receptor) }
+
+    render json: { status: 'success', message: "#{receptors.size} receptors created",
+                   data: receptors.map { |receptor| receptor_json(receptor) } }, status: :created
+  rescue ActiveRecord::RecordInvalid => e
+    render json: { status: 'error', message: "#{e.record.name}: #{e.record.errors.full_messages.join(', ')}" },
+           status: :unprocessable_entity
+  end
+
   def edit
   end
 
   def update
-    if @receptor.update(receptor_params)
-      redirect_to [@dispersion_event, @receptor], notice: 'Receptor was successfully updated.'
-    else
-      render :edit, status: :unprocessable_entity
+    respond_to do |format|
+      if @receptor.update(receptor_params)
+        # A moved receptor needs a new concentration
+        queue_calculation(@receptor) if @receptor.saved_change_to_latitude? || @receptor.saved_change_to_longitude?
+        format.html { redirect_to [@dispersion_event, @receptor], notice: 'Receptor was successfully updated.' }
+        format.json { render json: { status: 'success', message: 'Receptor updated', data: receptor_json(@receptor) } }
+      else
+        format.html { render :edit, status: :unprocessable_entity }
+        format.json { render json: { status: 'error', message: @receptor.errors.full_messages.join(', ') }, status: :unprocessable_entity }
+      end
     end
   end
 
   def destroy
     @receptor.destroy
-    redirect_to dispersion_event_receptors_url(@dispersion_event), notice: 'Receptor was successfully deleted.'
+
+    respond_to do |format|
+      format.html { redirect_to dispersion_event_receptors_url(@dispersion_event), notice: 'Receptor was successfully deleted.' }
+      format.json { render json: { status: 'success', message: 'Receptor deleted', data: { id: @receptor.id } } }
+    end
   end
 
   private
@@ -51,6 +88,35 @@ class ReceptorsController < ApplicationController
   end
 
   def receptor_params
-    params.require(:receptor).permit(:name, :latitude, :longitude, :height, :description)
+    params.require(:receptor).permit(:name, :latitude, :longitude, :receptor_type, :notes)
+  end
+
+  # nil unless `receptors` is a list of receptor attribute hashes
+  def bulk_receptor_params
+    receptors = params[:receptors]
+    return nil unless receptors.is_a?(Array) && receptors.all?(ActionController::Parameters)
+
+    receptors.map { |receptor| receptor.permit(:name, :latitude, :longitude, :receptor_type, :notes) }
+  end
+
+  # Calculate a new or moved receptor's concentration now instead of waiting
+  # for the next monitoring cycle
+  def queue_calculation(receptor)
+    return unless @dispersion_event.status == 'active'
+
+    weather_data = WeatherDatum.order(recorded_at: :desc).first
+    DispersionCalculationJob.perform_later(@dispersion_event.id, receptor.id, weather_data.id) if weather_data
+  end
+
+  def receptor_json(receptor)
+    {
+      id: receptor.id,
+      name: receptor.name,
+      receptor_type: receptor.receptor_type,
+      lat: receptor.latitude,
+      lng: receptor.longitude,
+      concentration: receptor.concentration,
+      notes: receptor.notes
+    }
   end
 end
@@ -2,7 +2,7 @@
 class TestController < ApplicationController
   def trigger_weather_broadcast
     # Broadcast fake weather data to test WebSocket connection
-    ActionCable.server.broadcast(
+    ChannelBroadcaster.broadcast(
       "weather_channel",
       {
         location_id: 1,
@@ -22,7 +22,7 @@ class TestController < ApplicationController
 
   def trigger_dispersion_broadcast
     # Broadcast fake dispersion data to test WebSocket connection
-    ActionCable.server.broadcast(
+    ChannelBroadcaster.broadcast(
       "dispersion_events_channel",
       {
         event_id: 3,
@@ -377,7 +377,7 @@ class WeatherController < ApplicationController
   end
 
   def broadcast_weather_update
-    ActionCable.server.broadcast(
+    ChannelBroadcaster.broadcast(
       "weather_channel",
       {
         weather_data: @weather_datum.as_json,
@@ -1,6 +1,9 @@
 class WeatherDataController < ApplicationController
+  include IdempotentRequests
+
   before_action :set_weather_datum, only: [:show, :edit, :update, :destroy]
   skip_before_action :verify_authenticity_token, only: [:update_all, :update_location, :current, :forecast]
+  idempotent :update_all, :update_location
 
   def index
     @weather_data = WeatherDatum.all.order(timestamp: :desc).limit(50)
@@ -9,7 +9,7 @@ class ContinuousDispersionJob < ApplicationJob
     # Continue monitoring while event is active
     while @dispersion_event.reload.status == 'active'
       # Get latest weather data
-      current_weather = WeatherDatum.order(timestamp: :desc).first
+      current_weather = WeatherDatum.order(recorded_at: :desc).first
       
       if current_weather && weather_updated?(current_weather)
         # Run calculations for all receptors with new weather data
@@ -47,25 +47,21 @@ class ContinuousDispersionJob < ApplicationJob
     last_calculation = @dispersion_event.dispersion_calculations.order(created_at: :desc).first
     return true unless last_calculation
     
-    current_weather.timestamp > last_calculation.created_at
+    current_weather.recorded_at > last_calculation.created_at
   end
 
   def broadcast_plume_update(weather_data)
     # Create a temporary calculation to generate plume contours
-    temp_calculation = @dispersion_event.dispersion_calculations.build(
-      weather_datum: weather_data,
-      receptor_latitude: @dispersion_event.location.latitude,
-      receptor_longitude: @dispersion_event.location.longitude,
-      receptor_height: 1.5,
-      calculation_type: 'plume_visualization'
-    )
+    temp_calculation = @dispersion_event.dispersion_calculations.build(weather_datum: weather_data)
+    temp_calculation.assign_model_inputs
     
-    # Generate plume contour data
-    plume_contours = temp_calculation.generate_plume_contours
+    # Generate plume contour data at the chemical's hazard tiers, as plume_data does
+    plume_contours = temp_calculation.plume_contours
     
     # Broadcast to all subscribers
-    ActionCable.server.broadcast("dispersion_event_#{@dispersion_event.id}", {
+    ChannelBroadcaster.broadcast("dispersion_event_#{@dispersion_event.id}", {
       type: 'plume_update',
+      event_id: @dispersion_event.id,
       source_location: {
         lat: @dispersion_event.location.latitude,
         lng: @dispersion_event.location.longitude
@@ -76,14 +72,14 @@ class ContinuousDispersionJob < ApplicationJob
         wind_direction: weather_data.wind_direction,
         temperature: weather_data.temperature,
         stability_class: weather_data.stability_class,
-        timestamp: weather_data.timestamp
+        timestamp: weather_data.recorded_at
       },
       event_status: @dispersion_event.status,
       timestamp: Time.current
     })
     
     # Also broadcast to general monitoring channel
-    ActionCable.server.broadcast('dispersion_monitoring', {
+    ChannelBroadcaster.broadcast('dispersion_monitoring', {
       type: 'event_update',
       event_id: @dispersion_event.id,
       chemical_name: @dispersion_event.chemical.name,
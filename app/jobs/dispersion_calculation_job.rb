@@ -1,39 +1,43 @@
 class DispersionCalculationJob < ApplicationJob
   queue_as :default
 
-  def perform(dispersion_event_id, receptor_id, weather_datum_id)
+  # Calculates one receptor's concentration, or every receptor's of the event
+  # when no receptor is given, under the given weather (the latest by default)
+  def perform(dispersion_event_id, receptor_id = nil, weather_datum_id = nil)
     @dispersion_event = DispersionEvent.find(dispersion_event_id)
-    @receptor = Receptor.find(receptor_id)
-    @weather_datum = WeatherDatum.find(weather_datum_id)
-    
-    # Create new calculation record
-    calculation = @dispersion_event.dispersion_calculations.create!(
-      weather_datum: @weather_datum,
-      receptor_latitude: @receptor.latitude,
-      receptor_longitude: @receptor.longitude,
-      receptor_height: @receptor.height,
-      calculation_type: 'gaussian_plume'
-    )
-    
-    # Perform the actual physics calculation
-    concentration = calculation.concentration_at_point(
-      @receptor.latitude,
-      @receptor.longitude,
-      @receptor.height
-    )
+    @weather_datum = weather_datum_id ? WeatherDatum.find(weather_datum_id) : WeatherDatum.order(recorded_at: :desc).first
+
+    unless @weather_datum
+      Rails.logger.warn "No weather data for dispersion calculation of event #{@dispersion_event.id}"
+      return
+    end
+
+    receptors = receptor_id ? [@dispersion_event.receptors.find(receptor_id)] : @dispersion_event.receptors.to_a
+    receptors.each { |receptor| calculate_receptor(receptor) }
     
-    # Update the calculation with results
-    calculation.update!(
-      concentration: concentration,
-      effective_height: calculate_effective_height
-    )
+  rescue StandardError => e
+    Rails.logger.error "Dispersion calculation failed: #{e.message}"
+    raise e
+  end
+
+  private
+
+  def calculate_receptor(receptor)
+    calculation = @dispersion_event.dispersion_calculations.build(weather_datum: @weather_datum, receptor: receptor)
+    calculation.assign_model_inputs
+    calculation.concentration = calculation.concentration_at_receptor(receptor)
+    # Saving also updates the receptor's concentration and health impact level
+    calculation.save!
+
+    concentration = calculation.concentration.to_f
+    receptor.reload
     
     # Broadcast results to WebSocket channels
-    ActionCable.server.broadcast("dispersion_event_#{@dispersion_event.id}", {
+    ChannelBroadcaster.broadcast("dispersion_event_#{@dispersion_event.id}", {
       type: 'calculation_update',
-      receptor_id: @receptor.id,
+      receptor_id: receptor.id,
       concentration: concentration,
-      health_impact: @receptor.assess_health_impact(concentration),
+      health_impact: receptor.health_impact_level,
       timestamp: Time.current,
       weather: {
         wind_speed: @weather_datum.wind_speed,
@@ -43,43 +47,21 @@ class DispersionCalculationJob < ApplicationJob
     })
 
     # Also broadcast to general dispersion events channel
-    ActionCable.server.broadcast("dispersion_events", {
+    ChannelBroadcaster.broadcast("dispersion_events", {
       type: 'calculation_complete',
       event_id: @dispersion_event.id,
       calculation: {
         id: calculation.id,
         concentration: concentration,
-        receptor_id: @receptor.id,
+        receptor_id: receptor.id,
+        receptor_coordinates: {
+          lat: receptor.latitude.to_f,
+          lng: receptor.longitude.to_f
+        },
         timestamp: Time.current.iso8601
       }
     })
     
-    Rails.logger.info "Dispersion calculation completed for receptor #{@receptor.name}: #{concentration} mg/m³"
-    
-  rescue StandardError => e
-    Rails.logger.error "Dispersion calculation failed: #{e.message}"
-    raise e
-  end
-
-  private
-
-  def calculate_effective_height
-    # Calculate effective release height accounting for plume rise
-    # This is a simplified calculation - in practice would consider:
-    # - Buoyancy effects from temperature difference
-    # - Momentum effects from release velocity
-    # - Atmospheric stability effects
-    
-    base_height = @dispersion_event.release_height
-    temp_diff = @dispersion_event.release_temperature - @weather_datum.temperature
-    
-    # Simple buoyant plume rise formula (Briggs)
-    if temp_diff > 0
-      buoyancy_flux = 9.81 * @dispersion_event.release_rate * temp_diff / @dispersion_event.release_temperature
-      plume_rise = 2.6 * (buoyancy_flux / (@weather_datum.wind_speed * @weather_datum.wind_speed * @weather_datum.wind_speed)) ** (1.0/3.0)
-      base_height + plume_rise
-    else
-      base_height
-    end
+    Rails.logger.info "Dispersion calculation completed for receptor #{receptor.name}: #{concentration} mg/m³"
   end
 end
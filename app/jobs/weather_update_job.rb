@@ -90,7 +90,7 @@ class WeatherUpdateJob < ApplicationJob
       weather_record.update(atmospheric_stability: stability_class)
       
       # Broadcast weather update via WebSocket
-      ActionCable.server.broadcast(
+      ChannelBroadcaster.broadcast(
         "weather_channel",
         {
           location_id: location.id,
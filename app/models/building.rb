@@ -52,6 +52,20 @@ class Building < ApplicationRecord
     height >= wind_height * 0.5 # Building affects wind if it's at least 50% of wind height
   end
   
+  # Building wake dimensions for downwash screening (EPA GEP method), using the
+  # lesser of height and footprint width (square root of area) as the scale L
+  def downwash_parameters
+    return nil unless height.present?
+
+    width = area.present? ? Math.sqrt(area) : height
+    scale = [height, width].min
+    {
+      scale_length: scale.round(1),
+      gep_stack_height: (height + 1.5 * scale).round(1),
+      wake_length: (5 * scale).round(1)
+    }
+  end
+  
   # Get building footprint as GeoJSON
   def to_geojson
     {
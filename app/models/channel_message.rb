@@ -0,0 +1,13 @@
+# Broadcast recorded by ChannelBroadcaster for replay to reconnecting clients.
+# The id doubles as the message sequence, so it is shared and monotonic across
+# web and job worker processes
+class ChannelMessage < ApplicationRecord
+  validates :stream, presence: true
+
+  scope :on_streams, ->(streams) { where(stream: streams) }
+  scope :after_sequence, ->(sequence) { where('id > ?', sequence.to_i) }
+
+  def message
+    payload.merge('sequence' => id, 'sent_at' => created_at.iso8601(3))
+  end
+end
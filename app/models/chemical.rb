@@ -158,6 +158,13 @@ class Chemical < ApplicationRecord
     lower_flammability_limit.present? && upper_flammability_limit.present?
   end
   
+  # AEGL/ERPG/PAC tiers used to classify concentrations on the map, or nil
+  # when there is no toxicological data
+  def hazard_scale(duration_minutes = 60)
+    scale = toxicological_data.first&.hazard_tiers(duration_minutes)
+    scale&.merge(chemical: name)
+  end
+  
   # Get primary toxicological guideline for emergency response
   def primary_emergency_guideline(duration_minutes = 60)
     tox_data = toxicological_data.first
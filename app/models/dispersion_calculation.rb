@@ -1,6 +1,7 @@
 class DispersionCalculation < ApplicationRecord
   belongs_to :dispersion_event
   belongs_to :weather_datum
+  belongs_to :receptor, optional: true
   
   validates :calculation_timestamp, presence: true
   validates :model_used, presence: true, inclusion: { 
@@ -21,6 +22,31 @@ class DispersionCalculation < ApplicationRecord
   before_save :calculate_dispersion_parameters
   after_create :update_receptor_concentrations
   
+  # Model, weather and source inputs behind this calculation, kept in plume_data;
+  # concentrations are only computed once they are present
+  def assign_model_inputs
+    self.model_used ||= 'gaussian'
+    self.stability_class ||= weather_datum.stability_class
+    self.calculation_timestamp ||= Time.current
+    self.plume_data ||= {
+      model: model_used,
+      source_strength: dispersion_event.source_strength.to_f,
+      wind_speed: weather_datum.wind_speed.to_f,
+      wind_direction: weather_datum.wind_direction.to_f,
+      stability_class: stability_class
+    }
+    self
+  end
+
+  # Ground-level concentration (mg/m³) at a receptor, from its offset to the source
+  def concentration_at_receptor(receptor)
+    source = dispersion_event.location
+    x = (receptor.longitude - source.longitude).to_f * 111320 * Math.cos(receptor.latitude.to_f * Math::PI / 180)
+    y = (receptor.latitude - source.latitude).to_f * 110540
+
+    concentration_at_point(x, y)
+  end
+
   def calculate_concentrations
     # Trigger the calculation and update this record
     calculate_dispersion_parameters
@@ -111,6 +137,52 @@ class DispersionCalculation < ApplicationRecord
     
     contours
   end
+
+  # Contours at the event chemical's hazard tiers, falling back to the generic
+  # levels when the chemical has no toxicological data
+  def plume_contours
+    scale = dispersion_event.hazard_scale
+    return generate_plume_contours if scale.blank? || scale[:tiers].empty?
+
+    labels = scale[:tiers].to_h { |tier| [tier[:value], tier[:label]] }
+    generate_plume_contours(labels.keys).map { |contour| contour.merge(label: labels[contour[:level]]) }
+  end
+
+  # Ground-level concentrations (mg/m³) on a regular grid centred on the source,
+  # for the map heatmap. Rows run south to north and columns west to east; each
+  # value is sampled at its cell centre.
+  def concentration_grid(cells: 80, half_extent: nil)
+    half_extent ||= (max_distance || 5000).to_f.clamp(500.0, 10000.0)
+    step = 2 * half_extent / cells
+    source_lat = dispersion_event.location.latitude.to_f
+    source_lng = dispersion_event.location.longitude.to_f
+
+    values = Array.new(cells) do |row|
+      y = -half_extent + (row + 0.5) * step
+      Array.new(cells) do |col|
+        x = -half_extent + (col + 0.5) * step
+        concentration_at_point(x, y).to_f.round(6)
+      end
+    end
+
+    # Same meters-per-degree factors as update_receptor_concentrations
+    lat_extent = half_extent / 110540.0
+    lng_extent = half_extent / (111320.0 * Math.cos(source_lat * Math::PI / 180))
+
+    {
+      bounds: {
+        south: source_lat - lat_extent,
+        west: source_lng - lng_extent,
+        north: source_lat + lat_extent,
+        east: source_lng + lng_extent
+      },
+      rows: cells,
+      cols: cells,
+      cell_size: step,
+      values: values,
+      max_value: values.flatten.max
+    }
+  end
   
   private
   
@@ -249,13 +321,11 @@ class DispersionCalculation < ApplicationRecord
   end
   
   def update_receptor_concentrations
-    # Update all receptors for this dispersion event
-    DispersionEvent.find(dispersion_event_id).receptors.find_each do |receptor|
-      x = (receptor.longitude - dispersion_event.location.longitude) * 111320 * Math.cos(receptor.latitude * Math::PI / 180)
-      y = (receptor.latitude - dispersion_event.location.latitude) * 110540
-      
-      concentration = concentration_at_point(x, y)
-      receptor.update(concentration: concentration)
+    # A receptor calculation updates its receptor; an event-wide one updates them all
+    receptors = receptor ? [receptor] : DispersionEvent.find(dispersion_event_id).receptors.to_a
+
+    receptors.each do |target|
+      target.update(concentration: concentration_at_receptor(target))
     end
   end
 end
@@ -57,6 +57,12 @@ class DispersionEvent < ApplicationRecord
     end
   end
   
+  # Hazard tiers for this event's chemical, for the release duration in minutes
+  # (one hour when unknown)
+  def hazard_scale
+    chemical.hazard_scale(release_duration.presence || 60)
+  end
+  
   private
   
   def at_least_one_release_parameter
@@ -78,6 +84,6 @@ class DispersionEvent < ApplicationRecord
   
   def update_calculations
     # Trigger recalculation of dispersion models
-    DispersionCalculationJob.perform_later(self) if active?
+    DispersionCalculationJob.perform_later(id) if active?
   end
 end
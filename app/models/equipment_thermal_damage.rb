@@ -489,18 +489,18 @@ class EquipmentThermalDamage < ApplicationRecord
       type: 'Feature',
       geometry: {
         type: 'Point',
-        coordinates: [building.longitude, building.latitude]
+        coordinates: [building.longitude.to_f, building.latitude.to_f]
       },
       properties: {
         equipment_type: equipment_type,
         material_type: material_type,
         damage_state: damage_state,
-        failure_probability: failure_probability,
-        incident_heat_flux: incident_heat_flux,
-        surface_temperature: surface_temperature,
+        failure_probability: failure_probability&.to_f,
+        incident_heat_flux: incident_heat_flux.to_f,
+        surface_temperature: surface_temperature&.to_f,
         structural_failure: structural_failure,
         escalation_potential: escalation_potential,
-        replacement_cost: replacement_cost
+        replacement_cost: replacement_cost&.to_f
       }
     }
   end
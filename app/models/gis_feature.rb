@@ -1,4 +1,16 @@
 class GisFeature < ApplicationRecord
+  # Features incident command checks first when a plume spreads. Point and
+  # polygon features are matched on their tags (the property values under
+  # SENSITIVE_TAG_KEYS), roads and waterways also on their feature type.
+  SENSITIVE_CATEGORIES = {
+    'school' => { label: 'Schools', tags: %w[school kindergarten childcare college university] },
+    'hospital' => { label: 'Hospitals', tags: %w[hospital clinic] },
+    'care_home' => { label: 'Care homes', tags: %w[care_home nursing_home assisted_living social_facility] },
+    'road' => { label: 'Roads', feature_types: %w[road railway], tags: %w[road highway railway] },
+    'waterway' => { label: 'Waterways', feature_types: %w[water], tags: %w[river stream canal waterway reservoir lake] }
+  }.freeze
+  SENSITIVE_TAG_KEYS = %w[category amenity healthcare social_facility building waterway highway type].freeze
+
   belongs_to :map_layer
   
   # Validations
@@ -15,12 +27,17 @@ class GisFeature < ApplicationRecord
   
   # Callbacks
   before_save :update_center_point
+  before_save :update_bounding_box
   before_validation :set_defaults
   
   # Scopes
   scope :in_bounds, ->(north, south, east, west) {
     where(latitude: south..north, longitude: west..east)
   }
+  # Features with any part inside the box, by their stored extent
+  scope :overlapping, ->(north, south, east, west) {
+    where(min_latitude: ..north, max_latitude: south.., min_longitude: ..east, max_longitude: west..)
+  }
   scope :by_type, ->(type) { where(feature_type: type) }
   scope :boundaries, -> { where(feature_type: 'boundary') }
   scope :infrastructure, -> { where(feature_type: %w[road railway pipeline powerline]) }
@@ -113,6 +130,27 @@ class GisFeature < ApplicationRecord
     inside
   end
   
+  # Key of the SENSITIVE_CATEGORIES entry the feature belongs to, or nil
+  def sensitive_category
+    tags = properties.values_at(*SENSITIVE_TAG_KEYS).compact.map { |tag| tag.to_s.downcase }
+
+    SENSITIVE_CATEGORIES.find do |_, category|
+      category.fetch(:feature_types, []).include?(feature_type) || (category[:tags] & tags).any?
+    end&.first
+  end
+  
+  # Extent of every coordinate in the geometry as the min/max latitude and
+  # longitude columns, or nil without coordinates
+  def bounding_box
+    return nil unless geometry.is_a?(Hash)
+
+    pairs = coordinate_pairs(geometry.stringify_keys['coordinates'])
+    return nil if pairs.empty?
+
+    lngs, lats = pairs.map { |lng, lat| [lng.to_f, lat.to_f] }.transpose
+    { min_latitude: lats.min, max_latitude: lats.max, min_longitude: lngs.min, max_longitude: lngs.max }
+  end
+
   # Convert to GeoJSON
   def to_geojson
     {
@@ -162,6 +200,18 @@ class GisFeature < ApplicationRecord
     end
   end
   
+  def update_bounding_box
+    assign_attributes(bounding_box || { min_latitude: nil, max_latitude: nil, min_longitude: nil, max_longitude: nil })
+  end
+
+  # [lng, lat] positions at any nesting depth (lines, rings, multi-geometries)
+  def coordinate_pairs(coordinates)
+    return [] unless coordinates.is_a?(Array) && coordinates.any?
+    return [coordinates] if coordinates.first.is_a?(Numeric)
+
+    coordinates.flat_map { |part| coordinate_pairs(part) }
+  end
+
   def point_geometry
     return nil unless point_feature? && latitude.present? && longitude.present?
     
@@ -29,6 +29,26 @@ class MapLayer < ApplicationRecord
   def feature_count
     buildings.count + terrain_points.count + gis_features.count
   end
+
+  # Feature counts by layer id for many layers, in one grouped query per feature kind
+  def self.feature_counts(layer_ids)
+    [Building, TerrainPoint, GisFeature].each_with_object(Hash.new(0)) do |model, counts|
+      model.where(map_layer_id: layer_ids).group(:map_layer_id).count.each { |id, count| counts[id] += count }
+    end
+  end
+  
+  # GeoJSON features of every kind in the layer, tagged with the layer id
+  def features_geojson(limit = nil)
+    features = []
+    [gis_features, buildings, terrain_points].each do |scope|
+      break if limit && features.size >= limit
+
+      records = limit ? scope.limit(limit - features.size) : scope
+      features.concat(records.map(&:to_geojson))
+    end
+
+    features.each { |feature| feature[:properties][:map_layer_id] = id }
+  end
   
   def bounds
     # Calculate layer bounds from all features
@@ -1,5 +1,8 @@
 class Receptor < ApplicationRecord
+  RECEPTOR_TYPES = %w[residential school hospital nursing_home workplace public_space monitoring other].freeze
+
   belongs_to :dispersion_event
+  has_many :dispersion_calculations, dependent: :nullify
   
   validates :name, presence: true
   validates :latitude, presence: true, numericality: { in: -90..90 }
@@ -10,6 +13,7 @@ class Receptor < ApplicationRecord
   validates :health_impact_level, inclusion: { 
     in: %w[safe low moderate high critical] 
   }, allow_nil: true
+  validates :receptor_type, inclusion: { in: RECEPTOR_TYPES }, allow_nil: true
   
   scope :with_concentration, -> { where.not(concentration: nil) }
   scope :high_risk, -> { where(health_impact_level: ['high', 'critical']) }
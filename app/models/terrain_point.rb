@@ -15,6 +15,9 @@ class TerrainPoint < ApplicationRecord
   
   # Callbacks
   before_validation :set_defaults
+
+  # Terrain points loaded for one interpolate_elevations batch
+  MAX_BATCH_CANDIDATES = 50_000
   
   # Scopes
   scope :in_bounds, ->(north, south, east, west) {
@@ -53,7 +56,7 @@ class TerrainPoint < ApplicationRecord
     
     nearby_points.each do |point|
       distance = point.distance_from(lat, lng)
-      next if distance == 0 # Exact match
+      return point.elevation if distance.zero? # Exact match
       
       weight = 1.0 / (distance ** 2)
       total_weight += weight
@@ -64,23 +67,57 @@ class TerrainPoint < ApplicationRecord
     
     weighted_elevation / total_weight
   end
+
+  # Interpolated elevations for many [lat, lng] pairs, with the radius and
+  # weighting of interpolate_elevation but one query over their combined
+  # bounding box. Nil where fewer than 3 points are in range; at most
+  # MAX_BATCH_CANDIDATES points are loaded.
+  def self.interpolate_elevations(coordinates, radius_km = 10)
+    return [] if coordinates.empty?
+
+    lats = coordinates.map(&:first)
+    lngs = coordinates.map(&:last)
+    lat_margin = radius_km / 110.54
+    widest = Math.cos([lats.max.abs, lats.min.abs].max * Math::PI / 180)
+    lng_margin = radius_km / (111.32 * [widest, 0.01].max)
+
+    candidates = in_bounds(lats.max + lat_margin, lats.min - lat_margin, lngs.max + lng_margin, lngs.min - lng_margin)
+                   .limit(MAX_BATCH_CANDIDATES)
+                   .pluck(:latitude, :longitude, :elevation)
+                   .map { |values| values.map(&:to_f) }
+
+    coordinates.map { |lat, lng| weighted_elevation(candidates, lat, lng, radius_km * 1000) }
+  end
+
+  # Inverse distance weighting over [lat, lng, elevation] candidates within radius_m
+  def self.weighted_elevation(candidates, lat, lng, radius_m)
+    nearby = candidates.filter_map do |point_lat, point_lng, elevation|
+      distance = haversine_distance(lat, lng, point_lat, point_lng)
+      [distance, elevation] if distance < radius_m
+    end
+    return nil if nearby.size < 3
+
+    exact = nearby.find { |distance, _| distance.zero? }
+    return exact.last if exact
+
+    weights = nearby.map { |distance, elevation| [1.0 / (distance**2), elevation] }
+    weights.sum { |weight, elevation| weight * elevation } / weights.sum(&:first)
+  end
+  private_class_method :weighted_elevation
+
+  # Great-circle distance in meters (Haversine formula)
+  def self.haversine_distance(lat1, lng1, lat2, lng2)
+    rad_per_deg = Math::PI / 180
+    dlat_rad = (lat2 - lat1) * rad_per_deg
+    dlon_rad = (lng2 - lng1) * rad_per_deg
+
+    a = Math.sin(dlat_rad / 2)**2 + Math.cos(lat1 * rad_per_deg) * Math.cos(lat2 * rad_per_deg) * Math.sin(dlon_rad / 2)**2
+    6_371_000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+  end
   
   # Calculate distance from a point (Haversine formula)
   def distance_from(lat, lng)
-    rad_per_deg = Math::PI / 180
-    rkm = 6371 # Earth radius in kilometers
-    rm = rkm * 1000 # in meters
-    
-    dlat_rad = (lat - latitude) * rad_per_deg
-    dlon_rad = (lng - longitude) * rad_per_deg
-    
-    lat1_rad = latitude * rad_per_deg
-    lat2_rad = lat * rad_per_deg
-    
-    a = Math.sin(dlat_rad / 2)**2 + Math.cos(lat1_rad) * Math.cos(lat2_rad) * Math.sin(dlon_rad / 2)**2
-    c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
-    
-    rm * c # Distance in meters
+    self.class.haversine_distance(latitude.to_f, longitude.to_f, lat, lng)
   end
   
   # Get slope/gradient to another point
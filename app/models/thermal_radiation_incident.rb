@@ -26,6 +26,10 @@ class ThermalRadiationIncident < ApplicationRecord
   scope :high_intensity, -> { where('maximum_heat_flux > ?', 37500) } # >37.5 kW/m²
   scope :recent, -> { order(created_at: :desc) }
   scope :long_duration, -> { where('fire_duration > ?', 300) } # >5 minutes
+  scope :on_map, -> { completed.recent.limit(MAP_INCIDENT_LIMIT) } # shown on the dashboard map
+  scope :with_map_data, -> { includes({ dispersion_scenario: :chemical }, :thermal_zones, equipment_thermal_damages: :building) }
+  
+  MAP_INCIDENT_LIMIT = 20
   
   # Physical constants
   STEFAN_BOLTZMANN = 5.67e-8 # W/m²/K⁴ - Stefan-Boltzmann constant
@@ -123,6 +127,35 @@ class ThermalRadiationIncident < ApplicationRecord
       )
       raise
     end
+    
+    ChannelBroadcaster.broadcast('dispersion_events', DispersionEventsChannel.thermal_update_message(self))
+  end
+  
+  # Zones (widest first) and equipment at risk, for the map's thermal layer
+  def map_data
+    {
+      id: id,
+      incident_type: incident_type,
+      scenario_name: dispersion_scenario.name,
+      chemical_name: chemical&.name,
+      latitude: latitude.to_f,
+      longitude: longitude.to_f,
+      fire_diameter: fire_diameter&.to_f,
+      fire_duration: fire_duration&.to_f,
+      maximum_heat_flux: maximum_heat_flux&.to_f,
+      wind_direction: wind_direction&.to_f,
+      last_calculated_at: last_calculated_at&.iso8601,
+      # Sorted in Ruby so incidents loaded with_map_data need no further queries
+      zones: thermal_zones.sort_by(&:heat_flux_threshold).map(&:to_geojson),
+      equipment: equipment_thermal_damages.filter_map do |damage|
+        feature = damage.to_geojson
+        feature && feature.merge(properties: feature[:properties].merge(
+          id: damage.id,
+          building_name: damage.building.name,
+          time_to_failure: damage.time_to_failure&.to_f
+        ))
+      end
+    }
   end
   
   # Calculate fire characteristics based on incident type
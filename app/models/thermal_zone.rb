@@ -235,7 +235,7 @@ class ThermalZone < ApplicationRecord
   # Export thermal zone data for GIS
   def to_geojson
     contour = generate_thermal_zone_contour
-    coordinates = contour.map { |point| [point[:longitude], point[:latitude]] }
+    coordinates = contour.map { |point| [point[:longitude].to_f, point[:latitude].to_f] }
     coordinates << coordinates.first # Close the polygon
     
     {
@@ -246,10 +246,10 @@ class ThermalZone < ApplicationRecord
       },
       properties: {
         zone_type: zone_type,
-        heat_flux_threshold: heat_flux_threshold,
-        heat_flux_kw_per_m2: heat_flux_threshold / 1000.0,
-        max_radius: max_radius,
-        zone_area: zone_area,
+        heat_flux_threshold: heat_flux_threshold.to_f,
+        heat_flux_kw_per_m2: heat_flux_threshold.to_f / 1000.0,
+        max_radius: max_radius.to_f,
+        zone_area: zone_area&.to_f,
         zone_description: zone_description,
         population_affected: estimated_population_affected,
         evacuation_required: evacuation_required,
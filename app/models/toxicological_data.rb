@@ -99,6 +99,32 @@ class ToxicologicalData < ApplicationRecord
     [pel_twa, rel_twa, tlv_twa].any?(&:present?)
   end
   
+  # Tier 1-3 thresholds in mg/m³ for classifying map concentrations, taken from
+  # the first standard with values for this duration (AEGL, then ERPG, then PAC)
+  def hazard_tiers(duration_minutes = 60)
+    duration_minutes = duration_minutes.to_f.round
+
+    %w[aegl erpg pac].each do |standard|
+      values = (1..3).map { |level| tier_guideline(standard, level, duration_minutes) }
+      next if values.compact.empty?
+
+      tiers = values.each_with_index.filter_map do |value, index|
+        next unless value.present?
+
+        { tier: index + 1, label: "#{standard.upcase}-#{index + 1}", value: guideline_in_mg_m3(value) }
+      end
+
+      return {
+        standard: standard.upcase,
+        duration_minutes: standard == 'erpg' ? 60 : duration_minutes,
+        units: 'mg/m³',
+        tiers: tiers
+      }
+    end
+
+    nil
+  end
+  
   # Get all available guidelines for a duration
   def available_guidelines(duration_minutes)
     guidelines = {}
@@ -127,6 +153,30 @@ class ToxicologicalData < ApplicationRecord
   end
   
   private
+
+  def tier_guideline(standard, level, duration_minutes)
+    case standard
+    when 'aegl' then aegl_value(level, duration_minutes)
+    when 'pac' then pac_value(level, duration_minutes)
+    when 'erpg'
+      # ERPGs are only valid for ~60 minute exposures
+      erpg_value(level) if duration_minutes.between?(30, 120)
+    end
+  end
+
+  # Guidelines are stored in concentration_units (ppm by default)
+  def guideline_in_mg_m3(value)
+    mg_m3 = if concentration_units.to_s.start_with?('mg')
+              value
+            elsif mg_per_m3_conversion_factor.present?
+              value * mg_per_m3_conversion_factor
+            else
+              # 24.45 L/mol is the molar volume at 25 °C and 1 atm
+              value * chemical.molecular_weight / 24.45
+            end
+
+    mg_m3.to_f.round(4)
+  end
   
   def get_guideline_by_duration(duration_minutes, *guideline_types)
     guideline_types.each do |type|
@@ -0,0 +1,42 @@
+# Channel Broadcaster for sequenced real-time messages
+# Records every ActionCable broadcast in the channel_messages table, whose id is
+# the message sequence, so reconnecting clients can recover missed messages from
+# any process; each stream keeps a short replay buffer
+
+class ChannelBroadcaster
+  BUFFER_SIZE = 200
+  BUFFER_TTL = 15.minutes
+
+  class << self
+    # Broadcast a payload to a stream, recording it for later replay
+    def broadcast(stream, payload)
+      record = ChannelMessage.create!(stream: stream, payload: payload.as_json)
+      message = record.message
+
+      ActionCable.server.broadcast(stream, message)
+      prune(stream)
+      message
+    end
+
+    # All buffered messages on the given streams newer than a sequence, oldest first
+    def messages_since(streams, sequence)
+      ChannelMessage.on_streams(Array(streams))
+                    .after_sequence(sequence)
+                    .where('created_at >= ?', BUFFER_TTL.ago)
+                    .order(:id)
+                    .limit(BUFFER_SIZE * Array(streams).size)
+                    .map(&:message)
+    end
+
+    private
+
+    # Single deletes rather than read-modify-write, so concurrent broadcasters
+    # never drop each other's messages
+    def prune(stream)
+      messages = ChannelMessage.on_streams(stream)
+      oldest_kept = messages.order(id: :desc).offset(BUFFER_SIZE - 1).pick(:id)
+
+      messages.where('id < ? OR created_at < ?', oldest_kept || 0, BUFFER_TTL.ago).delete_all
+    end
+  end
+end
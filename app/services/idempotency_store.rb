@@ -0,0 +1,36 @@
+# Idempotency Store for retried operator commands
+# Clients attach an idempotency key to commands they may resend after a dropped
+# connection; the first request claims the key and later ones replay its result
+
+class IdempotencyStore
+  RESULT_TTL = 24.hours
+  # A claim without a result expires so a crashed request can be retried
+  PROCESSING_TTL = 1.minute
+
+  class << self
+    # True if this request is the first to use the key
+    def claim(key, expires_in: PROCESSING_TTL)
+      Rails.cache.write(cache_key(key), { 'state' => 'processing' }, unless_exist: true, expires_in: expires_in)
+    end
+
+    def complete(key, result)
+      Rails.cache.write(cache_key(key), { 'state' => 'done', 'result' => result }, expires_in: RESULT_TTL)
+    end
+
+    # Stored result for a completed key, or nil while unknown or still processing
+    def result(key)
+      entry = Rails.cache.read(cache_key(key))
+      entry['result'] if entry && entry['state'] == 'done'
+    end
+
+    def release(key)
+      Rails.cache.delete(cache_key(key))
+    end
+
+    private
+
+    def cache_key(key)
+      "idempotency/#{key}"
+    end
+  end
+end
@@ -4,10 +4,31 @@ pin "application"
 pin "@hotwired/turbo-rails", to: "turbo.min.js"
 pin "@hotwired/stimulus", to: "stimulus.min.js"
 pin "@hotwired/stimulus-loading", to: "stimulus-loading.js"
+pin "page_lifecycle", to: "page_lifecycle.js"
+pin "polling_transport", to: "polling_transport.js"
+pin "sse_transport", to: "sse_transport.js"
 pin "actioncable_setup", to: "actioncable_setup.js"
+pin "command_outbox", to: "command_outbox.js"
+pin "map_helpers", to: "map_helpers.js"
+pin "map_markers", to: "map_markers.js"
+pin "hazard_scale", to: "hazard_scale.js"
+pin "receptor_registry", to: "receptor_registry.js"
 pin "dispersion_map", to: "dispersion_map.js"
+pin "concentration_heatmap", to: "concentration_heatmap.js"
+pin "plume_history", to: "plume_history.js"
+pin "plume_export", to: "plume_export.js"
+pin "incident_report", to: "incident_report.js"
+pin "receptor_trends", to: "receptor_trends.js"
+pin "receptor_editor", to: "receptor_editor.js"
+pin "receptor_generator", to: "receptor_generator.js"
+pin "buildings_layer", to: "buildings_layer.js"
+pin "terrain_profile", to: "terrain_profile.js"
+pin "map_layer_manager", to: "map_layer_manager.js"
+pin "contour_impacts", to: "contour_impacts.js"
+pin "protective_action_zones", to: "protective_action_zones.js"
+pin "thermal_layer", to: "thermal_layer.js"
+pin "plume_preview", to: "plume_preview.js"
 pin "weather_manager", to: "weather_manager.js"
 pin "realtime_dispersion", to: "realtime_dispersion.js"
-pin "realtime_test", to: "realtime_test.js"
-pin "module_integration_test", to: "module_integration_test.js"
+pin "diagnostics_panel", to: "diagnostics_panel.js"
 pin "simple_dashboard_map", to: "simple_dashboard_map.js"
\ No newline at end of file
@@ -58,6 +58,7 @@ Rails.application.routes.draw do
       get :search
       get :geojson
       get :by_type
+      get :sensitive
     end
     
     member do
@@ -77,12 +78,18 @@ Rails.application.routes.draw do
       get 'current/:latitude/:longitude', action: :current, as: :current
       get 'forecast/:latitude/:longitude', action: :forecast, as: :forecast
       get 'stations_near/:latitude/:longitude', action: :stations_near, as: :stations_near
-      get 'atmospheric_stability/:latitude/:longitude', action: :atmospheric_stability, as: :atmospheric_stability
+      # Served by WeatherController, which holds the stability analysis
+      get 'atmospheric_stability/:latitude/:longitude', to: 'weather#atmospheric_stability', as: :atmospheric_stability,
+          constraints: { latitude: /-?[\d.]+/, longitude: /-?[\d.]+/ }
     end
   end
   resources :dispersion_events do
     # Nested routes for associated resources
-    resources :receptors
+    resources :receptors do
+      collection do
+        post :bulk_create
+      end
+    end
     resources :dispersion_calculations
     
     # Custom routes for real-time functionality
@@ -106,14 +113,18 @@ Rails.application.routes.draw do
       resources :buildings, only: [:index, :show, :create, :update, :destroy] do
         collection do
           get :geojson
-          get 'in_bounds/:north/:south/:east/:west', action: :in_bounds
+          # Decimal coordinates contain dots, which would otherwise start the format
+          get 'in_bounds/:north/:south/:east/:west', action: :in_bounds,
+              constraints: { north: /-?[\d.]+/, south: /-?[\d.]+/, east: /-?[\d.]+/, west: /-?[\d.]+/ }
         end
       end
       
       resources :terrain_points, only: [:index, :show, :create, :update, :destroy] do
         collection do
           get :geojson
-          get 'elevation/:latitude/:longitude', action: :elevation_at
+          get 'elevation/:latitude/:longitude', action: :elevation_at,
+              constraints: { latitude: /-?[\d.]+/, longitude: /-?[\d.]+/ }
+          post :profile
           post :bulk_import
         end
       end
@@ -130,9 +141,14 @@ Rails.application.routes.draw do
         member do
           get :live_calculations
           get :plume_data
+          get :concentration_grid
+          post :recalculate
         end
       end
       
+      # Fire and BLEVE thermal radiation zones
+      resources :thermal_incidents, only: [:index, :show]
+      
       resources :locations, only: [:index, :show] do
         collection do
           get :search
@@ -145,6 +161,9 @@ Rails.application.routes.draw do
           get :at_location
         end
       end
+
+      # Server-Sent Events fallback for the dispersion and weather channels
+      get 'streams/:channel', to: 'streams#show', as: :stream
     end
   end
 
@@ -0,0 +1,5 @@
+class AddReceptorToDispersionCalculations < ActiveRecord::Migration[8.0]
+  def change
+    add_reference :dispersion_calculations, :receptor, null: true, foreign_key: true
+  end
+end
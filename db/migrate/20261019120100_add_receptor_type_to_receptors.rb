@@ -0,0 +1,5 @@
+class AddReceptorTypeToReceptors < ActiveRecord::Migration[8.0]
+  def change
+    add_column :receptors, :receptor_type, :string
+  end
+end
@@ -0,0 +1,12 @@
+class CreateChannelMessages < ActiveRecord::Migration[8.0]
+  def change
+    create_table :channel_messages do |t|
+      t.string :stream, null: false
+      t.json :payload, null: false
+      t.datetime :created_at, null: false
+    end
+
+    add_index :channel_messages, [:stream, :id]
+    add_index :channel_messages, :created_at
+  end
+end
@@ -0,0 +1,5 @@
+class AddConcentrationToDispersionCalculations < ActiveRecord::Migration[8.0]
+  def change
+    add_column :dispersion_calculations, :concentration, :decimal
+  end
+end
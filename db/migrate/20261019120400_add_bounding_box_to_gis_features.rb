@@ -0,0 +1,23 @@
+class AddBoundingBoxToGisFeatures < ActiveRecord::Migration[8.0]
+  def up
+    change_table :gis_features, bulk: true do |t|
+      t.decimal :min_latitude, precision: 10, scale: 7
+      t.decimal :max_latitude, precision: 10, scale: 7
+      t.decimal :min_longitude, precision: 10, scale: 7
+      t.decimal :max_longitude, precision: 10, scale: 7
+    end
+    add_index :gis_features, [:min_latitude, :max_latitude, :min_longitude, :max_longitude],
+              name: 'index_gis_features_on_bounding_box'
+
+    GisFeature.reset_column_information
+    GisFeature.find_each do |feature|
+      bounds = feature.bounding_box
+      feature.update_columns(bounds) if bounds
+    end
+  end
+
+  def down
+    remove_index :gis_features, name: 'index_gis_features_on_bounding_box'
+    remove_columns :gis_features, :min_latitude, :max_latitude, :min_longitude, :max_longitude
+  end
+end
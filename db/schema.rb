@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.0].define(version: 2025_10_04_171927) do
+ActiveRecord::Schema[8.0].define(version: 2026_10_19_120400) do
   # These are extensions that must be enabled in order to support this database
   enable_extension "pg_catalog.plpgsql"
 
@@ -150,6 +150,14 @@ ActiveRecord::Schema[8.0].define(version: 2025_10_04_171927) do
     t.index ["map_layer_id"], name: "index_buildings_on_map_layer_id"
   end
 
+  create_table "channel_messages", force: :cascade do |t|
+    t.string "stream", null: false
+    t.json "payload", null: false
+    t.datetime "created_at", null: false
+    t.index ["created_at"], name: "index_channel_messages_on_created_at"
+    t.index ["stream", "id"], name: "index_channel_messages_on_stream_and_id"
+  end
+
   create_table "chemical_solutions", force: :cascade do |t|
     t.bigint "chemical_id", null: false
     t.string "solution_type"
@@ -266,7 +274,10 @@ ActiveRecord::Schema[8.0].define(version: 2025_10_04_171927) do
     t.decimal "max_distance"
     t.datetime "created_at", null: false
     t.datetime "updated_at", null: false
+    t.bigint "receptor_id"
+    t.decimal "concentration"
     t.index ["dispersion_event_id"], name: "index_dispersion_calculations_on_dispersion_event_id"
+    t.index ["receptor_id"], name: "index_dispersion_calculations_on_receptor_id"
     t.index ["weather_datum_id"], name: "index_dispersion_calculations_on_weather_datum_id"
   end
 
@@ -403,10 +414,15 @@ ActiveRecord::Schema[8.0].define(version: 2025_10_04_171927) do
     t.bigint "map_layer_id", null: false
     t.datetime "created_at", null: false
     t.datetime "updated_at", null: false
+    t.decimal "min_latitude", precision: 10, scale: 7
+    t.decimal "max_latitude", precision: 10, scale: 7
+    t.decimal "min_longitude", precision: 10, scale: 7
+    t.decimal "max_longitude", precision: 10, scale: 7
     t.index ["feature_type"], name: "index_gis_features_on_feature_type"
     t.index ["latitude", "longitude", "feature_type"], name: "index_gis_features_spatial"
     t.index ["latitude", "longitude"], name: "index_gis_features_on_latitude_and_longitude"
     t.index ["map_layer_id"], name: "index_gis_features_on_map_layer_id"
+    t.index ["min_latitude", "max_latitude", "min_longitude", "max_longitude"], name: "index_gis_features_on_bounding_box"
     t.index ["name"], name: "index_gis_features_on_name"
   end
 
@@ -547,6 +563,7 @@ ActiveRecord::Schema[8.0].define(version: 2025_10_04_171927) do
     t.text "notes"
     t.datetime "created_at", null: false
     t.datetime "updated_at", null: false
+    t.string "receptor_type"
     t.index ["dispersion_event_id"], name: "index_receptors_on_dispersion_event_id"
   end
 
@@ -1047,6 +1064,7 @@ ActiveRecord::Schema[8.0].define(version: 2025_10_04_171927) do
   add_foreign_key "chemical_solutions", "chemicals"
   add_foreign_key "concentration_contours", "atmospheric_dispersions"
   add_foreign_key "dispersion_calculations", "dispersion_events"
+  add_foreign_key "dispersion_calculations", "receptors"
   add_foreign_key "dispersion_calculations", "weather_data"
   add_foreign_key "dispersion_events", "chemicals"
   add_foreign_key "dispersion_events", "locations"
@@ -0,0 +1,46 @@
+require "test_helper"
+
+class Api::V1::BuildingsControllerTest < ActionDispatch::IntegrationTest
+  test "in bounds returns footprints inside the box, tallest first, with downwash parameters" do
+    get "/api/v1/buildings/in_bounds/40.7200/40.7100/-74.0000/-74.0100"
+
+    assert_response :success
+    data = response.parsed_body["data"]
+    assert_equal "FeatureCollection", data["type"]
+    assert_equal [buildings(:two).name, buildings(:one).name], data["features"].map { |feature| feature["properties"]["name"] }
+    assert_equal "Polygon", data["features"].first["geometry"]["type"]
+    assert_in_delta 30.0, data["features"].first["properties"]["downwash"]["gep_stack_height"].to_f
+    assert_equal false, data["truncated"]
+  end
+
+  test "in bounds leaves out buildings outside the box" do
+    get "/api/v1/buildings/in_bounds/40.7140/40.7100/-74.0040/-74.0100"
+
+    assert_equal [buildings(:one).name], response.parsed_body["data"]["features"].map { |feature| feature["properties"]["name"] }
+  end
+
+  test "in bounds flags a response cut at the building limit" do
+    stub_const(Api::V1::BuildingsController, :MAX_BUILDINGS_IN_BOUNDS, 1) do
+      get "/api/v1/buildings/in_bounds/40.7200/40.7100/-74.0000/-74.0100"
+    end
+
+    data = response.parsed_body["data"]
+    assert_equal [buildings(:two).name], data["features"].map { |feature| feature["properties"]["name"] }
+    assert_equal true, data["truncated"]
+  end
+
+  test "in bounds rejects a box with north below south" do
+    get "/api/v1/buildings/in_bounds/40.7100/40.7200/-74.0000/-74.0100"
+
+    assert_response :unprocessable_entity
+  end
+
+  test "index caps the requested limit" do
+    stub_const(Api::V1::BuildingsController, :MAX_BUILDINGS_IN_BOUNDS, 1) do
+      get api_v1_buildings_url, params: { limit: 1_000_000 }
+    end
+
+    assert_response :success
+    assert_equal 1, response.parsed_body["data"]["count"]
+  end
+end
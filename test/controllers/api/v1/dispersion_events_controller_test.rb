@@ -0,0 +1,111 @@
+require "test_helper"
+
+class Api::V1::DispersionEventsControllerTest < ActionDispatch::IntegrationTest
+  include ActiveJob::TestHelper
+
+  setup do
+    @event = dispersion_events(:one)
+    @receptor = receptors(:one)
+  end
+
+  test "show serializes calculations with their receptor id and position" do
+    get api_v1_dispersion_event_url(@event)
+
+    assert_response :success
+    calculation = response.parsed_body["data"]["latest_calculations"].first
+    assert_equal dispersion_calculations(:one).id, calculation["id"]
+    assert_equal @receptor.id, calculation["receptor_id"]
+    assert_in_delta 0.5, calculation["concentration"]
+    assert_in_delta @receptor.latitude.to_f, calculation["receptor_coordinates"]["lat"]
+    assert_in_delta @receptor.longitude.to_f, calculation["receptor_coordinates"]["lng"]
+  end
+
+  test "show includes the event's location id for the location markers" do
+    get api_v1_dispersion_event_url(@event)
+
+    assert_equal @event.location_id, response.parsed_body["data"]["event"]["location_id"]
+  end
+
+  test "show lists receptors with their latest concentration and impact level" do
+    get api_v1_dispersion_event_url(@event)
+
+    receptor = response.parsed_body["data"]["receptors"].find { |data| data["id"] == @receptor.id }
+    assert_equal "school", receptor["receptor_type"]
+    assert_in_delta 0.5, receptor["latest_concentration"]
+    assert_equal @receptor.health_impact_level, receptor["health_impact"]
+  end
+
+  test "live calculations list recent calculations by receptor" do
+    recent = @event.dispersion_calculations.create!(
+      weather_datum: weather_data(:one), receptor: @receptor, concentration: 1.25,
+      model_used: "gaussian", stability_class: "D", calculation_timestamp: Time.current
+    )
+
+    get live_calculations_api_v1_dispersion_event_url(@event)
+
+    assert_response :success
+    calculations = response.parsed_body["data"]["calculations"]
+    assert_includes calculations.map { |calculation| calculation["id"] }, recent.id
+
+    listed = calculations.find { |calculation| calculation["id"] == recent.id }
+    assert_equal @receptor.id, listed["receptor_id"]
+    assert_in_delta 1.25, listed["concentration"]
+  end
+
+  test "event-wide calculations have no receptor position" do
+    get api_v1_dispersion_event_url(dispersion_events(:two))
+
+    assert_response :success
+    calculation = response.parsed_body["data"]["latest_calculations"].first
+    assert_nil calculation["receptor_id"]
+    assert_nil calculation["receptor_coordinates"]
+  end
+
+  test "concentration grid covers the source with the latest calculation's values" do
+    get concentration_grid_api_v1_dispersion_event_url(@event)
+
+    assert_response :success
+    data = response.parsed_body["data"]
+    assert_equal @event.id, data["event_id"]
+    assert_equal [80, 80], [data["rows"], data["values"].size]
+    assert_equal 80, data["values"].first.size
+
+    # max_distance 420 m is raised to the 500 m minimum half extent
+    source = @event.location
+    assert_in_delta source.latitude.to_f, (data["bounds"]["north"] + data["bounds"]["south"]) / 2, 1e-6
+    assert_in_delta 1000.0 / 110540, data["bounds"]["north"] - data["bounds"]["south"], 1e-6
+    assert_in_delta 12.5, data["cell_size"]
+
+    values = data["values"].flatten
+    assert values.all? { |value| value >= 0 }
+    assert_equal values.max, data["max_value"]
+    assert_operator data["max_value"], :>, 0
+  end
+
+  test "concentration grid is not found before the first calculation" do
+    @event.dispersion_calculations.delete_all
+
+    get concentration_grid_api_v1_dispersion_event_url(@event)
+
+    assert_response :not_found
+    assert_equal "error", response.parsed_body["status"]
+  end
+
+  test "recalculate queues a calculation of the event" do
+    assert_enqueued_with(job: DispersionCalculationJob, args: [@event.id]) do
+      post recalculate_api_v1_dispersion_event_url(@event)
+    end
+
+    assert_response :success
+    assert_equal "queued", response.parsed_body["data"]["status"]
+    assert_equal @event.id, response.parsed_body["data"]["event_id"]
+  end
+
+  test "recalculate of a missing event is not found" do
+    assert_no_enqueued_jobs do
+      post recalculate_api_v1_dispersion_event_url(id: 0)
+    end
+
+    assert_response :not_found
+  end
+end
@@ -0,0 +1,58 @@
+require "test_helper"
+
+class Api::V1::StreamsControllerTest < ActionDispatch::IntegrationTest
+  test "rejects unknown streams" do
+    get api_v1_stream_url(channel: "chemicals")
+
+    assert_response :not_found
+  end
+
+  test "sends the channel snapshot and frees its slot when the stream ends" do
+    stub_const(Api::V1::StreamsController, :MAX_STREAM_DURATION, 0.seconds) do
+      get api_v1_stream_url(channel: "dispersion_events", event_ids: dispersion_events(:one).id)
+    end
+
+    assert_response :success
+    assert_equal "text/event-stream", response.media_type
+
+    types = response.body.scan(/^data: (.*)$/).map { |(data)| JSON.parse(data)["type"] }
+    assert_equal %w[active_events thermal_incidents event_update], types
+    assert_equal 0, Api::V1::StreamsController.open_streams
+  end
+
+  test "replays buffered broadcasts after the last event id" do
+    seen = ChannelBroadcaster.broadcast("dispersion_events", { type: "event_update" })
+    missed = ChannelBroadcaster.broadcast("dispersion_events", { type: "calculation_complete" })
+
+    stub_const(Api::V1::StreamsController, :MAX_STREAM_DURATION, 0.seconds) do
+      get api_v1_stream_url(channel: "dispersion_events"), headers: { "Last-Event-ID" => seen["sequence"].to_s }
+    end
+
+    assert_includes response.body, "id: #{missed['sequence']}"
+    assert_not_includes response.body, "id: #{seen['sequence']}"
+  end
+
+  test "reports free stream slots without opening a stream" do
+    get api_v1_stream_url(channel: "dispersion_events", check: 1)
+
+    assert_response :success
+    data = response.parsed_body["data"]
+    assert data["available"]
+    assert_equal Api::V1::StreamsController::MAX_OPEN_STREAMS, data["max_open_streams"]
+    assert_equal 0, Api::V1::StreamsController.open_streams
+  end
+
+  test "turns streams away once every slot is taken so clients poll instead" do
+    limit = Api::V1::StreamsController::MAX_OPEN_STREAMS
+    limit.times { assert Api::V1::StreamsController.acquire_stream_slot }
+
+    get api_v1_stream_url(channel: "weather")
+
+    assert_response :service_unavailable
+    assert_equal "error", response.parsed_body["status"]
+    assert response.headers["Retry-After"].present?
+    assert_equal limit, Api::V1::StreamsController.open_streams
+  ensure
+    limit.times { Api::V1::StreamsController.release_stream_slot }
+  end
+end
@@ -0,0 +1,82 @@
+require "test_helper"
+
+class Api::V1::TerrainPointsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    # Interpolation needs at least three points in range
+    TerrainPoint.create!(latitude: 40.7178, longitude: -73.9960, elevation: 40.0, data_source: "survey",
+                         map_layer: map_layers(:two))
+  end
+
+  test "profile interpolates every sample" do
+    post profile_api_v1_terrain_points_url, params: {
+      points: [
+        { latitude: 40.7128, longitude: -74.0060 },
+        { latitude: 40.7178, longitude: -74.0060 },
+        { latitude: 52.0, longitude: 4.0 }
+      ]
+    }, as: :json
+
+    assert_response :success
+    samples = response.parsed_body["data"]["samples"]
+    assert_equal 3, samples.size
+    assert_in_delta 10.0, samples[0]["elevation"], 0.01 # on a surveyed point
+    assert_in_delta TerrainPoint.interpolate_elevation(40.7178, -74.0060).to_f, samples[1]["elevation"], 0.01
+    assert_nil samples[2]["elevation"] # no terrain within range
+    assert_in_delta 40.7178, samples[1]["latitude"]
+  end
+
+  test "profile rejects a request without points" do
+    post profile_api_v1_terrain_points_url, params: { points: [] }, as: :json
+
+    assert_response :unprocessable_entity
+  end
+
+  test "profile limits the number of samples" do
+    points = Array.new(Api::V1::TerrainPointsController::MAX_PROFILE_POINTS + 1) { { latitude: 40.7, longitude: -74.0 } }
+
+    post profile_api_v1_terrain_points_url, params: { points: points }, as: :json
+
+    assert_response :unprocessable_entity
+  end
+
+  test "profile rejects malformed points" do
+    [[1, 2], "x", [{ latitude: "north", longitude: -74.0 }], [{ latitude: 40.7 }]].each do |points|
+      post profile_api_v1_terrain_points_url, params: { points: points }, as: :json
+
+      assert_response :unprocessable_entity, "points: #{points.inspect}"
+      assert_equal "error", response.parsed_body["status"]
+    end
+  end
+
+  test "bulk import rejects terrain points that are not a list of objects" do
+    assert_no_difference "TerrainPoint.count" do
+      post bulk_import_api_v1_terrain_points_url, params: { terrain_points: "x" }, as: :json
+    end
+
+    assert_response :unprocessable_entity
+  end
+
+  test "bulk import limits the number of terrain points" do
+    stub_const(Api::V1::TerrainPointsController, :MAX_TERRAIN_POINTS, 1) do
+      assert_no_difference "TerrainPoint.count" do
+        post bulk_import_api_v1_terrain_points_url, params: {
+          terrain_points: Array.new(2) { { latitude: 40.7, longitude: -74.0, elevation: 5.0, data_source: "survey" } }
+        }, as: :json
+      end
+    end
+
+    assert_response :unprocessable_entity
+  end
+
+  test "index keeps the requested limit within bounds" do
+    stub_const(Api::V1::TerrainPointsController, :MAX_TERRAIN_POINTS, 1) do
+      get api_v1_terrain_points_url, params: { limit: 10_000_000 }
+      assert_equal 1, response.parsed_body["data"]["count"]
+    end
+
+    get api_v1_terrain_points_url, params: { limit: -5 }
+
+    assert_response :success
+    assert_equal 1, response.parsed_body["data"]["count"]
+  end
+end
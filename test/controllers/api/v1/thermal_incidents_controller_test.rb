@@ -0,0 +1,54 @@
+require "test_helper"
+
+class Api::V1::ThermalIncidentsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @incident = thermal_radiation_incidents(:one)
+  end
+
+  test "index lists completed incidents with their zones, widest threshold first" do
+    get api_v1_thermal_incidents_url
+
+    assert_response :success
+    incidents = response.parsed_body["data"]["incidents"]
+    assert_equal [@incident.id], incidents.map { |incident| incident["id"] }
+
+    incident = incidents.first
+    assert_equal "Ammonia tank farm", incident["scenario_name"]
+    assert_equal "Ammonia", incident["chemical_name"]
+    assert_equal [5000.0, 37500.0], incident["zones"].map { |zone| zone["properties"]["heat_flux_threshold"] }
+    assert_equal "Polygon", incident["zones"].first["geometry"]["type"]
+  end
+
+  test "index summary lists only ids and calculation times" do
+    get api_v1_thermal_incidents_url, params: { summary: 1 }
+
+    assert_response :success
+    assert_equal [{ "id" => @incident.id, "last_calculated_at" => @incident.last_calculated_at.iso8601 }],
+                 response.parsed_body["data"]["incidents"]
+  end
+
+  test "index loads zones and scenarios up front instead of per incident" do
+    queries = 0
+    counter = ->(*, payload) { queries += 1 unless %w[SCHEMA TRANSACTION].include?(payload[:name]) }
+
+    ActiveSupport::Notifications.subscribed(counter, "sql.active_record") do
+      get api_v1_thermal_incidents_url
+    end
+
+    # incidents, scenarios, chemicals, zones and equipment damages
+    assert_operator queries, :<=, 5
+  end
+
+  test "show returns one incident" do
+    get api_v1_thermal_incident_url(@incident)
+
+    assert_response :success
+    assert_equal "pool_fire", response.parsed_body["data"]["incident_type"]
+  end
+
+  test "show answers 404 for an unknown incident" do
+    get api_v1_thermal_incident_url(id: 0)
+
+    assert_response :not_found
+  end
+end
@@ -25,4 +25,47 @@ class GisFeaturesControllerTest < ActionDispatch::IntegrationTest
     get gis_features_destroy_url
     assert_response :success
   end
+
+  test "sensitive lists features in the box tagged with their category" do
+    get sensitive_gis_features_url(format: :json), params: { north: 40.72, south: 40.71, east: -73.99, west: -74.01 }
+
+    assert_response :success
+    data = response.parsed_body["data"]
+    categories = data["features"].to_h { |feature| [feature["properties"]["name"], feature["properties"]["category"]] }
+    assert_equal({ "Riverside School" => "school", "River Road" => "road" }, categories)
+    assert_equal "Schools", data["categories"]["school"]
+  end
+
+  test "sensitive finds a road that only crosses the box away from its center" do
+    get sensitive_gis_features_url(format: :json), params: { north: 40.705, south: 40.695, east: -74.015, west: -74.025 }
+
+    assert_equal ["River Road"], response.parsed_body["data"]["features"].map { |feature| feature["properties"]["name"] }
+  end
+
+  test "sensitive rejects bounds that are not numbers" do
+    get sensitive_gis_features_url(format: :json), params: { north: "x", south: 40.71, east: -73.99, west: -74.01 }
+
+    assert_response :bad_request
+  end
+
+  test "index lists features overlapping the requested box" do
+    get gis_features_url(format: :json), params: { north: 40.705, south: 40.695, east: -74.015, west: -74.025 }
+
+    assert_response :success
+    data = response.parsed_body["data"]
+    assert_equal ["River Road"], data["features"].map { |feature| feature["properties"]["name"] }
+    assert_equal false, data["truncated"]
+  end
+
+  test "index rejects bounds that are not numbers" do
+    get gis_features_url(format: :json), params: { north: "x", south: 40.71, east: -73.99, west: -74.01 }
+
+    assert_response :bad_request
+  end
+
+  test "index renders the page whatever the bounds params hold" do
+    get gis_features_url, params: { north: "x" }
+
+    assert_response :success
+  end
 end
@@ -25,4 +25,46 @@ class MapLayersControllerTest < ActionDispatch::IntegrationTest
     get map_layers_destroy_url
     assert_response :success
   end
+
+  test "index lists layers in drawing order with their feature counts" do
+    get map_layers_url(format: :json)
+
+    assert_response :success
+    layers = response.parsed_body["data"]
+    assert_equal [map_layers(:one).id, map_layers(:two).id], layers.map { |layer| layer["id"] }
+    assert_equal [4, 2], layers.map { |layer| layer["feature_count"] } # buildings and GIS features; terrain points
+  end
+
+  test "reorder saves the drawing order and returns the reordered layers" do
+    post reorder_map_layers_url, params: { ids: [map_layers(:two).id, map_layers(:one).id] }, as: :json
+
+    assert_response :success
+    assert_equal 0, map_layers(:two).reload.z_index
+    assert_equal 1, map_layers(:one).reload.z_index
+    layers = response.parsed_body["data"]
+    assert_equal [map_layers(:two).id, map_layers(:one).id], layers.map { |layer| layer["id"] }
+    assert_equal [2, 4], layers.map { |layer| layer["feature_count"] }
+  end
+
+  test "reorder rejects an empty id list" do
+    post reorder_map_layers_url, params: { ids: [] }, as: :json
+
+    assert_response :unprocessable_entity
+  end
+
+  test "toggle visibility flips the layer without a visible param" do
+    post toggle_visibility_map_layer_url(map_layers(:one)), as: :json
+
+    assert_response :success
+    assert_equal false, map_layers(:one).reload.visible
+    assert_equal false, response.parsed_body["data"]["visible"]
+    assert_equal 4, response.parsed_body["data"]["feature_count"]
+  end
+
+  test "toggle visibility sets an explicit visible param" do
+    post toggle_visibility_map_layer_url(map_layers(:one)), params: { visible: true }, as: :json
+
+    assert_response :success
+    assert_equal true, map_layers(:one).reload.visible
+  end
 end
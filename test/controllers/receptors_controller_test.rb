@@ -1,6 +1,8 @@
 require "test_helper"
 
 class ReceptorsControllerTest < ActionDispatch::IntegrationTest
+  include ActiveJob::TestHelper
+
   test "should get index" do
     get receptors_index_url
     assert_response :success
@@ -35,4 +37,106 @@ class ReceptorsControllerTest < ActionDispatch::IntegrationTest
     get receptors_destroy_url
     assert_response :success
   end
+
+  test "creating a receptor over JSON calculates its concentration" do
+    event = dispersion_events(:one)
+    weather = WeatherDatum.create!(temperature: 15, humidity: 50, pressure: 1013, wind_speed: 3.5,
+                                   wind_direction: 36, recorded_at: Time.current,
+                                   latitude: 40.7128, longitude: -74.0060, source: "manual")
+
+    perform_enqueued_jobs do
+      post dispersion_event_receptors_url(event, format: :json),
+           params: { receptor: { name: "Clinic", latitude: 40.7150, longitude: -74.0020, receptor_type: "hospital" } }
+    end
+
+    assert_response :created
+    receptor = event.receptors.find(response.parsed_body["data"]["id"])
+    assert_equal "hospital", receptor.receptor_type
+    assert_equal weather, receptor.dispersion_calculations.last.weather_datum
+    assert_operator receptor.reload.concentration, :>, 0
+  end
+
+  test "creating a receptor with invalid attributes returns the errors" do
+    post dispersion_event_receptors_url(dispersion_events(:one), format: :json),
+         params: { receptor: { name: "", latitude: 95, longitude: -74.0 } }
+
+    assert_response :unprocessable_entity
+    assert_equal "error", response.parsed_body["status"]
+    assert_no_enqueued_jobs
+  end
+
+  test "moving a receptor queues a new calculation, editing its notes does not" do
+    event = dispersion_events(:one)
+    receptor = receptors(:one)
+
+    assert_enqueued_with(job: DispersionCalculationJob, args: [event.id, receptor.id, weather_data(:one).id]) do
+      patch dispersion_event_receptor_url(event, receptor, format: :json), params: { receptor: { latitude: 40.7160 } }
+    end
+    assert_response :success
+    assert_in_delta 40.7160, response.parsed_body["data"]["lat"].to_f
+
+    assert_no_enqueued_jobs do
+      patch dispersion_event_receptor_url(event, receptor, format: :json), params: { receptor: { notes: "Gate 3" } }
+    end
+  end
+
+  test "receptors of inactive events are not calculated" do
+    assert_no_enqueued_jobs do
+      post dispersion_event_receptors_url(dispersion_events(:two), format: :json),
+           params: { receptor: { name: "Yard Gate", latitude: 40.7305, longitude: -73.9895 } }
+    end
+    assert_response :created
+  end
+
+  test "bulk create adds every generated receptor and queues their calculations" do
+    event = dispersion_events(:one)
+    receptors = [
+      { name: "Ring 500 m N", latitude: 40.7173, longitude: -74.0060, receptor_type: "monitoring" },
+      { name: "Ring 500 m E", latitude: 40.7128, longitude: -74.0001, receptor_type: "monitoring" }
+    ]
+
+    assert_difference -> { event.receptors.count }, 2 do
+      assert_enqueued_jobs 2, only: DispersionCalculationJob do
+        post bulk_create_dispersion_event_receptors_url(event, format: :json), params: { receptors: receptors }, as: :json
+      end
+    end
+
+    assert_response :created
+    assert_equal ["Ring 500 m N", "Ring 500 m E"], response.parsed_body["data"].map { |receptor| receptor["name"] }
+  end
+
+  test "bulk create rejects receptors sent as a hash instead of a list" do
+    post bulk_create_dispersion_event_receptors_url(dispersion_events(:one), format: :json),
+         params: { receptors: { name: "Ring", latitude: 40.7173, longitude: -74.0060 } }, as: :json
+
+    assert_response :unprocessable_entity
+    assert_equal "error", response.parsed_body["status"]
+  end
+
+  test "bulk create saves nothing when one receptor is invalid" do
+    event = dispersion_events(:one)
+
+    assert_no_difference -> { event.receptors.count } do
+      post bulk_create_dispersion_event_receptors_url(event, format: :json), params: {
+        receptors: [
+          { name: "Valid", latitude: 40.7173, longitude: -74.0060 },
+          { name: "Off the map", latitude: 123.0, longitude: -74.0060 }
+        ]
+      }, as: :json
+    end
+
+    assert_response :unprocessable_entity
+    assert_match "Off the map", response.parsed_body["message"]
+  end
+
+  test "bulk create limits how many receptors one request adds" do
+    receptors = Array.new(ReceptorsController::MAX_BULK_RECEPTORS + 1) do |index|
+      { name: "Grid #{index}", latitude: 40.7, longitude: -74.0 }
+    end
+
+    post bulk_create_dispersion_event_receptors_url(dispersion_events(:one), format: :json),
+         params: { receptors: receptors }, as: :json
+
+    assert_response :unprocessable_entity
+  end
 end
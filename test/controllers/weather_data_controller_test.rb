@@ -35,4 +35,9 @@ class WeatherDataControllerTest < ActionDispatch::IntegrationTest
     get weather_data_destroy_url
     assert_response :success
   end
+
+  test "atmospheric stability routes decimal coordinates to the weather controller" do
+    assert_recognizes({ controller: "weather", action: "atmospheric_stability", latitude: "40.7128", longitude: "-74.006" },
+                      "/weather/atmospheric_stability/40.7128/-74.006")
+  end
 end
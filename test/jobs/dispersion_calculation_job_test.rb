@@ -1,7 +1,47 @@
 require "test_helper"
 
 class DispersionCalculationJobTest < ActiveJob::TestCase
-  # test "the truth" do
-  #   assert true
-  # end
+  setup do
+    @event = dispersion_events(:one)
+    @receptor = receptors(:one)
+    # The receptor lies about 36° from east of the source; blow the plume straight at it
+    @weather = WeatherDatum.create!(temperature: 15, humidity: 50, pressure: 1013, wind_speed: 3.5,
+                                    wind_direction: 36, recorded_at: Time.current,
+                                    latitude: 40.7128, longitude: -74.0060, source: "manual")
+  end
+
+  test "records the receptor's concentration and broadcasts it" do
+    assert_difference -> { @receptor.dispersion_calculations.count }, 1 do
+      DispersionCalculationJob.perform_now(@event.id, @receptor.id, @weather.id)
+    end
+
+    calculation = @receptor.dispersion_calculations.order(:created_at).last
+    assert_equal "gaussian", calculation.model_used
+    assert_equal @weather, calculation.weather_datum
+    assert_operator calculation.concentration, :>, 0
+    assert_in_delta calculation.concentration.to_f, @receptor.reload.concentration.to_f, 1e-6
+
+    message = ChannelMessage.on_streams("dispersion_events").order(:id).last.payload
+    assert_equal "calculation_complete", message["type"]
+    assert_equal @receptor.id, message.dig("calculation", "receptor_id")
+    assert_in_delta calculation.concentration.to_f, message.dig("calculation", "concentration"), 1e-6
+  end
+
+  test "calculates every receptor of the event with the latest weather by default" do
+    other = @event.receptors.create!(name: "Fire Station", latitude: 40.7140, longitude: -74.0030)
+
+    DispersionCalculationJob.perform_now(@event.id)
+
+    [@receptor, other].each do |receptor|
+      assert_equal @weather, receptor.dispersion_calculations.order(:created_at).last&.weather_datum
+    end
+  end
+
+  test "an upwind receptor sees no concentration" do
+    upwind = @event.receptors.create!(name: "Upwind Depot", latitude: 40.7100, longitude: -74.0100)
+
+    DispersionCalculationJob.perform_now(@event.id, upwind.id, @weather.id)
+
+    assert_equal 0, upwind.dispersion_calculations.last.concentration
+  end
 end
@@ -1,7 +1,31 @@
 require "test_helper"
 
 class BuildingTest < ActiveSupport::TestCase
-  # test "the truth" do
-  #   assert true
-  # end
+  test "downwash parameters scale with the smaller of height and footprint width" do
+    # 8 m tall, 20 m wide: height governs
+    parameters = buildings(:one).downwash_parameters
+
+    assert_equal 8.0, parameters[:scale_length]
+    assert_equal 20.0, parameters[:gep_stack_height]
+    assert_equal 40.0, parameters[:wake_length]
+  end
+
+  test "downwash parameters use the footprint width for a tower" do
+    parameters = Building.new(height: 30.0, area: 100.0).downwash_parameters
+
+    assert_equal 10.0, parameters[:scale_length]
+    assert_equal 45.0, parameters[:gep_stack_height]
+    assert_equal 50.0, parameters[:wake_length]
+  end
+
+  test "downwash parameters fall back to the height without a footprint area" do
+    parameters = Building.new(height: 12.0).downwash_parameters
+
+    assert_equal 12.0, parameters[:scale_length]
+    assert_equal 30.0, parameters[:gep_stack_height]
+  end
+
+  test "downwash parameters are nil without a height" do
+    assert_nil Building.new(area: 400.0).downwash_parameters
+  end
 end
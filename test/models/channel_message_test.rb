@@ -0,0 +1,35 @@
+require "test_helper"
+
+class ChannelMessageTest < ActiveSupport::TestCase
+  test "broadcasts are sequenced by record id and replayed per stream" do
+    first = ChannelBroadcaster.broadcast("dispersion_events", { type: "active_events" })
+    other = ChannelBroadcaster.broadcast("weather_updates", { type: "weather_update" })
+    second = ChannelBroadcaster.broadcast("dispersion_events", { type: "event_update" })
+
+    assert_operator second["sequence"], :>, first["sequence"]
+
+    missed = ChannelBroadcaster.messages_since(["dispersion_events"], first["sequence"])
+    assert_equal [second["sequence"]], missed.map { |message| message["sequence"] }
+    assert_equal "event_update", missed.first["type"]
+
+    both = ChannelBroadcaster.messages_since(["dispersion_events", "weather_updates"], 0)
+    assert_equal [first, other, second].map { |message| message["sequence"] }, both.map { |message| message["sequence"] }
+  end
+
+  test "each stream keeps only the newest buffered messages" do
+    (ChannelBroadcaster::BUFFER_SIZE + 5).times do |index|
+      ChannelBroadcaster.broadcast("dispersion_events", { type: "event_update", index: index })
+    end
+
+    buffered = ChannelMessage.on_streams("dispersion_events").order(:id)
+    assert_equal ChannelBroadcaster::BUFFER_SIZE, buffered.count
+    assert_equal 5, buffered.first.payload["index"]
+  end
+
+  test "messages past the buffer lifetime are not replayed" do
+    message = ChannelBroadcaster.broadcast("dispersion_events", { type: "event_update" })
+    ChannelMessage.find(message["sequence"]).update_columns(created_at: 1.hour.ago)
+
+    assert_empty ChannelBroadcaster.messages_since("dispersion_events", 0)
+  end
+end
@@ -1,7 +1,39 @@
 require "test_helper"
 
 class GisFeatureTest < ActiveSupport::TestCase
-  # test "the truth" do
-  #   assert true
-  # end
+  test "sensitive category comes from the feature's tags" do
+    assert_equal "school", gis_features(:one).sensitive_category
+
+    hospital = GisFeature.new(name: "General", feature_type: "point", properties: { "healthcare" => "Hospital" })
+    assert_equal "hospital", hospital.sensitive_category
+  end
+
+  test "roads and waterways are sensitive by feature type" do
+    assert_equal "road", gis_features(:two).sensitive_category
+    assert_equal "waterway", GisFeature.new(name: "Harbor", feature_type: "water").sensitive_category
+  end
+
+  test "untagged features have no sensitive category" do
+    assert_nil GisFeature.new(name: "Shop", feature_type: "point", properties: { "amenity" => "cafe" }).sensitive_category
+  end
+
+  test "saving stores the extent of the whole geometry" do
+    feature = GisFeature.create!(
+      name: "Canal", feature_type: "line", map_layer: map_layers(:one),
+      geometry: { "type" => "LineString", "coordinates" => [[-74.03, 40.70], [-74.01, 40.71], [-73.99, 40.73]] }
+    )
+
+    assert_in_delta 40.70, feature.min_latitude
+    assert_in_delta 40.73, feature.max_latitude
+    assert_in_delta(-74.03, feature.min_longitude)
+    assert_in_delta(-73.99, feature.max_longitude)
+  end
+
+  test "overlapping finds a line by a part far from its center" do
+    # The road's center is at 40.72,-74.00; this box only covers its southwest end
+    found = GisFeature.overlapping(40.705, 40.695, -74.015, -74.025)
+
+    assert_includes found, gis_features(:two)
+    assert_not_includes found, gis_features(:one)
+  end
 end
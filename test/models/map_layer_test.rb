@@ -1,7 +1,17 @@
 require "test_helper"
 
 class MapLayerTest < ActiveSupport::TestCase
-  # test "the truth" do
-  #   assert true
-  # end
+  test "feature counts match each layer's own count" do
+    layers = [map_layers(:one), map_layers(:two)]
+
+    counts = MapLayer.feature_counts(layers.map(&:id))
+
+    layers.each { |layer| assert_equal layer.feature_count, counts[layer.id] }
+  end
+
+  test "feature counts are zero for an empty layer" do
+    layer = MapLayer.create!(name: "Empty Overlay", layer_type: "overlay")
+
+    assert_equal 0, MapLayer.feature_counts([layer.id])[layer.id]
+  end
 end
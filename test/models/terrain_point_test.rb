@@ -1,7 +1,23 @@
 require "test_helper"
 
 class TerrainPointTest < ActiveSupport::TestCase
-  # test "the truth" do
-  #   assert true
-  # end
+  setup do
+    TerrainPoint.create!(latitude: 40.7178, longitude: -73.9960, elevation: 40.0, data_source: "survey",
+                         map_layer: map_layers(:two))
+  end
+
+  test "batch interpolation matches single point interpolation" do
+    coordinates = [[40.7150, -74.0020], [40.7200, -74.0000]]
+
+    elevations = TerrainPoint.interpolate_elevations(coordinates)
+
+    coordinates.zip(elevations).each do |(lat, lng), elevation|
+      assert_in_delta TerrainPoint.interpolate_elevation(lat, lng).to_f, elevation, 0.001
+    end
+  end
+
+  test "batch interpolation is nil away from terrain and empty without coordinates" do
+    assert_equal [nil], TerrainPoint.interpolate_elevations([[52.0, 4.0]])
+    assert_equal [], TerrainPoint.interpolate_elevations([])
+  end
 end
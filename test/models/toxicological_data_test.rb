@@ -0,0 +1,61 @@
+require "test_helper"
+
+class ToxicologicalDataTest < ActiveSupport::TestCase
+  setup do
+    @chlorine = chemicals(:one) # molecular weight 70.90
+  end
+
+  test "hazard tiers prefer AEGLs and convert ppm to mg/m3" do
+    data = ToxicologicalData.create!(chemical: @chlorine, aegl_1_1hr: 0.5, aegl_2_1hr: 2.0, aegl_3_1hr: 20.0,
+                                     erpg_1: 1.0, erpg_2: 3.0, erpg_3: 20.0)
+
+    scale = data.hazard_tiers(60)
+
+    assert_equal "AEGL", scale[:standard]
+    assert_equal 60, scale[:duration_minutes]
+    assert_equal %w[AEGL-1 AEGL-2 AEGL-3], scale[:tiers].map { |tier| tier[:label] }
+    assert_in_delta 0.5 * 70.90 / 24.45, scale[:tiers].first[:value], 0.001
+    assert_in_delta 20.0 * 70.90 / 24.45, scale[:tiers].last[:value], 0.001
+  end
+
+  test "hazard tiers follow the exposure duration" do
+    data = ToxicologicalData.create!(chemical: @chlorine, concentration_units: "mg/m3",
+                                     aegl_2_10min: 8.0, aegl_2_1hr: 6.0, aegl_2_8hr: 2.0)
+
+    assert_equal [8.0], data.hazard_tiers(10)[:tiers].map { |tier| tier[:value] }
+    assert_equal [2.0], data.hazard_tiers(480)[:tiers].map { |tier| tier[:value] }
+    assert_equal 2, data.hazard_tiers(480)[:tiers].first[:tier]
+  end
+
+  test "ERPGs apply only to exposures near one hour" do
+    data = ToxicologicalData.create!(chemical: @chlorine, concentration_units: "mg/m3",
+                                     erpg_1: 3.0, erpg_2: 9.0, erpg_3: 60.0, pac_3_10min: 75.0)
+
+    hourly = data.hazard_tiers(45)
+    assert_equal "ERPG", hourly[:standard]
+    assert_equal 60, hourly[:duration_minutes]
+
+    short = data.hazard_tiers(10)
+    assert_equal "PAC", short[:standard]
+    assert_equal [["PAC-3", 75.0]], short[:tiers].map { |tier| [tier[:label], tier[:value]] }
+  end
+
+  test "hazard tiers use the stored conversion factor when present" do
+    data = ToxicologicalData.create!(chemical: @chlorine, aegl_3_1hr: 20.0, mg_per_m3_conversion_factor: 2.9)
+
+    assert_in_delta 58.0, data.hazard_tiers[:tiers].first[:value], 0.001
+  end
+
+  test "hazard tiers are nil without any guideline" do
+    data = ToxicologicalData.create!(chemical: @chlorine, idlh: 10.0)
+
+    assert_nil data.hazard_tiers
+    assert_nil @chlorine.hazard_scale
+  end
+
+  test "the chemical's hazard scale names the chemical" do
+    ToxicologicalData.create!(chemical: @chlorine, aegl_3_1hr: 20.0)
+
+    assert_equal "Chlorine", @chlorine.reload.hazard_scale[:chemical]
+  end
+end